@@ -0,0 +1,12 @@
+#!/usr/bin/env node
+/**
+ * @fileoverview JTP (Janky Transfer Protocol) command-line entry point
+ * @author JTP Library
+ * @version 1.0.0
+ */
+
+const { main } = require('../lib/cli');
+
+main(process.argv.slice(2)).then((code) => {
+    process.exitCode = code;
+});
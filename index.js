@@ -36,8 +36,15 @@
 
 const JTPEncoder = require('./lib/Encoder');
 const JTPDecoder = require('./lib/Decoder');
+const JTPSocket = require('./lib/Socket');
+const JTPEncodeStream = require('./lib/EncodeStream');
+const JTPDecodeStream = require('./lib/DecodeStream');
 
 const { VERSION } = require('./lib/constants');
+const { to_prometheus } = require('./lib/stats');
+const { PcapWriter, read_pcap, replay_pcap } = require('./lib/pcap');
+const { ERROR_CODES, JTPError, JTPPacketError, JTPFragmentError, JTPMessageError } = require('./lib/errors');
+const { SERIALIZERS, SchemaRegistry } = require('./lib/schema');
 
 module.exports = {
     /**
@@ -56,5 +63,89 @@ module.exports = {
      * JTP Decoder class for reassembling packets into messages
      * @type {JTPDecoder}
      */
-    JTPDecoder
+    JTPDecoder,
+
+    /**
+     * JTP Socket class wrapping an encoder and decoder around a UDP socket
+     * @type {JTPSocket}
+     */
+    JTPSocket,
+
+    /**
+     * Object-mode Transform stream from { buffer, message_type } objects to packets
+     * @type {JTPEncodeStream}
+     */
+    JTPEncodeStream,
+
+    /**
+     * Object-mode Transform stream from packets to { buffer, message_type, metadata } objects
+     * @type {JTPDecodeStream}
+     */
+    JTPDecodeStream,
+
+    /**
+     * Render encoder or decoder get_stats() output as Prometheus exposition text
+     * @type {Function}
+     */
+    to_prometheus,
+
+    /**
+     * Writer of pcap captures wrapping packets in synthetic UDP/IP headers
+     * @type {PcapWriter}
+     */
+    PcapWriter,
+
+    /**
+     * Extract JTP packets and their timestamps from a pcap capture
+     * @type {Function}
+     */
+    read_pcap,
+
+    /**
+     * Feed packets from read_pcap() into a decoder with their original timing
+     * @type {Function}
+     */
+    replay_pcap,
+
+    /**
+     * Stable codes carried by every JTPError as `error.code`
+     * @type {Object<string, string>}
+     */
+    ERROR_CODES,
+
+    /**
+     * Base class of errors emitted by the encoder and decoder
+     * @type {JTPError}
+     */
+    JTPError,
+
+    /**
+     * Error for a packet that is malformed on its own
+     * @type {JTPPacketError}
+     */
+    JTPPacketError,
+
+    /**
+     * Error for a fragment that conflicts with its message's earlier fragments
+     * @type {JTPFragmentError}
+     */
+    JTPFragmentError,
+
+    /**
+     * Error for a message that could not be encoded, reassembled or (de)serialized
+     * @type {JTPMessageError}
+     */
+    JTPMessageError,
+
+    /**
+     * Registry mapping schema names to message types and serializers
+     * @type {SchemaRegistry}
+     */
+    SchemaRegistry,
+
+    /**
+     * Built-in 'json' and 'raw' serializers
+     * @type {Object<string, Object>}
+     */
+    SERIALIZERS
 };
\ No newline at end of file
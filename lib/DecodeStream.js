@@ -0,0 +1,123 @@
+/**
+ * @fileoverview JTP (Janky Transfer Protocol) decoder stream adapter
+ * @author JTP Library
+ * @version 1.0.0
+ */
+
+/**
+ * JTPDecodeStream - Object-mode Transform from JTP packets to messages
+ *
+ * Wraps a JTPDecoder. Each written Buffer is decoded as one packet and
+ * every reassembled message is pushed as
+ * `{ buffer, message_type, metadata }`, with the same metadata as the
+ * decoder's 'message' event.
+ *
+ * Packets that fail validation are reported through 'decode:error' and
+ * skipped rather than destroying the stream, so a stray datagram cannot
+ * tear down a pipeline fed from the network. Chunks that are not Buffers
+ * destroy the stream.
+ *
+ * @class JTPDecodeStream
+ * @extends Transform
+ * @example
+ * const { pipeline } = require('stream');
+ *
+ * const decode_stream = new JTPDecodeStream({ source_id: 0x1234 });
+ * decode_stream.on('decode:error', (error) => console.warn(error.message));
+ *
+ * pipeline(packet_source, decode_stream, message_sink, (error) => {
+ *   if (error) console.error(error);
+ * });
+ */
+
+const { Transform } = require('stream');
+const JTPDecoder = require('./Decoder');
+
+module.exports = class JTPDecodeStream extends Transform {
+    /**
+     * Decode error event - emitted when a written packet fails validation
+     * @event JTPDecodeStream#decode:error
+     * @param {Error} error - The decoder error
+     */
+
+    /**
+     * Create a new decoder stream
+     *
+     * Options other than `decoder` and `high_water_mark` are passed to the
+     * JTPDecoder the stream creates, which is closed when the stream ends.
+     * An existing decoder passed in is left open.
+     *
+     * @param {Object} options - Configuration options
+     * @param {JTPDecoder} [options.decoder] - Existing decoder to wrap
+     * @param {number} [options.high_water_mark=16] - Messages buffered on the readable side before backpressure applies
+     * @param {number|number[]|Set<number>|Function|null} [options.source_id] - Source filter (null for any source), required when the stream creates its own decoder
+     * @throws {Error} If the decoder options are invalid
+     */
+    constructor({ decoder = null, high_water_mark = 16, ...decoder_options } = {}) {
+        super({ objectMode: true, highWaterMark: high_water_mark });
+        this.decoder = decoder || new JTPDecoder(decoder_options);
+        this._owns_decoder = !decoder;
+        this._flushed = false;
+
+        this._on_message = (buffer, message_type, metadata) => {
+            if (!this._flushed) {
+                this.push({ buffer, message_type, metadata });
+            }
+        };
+        this._on_error = (error) => this.emit('decode:error', error);
+        this.decoder.on('message', this._on_message);
+        this.decoder.on('error', this._on_error);
+    }
+
+    /**
+     * Decode one packet, pushing any message it completes
+     * @private
+     * @param {Buffer} packet - JTP packet
+     * @param {string} encoding - Unused in object mode
+     * @param {Function} callback - Called once the packet has been decoded
+     * @returns {void}
+     * @fires JTPDecodeStream#decode:error
+     */
+    _transform(packet, encoding, callback) {
+        if (!Buffer.isBuffer(packet)) {
+            callback(new Error('JTPDecodeStream expects Buffer packets'));
+            return;
+        }
+        this.decoder.decode_packet(packet);
+        callback();
+    }
+
+    /**
+     * Wait for deferred reassembly, then end the readable side
+     *
+     * Large messages are reassembled on the next tick of the event loop,
+     * so flushing waits one tick for them before ending the readable side.
+     *
+     * @private
+     * @param {Function} callback - Called when flushing is done
+     * @returns {void}
+     */
+    _flush(callback) {
+        setImmediate(() => {
+            this._flushed = true;
+            callback();
+        });
+    }
+
+    /**
+     * Detach from the decoder, closing it if the stream created it
+     * @private
+     * @param {Error|null} error - Error that destroyed the stream, if any
+     * @param {Function} callback - Called once cleanup is done
+     * @returns {void}
+     */
+    _destroy(error, callback) {
+        this._flushed = true;
+        this.decoder.off('message', this._on_message);
+        this.decoder.off('error', this._on_error);
+        if (this._owns_decoder) {
+            this.decoder.close();
+        }
+        callback(error);
+    }
+};
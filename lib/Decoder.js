@@ -7,10 +7,11 @@
 /**
  * JTPDecoder - Handles decoding of JTP packets into messages
  *
- * The decoder listens for packets from a specific source and optionally
- * filters for specific message types. It handles fragmentation reassembly
- * and emits complete messages when received. Supports event-driven architecture
- * for reactive programming patterns.
+ * The decoder listens for packets from a specific source (or a set of
+ * sources) and optionally filters for specific message types. It handles
+ * fragmentation reassembly per source and message type and emits complete
+ * messages when received. Supports event-driven architecture for reactive
+ * programming patterns.
  *
  * @class JTPDecoder
  * @extends EventEmitter
@@ -32,9 +33,18 @@
  * udpSocket.on('message', (packet) => {
  *   decoder.decode_packet(packet);
  * });
+ *
+ * @example
+ * // Listen to a whole fleet on one port
+ * const fleet_decoder = new JTPDecoder({ source_id: null });
+ *
+ * fleet_decoder.on('message', (buffer, messageType, metadata) => {
+ *   console.log(`Robot ${metadata.source_id} sent type ${messageType}`);
+ * });
  */
 
 const { EventEmitter } = require("events");
+const { performance } = require('perf_hooks');
 
 /**
  * JTPDecoder - Handles decoding of JTP packets into messages
@@ -44,24 +54,122 @@ const { EventEmitter } = require("events");
  * and emits complete messages when received.
  */
 
-const { VERSION, MAGIC_BYTE, MAX_PAYLOAD_SIZE } = require('./constants');
+const { crc32 } = require('./crc32');
+const { max_packet_overhead, decode_header, read_message_type } = require('./header');
+const { ERROR_CODES, JTPError, JTPPacketError, JTPFragmentError, JTPMessageError } = require('./errors');
+const { encode_nack } = require('./nack');
+const { normalize_key, verify_packet, ReplayWindow } = require('./auth');
+const { normalize_encryption_key, decrypt_message } = require('./cipher');
+const { decompress_message } = require('./compression');
+const { MAX_GROUP_SIZE, parity_index_for, covered_indices, parity_fragment_count, xor_into } = require('./fec');
+const { StatsRecorder } = require('./stats');
+const { SchemaRegistry } = require('./schema');
+const {
+    VERSION,
+    MAGIC_BYTE,
+    MAX_PAYLOAD_SIZE,
+    MIN_PAYLOAD_SIZE,
+    MAX_UDP_PAYLOAD_SIZE,
+    FLAGS,
+    MAX_EXTENDED_TYPES,
+    MAX_FRAGMENT_COUNT
+} = require('./constants');
+
+/**
+ * Default reassembly_timeout with `delivery_order: 'id'`, in milliseconds
+ * @private
+ * @type {number}
+ */
+const ID_ORDER_REASSEMBLY_TIMEOUT = 1000;
 
 module.exports = class JTPDecoder extends EventEmitter {
     /**
      * Message event - emitted when a complete message is reassembled
      * @event JTPDecoder#message
      * @param {Buffer} message_buffer - The complete reassembled message
-     * @param {number} message_type - Message type (0-63)
+     * @param {number} message_type - Message type (0-65535)
      * @param {Object} metadata - Message metadata
+     * @param {number} metadata.source_id - Source ID of the sender
      * @param {number} metadata.message_id - Message ID
      * @param {number} metadata.fragment_count - Number of fragments
      * @param {number} metadata.total_bytes - Total message size
+     * @param {number} metadata.compressed_bytes - Message size as compressed by the sender (total_bytes if not compressed)
+     * @param {number} metadata.recovered_fragments - Fragments rebuilt from FEC parity
+     */
+
+    /**
+     * Message chunk event - emitted for each fragment of a streamed message,
+     * in order, as soon as every fragment before it has been delivered
+     * @event JTPDecoder#message:chunk
+     * @param {Buffer} chunk - The fragment's payload
+     * @param {number} message_type - Message type (0-65535)
+     * @param {Object} info - Chunk information
+     * @param {number} info.source_id - Source ID of the sender
+     * @param {number} info.message_id - Message ID
+     * @param {number} info.fragment_index - Fragment index
+     * @param {number} info.fragment_count - Number of fragments
+     * @param {number} info.offset - Position of the chunk in the message, in bytes
+     */
+
+    /**
+     * Message abort event - emitted instead of 'message:complete' when a
+     * streamed message cannot be completed; the chunks already delivered
+     * are all there will be
+     * @event JTPDecoder#message:abort
+     * @param {Object} info - Abort information
+     * @param {number} info.source_id - Source ID of the sender
+     * @param {number} info.message_type - Message type
+     * @param {number} info.message_id - Message ID
+     * @param {number} info.fragments_received - Fragments received before the abort
+     * @param {number} info.fragment_count - Expected fragment count
+     * @param {number} info.bytes_streamed - Bytes delivered in 'message:chunk' events
+     * @param {string} info.reason - 'superseded', 'timeout', 'evicted', 'corrupt' (checksum mismatch), 'invalid' (too many fragments) or 'reset'
+     */
+
+    /**
+     * Partial message event - emitted after 'message:incomplete' for messages
+     * of `partial_types`, with what did arrive
+     * @event JTPDecoder#message:partial
+     * @param {Buffer} message_buffer - The message up to its last fragment received, with missing fragments zero-filled
+     * @param {number} message_type - Message type (0-65535)
+     * @param {Object} metadata - Message metadata
+     * @param {number} metadata.source_id - Source ID of the sender
+     * @param {number} metadata.message_id - Message ID
+     * @param {number} metadata.fragment_count - Number of fragments
+     * @param {number} metadata.fragments_received - Fragments held, including rebuilt ones
+     * @param {number} metadata.total_bytes - Size of message_buffer
+     * @param {number} metadata.recovered_fragments - Fragments rebuilt from FEC parity
+     * @param {Array<{start: number, end: number}>} metadata.valid_ranges - Byte ranges of message_buffer that were received, in order
+     * @param {string} metadata.reason - 'superseded' or 'timeout', as in 'message:incomplete'
+     */
+
+    /**
+     * Message evicted event - emitted after 'message:incomplete' when a
+     * message is dropped to stay within a memory limit
+     * @event JTPDecoder#message:evicted
+     * @param {Object} info - Eviction information
+     * @param {number} info.source_id - Source ID of the sender
+     * @param {number} info.message_type - Message type
+     * @param {number} info.message_id - Message ID
+     * @param {number} info.fragments_received - Fragments held when evicted
+     * @param {number} info.fragment_count - Expected fragment count
+     * @param {number} info.buffered_bytes - Bytes released
+     * @param {string} info.limit - 'max_buffered_bytes', 'max_messages_per_type' or 'max_messages_per_source'
+     */
+
+    /**
+     * Schema event - emitted after 'message' under the name of the message's
+     * schema when its type is registered in `schemas`
+     * @event JTPDecoder#<schema name>
+     * @param {*} value - The deserialized message
+     * @param {Object} metadata - The 'message' metadata, plus message_type
      */
 
     /**
      * Message start event - emitted when first fragment of new message arrives
      * @event JTPDecoder#message:start
      * @param {Object} info - Message start information
+     * @param {number} info.source_id - Source ID of the sender
      * @param {number} info.message_type - Message type
      * @param {number} info.message_id - Message ID
      * @param {number} info.fragment_count - Expected fragment count
@@ -71,6 +179,7 @@ module.exports = class JTPDecoder extends EventEmitter {
      * Fragment received event - emitted for each accepted fragment
      * @event JTPDecoder#fragment:received
      * @param {Object} info - Fragment information
+     * @param {number} info.source_id - Source ID of the sender
      * @param {number} info.message_type - Message type
      * @param {number} info.message_id - Message ID
      * @param {number} info.fragment_index - Fragment index
@@ -78,30 +187,138 @@ module.exports = class JTPDecoder extends EventEmitter {
      * @param {number} info.fragments_received - Fragments received so far
      */
 
+    /**
+     * Fragment recovered event - emitted when a lost fragment is rebuilt from FEC parity
+     * @event JTPDecoder#fragment:recovered
+     * @param {Object} info - Fragment information
+     * @param {number} info.source_id - Source ID of the sender
+     * @param {number} info.message_type - Message type
+     * @param {number} info.message_id - Message ID
+     * @param {number} info.fragment_index - Rebuilt fragment index
+     * @param {number} info.fragment_count - Total fragment count
+     * @param {number} info.fragments_received - Fragments held so far, including rebuilt ones
+     */
+
     /**
      * Message complete event - emitted after successful message reassembly
      * @event JTPDecoder#message:complete
      * @param {Object} info - Completion information
+     * @param {number} info.source_id - Source ID of the sender
      * @param {number} info.message_type - Message type
      * @param {number} info.message_id - Message ID
      * @param {number} info.fragment_count - Number of fragments
      * @param {number} info.total_bytes - Total message size
+     * @param {number} info.compressed_bytes - Message size as compressed by the sender (total_bytes if not compressed)
      */
 
     /**
-     * Message incomplete event - emitted when incomplete message is replaced
+     * Message incomplete event - emitted when an incomplete message is
+     * replaced by a newer one, times out or is evicted
      * @event JTPDecoder#message:incomplete
      * @param {Object} info - Incomplete message information
+     * @param {number} info.source_id - Source ID of the sender
      * @param {number} info.message_type - Message type
      * @param {number} info.message_id - Message ID of incomplete message
      * @param {number} info.fragments_received - Fragments received before replacement
      * @param {number} info.fragment_count - Expected fragment count
+     * @param {string} info.reason - 'superseded' (newer message arrived), 'timeout' or 'evicted' (dropped for a memory limit)
+     */
+
+    /**
+     * Close event - emitted once the decoder has been closed
+     * @event JTPDecoder#close
+     */
+
+    /**
+     * Message corrupt event - emitted instead of 'message' when a reassembled
+     * message does not match the checksum carried by its packets
+     * @event JTPDecoder#message:corrupt
+     * @param {Object} info - Corrupt message information
+     * @param {number} info.source_id - Source ID of the sender
+     * @param {number} info.message_type - Message type
+     * @param {number} info.message_id - Message ID
+     * @param {number} info.fragment_count - Number of fragments
+     * @param {number} info.total_bytes - Total message size
+     * @param {number} info.expected_checksum - CRC32 carried in the packet headers
+     * @param {number} info.actual_checksum - CRC32 of the reassembled message
+     */
+
+    /**
+     * Message decrypt failed event - emitted instead of 'message' when a
+     * reassembled message cannot be decrypted and authenticated
+     * @event JTPDecoder#message:decrypt_failed
+     * @param {Object} info - Failure information
+     * @param {number} info.source_id - Source ID of the sender
+     * @param {number} info.message_type - Message type
+     * @param {number} info.message_id - Message ID
+     * @param {number} info.fragment_count - Number of fragments
+     * @param {number} info.total_bytes - Size of the sealed message
+     * @param {string} info.reason - 'auth_failed' (wrong key or tampered), 'no_key' (encrypted but no key configured) or 'unencrypted' (plaintext while a key is configured)
+     */
+
+    /**
+     * NACK event - emitted with a control packet to send back to the sender
+     * when fragments of a message are still missing (requires nack_interval)
+     * @event JTPDecoder#nack
+     * @param {Buffer} packet - NACK control packet for the sender's JTPEncoder#handle_nack
+     * @param {Object} info - NACK information
+     * @param {number} info.source_id - Source ID of the sender
+     * @param {number} info.message_type - Message type
+     * @param {number} info.message_id - Message ID being repaired
+     * @param {number[]} info.fragment_indices - Missing fragment indices listed in this packet
+     * @param {number} info.attempt - NACK round for this message (1-based)
+     */
+
+    /**
+     * Message repaired event - emitted after 'message' when a message
+     * completed thanks to NACK retransmissions
+     * @event JTPDecoder#message:repaired
+     * @param {Object} info - Repair information
+     * @param {number} info.source_id - Source ID of the sender
+     * @param {number} info.message_type - Message type
+     * @param {number} info.message_id - Message ID
+     * @param {number} info.fragment_count - Number of fragments
+     * @param {number} info.nack_rounds - NACK rounds it took to complete
+     */
+
+    /**
+     * Message repair failed event - emitted when NACK retries are exhausted
+     * and fragments are still missing
+     * @event JTPDecoder#message:repair_failed
+     * @param {Object} info - Repair failure information
+     * @param {number} info.source_id - Source ID of the sender
+     * @param {number} info.message_type - Message type
+     * @param {number} info.message_id - Message ID
+     * @param {number} info.fragments_received - Fragments received so far
+     * @param {number} info.fragment_count - Expected fragment count
+     * @param {number} info.nack_rounds - NACK rounds sent
+     */
+
+    /**
+     * Packet received event - emitted for every packet passed to
+     * decode_packet() while the decoder is open, before it is checked, so
+     * packets can be captured or counted whether they are accepted or not
+     * @event JTPDecoder#packet:received
+     * @param {Buffer} packet - The packet as passed to decode_packet()
+     */
+
+    /**
+     * Packet rejected event - emitted when a packet fails authentication or
+     * is a replay, before it reaches reassembly
+     * @event JTPDecoder#packet:rejected
+     * @param {Object} info - Rejection information
+     * @param {number} info.source_id - Source ID claimed by the packet
+     * @param {number} info.message_type - Message type
+     * @param {number} info.message_id - Message ID
+     * @param {number} info.fragment_index - Fragment index (parity index for parity fragments)
+     * @param {number|null} info.key_id - Key ID of the packet's trailer, or null if it had none
+     * @param {string} info.reason - 'unauthenticated', 'unknown_key', 'bad_tag' or 'replay'
      */
 
     /**
      * Error event - emitted on packet validation or reassembly errors
      * @event JTPDecoder#error
-     * @param {Error} error - The error that occurred
+     * @param {JTPError} error - The error that occurred; `error.code` is one of ERROR_CODES
      */
     /**
      * Get the current protocol version
@@ -111,39 +328,435 @@ module.exports = class JTPDecoder extends EventEmitter {
     static get VERSION() { return VERSION; }
     
     /**
-     * Get the maximum payload size per packet
+     * Get the default maximum payload size per packet
      * @static
-     * @returns {number} Maximum payload size in bytes
+     * @returns {number} Default maximum payload size in bytes
      */
     static get MAX_PAYLOAD_SIZE() { return MAX_PAYLOAD_SIZE; }
 
+    /**
+     * Get the largest message this decoder can reassemble
+     * @returns {number} Maximum message size in bytes (max_payload_size * 65535)
+     */
+    get max_message_size() { return this.max_payload_size * MAX_FRAGMENT_COUNT; }
+
+    /**
+     * Get the fragment and parity bytes held for messages being reassembled,
+     * plus messages held back for `delivery_order: 'id'`
+     * @returns {number} Buffered bytes, as limited by max_buffered_bytes
+     */
+    get buffered_bytes() { return this._buffered_bytes; }
+
     /**
      * Create a new JTP decoder
+     *
+     * The source filter may be a single 32-bit source identifier, an array or
+     * Set of identifiers, a predicate function, or null to accept any source.
+     * It must be given, so that leaving it out cannot open the filter.
+     * Reassembly state is kept separately for every (source_id, message_type)
+     * pair, so one decoder can reassemble traffic from many senders.
+     *
+     * `max_payload_size` must be at least the sender's setting; fragments
+     * with larger payloads are rejected. It also bounds the size of the
+     * NACK packets this decoder emits, which are further capped so that a
+     * signed version 2 NACK fits in a UDP datagram.
+     *
+     * Up to `reassembly_window` consecutive message IDs per source and type
+     * are reassembled at once, so fragments of back-to-back messages can be
+     * reordered without losing either message. A message further than that
+     * behind a newer one is dropped as superseded. Messages are delivered as
+     * they complete, or with `delivery_order: 'id'` held back until every
+     * older message still in flight has completed or been dropped. A lost
+     * message is only dropped once its reassembly timeout expires, so ID
+     * order needs one: it defaults to 1000 ms, and 0 is refused.
+     *
+     * With `auth_keys` set, only packets signed with one of the keys are
+     * accepted, and each packet is accepted once: a packet whose message ID
+     * is `replay_window` or more behind the newest one from its source,
+     * type and key, or that has been seen before, is a replay. A sender
+     * that restarts its message IDs must switch to a new key ID, or the
+     * receiver must call reset_message_state() for it.
+     *
+     * With `encryption_key` set, messages are decrypted once reassembled
+     * and plaintext messages are refused, so only holders of the key can
+     * inject messages.
+     *
+     * Compressed messages are decompressed automatically before they are
+     * delivered, up to max_message_size bytes.
+     *
+     * Packets with version 0, 1 and 2 (extended type) headers are all
+     * accepted. A message type is the same type whichever header carries it,
+     * for the `message_types` filter and for reassembly. Header extension
+     * entries are skipped, so senders may add entries this decoder does not
+     * know.
+     *
+     * Messages of a type registered in `schemas` are also deserialized and
+     * emitted as an event named after their schema, after 'message'.
+     *
+     * Messages of `streaming_types` are never reassembled into one buffer.
+     * Each fragment is emitted as a 'message:chunk' as soon as every
+     * fragment before it has been, and released once FEC can no longer need
+     * it, so a large transfer costs little more memory than its gaps. The
+     * stream ends with 'message:complete' (after the checksum, if any, has
+     * been verified) or 'message:abort'; 'message' is not emitted. Streamed
+     * messages are not held back for `delivery_order: 'id'`. Encrypted and
+     * compressed messages cannot be read in pieces, and are delivered whole.
+     *
+     * Messages of `partial_types` that time out or are superseded are still
+     * delivered, as 'message:partial' after 'message:incomplete', with
+     * missing fragments zero-filled and the received byte ranges listed.
+     *
+     * Without limits, a sender announcing 65535 fragments on every type can
+     * make the decoder buffer gigabytes. `max_buffered_bytes` caps the
+     * fragment and parity bytes held for all messages being reassembled,
+     * and `max_messages_per_type` and `max_messages_per_source` cap how many
+     * are in flight. A packet that would exceed a limit first evicts
+     * messages by `eviction_policy`: the one started first ('oldest') or
+     * holding the most bytes ('largest'), among those in flight for the
+     * byte limit or sharing the new message's type or source for the
+     * others. A message that cannot fit even alone is evicted itself.
+     * Messages held back for `delivery_order: 'id'` count against
+     * `max_buffered_bytes` too, and are delivered once the older messages
+     * they wait for are evicted.
+     *
      * @param {Object} options - Configuration options
-     * @param {number} options.source_id - 32-bit source identifier to listen for
-     * @param {number[]} [options.message_types] - Optional array of message types to accept (0-63)
-     * @throws {Error} If source_id is not provided or invalid
+     * @param {number|number[]|Set<number>|Function|null} options.source_id - Source identifier(s) to listen for, or null for any source
+     * @param {number[]} [options.message_types] - Optional array of message types to accept (0-65535)
+     * @param {number} [options.max_payload_size=1200] - Largest fragment payload accepted, in bytes
+     * @param {number} [options.reassembly_window=1] - Message IDs per source and type reassembled concurrently (1-32767)
+     * @param {string} [options.delivery_order='completion'] - 'completion' to deliver messages as they complete, 'id' to deliver in message ID order
+     * @param {number} [options.nack_interval=0] - Milliseconds without progress before missing fragments are NACKed (0 disables)
+     * @param {number} [options.nack_retries=3] - Maximum NACK rounds per message before giving up
+     * @param {number} [options.reassembly_timeout=0] - Milliseconds without progress before a partial message is dropped (0 disables; default 1000 and 0 refused with delivery_order 'id')
+     * @param {Object<number, number>} [options.reassembly_timeouts={}] - Per message type overrides of reassembly_timeout
+     * @param {Object<number, Buffer|string>|null} [options.auth_keys=null] - Accepted authentication keys by key ID (null accepts unsigned packets)
+     * @param {number} [options.replay_window=64] - Message IDs per source, type and key tracked for replays (1-32767)
+     * @param {Buffer|null} [options.encryption_key=null] - 32-byte AES-256-GCM key to decrypt messages with (null accepts plaintext only)
+     * @param {SchemaRegistry|Object} [options.schemas={}] - Schema registry, or schema definitions to build one from
+     * @param {number[]} [options.streaming_types=[]] - Message types delivered progressively as 'message:chunk' events
+     * @param {number[]} [options.partial_types=[]] - Message types whose incomplete messages are delivered as 'message:partial' events
+     * @param {number} [options.max_buffered_bytes=0] - Fragment and parity bytes held for messages being reassembled, and for messages held back for ID order delivery (0 for no limit)
+     * @param {number} [options.max_messages_per_type=0] - Messages of one type reassembled at once, across sources (0 for no limit)
+     * @param {number} [options.max_messages_per_source=0] - Messages of one source reassembled at once, across types (0 for no limit)
+     * @param {string} [options.eviction_policy='oldest'] - 'oldest' or 'largest', the message evicted first when a limit is reached
+     * @throws {Error} If source_id is missing or invalid, max_payload_size would not fit in a UDP datagram, or the reassembly window, NACK, reassembly timeout, replay window, auth key, encryption key or memory limit settings are invalid
      */
-    constructor({ source_id, message_types = null }) {
+    constructor({
+        source_id,
+        message_types = null,
+        max_payload_size = MAX_PAYLOAD_SIZE,
+        reassembly_window = 1,
+        delivery_order = 'completion',
+        nack_interval = 0,
+        nack_retries = 3,
+        reassembly_timeout = delivery_order === 'id' ? ID_ORDER_REASSEMBLY_TIMEOUT : 0,
+        reassembly_timeouts = {},
+        auth_keys = null,
+        replay_window = 64,
+        encryption_key = null,
+        schemas = {},
+        streaming_types = [],
+        partial_types = [],
+        max_buffered_bytes = 0,
+        max_messages_per_type = 0,
+        max_messages_per_source = 0,
+        eviction_policy = 'oldest'
+    }) {
         super();
+        if (source_id === undefined) {
+            throw new Error('source_id is required: pass null to accept any source');
+        }
+        const largest_payload_size = MAX_UDP_PAYLOAD_SIZE - max_packet_overhead(); // Largest payload any encoder sends
+        if (!Number.isInteger(max_payload_size) || max_payload_size < MIN_PAYLOAD_SIZE || max_payload_size > largest_payload_size) {
+            throw new Error(`max_payload_size must be ${MIN_PAYLOAD_SIZE}-${largest_payload_size}, got ${max_payload_size}`);
+        }
+        if (!Number.isInteger(reassembly_window) || reassembly_window < 1 || reassembly_window > 0x7FFF) {
+            throw new Error(`reassembly_window must be 1-32767, got ${reassembly_window}`);
+        }
+        if (delivery_order !== 'completion' && delivery_order !== 'id') {
+            throw new Error(`delivery_order must be 'completion' or 'id', got ${delivery_order}`);
+        }
+        for (const [name, value] of Object.entries({ nack_interval, nack_retries })) {
+            if (!Number.isSafeInteger(value) || value < 0) {
+                throw new Error(`${name} must be a non-negative integer, got ${value}`);
+            }
+        }
+        const timeouts = [['reassembly_timeout', reassembly_timeout]];
+        if (reassembly_timeouts === null || typeof reassembly_timeouts !== 'object' || Array.isArray(reassembly_timeouts)) {
+            throw new Error(`reassembly_timeouts must be an object keyed by message type, got ${reassembly_timeouts}`);
+        }
+        for (const [message_type, timeout] of Object.entries(reassembly_timeouts)) {
+            if (!/^\d+$/.test(message_type) || Number(message_type) >= MAX_EXTENDED_TYPES) {
+                throw new Error(`reassembly_timeouts keys must be message types 0-${MAX_EXTENDED_TYPES - 1}, got ${message_type}`);
+            }
+            timeouts.push([`reassembly_timeouts[${message_type}]`, timeout]);
+        }
+        for (const [name, timeout] of timeouts) {
+            if (typeof timeout !== 'number' || !(timeout >= 0 && timeout <= 0x7FFFFFFF)) { // Largest setTimeout delay
+                throw new Error(`${name} must be 0-2147483647 milliseconds, got ${timeout}`);
+            }
+            if (timeout === 0 && delivery_order === 'id') {
+                throw new Error(`${name} must be above 0 with delivery_order 'id', or a lost message holds back newer ones forever`);
+            }
+        }
+        if (!Number.isInteger(replay_window) || replay_window < 1 || replay_window > 0x7FFF) {
+            throw new Error(`replay_window must be 1-32767, got ${replay_window}`);
+        }
+        for (const [name, limit] of Object.entries({ max_buffered_bytes, max_messages_per_type, max_messages_per_source })) {
+            if (!Number.isSafeInteger(limit) || limit < 0) {
+                throw new Error(`${name} must be a non-negative integer, got ${limit}`);
+            }
+        }
+        if (eviction_policy !== 'oldest' && eviction_policy !== 'largest') {
+            throw new Error(`eviction_policy must be 'oldest' or 'largest', got ${eviction_policy}`);
+        }
         this.source_id = source_id;
         this.message_types = message_types ? new Set(message_types) : null;
-        this._accumulators = new Map(); // Map of message_type -> accumulator
+        this.max_payload_size = max_payload_size;
+        this._nack_payload_size = Math.min(max_payload_size, MAX_UDP_PAYLOAD_SIZE - max_packet_overhead({ extended_types: true, auth: true }));
+        this.reassembly_window = reassembly_window;
+        this.delivery_order = delivery_order;
+        this.nack_interval = nack_interval;
+        this.nack_retries = nack_retries;
+        this.reassembly_timeout = reassembly_timeout;
+        this.reassembly_timeouts = reassembly_timeouts;
+        this.closed = false;
+        this._accepts_source = this._create_source_filter(source_id);
+        this._accumulators = new Map(); // Map of (source_id, message_type) key -> Map of message_id -> accumulator
+        this._completed = new Map(); // Map of (source_id, message_type) key -> { message_ids, last_delivered, held }
+        this.replay_window = replay_window;
+        this._auth_keys = null; // Map of key ID -> key, or null when packets need no authentication
+        this._replay = new Map(); // Map of (source_id, message_type) key -> Map of key_id -> ReplayWindow
+        if (auth_keys !== null) {
+            this._auth_keys = new Map();
+            Object.entries(auth_keys).forEach(([key_id, key]) => this.add_auth_key(Number(key_id), key));
+        }
+        this._encryption_key = encryption_key === null ? null : normalize_encryption_key(encryption_key);
+        this.schemas = schemas instanceof SchemaRegistry ? schemas : new SchemaRegistry(schemas);
+        this.streaming_types = new Set(streaming_types);
+        this.partial_types = new Set(partial_types);
+        this.max_buffered_bytes = max_buffered_bytes;
+        this.max_messages_per_type = max_messages_per_type;
+        this.max_messages_per_source = max_messages_per_source;
+        this.eviction_policy = eviction_policy;
+        this._buffered_bytes = 0;
+
+        /**
+         * Forward error correction counters
+         * @type {{messages_recovered: number, fragments_recovered: number}}
+         */
+        this.fec_stats = { messages_recovered: 0, fragments_recovered: 0 };
+        this._stats = new StatsRecorder({
+            counters: [
+                'packets_received',
+                'bytes_received',
+                'duplicate_packets',
+                'invalid_packets',
+                'rejected_packets',
+                'messages_completed',
+                'messages_incomplete',
+                'messages_partial',
+                'messages_evicted',
+                'messages_failed',
+                'messages_recovered',
+                'messages_repaired',
+                'fragments_recovered',
+                'nacks_sent'
+            ],
+            reason_counters: ['ignored_packets'],
+            histograms: ['reassembly_latency_ms'],
+            by_source: true
+        });
+    }
+
+    /**
+     * Get packet and message counters
+     *
+     * Counters are kept in total, per message type, per source and per
+     * source and message type. Packets that are not JTP, too short to
+     * carry a header or from a filtered source only count in the totals,
+     * and so do packets that are not authenticated when `auth_keys` is set.
+     * `ignored_packets` counts packets dropped without an error by reason:
+     * 'not_jtp', 'nack' (control packets), 'source', 'message_type' (filtered
+     * out) and 'stale' (behind the reassembly window, or stragglers of
+     * completed messages). `reassembly_latency_ms` measures the time from the
+     * first fragment of a message to its delivery.
+     *
+     * @returns {Object} Counters and latency histogram in total, with `types` keyed by message type and `sources` keyed by source ID, each source with its own `types`
+     *
+     * @example
+     * const { messages_completed, messages_incomplete } = decoder.get_stats().sources[7].types[12];
+     * const loss_rate = messages_incomplete / (messages_completed + messages_incomplete);
+     */
+    get_stats() {
+        return this._stats.snapshot();
+    }
+
+    /**
+     * Zero every counter returned by get_stats(), and fec_stats
+     * @returns {void}
+     */
+    reset_stats() {
+        this._stats.reset();
+        this.fec_stats = { messages_recovered: 0, fragments_recovered: 0 };
     }
 
     /**
      * Reset message state for incomplete messages
+     *
+     * Streamed messages that are dropped end with 'message:abort'.
+     *
      * @param {number} [message_type] - Specific message type to reset, or null for all
+     * @param {number} [source_id] - Specific source to reset, or null for all sources
      * @returns {void}
      */
-    reset_message_state(message_type = null) {
-        if (message_type === null) {
-            this._accumulators.clear();
-        } else {
-            this._accumulators.delete(message_type);
+    reset_message_state(message_type = null, source_id = null) {
+        const matches = (key) => (message_type === null || key % MAX_EXTENDED_TYPES === message_type) &&
+            (source_id === null || Math.floor(key / MAX_EXTENDED_TYPES) === source_id);
+
+        for (const [key, accumulators] of this._accumulators) {
+            if (matches(key)) {
+                accumulators.forEach(accumulator => {
+                    this._clear_timers(accumulator);
+                    this._buffered_bytes -= accumulator.buffered_bytes;
+                });
+                this._accumulators.delete(key);
+                accumulators.forEach(accumulator => this._abort_stream(accumulator, 'reset'));
+            }
+        }
+        for (const [key, completed] of this._completed) {
+            if (matches(key)) {
+                completed.held.forEach(({ message_buffer }) => {
+                    this._buffered_bytes -= message_buffer.length;
+                });
+                this._completed.delete(key); // Also drops messages held for ID order delivery
+            }
+        }
+        for (const key of this._replay.keys()) {
+            if (matches(key)) {
+                this._replay.delete(key);
+            }
         }
     }
 
+    /**
+     * Accept packets signed with a key
+     *
+     * The first key added makes authentication mandatory. Add the new key
+     * here before senders switch to it, so keys rotate without downtime.
+     *
+     * @param {number} key_id - Key ID (0-255)
+     * @param {Buffer|string} key - Shared secret
+     * @returns {void}
+     * @throws {Error} If the key ID is out of range or the key is empty
+     */
+    add_auth_key(key_id, key) {
+        const buffer = normalize_key(key_id, key);
+        if (this._auth_keys === null) {
+            this._auth_keys = new Map();
+        }
+        this._auth_keys.set(key_id, buffer);
+    }
+
+    /**
+     * Stop accepting packets signed with a retired key
+     *
+     * Authentication stays mandatory even once every key is removed.
+     *
+     * @param {number} key_id - Key ID to remove
+     * @returns {boolean} true if the key was known and removed
+     */
+    remove_auth_key(key_id) {
+        this._replay.forEach(windows => windows.delete(key_id));
+        return this._auth_keys !== null && this._auth_keys.delete(key_id);
+    }
+
+    /**
+     * Close the decoder
+     *
+     * Drops every partially received message without reporting it (other
+     * than 'message:abort' for streamed ones), stops all reassembly and NACK
+     * timers, and ignores packets from then on.
+     *
+     * @returns {void}
+     * @fires JTPDecoder#close
+     */
+    close() {
+        if (this.closed) {
+            return;
+        }
+        this.closed = true;
+        this.reset_message_state();
+        this.emit('close');
+    }
+
+    /**
+     * Iterate over reassembled messages
+     *
+     * Messages are queued from the moment this is called, so none are
+     * missed before iteration starts. Iteration ends once the decoder is
+     * closed and the queued messages have been yielded; packet errors are
+     * still reported through the 'error' event and do not end it. Streamed
+     * messages (see `streaming_types`) are not yielded.
+     *
+     * @param {Object} [options] - Iteration options
+     * @param {number[]} [options.types] - Message types to yield (default: all)
+     * @returns {AsyncIterableIterator<{buffer: Buffer, message_type: number, metadata: Object}>} Messages, with the same metadata as the 'message' event
+     *
+     * @example
+     * for await (const { buffer, message_type, metadata } of decoder.messages({ types: [1, 2] })) {
+     *   console.log(`Type ${message_type} from ${metadata.source_id}: ${buffer.length} bytes`);
+     * }
+     */
+    messages({ types = null } = {}) {
+        const type_filter = types ? new Set(types) : null;
+        const queue = [];
+        let ended = this.closed;
+        let wake = null;
+
+        const notify = () => {
+            if (wake) {
+                wake();
+                wake = null;
+            }
+        };
+        const on_message = (buffer, message_type, metadata) => {
+            if (!type_filter || type_filter.has(message_type)) {
+                queue.push({ buffer, message_type, metadata });
+                notify();
+            }
+        };
+        const detach = () => {
+            this.off('message', on_message);
+            this.off('close', on_close);
+        };
+        const on_close = () => {
+            ended = true;
+            detach();
+            notify();
+        };
+        if (!ended) {
+            this.on('message', on_message);
+            this.on('close', on_close);
+        }
+
+        return (async function* () {
+            try {
+                while (queue.length > 0 || !ended) {
+                    if (queue.length > 0) {
+                        yield queue.shift();
+                    } else {
+                        await new Promise(resolve => {
+                            wake = resolve;
+                        });
+                    }
+                }
+            } finally {
+                detach(); // The consumer may stop early
+            }
+        })();
+    }
+
     /**
      * Process a JTP packet and extract message data
      * 
@@ -154,11 +767,19 @@ module.exports = class JTPDecoder extends EventEmitter {
      * @param {Buffer} packet - JTP packet buffer to decode
      * @returns {boolean} true if packet was processed, false if ignored
      * 
+     * @fires JTPDecoder#packet:received - Emitted first, for every packet
      * @fires JTPDecoder#message:start - Emitted when first fragment of new message arrives
      * @fires JTPDecoder#fragment:received - Emitted for each accepted fragment
      * @fires JTPDecoder#message - Emitted when complete message is reassembled
      * @fires JTPDecoder#message:complete - Emitted after message event with metadata
-     * @fires JTPDecoder#message:incomplete - Emitted when incomplete message is replaced
+     * @fires JTPDecoder#message:incomplete - Emitted when an incomplete message falls out of the reassembly window
+     * @fires JTPDecoder#message:chunk - Emitted for each fragment of a streamed message, in order
+     * @fires JTPDecoder#message:abort - Emitted when a streamed message cannot be completed
+     * @fires JTPDecoder#message:partial - Emitted after 'message:incomplete' for messages of partial_types
+     * @fires JTPDecoder#message:evicted - Emitted when a message is dropped to stay within a memory limit
+     * @fires JTPDecoder#message:corrupt - Emitted instead of message when the checksum does not match
+     * @fires JTPDecoder#message:decrypt_failed - Emitted instead of message when decryption fails
+     * @fires JTPDecoder#packet:rejected - Emitted when the packet fails authentication or is a replay
      * @fires JTPDecoder#error - Emitted on packet validation or reassembly errors
      * 
      * @example
@@ -170,91 +791,168 @@ module.exports = class JTPDecoder extends EventEmitter {
      * });
      */
     decode_packet(packet) {
+        if (this.closed) {
+            return false;
+        }
+        this.emit('packet:received', packet);
+
         // Check magic number first for fastest rejection of non-JTP packets
         if (packet.length < 1 || packet.readUInt8(0) !== MAGIC_BYTE) {
+            this._stats.count('packets_received');
+            this._stats.count('bytes_received', {}, packet.length);
+            this._stats.count_reason('ignored_packets', 'not_jtp');
             return false; // Not a JTP packet, silently ignore
         }
 
-        if (packet.length < 12) {
-            this.emit('error', new Error('Packet too short'));
+        // Counters of filtered sources, and with auth_keys of packets not yet authenticated, stay in
+        // the totals, so unwanted senders cannot grow the stats
+        const stats_type = read_message_type(packet);
+        let stats_key = stats_type !== null && this._auth_keys === null && this._accepts_source(packet.readUInt32LE(8))
+            ? { source_id: packet.readUInt32LE(8), message_type: stats_type }
+            : {};
+        this._stats.count('packets_received', stats_key);
+        this._stats.count('bytes_received', stats_key, packet.length);
+
+        let header;
+        try {
+            header = decode_header(packet);
+        } catch (error) {
+            this._stats.count('invalid_packets', stats_key);
+            this.emit('error', error);
             return false;
         }
 
-        // Extract version and message type from second byte
-        const version_and_type = packet.readUInt8(1);
-        const version = (version_and_type >> 6) & 0x03; // Top 2 bits
-        const message_type = version_and_type & 0x3F; // Bottom 6 bits
-
-        if (version !== VERSION) {
-            this.emit('error', new Error(`Unsupported version: ${version}`));
+        // NACK control packets travel back to encoders and are never decoded here
+        if (header.flags & FLAGS.NACK) {
+            this._stats.count_reason('ignored_packets', 'nack', stats_key);
             return false;
         }
 
-        const message_id = packet.readUInt16LE(2);
-        const fragment_index = packet.readUInt16LE(4);
-        const fragment_count = packet.readUInt16LE(6);
-        const source_id = packet.readUInt32LE(8);
-        const payload = packet.subarray(12); // Use subarray instead of slice
+        const { message_type, message_id, fragment_index, fragment_count, source_id, checksum, fec, key_id } = header;
+        const encrypted = (header.flags & FLAGS.ENCRYPTED) !== 0;
+        const compressed = (header.flags & FLAGS.COMPRESSED) !== 0;
+        const payload = packet.subarray(header.header_length, packet.length - header.trailer_length); // Use subarray instead of slice
         const payload_length = payload.length;
 
         // Check source_id matches - early filter
-        if (source_id !== this.source_id) {
+        if (!this._accepts_source(source_id)) {
+            this._stats.count_reason('ignored_packets', 'source');
             return false; // Wrong source_id, silently ignore
         }
 
         // Check message type filter - early filter
         if (this.message_types && !this.message_types.has(message_type)) {
+            this._stats.count_reason('ignored_packets', 'message_type', stats_key);
             return false; // Filtered message type, silently ignore
         }
 
+        // Authenticate before the packet can touch any reassembly state
+        const key = this._accumulator_key(source_id, message_type);
+        if (this._auth_keys !== null) {
+            if (!this._authenticate(packet, key, key_id, fec !== null)) {
+                this._stats.count('rejected_packets');
+                return false;
+            }
+            stats_key = { source_id, message_type };
+            this._stats.attribute('packets_received', stats_key);
+            this._stats.attribute('bytes_received', stats_key, packet.length);
+        }
+
         // Basic validation
-        if (fragment_index >= fragment_count || fragment_count === 0 || payload_length > MAX_PAYLOAD_SIZE) {
-            this.emit('error', new Error(`Invalid fragment: idx=${fragment_index}, cnt=${fragment_count}, size=${payload_length}`));
+        if (fragment_index >= fragment_count || fragment_count === 0 || payload_length > this.max_payload_size) {
+            this._stats.count('invalid_packets', stats_key);
+            this.emit('error', new JTPPacketError(ERROR_CODES.E_INVALID_FRAGMENT, `Invalid fragment: idx=${fragment_index}, cnt=${fragment_count}, size=${payload_length}`, header));
             return false;
         }
 
-        // Get or create accumulator for this message type
-        let accumulator = this._accumulators.get(message_type);
-
-        // Ignore older messages - fixed boundary logic
-        if (accumulator && this._is_newer_message(accumulator.message_id, message_id)) {
-            return false; // Older message, ignore
-        }
+        // Get or create accumulator for this source, message type and message ID
+        let accumulator = this._get_accumulator(key, message_id);
 
-        // Reset if the accumulator is empty, or we are starting a newer message without finishing the last
-        if (!accumulator || this._is_newer_message(message_id, accumulator.message_id)) {
-            if (accumulator) {
-                this.emit('message:incomplete', { 
-                    message_type,
-                    message_id: accumulator.message_id, 
-                    fragments_received: accumulator.fragments_received,
-                    fragment_count: accumulator.fragment_count 
-                });
+        if (!accumulator) {
+            if (!this._accepts_new_message(key, message_id)) {
+                this._stats.count_reason('ignored_packets', 'stale', stats_key);
+                return false; // Behind the reassembly window, or a straggler of a completed message
             }
+            const superseded = this._supersede_older_messages(key, message_id);
+            this._enforce_message_limits(source_id, message_type);
+
             accumulator = {
+                source_id: source_id,
+                message_type: message_type,
                 message_id: message_id,
                 fragment_count: fragment_count,
                 fragments_received: 0,
                 fragments: new Map(), // Use Map for sparse fragment storage
                 message_len: 0,
+                checksum: checksum, // CRC32 of the whole message, or null if not sent
+                auth_key_id: key_id, // Key the sender signed with, reused to sign NACKs
+                encrypted: encrypted, // Whether the reassembled message is sealed
+                compressed: compressed, // Whether the (decrypted) message is compressed
+                compressed_bytes: 0, // Size before decompression, set once reassembled
+                fec: null, // { group_size, parity_count } once a parity fragment arrives
+                parity: new Map(), // Map of parity index -> { payload, length_xor }
+                recovered_fragments: 0,
+                nack_timer: null,
+                nack_rounds: 0,
+                timeout_timer: null,
+                started_at: performance.now(), // For the reassembly latency histogram
+                streaming: this.streaming_types.has(message_type) && !encrypted && !compressed,
+                next_chunk: 0, // Index of the next fragment to stream
+                released_chunks: 0, // Streamed fragments below this index have been released
+                bytes_streamed: 0,
+                streamed_checksum: 0, // Running CRC32 of the streamed bytes
+                buffered_bytes: 0, // Fragment and parity bytes held, counted against max_buffered_bytes
+                complete: false, // Every fragment is held and reassembly is pending, so it is not evicted
                 valid: true
             };
-            this._accumulators.set(message_type, accumulator);
-            this.emit('message:start', { message_type, message_id, fragment_count });
+            if (!this._accumulators.has(key)) {
+                this._accumulators.set(key, new Map());
+            }
+            this._accumulators.get(key).set(message_id, accumulator);
+
+            const timeout = this._reassembly_timeout_for(message_type);
+            if (timeout > 0) {
+                accumulator.timeout_timer = setTimeout(() => this._expire_accumulator(key, accumulator), timeout);
+                accumulator.timeout_timer.unref();
+            }
+            this.emit('message:start', { source_id, message_type, message_id, fragment_count });
+            if (superseded) {
+                this._release_held_messages(key); // Messages held for the superseded ones can go now
+            }
         }
 
-        // At this point, message_id's MUST match
-        if (message_id !== accumulator.message_id) {
-            this.emit('error', new Error(`Message ID mismatch: expected ${accumulator.message_id}, got ${message_id}`));
+        // Every fragment of a checksummed message must carry the same checksum
+        if (checksum !== accumulator.checksum) {
+            this._stats.count('invalid_packets', stats_key);
+            this.emit('error', new JTPFragmentError(ERROR_CODES.E_CHECKSUM_MISMATCH, `Checksum mismatch on fragment ${fragment_index} of message ${message_id}`, header));
+            return false;
+        }
+        if (encrypted !== accumulator.encrypted) {
+            this._stats.count('invalid_packets', stats_key);
+            this.emit('error', new JTPFragmentError(ERROR_CODES.E_FLAG_MISMATCH, `Encryption flag mismatch on fragment ${fragment_index} of message ${message_id}`, header));
+            return false;
+        }
+        if (compressed !== accumulator.compressed) {
+            this._stats.count('invalid_packets', stats_key);
+            this.emit('error', new JTPFragmentError(ERROR_CODES.E_FLAG_MISMATCH, `Compression flag mismatch on fragment ${fragment_index} of message ${message_id}`, header));
             return false;
         }
 
-        // Check for duplicate fragments
-        if (accumulator.fragments.has(fragment_index)) {
-            this.emit('error', new Error(`Duplicate fragment ${fragment_index} for message ${message_id}`));
+        if (fec !== null) {
+            return this._store_parity(key, accumulator, fragment_index, fec, payload);
+        }
+
+        // Check for duplicate fragments, including streamed ones already released
+        if (accumulator.fragments.has(fragment_index) || fragment_index < accumulator.next_chunk) {
+            this._stats.count('duplicate_packets', stats_key);
+            this.emit('error', new JTPFragmentError(ERROR_CODES.E_DUPLICATE_FRAGMENT, `Duplicate fragment ${fragment_index} for message ${message_id}`, header));
             return false;
         }
 
+        if (!this._buffer_bytes(key, accumulator, payload_length)) {
+            return false; // The message was evicted to stay within max_buffered_bytes
+        }
+
         // Store fragment - copy payload to avoid holding reference to original packet
         const fragment_copy = Buffer.from(payload);
         accumulator.fragments.set(fragment_index, fragment_copy);
@@ -263,12 +961,16 @@ module.exports = class JTPDecoder extends EventEmitter {
 
         // Validate fragments_received doesn't exceed fragment_count
         if (accumulator.fragments_received > accumulator.fragment_count) {
-            this.emit('error', new Error(`Fragment count exceeded: ${accumulator.fragments_received} > ${accumulator.fragment_count}`));
-            this.reset_message_state(message_type);
+            this._stats.count('invalid_packets', stats_key);
+            this.emit('error', new JTPFragmentError(ERROR_CODES.E_FRAGMENT_COUNT, `Fragment count exceeded: ${accumulator.fragments_received} > ${accumulator.fragment_count}`, header));
+            this._delete_accumulator(key, message_id);
+            this._abort_stream(accumulator, 'invalid');
+            this._release_held_messages(key);
             return false;
         }
 
         this.emit('fragment:received', { 
+            source_id,
             message_type,
             message_id, 
             fragment_index, 
@@ -276,64 +978,1091 @@ module.exports = class JTPDecoder extends EventEmitter {
             fragments_received: accumulator.fragments_received 
         });
 
+        // A parity fragment that already arrived may now be able to rebuild a lost one
+        if (accumulator.fec) {
+            const { group_size, parity_count } = accumulator.fec;
+            this._recover_fragment(accumulator, parity_index_for(fragment_index, group_size, parity_count));
+        }
+
+        this._check_complete(key, accumulator);
+
+        return true; // Packet was successfully processed
+    }
+
+    /**
+     * Check a packet's authentication trailer and replay window
+     * @private
+     * @param {Buffer} packet - Packet as received
+     * @param {number} key - Accumulator key of the packet's source and type
+     * @param {number|null} key_id - Key ID from the trailer, or null if the packet is unsigned
+     * @param {boolean} parity - Whether the packet is a parity fragment
+     * @returns {boolean} true if the packet may be decoded
+     * @fires JTPDecoder#packet:rejected
+     */
+    _authenticate(packet, key, key_id, parity) {
+        const message_id = packet.readUInt16LE(2);
+        const fragment_index = packet.readUInt16LE(4);
+        let reason = key_id === null ? 'unauthenticated' : verify_packet(packet, this._auth_keys).reason;
+        if (!reason) {
+            if (!this._replay.has(key)) {
+                this._replay.set(key, new Map());
+            }
+            const windows = this._replay.get(key);
+            let window = windows.get(key_id);
+            if (!window) {
+                window = new ReplayWindow(this.replay_window);
+                windows.set(key_id, window);
+            }
+            if (!window.accept(message_id, parity ? 0x10000 + fragment_index : fragment_index)) {
+                reason = 'replay';
+            }
+        }
+        if (reason) {
+            this.emit('packet:rejected', {
+                source_id: packet.readUInt32LE(8),
+                message_type: key % MAX_EXTENDED_TYPES,
+                message_id,
+                fragment_index,
+                key_id,
+                reason
+            });
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * Reassemble the message once every fragment is held, or keep waiting
+     *
+     * Streamed messages deliver whatever fragments are now in order first.
+     * While fragments are missing this (re)starts the NACK timer when NACK
+     * repair is enabled.
+     *
+     * @private
+     * @param {number} key - Accumulator key
+     * @param {Object} accumulator - Accumulator that just made progress
+     * @returns {void}
+     */
+    _check_complete(key, accumulator) {
+        if (accumulator.streaming) {
+            this._stream_chunks(key, accumulator);
+            if (this._get_accumulator(key, accumulator.message_id) !== accumulator) {
+                return; // A listener reset the stream
+            }
+        }
+
         // If all fragments received, reassemble and emit
         if (accumulator.fragments_received === accumulator.fragment_count) {
+            this._clear_timers(accumulator);
+            if (accumulator.streaming) {
+                this._finish_stream(key, accumulator);
+                return;
+            }
             // For large messages, defer reassembly to avoid blocking
+            accumulator.complete = true;
             if (accumulator.fragment_count > 100 || accumulator.message_len > 64 * 1024) {
-                setImmediate(() => this._reassemble_message(message_type, message_id));
+                setImmediate(() => this._reassemble_message(key, accumulator));
             } else {
-                this._reassemble_message(message_type, message_id);
+                this._reassemble_message(key, accumulator);
             }
+            return;
         }
 
-        return true; // Packet was successfully processed
+        if (accumulator.timeout_timer) {
+            accumulator.timeout_timer.refresh(); // Progress was made, restart the stall timeout
+        }
+        if (this.nack_interval > 0 && (accumulator.nack_timer || accumulator.nack_rounds < this.nack_retries)) {
+            // (Re)start the no-progress timer that NACKs whatever is still missing
+            if (accumulator.nack_timer) {
+                accumulator.nack_timer.refresh();
+            } else {
+                accumulator.nack_timer = setTimeout(() => this._send_nack(key, accumulator), this.nack_interval);
+                accumulator.nack_timer.unref();
+            }
+        }
     }
 
     /**
-     * Reassemble a complete message from fragments
-     * 
-     * Called when all fragments for a message have been received.
-     * Validates fragment completeness and emits the reconstructed message.
-     * 
+     * Get the reassembly timeout that applies to a message type
+     * @private
+     * @param {number} message_type - Message type
+     * @returns {number} Timeout in milliseconds (0 when disabled)
+     */
+    _reassembly_timeout_for(message_type) {
+        const timeout = this.reassembly_timeouts[message_type];
+        return timeout === undefined ? this.reassembly_timeout : timeout;
+    }
+
+    /**
+     * Drop a partial message that made no progress within its reassembly timeout
      * @private
-     * @param {number} message_type - The message type
-     * @param {number} expected_message_id - Expected message ID for validation
+     * @param {number} key - Accumulator key
+     * @param {Object} accumulator - Accumulator the timer was started for
      * @returns {void}
+     * @fires JTPDecoder#message:incomplete
+     * @fires JTPDecoder#message:partial
      */
-    _reassemble_message(message_type, expected_message_id) {
-        const accumulator = this._accumulators.get(message_type);
-        if (!accumulator || accumulator.message_id !== expected_message_id) {
-            return; // Accumulator changed while waiting
+    _expire_accumulator(key, accumulator) {
+        if (this._get_accumulator(key, accumulator.message_id) !== accumulator) {
+            return; // Accumulator was replaced or completed
         }
+        this._delete_accumulator(key, accumulator.message_id);
+        this._stats.count('messages_incomplete', accumulator);
+        this.emit('message:incomplete', {
+            source_id: accumulator.source_id,
+            message_type: accumulator.message_type,
+            message_id: accumulator.message_id,
+            fragments_received: accumulator.fragments_received,
+            fragment_count: accumulator.fragment_count,
+            reason: 'timeout'
+        });
+        this._deliver_partial(accumulator, 'timeout');
+        this._abort_stream(accumulator, 'timeout');
+        this._release_held_messages(key);
+    }
 
-        try {
-            // Reassemble message from fragments
-            const message_buffer = Buffer.allocUnsafe(accumulator.message_len);
-            let offset = 0;
-            for (let i = 0; i < accumulator.fragment_count; i++) {
-                const fragment = accumulator.fragments.get(i);
-                if (!fragment) {
-                    throw new Error(`Missing fragment ${i}`);
-                }
-                fragment.copy(message_buffer, offset);
-                offset += fragment.length;
+    /**
+     * Check whether a fragment may start reassembly of a message not yet in flight
+     *
+     * Rejects messages reassembly_window or more IDs behind the newest
+     * message in flight, stragglers (late parity, duplicates) of recently
+     * completed messages and, with ID order delivery, messages behind the
+     * last delivered one.
+     *
+     * @private
+     * @param {number} key - Accumulator key
+     * @param {number} message_id - Message ID of the fragment
+     * @returns {boolean} true if a new accumulator may be created
+     */
+    _accepts_new_message(key, message_id) {
+        const window = this.reassembly_window;
+        const accumulators = this._accumulators.get(key);
+        if (accumulators) {
+            const newest_id = this._newest_message_id(accumulators.keys());
+            if (!this._is_newer_message(message_id, newest_id) && ((newest_id - message_id) & 0xFFFF) >= window) {
+                return false;
             }
+        }
 
-            this.emit("message", message_buffer, message_type, { 
-                message_id: expected_message_id, 
-                fragment_count: accumulator.fragment_count, 
-                total_bytes: accumulator.message_len 
-            });
-            this.emit('message:complete', { 
-                message_type,
-                message_id: expected_message_id, 
-                fragment_count: accumulator.fragment_count, 
-                total_bytes: accumulator.message_len 
-            });
-        } catch (e) {
-            this.emit('error', new Error(`Reassembly failed for message ${expected_message_id}: ${e.message}`));
+        const completed = this._completed.get(key);
+        if (completed) {
+            if (completed.message_ids.includes(message_id)) {
+                return false;
+            }
+            const { last_delivered } = completed;
+            if (last_delivered !== null && !this._is_newer_message(message_id, last_delivered) &&
+                ((last_delivered - message_id) & 0xFFFF) < window) {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    /**
+     * Drop in-flight messages that a new message pushes out of the reassembly window
+     * @private
+     * @param {number} key - Accumulator key
+     * @param {number} message_id - Message ID of the new message
+     * @returns {boolean} true if any message was dropped
+     * @fires JTPDecoder#message:incomplete
+     * @fires JTPDecoder#message:partial
+     */
+    _supersede_older_messages(key, message_id) {
+        const accumulators = this._accumulators.get(key);
+        if (!accumulators) {
+            return false;
+        }
+
+        let superseded = false;
+        for (const accumulator of accumulators.values()) {
+            if (this._is_newer_message(message_id, accumulator.message_id) &&
+                ((message_id - accumulator.message_id) & 0xFFFF) >= this.reassembly_window) {
+                this._stats.count('messages_incomplete', accumulator);
+                this.emit('message:incomplete', {
+                    source_id: accumulator.source_id,
+                    message_type: accumulator.message_type,
+                    message_id: accumulator.message_id,
+                    fragments_received: accumulator.fragments_received,
+                    fragment_count: accumulator.fragment_count,
+                    reason: 'superseded'
+                });
+                this._delete_accumulator(key, accumulator.message_id);
+                this._deliver_partial(accumulator, 'superseded');
+                this._abort_stream(accumulator, 'superseded');
+                superseded = true;
+            }
+        }
+        return superseded;
+    }
+
+    /**
+     * Store a FEC parity fragment and try to rebuild the data it protects
+     * @private
+     * @param {number} key - Accumulator key
+     * @param {Object} accumulator - Accumulator of the message
+     * @param {number} parity_index - Parity fragment index
+     * @param {Object} fec - FEC header field ({ group_size, parity_count, length_xor })
+     * @param {Buffer} payload - Parity payload
+     * @returns {boolean} true if the parity fragment was accepted
+     */
+    _store_parity(key, accumulator, parity_index, fec, payload) {
+        const { message_id, fragment_count } = accumulator;
+
+        if (accumulator.fragments_received === fragment_count) {
+            return true; // Nothing left to rebuild
+        }
+
+        if (fec.group_size === 0 || fec.parity_count === 0 || fec.parity_count > fec.group_size ||
+            parity_index >= parity_fragment_count(fragment_count, fec.group_size, fec.parity_count)) {
+            this._stats.count('invalid_packets', accumulator);
+            this.emit('error', new JTPPacketError(ERROR_CODES.E_INVALID_PARITY, `Invalid parity fragment ${parity_index} for message ${message_id}`, { ...accumulator, fragment_index: parity_index }));
+            return false;
+        }
+
+        if (!accumulator.fec) {
+            accumulator.fec = { group_size: fec.group_size, parity_count: fec.parity_count };
+        } else if (accumulator.fec.group_size !== fec.group_size || accumulator.fec.parity_count !== fec.parity_count) {
+            this._stats.count('invalid_packets', accumulator);
+            this.emit('error', new JTPFragmentError(ERROR_CODES.E_FEC_MISMATCH, `FEC parameter mismatch on parity fragment ${parity_index} of message ${message_id}`, { ...accumulator, fragment_index: parity_index }));
+            return false;
+        }
+
+        if (accumulator.parity.has(parity_index)) {
+            this._stats.count('duplicate_packets', accumulator);
+            this.emit('error', new JTPFragmentError(ERROR_CODES.E_DUPLICATE_PARITY, `Duplicate parity fragment ${parity_index} for message ${message_id}`, { ...accumulator, fragment_index: parity_index }));
+            return false;
+        }
+
+        if (!this._buffer_bytes(key, accumulator, payload.length)) {
+            return false; // The message was evicted to stay within max_buffered_bytes
+        }
+
+        // Copy payload: it is XORed in place if it is used to rebuild a fragment
+        accumulator.parity.set(parity_index, { payload: Buffer.from(payload), length_xor: fec.length_xor });
+        this._recover_fragment(accumulator, parity_index);
+        this._check_complete(key, accumulator);
+        return true;
+    }
+
+    /**
+     * Rebuild the single missing data fragment covered by a parity fragment
+     *
+     * Does nothing unless the parity fragment is held and exactly one of the
+     * fragments it covers is missing.
+     *
+     * @private
+     * @param {Object} accumulator - Accumulator of the message
+     * @param {number} parity_index - Parity fragment index
+     * @returns {void}
+     * @fires JTPDecoder#fragment:recovered
+     */
+    _recover_fragment(accumulator, parity_index) {
+        const parity = accumulator.parity.get(parity_index);
+        if (!parity) {
+            return;
+        }
+
+        const { group_size, parity_count } = accumulator.fec;
+        const indices = covered_indices(parity_index, group_size, parity_count, accumulator.fragment_count);
+        let missing_index = -1;
+        for (const index of indices) {
+            if (!accumulator.fragments.has(index) && index >= accumulator.next_chunk) { // Streamed fragments may be released
+                if (missing_index !== -1) {
+                    return; // More than one loss in this parity class
+                }
+                missing_index = index;
+            }
+        }
+
+        accumulator.parity.delete(parity_index);
+        if (missing_index === -1) {
+            this._release_bytes(accumulator, parity.payload.length);
+            return; // Nothing to rebuild
+        }
+
+        let fragment_length = parity.length_xor;
+        for (const index of indices) {
+            if (index !== missing_index) {
+                const fragment = accumulator.fragments.get(index);
+                xor_into(parity.payload, fragment);
+                fragment_length ^= fragment.length;
+            }
+        }
+        if (fragment_length > parity.payload.length) {
+            this._release_bytes(accumulator, parity.payload.length);
+            this._stats.count('invalid_packets', accumulator);
+            this.emit('error', new JTPFragmentError(ERROR_CODES.E_PARITY_INCONSISTENT, `Parity fragment ${parity_index} of message ${accumulator.message_id} is inconsistent`, { ...accumulator, fragment_index: parity_index }));
+            return;
+        }
+
+        accumulator.fragments.set(missing_index, parity.payload.subarray(0, fragment_length));
+        this._release_bytes(accumulator, parity.payload.length - fragment_length);
+        accumulator.fragments_received++;
+        accumulator.message_len += fragment_length;
+        accumulator.recovered_fragments++;
+        this.fec_stats.fragments_recovered++;
+        this._stats.count('fragments_recovered', accumulator);
+
+        this.emit('fragment:recovered', {
+            source_id: accumulator.source_id,
+            message_type: accumulator.message_type,
+            message_id: accumulator.message_id,
+            fragment_index: missing_index,
+            fragment_count: accumulator.fragment_count,
+            fragments_received: accumulator.fragments_received
+        });
+    }
+
+    /**
+     * Reassemble a complete message from fragments
+     * 
+     * Called when all fragments for a message have been received.
+     * Validates fragment completeness and emits the reconstructed message,
+     * or holds it back while older messages are in flight when delivering
+     * in ID order.
+     * 
+     * @private
+     * @param {number} key - Accumulator key
+     * @param {Object} accumulator - Accumulator of the completed message
+     * @returns {void}
+     * @fires JTPDecoder#message:corrupt
+     */
+    _reassemble_message(key, accumulator) {
+        const { source_id, message_type, message_id } = accumulator;
+        if (this._get_accumulator(key, message_id) !== accumulator) {
+            return; // Accumulator changed while waiting
+        }
+
+        const completed = this._remember_completion(key, message_id);
+
+        try {
+            // Reassemble message from fragments
+            const message_buffer = Buffer.allocUnsafe(accumulator.message_len);
+            let offset = 0;
+            for (let i = 0; i < accumulator.fragment_count; i++) {
+                const fragment = accumulator.fragments.get(i);
+                if (!fragment) {
+                    throw new Error(`Missing fragment ${i}`);
+                }
+                fragment.copy(message_buffer, offset);
+                offset += fragment.length;
+            }
+
+            if (accumulator.checksum !== null) {
+                const actual_checksum = crc32(message_buffer);
+                if (actual_checksum !== accumulator.checksum) {
+                    this._stats.count('messages_failed', accumulator);
+                    this.emit('message:corrupt', {
+                        source_id,
+                        message_type,
+                        message_id,
+                        fragment_count: accumulator.fragment_count,
+                        total_bytes: accumulator.message_len,
+                        expected_checksum: accumulator.checksum,
+                        actual_checksum
+                    });
+                    this._delete_accumulator(key, message_id);
+                    this._release_held_messages(key);
+                    return;
+                }
+            }
+
+            const plaintext = this._decrypt_message(message_buffer, accumulator);
+            const message = plaintext && this._decompress_message(plaintext, accumulator);
+            if (!message) {
+                this._stats.count('messages_failed', accumulator);
+                this._delete_accumulator(key, message_id);
+                this._release_held_messages(key);
+                return;
+            }
+
+            this._count_recovery(accumulator);
+
+            if (this.delivery_order === 'id') {
+                completed.held.set(message_id, { message_buffer: message, accumulator });
+                this._buffered_bytes += message.length; // Counted against max_buffered_bytes until delivered
+            } else {
+                this._deliver_message(message, accumulator);
+            }
+        } catch (e) {
+            this._stats.count('messages_failed', accumulator);
+            this.emit('error', new JTPMessageError(ERROR_CODES.E_REASSEMBLY, `Reassembly failed for message ${message_id}: ${e.message}`, { ...accumulator, cause: e }));
+        }
+        this._delete_accumulator(key, message_id);
+        this._release_held_messages(key);
+        this._make_room(0); // Held messages may have pushed the total over the limit
+    }
+
+    /**
+     * Decrypt a reassembled message when it is sealed or a key is configured
+     * @private
+     * @param {Buffer} message_buffer - The reassembled message
+     * @param {Object} accumulator - Accumulator the message was reassembled from
+     * @returns {Buffer|null} The plaintext message, or null if it was refused
+     * @fires JTPDecoder#message:decrypt_failed
+     */
+    _decrypt_message(message_buffer, accumulator) {
+        if (!accumulator.encrypted && this._encryption_key === null) {
+            return message_buffer;
+        }
+        const { source_id, message_type, message_id } = accumulator;
+        let reason = null;
+        let message = null;
+        if (!accumulator.encrypted) {
+            reason = 'unencrypted';
+        } else if (this._encryption_key === null) {
+            reason = 'no_key';
+        } else {
+            message = decrypt_message(message_buffer, this._encryption_key, { source_id, message_type, message_id });
+            reason = message ? null : 'auth_failed';
+        }
+        if (reason) {
+            this.emit('message:decrypt_failed', {
+                source_id,
+                message_type,
+                message_id,
+                fragment_count: accumulator.fragment_count,
+                total_bytes: message_buffer.length,
+                reason
+            });
+        }
+        return message;
+    }
+
+    /**
+     * Decompress a decrypted message if the sender compressed it
+     * @private
+     * @param {Buffer} message_buffer - The decrypted message
+     * @param {Object} accumulator - Accumulator the message was reassembled from
+     * @returns {Buffer|null} The original message, or null if it could not be decompressed
+     * @fires JTPDecoder#error
+     */
+    _decompress_message(message_buffer, accumulator) {
+        accumulator.compressed_bytes = message_buffer.length;
+        if (!accumulator.compressed) {
+            return message_buffer;
+        }
+        try {
+            return decompress_message(message_buffer, this.max_message_size);
+        } catch (e) {
+            const code = e instanceof JTPError ? e.code : ERROR_CODES.E_DECOMPRESSION; // E_TOO_LARGE past max_message_size
+            this.emit('error', new JTPMessageError(code, `Decompression failed for message ${accumulator.message_id}: ${e.message}`, { ...accumulator, cause: e }));
+            return null;
+        }
+    }
+
+    /**
+     * Deliver held messages that no longer wait for an older message
+     *
+     * Only used with ID order delivery. Held messages are delivered in ID
+     * order up to the first one that still has an older message in flight.
+     *
+     * @private
+     * @param {number} key - Accumulator key
+     * @returns {void}
+     */
+    _release_held_messages(key) {
+        const completed = this._completed.get(key);
+        if (!completed || completed.held.size === 0) {
+            return;
+        }
+
+        const held_ids = [...completed.held.keys()].sort((a, b) => this._is_newer_message(a, b) ? 1 : -1);
+        for (const message_id of held_ids) {
+            const accumulators = this._accumulators.get(key);
+            if (accumulators && [...accumulators.keys()].some(id => this._is_newer_message(message_id, id))) {
+                return; // An older message is still being reassembled
+            }
+            if (this._completed.get(key) !== completed) {
+                return; // A listener reset this stream
+            }
+            const { message_buffer, accumulator } = completed.held.get(message_id);
+            completed.held.delete(message_id);
+            this._buffered_bytes -= message_buffer.length;
+            completed.last_delivered = message_id;
+            this._deliver_message(message_buffer, accumulator);
+        }
+    }
+
+    /**
+     * Emit a reassembled message and its completion events
+     * @private
+     * @param {Buffer} message_buffer - The reassembled message
+     * @param {Object} accumulator - Accumulator the message was reassembled from
+     * @returns {void}
+     * @fires JTPDecoder#message
+     * @fires JTPDecoder#message:complete
+     * @fires JTPDecoder#message:repaired
+     * @fires JTPDecoder#error - Emitted when a message of a registered schema cannot be deserialized
+     */
+    _deliver_message(message_buffer, accumulator) {
+        const { source_id, message_type, message_id, fragment_count, compressed_bytes } = accumulator;
+        const message_len = message_buffer.length; // Original size for decrypted or decompressed messages
+
+        this._count_completion(accumulator);
+        const metadata = {
+            source_id,
+            message_id,
+            fragment_count,
+            total_bytes: message_len,
+            compressed_bytes,
+            recovered_fragments: accumulator.recovered_fragments
+        };
+        this.emit("message", message_buffer, message_type, metadata);
+
+        let decoded = null;
+        try {
+            decoded = this.schemas.decode(message_type, message_buffer, { source_id, message_id });
+        } catch (error) {
+            this.emit('error', error);
+        }
+        if (decoded) {
+            this.emit(decoded.name, decoded.value, { message_type, ...metadata });
+        }
+        this._emit_completion(accumulator, message_len, compressed_bytes);
+    }
+
+    /**
+     * Record a completed message so its stragglers are ignored
+     * @private
+     * @param {number} key - Accumulator key
+     * @param {number} message_id - Message ID
+     * @returns {Object} The completion record of the key ({ message_ids, last_delivered, held })
+     */
+    _remember_completion(key, message_id) {
+        if (!this._completed.has(key)) {
+            this._completed.set(key, { message_ids: [], last_delivered: null, held: new Map() });
+        }
+        const completed = this._completed.get(key);
+        completed.message_ids.push(message_id);
+        if (completed.message_ids.length > this.reassembly_window) {
+            completed.message_ids.shift();
+        }
+        return completed;
+    }
+
+    /**
+     * Count a completed message that needed FEC recovery
+     * @private
+     * @param {Object} accumulator - Accumulator of the message
+     * @returns {void}
+     */
+    _count_recovery(accumulator) {
+        if (accumulator.recovered_fragments > 0) {
+            this.fec_stats.messages_recovered++;
+            this._stats.count('messages_recovered', accumulator);
+        }
+    }
+
+    /**
+     * Count a delivered message and its reassembly latency
+     * @private
+     * @param {Object} accumulator - Accumulator of the message
+     * @returns {void}
+     */
+    _count_completion(accumulator) {
+        this._stats.count('messages_completed', accumulator);
+        this._stats.observe('reassembly_latency_ms', performance.now() - accumulator.started_at, accumulator);
+        if (accumulator.nack_rounds > 0) {
+            this._stats.count('messages_repaired', accumulator);
+        }
+    }
+
+    /**
+     * Emit the events that end a delivered message
+     * @private
+     * @param {Object} accumulator - Accumulator of the message
+     * @param {number} total_bytes - Original message size
+     * @param {number} compressed_bytes - Message size as compressed by the sender
+     * @returns {void}
+     * @fires JTPDecoder#message:complete
+     * @fires JTPDecoder#message:repaired
+     */
+    _emit_completion(accumulator, total_bytes, compressed_bytes) {
+        const { source_id, message_type, message_id, fragment_count } = accumulator;
+        this.emit('message:complete', { 
+            source_id,
+            message_type,
+            message_id, 
+            fragment_count, 
+            total_bytes,
+            compressed_bytes
+        });
+        if (accumulator.nack_rounds > 0) {
+            this.emit('message:repaired', {
+                source_id,
+                message_type,
+                message_id,
+                fragment_count,
+                nack_rounds: accumulator.nack_rounds
+            });
+        }
+    }
+
+    /**
+     * Deliver what arrived of a dropped message of a partial type
+     *
+     * Every fragment but the last carries the sender's full payload size,
+     * which places the fragments received; nothing is delivered if only the
+     * last one arrived. Missing fragments are zero-filled up to the last
+     * fragment received, and omitted after it. Encrypted and compressed
+     * messages cannot be read in part, and streamed ones already have been.
+     *
+     * @private
+     * @param {Object} accumulator - Accumulator that was dropped
+     * @param {string} reason - Why it was dropped
+     * @returns {void}
+     * @fires JTPDecoder#message:partial
+     */
+    _deliver_partial(accumulator, reason) {
+        const { source_id, message_type, message_id, fragment_count, fragments } = accumulator;
+        if (!this.partial_types.has(message_type) || accumulator.streaming || accumulator.encrypted || accumulator.compressed) {
+            return;
+        }
+
+        const indices = [...fragments.keys()].sort((a, b) => a - b);
+        const full_fragment = indices.find(index => index < fragment_count - 1);
+        if (full_fragment === undefined) {
+            return;
+        }
+        const fragment_size = fragments.get(full_fragment).length;
+        const last_index = indices[indices.length - 1];
+        const message_buffer = Buffer.alloc(last_index * fragment_size + Math.min(fragments.get(last_index).length, fragment_size));
+
+        const valid_ranges = [];
+        for (const index of indices) {
+            const start = index * fragment_size;
+            const end = start + fragments.get(index).copy(message_buffer, start, 0, fragment_size);
+            const previous = valid_ranges[valid_ranges.length - 1];
+            if (previous && previous.end === start) {
+                previous.end = end;
+            } else {
+                valid_ranges.push({ start, end });
+            }
+        }
+
+        this._stats.count('messages_partial', accumulator);
+        this.emit('message:partial', message_buffer, message_type, {
+            source_id,
+            message_id,
+            fragment_count,
+            fragments_received: accumulator.fragments_received,
+            total_bytes: message_buffer.length,
+            recovered_fragments: accumulator.recovered_fragments,
+            valid_ranges,
+            reason
+        });
+    }
+
+    /**
+     * Emit the fragments of a streamed message that are now in order
+     *
+     * Delivered fragments are released, except those FEC may still need
+     * to rebuild a later one: the fragments of the group in progress, or of
+     * the last MAX_GROUP_SIZE fragments until a parity fragment has told
+     * the group size.
+     *
+     * @private
+     * @param {number} key - Accumulator key
+     * @param {Object} accumulator - Accumulator of a streamed message
+     * @returns {void}
+     * @fires JTPDecoder#message:chunk
+     */
+    _stream_chunks(key, accumulator) {
+        const { source_id, message_type, message_id, fragment_count } = accumulator;
+        while (accumulator.next_chunk < fragment_count && accumulator.fragments.has(accumulator.next_chunk)) {
+            const fragment_index = accumulator.next_chunk;
+            const chunk = accumulator.fragments.get(fragment_index);
+            const offset = accumulator.bytes_streamed;
+            accumulator.next_chunk++;
+            accumulator.bytes_streamed += chunk.length;
+            if (accumulator.checksum !== null) {
+                accumulator.streamed_checksum = crc32(chunk, accumulator.streamed_checksum);
+            }
+            this.emit('message:chunk', chunk, message_type, { source_id, message_id, fragment_index, fragment_count, offset });
+            if (this._get_accumulator(key, message_id) !== accumulator) {
+                return; // A listener reset the stream
+            }
+        }
+
+        const { next_chunk, fec } = accumulator;
+        const keep_from = fec ? next_chunk - next_chunk % fec.group_size : next_chunk - MAX_GROUP_SIZE;
+        for (let i = accumulator.released_chunks; i < keep_from; i++) {
+            const fragment = accumulator.fragments.get(i);
+            if (fragment) {
+                this._release_bytes(accumulator, fragment.length);
+                accumulator.fragments.delete(i);
+            }
+        }
+        accumulator.released_chunks = Math.max(accumulator.released_chunks, keep_from);
+    }
+
+    /**
+     * End a streamed message once every fragment has been delivered
+     * @private
+     * @param {number} key - Accumulator key
+     * @param {Object} accumulator - Accumulator of the streamed message
+     * @returns {void}
+     * @fires JTPDecoder#message:complete
+     * @fires JTPDecoder#message:corrupt
+     * @fires JTPDecoder#message:abort
+     */
+    _finish_stream(key, accumulator) {
+        const { source_id, message_type, message_id, fragment_count, bytes_streamed } = accumulator;
+        this._remember_completion(key, message_id);
+        this._delete_accumulator(key, message_id);
+
+        if (accumulator.checksum !== null && accumulator.streamed_checksum !== accumulator.checksum) {
+            this._stats.count('messages_failed', accumulator);
+            this.emit('message:corrupt', {
+                source_id,
+                message_type,
+                message_id,
+                fragment_count,
+                total_bytes: bytes_streamed,
+                expected_checksum: accumulator.checksum,
+                actual_checksum: accumulator.streamed_checksum
+            });
+            this._abort_stream(accumulator, 'corrupt');
+        } else {
+            this._count_recovery(accumulator);
+            this._count_completion(accumulator);
+            this._emit_completion(accumulator, bytes_streamed, bytes_streamed);
+        }
+        this._release_held_messages(key);
+    }
+
+    /**
+     * Report that a streamed message will not be completed
+     * @private
+     * @param {Object} accumulator - Accumulator that was dropped
+     * @param {string} reason - Why it was dropped
+     * @returns {void}
+     * @fires JTPDecoder#message:abort
+     */
+    _abort_stream(accumulator, reason) {
+        if (!accumulator.streaming) {
+            return;
+        }
+        this.emit('message:abort', {
+            source_id: accumulator.source_id,
+            message_type: accumulator.message_type,
+            message_id: accumulator.message_id,
+            fragments_received: accumulator.fragments_received,
+            fragment_count: accumulator.fragment_count,
+            bytes_streamed: accumulator.bytes_streamed,
+            reason
+        });
+    }
+
+    /**
+     * Count bytes an accumulator is about to hold, evicting messages to make room
+     * @private
+     * @param {number} key - Accumulator key
+     * @param {Object} accumulator - Accumulator that will hold the bytes
+     * @param {number} length - Bytes to hold
+     * @returns {boolean} true if the bytes may be held, false if the accumulator was evicted
+     * @fires JTPDecoder#message:evicted
+     */
+    _buffer_bytes(key, accumulator, length) {
+        if (!this._make_room(length, key, accumulator)) {
+            return false;
+        }
+        accumulator.buffered_bytes += length;
+        this._buffered_bytes += length;
+        return true;
+    }
+
+    /**
+     * Evict messages by eviction_policy until more bytes fit within max_buffered_bytes
+     *
+     * Messages held for ID order delivery wait on an older message in
+     * flight, so evicting that one also delivers them and frees their bytes.
+     *
+     * @private
+     * @param {number} length - Bytes to make room for
+     * @param {number} [key] - Accumulator key of the message that will hold the bytes
+     * @param {Object} [accumulator] - Accumulator that will hold the bytes, or null
+     * @returns {boolean} true if the bytes fit, false if they cannot or the accumulator was evicted
+     * @fires JTPDecoder#message:evicted
+     */
+    _make_room(length, key = null, accumulator = null) {
+        if (this.max_buffered_bytes === 0 || this._buffered_bytes + length <= this.max_buffered_bytes) {
+            return true;
+        }
+        for (const candidate of this._eviction_order([...this._in_flight()])) {
+            this._evict_accumulator(candidate, 'max_buffered_bytes');
+            if (accumulator && this._get_accumulator(key, accumulator.message_id) !== accumulator) {
+                return false; // Evicted itself, or reset by a listener
+            }
+            if (this._buffered_bytes + length <= this.max_buffered_bytes) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Stop counting bytes an accumulator no longer holds
+     * @private
+     * @param {Object} accumulator - Accumulator that released the bytes
+     * @param {number} length - Bytes released
+     * @returns {void}
+     */
+    _release_bytes(accumulator, length) {
+        accumulator.buffered_bytes -= length;
+        this._buffered_bytes -= length;
+    }
+
+    /**
+     * Evict messages until a new one of a source and type is within the in-flight limits
+     * @private
+     * @param {number} source_id - Source ID of the new message
+     * @param {number} message_type - Message type of the new message
+     * @returns {void}
+     * @fires JTPDecoder#message:evicted
+     */
+    _enforce_message_limits(source_id, message_type) {
+        const limits = {
+            max_messages_per_type: accumulator => accumulator.message_type === message_type,
+            max_messages_per_source: accumulator => accumulator.source_id === source_id
+        };
+        for (const [limit, matches] of Object.entries(limits)) {
+            if (this[limit] === 0) {
+                continue;
+            }
+            const in_flight = [...this._in_flight()].filter(matches);
+            if (in_flight.length >= this[limit]) {
+                this._eviction_order(in_flight).slice(0, in_flight.length - this[limit] + 1)
+                    .forEach(accumulator => this._evict_accumulator(accumulator, limit));
+            }
+        }
+    }
+
+    /**
+     * Iterate over every message still waiting for fragments
+     * @private
+     * @returns {Iterable<Object>} Accumulators of every source and type, but those pending reassembly
+     */
+    * _in_flight() {
+        for (const accumulators of this._accumulators.values()) {
+            for (const accumulator of accumulators.values()) {
+                if (!accumulator.complete) {
+                    yield accumulator;
+                }
+            }
+        }
+    }
+
+    /**
+     * Sort messages in the order eviction_policy evicts them
+     * @private
+     * @param {Object[]} accumulators - Candidates, sorted in place
+     * @returns {Object[]} The candidates, oldest or largest first
+     */
+    _eviction_order(accumulators) {
+        return accumulators.sort(this.eviction_policy === 'largest'
+            ? (a, b) => b.buffered_bytes - a.buffered_bytes
+            : (a, b) => a.started_at - b.started_at);
+    }
+
+    /**
+     * Drop a message to stay within a memory limit
+     * @private
+     * @param {Object} accumulator - Accumulator to drop
+     * @param {string} limit - Name of the limit that was reached
+     * @returns {void}
+     * @fires JTPDecoder#message:incomplete
+     * @fires JTPDecoder#message:evicted
+     * @fires JTPDecoder#message:abort
+     */
+    _evict_accumulator(accumulator, limit) {
+        const { source_id, message_type, message_id, fragments_received, fragment_count, buffered_bytes } = accumulator;
+        const key = this._accumulator_key(source_id, message_type);
+        if (this._get_accumulator(key, message_id) !== accumulator) {
+            return; // Already dropped by a listener of an earlier eviction
+        }
+        this._delete_accumulator(key, message_id);
+        this._stats.count('messages_incomplete', accumulator);
+        this._stats.count('messages_evicted', accumulator);
+        this.emit('message:incomplete', { source_id, message_type, message_id, fragments_received, fragment_count, reason: 'evicted' });
+        this.emit('message:evicted', { source_id, message_type, message_id, fragments_received, fragment_count, buffered_bytes, limit });
+        this._abort_stream(accumulator, 'evicted');
+        this._release_held_messages(key);
+    }
+
+    /**
+     * Emit NACKs for the fragments an accumulator is still missing
+     *
+     * Runs when no fragment has arrived for nack_interval milliseconds.
+     * Re-arms itself until the message completes or nack_retries rounds
+     * have been sent, after which the failure is reported once.
+     *
+     * @private
+     * @param {number} key - Accumulator key
+     * @param {Object} accumulator - Accumulator the timer was started for
+     * @returns {void}
+     * @fires JTPDecoder#nack
+     * @fires JTPDecoder#message:repair_failed
+     */
+    _send_nack(key, accumulator) {
+        if (this._get_accumulator(key, accumulator.message_id) !== accumulator) {
+            return; // Accumulator was replaced or completed
+        }
+
+        const fragment_indices = [];
+        for (let i = accumulator.next_chunk; i < accumulator.fragment_count; i++) {
+            if (!accumulator.fragments.has(i)) {
+                fragment_indices.push(i);
+            }
+        }
+        if (fragment_indices.length === 0) {
+            return; // Complete, reassembly is pending
+        }
+
+        if (accumulator.nack_rounds >= this.nack_retries) {
+            accumulator.nack_timer = null;
+            this.emit('message:repair_failed', {
+                source_id: accumulator.source_id,
+                message_type: accumulator.message_type,
+                message_id: accumulator.message_id,
+                fragments_received: accumulator.fragments_received,
+                fragment_count: accumulator.fragment_count,
+                nack_rounds: accumulator.nack_rounds
+            });
+            return;
+        }
+
+        accumulator.nack_rounds++;
+        const nack = {
+            source_id: accumulator.source_id,
+            message_type: accumulator.message_type,
+            message_id: accumulator.message_id,
+            fragment_count: accumulator.fragment_count,
+            fragment_indices
+        };
+        const key_id = accumulator.auth_key_id;
+        const auth = this._auth_keys && this._auth_keys.has(key_id) ? { key_id, key: this._auth_keys.get(key_id) } : null;
+        const indices_per_packet = Math.floor(this._nack_payload_size / 2);
+        encode_nack(nack, this._nack_payload_size, auth).forEach((packet, i) => {
+            this._stats.count('nacks_sent', accumulator);
+            this.emit('nack', packet, {
+                source_id: nack.source_id,
+                message_type: nack.message_type,
+                message_id: nack.message_id,
+                fragment_indices: fragment_indices.slice(i * indices_per_packet, (i + 1) * indices_per_packet),
+                attempt: accumulator.nack_rounds
+            });
+        });
+        if (accumulator.nack_timer) {
+            accumulator.nack_timer.refresh(); // Unless a listener completed the message synchronously
+        }
+    }
+
+    /**
+     * Get the accumulator of a message in flight
+     * @private
+     * @param {number} key - Accumulator key
+     * @param {number} message_id - Message ID
+     * @returns {Object|undefined} Accumulator, or undefined if the message is not being reassembled
+     */
+    _get_accumulator(key, message_id) {
+        const accumulators = this._accumulators.get(key);
+        return accumulators ? accumulators.get(message_id) : undefined;
+    }
+
+    /**
+     * Delete an accumulator and stop any timers it owns
+     * @private
+     * @param {number} key - Accumulator key
+     * @param {number} message_id - Message ID of the accumulator
+     * @returns {void}
+     */
+    _delete_accumulator(key, message_id) {
+        const accumulators = this._accumulators.get(key);
+        const accumulator = accumulators ? accumulators.get(message_id) : undefined;
+        if (!accumulator) {
+            return;
+        }
+        this._clear_timers(accumulator);
+        this._buffered_bytes -= accumulator.buffered_bytes;
+        accumulators.delete(message_id);
+        if (accumulators.size === 0) {
+            this._accumulators.delete(key);
+        }
+    }
+
+    /**
+     * Stop the NACK and reassembly timers of an accumulator
+     * @private
+     * @param {Object} accumulator - Accumulator to stop timers for
+     * @returns {void}
+     */
+    _clear_timers(accumulator) {
+        if (accumulator.nack_timer) {
+            clearTimeout(accumulator.nack_timer);
+            accumulator.nack_timer = null;
+        }
+        if (accumulator.timeout_timer) {
+            clearTimeout(accumulator.timeout_timer);
+            accumulator.timeout_timer = null;
+        }
+    }
+
+    /**
+     * Build the accumulator map key for a source and message type
+     *
+     * Combines both into a single number (safe up to 2^48) so lookups stay
+     * as cheap as the old per-type map. Types share one key space across
+     * header versions, so a type sent with either header reassembles alike.
+     *
+     * @private
+     * @param {number} source_id - 32-bit source identifier
+     * @param {number} message_type - Message type (0-65535)
+     * @returns {number} Accumulator key
+     */
+    _accumulator_key(source_id, message_type) {
+        return source_id * MAX_EXTENDED_TYPES + message_type;
+    }
+
+    /**
+     * Build the source filter predicate from the source_id option
+     * @private
+     * @param {number|number[]|Set<number>|Function|null} source_id - Source filter option
+     * @returns {Function} Predicate returning true for accepted source IDs
+     * @throws {Error} If the option is not a supported filter
+     */
+    _create_source_filter(source_id) {
+        if (source_id === null) {
+            return () => true;
+        }
+        if (typeof source_id === 'number') {
+            return (id) => id === source_id;
+        }
+        if (typeof source_id === 'function') {
+            return (id) => Boolean(source_id(id));
+        }
+        if (Array.isArray(source_id) || source_id instanceof Set) {
+            const source_ids = new Set(source_id);
+            return (id) => source_ids.has(id);
+        }
+        throw new Error('source_id must be a number, an array or Set of numbers, a function, or null');
+    }
+
+    /**
+     * Find the newest of a set of message IDs, handling 16-bit wraparound
+     * @private
+     * @param {Iterable<number>} message_ids - Message IDs (at least one)
+     * @returns {number} Newest message ID
+     */
+    _newest_message_id(message_ids) {
+        let newest_id = null;
+        for (const message_id of message_ids) {
+            if (newest_id === null || this._is_newer_message(message_id, newest_id)) {
+                newest_id = message_id;
+            }
         }
-        this.reset_message_state(message_type);
+        return newest_id;
     }
 
     /**
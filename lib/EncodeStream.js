@@ -0,0 +1,131 @@
+/**
+ * @fileoverview JTP (Janky Transfer Protocol) encoder stream adapter
+ * @author JTP Library
+ * @version 1.0.0
+ */
+
+/**
+ * JTPEncodeStream - Object-mode Transform from messages to JTP packets
+ *
+ * Wraps a JTPEncoder. Each written object `{ buffer, message_type }` is
+ * encoded and its packets are pushed as Buffers, so the stream can sit in
+ * a `stream.pipeline()` between a message source and a packet sink.
+ *
+ * Messages are encoded one at a time: the next message is not taken until
+ * every packet of the previous one has been pushed and the readable side
+ * is below its high water mark. Within a message, the encoder is paused
+ * whenever the readable side fills up and resumed once it is read from,
+ * so a large message is not buffered whole either. Invalid chunks and
+ * errors encoding a written message destroy the stream with that error.
+ *
+ * @class JTPEncodeStream
+ * @extends Transform
+ * @example
+ * const { pipeline } = require('stream');
+ *
+ * pipeline(
+ *   message_source, // Readable of { buffer, message_type } objects
+ *   new JTPEncodeStream({ source_id: 0x1234 }),
+ *   packet_sink,
+ *   (error) => console.log(error ? `Failed: ${error.message}` : 'Done')
+ * );
+ */
+
+const { Transform } = require('stream');
+const JTPEncoder = require('./Encoder');
+
+module.exports = class JTPEncodeStream extends Transform {
+    /**
+     * Create a new encoder stream
+     *
+     * Options other than `encoder` and `high_water_mark` are passed to the
+     * JTPEncoder the stream creates. Passing an existing encoder instead
+     * lets it be shared, e.g. with a socket that serves NACKs from its
+     * history; its packets are then all pushed to this stream, and
+     * backpressure pauses it for every user. Errors of messages encoded
+     * by other users are left to their own handlers.
+     *
+     * @param {Object} options - Configuration options
+     * @param {JTPEncoder} [options.encoder] - Existing encoder to wrap
+     * @param {number} [options.high_water_mark=16] - Packets buffered on the readable side before backpressure applies
+     * @param {number} [options.source_id] - 32-bit source identifier, when the stream creates its own encoder
+     * @throws {Error} If the encoder options are invalid
+     */
+    constructor({ encoder = null, high_water_mark = 16, ...encoder_options } = {}) {
+        super({ objectMode: true, highWaterMark: high_water_mark });
+        this.encoder = encoder || new JTPEncoder(encoder_options);
+        this._pending_callback = null; // Transform callback of the message being encoded
+        this._flushed = false;
+
+        this._on_packet = (packet) => {
+            if (!this._flushed && !this.push(packet)) {
+                this.encoder.pause(); // Resumed by _read()
+            }
+        };
+        this.encoder.on('packet', this._on_packet);
+    }
+
+    /**
+     * Encode one message and push its packets
+     * @private
+     * @param {Object} chunk - Message to encode
+     * @param {Buffer} chunk.buffer - Message contents
+     * @param {number} chunk.message_type - Message type (0-63, or 0-65535 with extended_types)
+     * @param {string} encoding - Unused in object mode
+     * @param {Function} callback - Called once every packet has been pushed
+     * @returns {void}
+     */
+    _transform(chunk, encoding, callback) {
+        if (!chunk || !Buffer.isBuffer(chunk.buffer)) {
+            callback(new Error('JTPEncodeStream expects { buffer, message_type } objects'));
+            return;
+        }
+
+        // send() rejects with this message's errors only, not those of other users of a shared encoder
+        this._pending_callback = callback;
+        const settle = (error) => {
+            if (this._pending_callback === callback) {
+                this._pending_callback = null;
+                callback(error);
+            }
+        };
+        this.encoder.send(chunk.buffer, chunk.message_type).then(() => settle(), settle);
+    }
+
+    /**
+     * Resume the encoder when the readable side wants more packets
+     * @private
+     * @param {number} size - Advisory number of packets to read
+     * @returns {void}
+     */
+    _read(size) {
+        this.encoder.resume();
+        super._read(size);
+    }
+
+    /**
+     * Stop pushing packets once the writable side has finished
+     * @private
+     * @param {Function} callback - Called when flushing is done
+     * @returns {void}
+     */
+    _flush(callback) {
+        this._flushed = true; // Late retransmissions must not be pushed after EOF
+        callback();
+    }
+
+    /**
+     * Detach from the encoder when the stream is destroyed
+     * @private
+     * @param {Error|null} error - Error that destroyed the stream, if any
+     * @param {Function} callback - Called once cleanup is done
+     * @returns {void}
+     */
+    _destroy(error, callback) {
+        this._flushed = true;
+        this._pending_callback = null;
+        this.encoder.resume(); // A shared encoder must not stay paused
+        this.encoder.off('packet', this._on_packet);
+        callback(error);
+    }
+};
@@ -33,7 +33,38 @@
  */
 
 const { EventEmitter } = require('events');
-const { VERSION, MAGIC_BYTE, MAX_PAYLOAD_SIZE } = require('./constants');
+const { crc32 } = require('./crc32');
+const { decode_nack } = require('./nack');
+const { xor_into } = require('./fec');
+const { Pacer } = require('./pacer');
+const { Scheduler } = require('./scheduler');
+const { normalize_key, sign_packet, verify_packet } = require('./auth');
+const { normalize_encryption_key, random_epoch, encrypt_message } = require('./cipher');
+const { validate_codec, compress_message } = require('./compression');
+const { StatsRecorder } = require('./stats');
+const { SchemaRegistry } = require('./schema');
+const { max_packet_overhead, encode_extensions } = require('./header');
+const { ERROR_CODES, JTPMessageError } = require('./errors');
+const {
+    VERSION,
+    FLAGS_VERSION,
+    EXTENDED_VERSION,
+    MAGIC_BYTE,
+    MAX_PAYLOAD_SIZE,
+    MIN_PAYLOAD_SIZE,
+    MAX_UDP_PAYLOAD_SIZE,
+    HEADER_SIZE,
+    FLAGS_HEADER_SIZE,
+    EXTENDED_HEADER_SIZE,
+    FLAGS,
+    CHECKSUM_SIZE,
+    FEC_FIELD_SIZE,
+    AUTH_TRAILER_SIZE,
+    ENCRYPTION_OVERHEAD,
+    MAX_PACKET_TYPES,
+    MAX_EXTENDED_TYPES,
+    MAX_FRAGMENT_COUNT
+} = require('./constants');
 
 module.exports = class JTPEncoder extends EventEmitter {
     /**
@@ -42,10 +73,33 @@ module.exports = class JTPEncoder extends EventEmitter {
      * @param {Buffer} packet - The generated packet buffer
      * @param {Object} info - Packet information
      * @param {number} info.message_id - Message ID this packet belongs to
-     * @param {number} info.message_type - Message type (0-63)
+     * @param {number} info.message_type - Message type
      * @param {number} info.fragment_index - Fragment index (0-based)
      * @param {number} info.fragment_count - Total fragments for this message
      * @param {number} info.fragment_size - Size of this fragment's payload
+     * @param {boolean} [info.retransmission] - true when re-sent in response to a NACK
+     * @param {boolean} [info.parity] - true for FEC parity fragments (fragment_index is then the parity index)
+     */
+
+    /**
+     * Retransmit event - emitted after a NACK has been served
+     * @event JTPEncoder#retransmit
+     * @param {Object} info - Retransmission information
+     * @param {number} info.message_id - Message ID being repaired
+     * @param {number} info.message_type - Message type
+     * @param {number[]} info.fragment_indices - Fragments that were re-sent
+     * @param {number[]} info.unavailable_indices - Requested fragments no longer in the history
+     */
+
+    /**
+     * Packet rejected event - emitted when a NACK fails authentication
+     * @event JTPEncoder#packet:rejected
+     * @param {Object} info - Rejection information
+     * @param {number} info.source_id - Source ID the NACK was addressed to
+     * @param {number} info.message_type - Message type
+     * @param {number} info.message_id - Message ID the NACK asked to repair
+     * @param {number|null} info.key_id - Key ID of the NACK's trailer, or null if it had none
+     * @param {string} info.reason - 'unauthenticated', 'unknown_key' or 'bad_tag'
      */
 
     /**
@@ -53,15 +107,17 @@ module.exports = class JTPEncoder extends EventEmitter {
      * @event JTPEncoder#message:encoded
      * @param {Object} metadata - Encoding completion metadata
      * @param {number} metadata.message_id - The assigned message ID
-     * @param {number} metadata.message_type - Message type (0-63)
+     * @param {number} metadata.message_type - Message type
      * @param {number} metadata.fragment_count - Total fragments generated
+     * @param {number} metadata.parity_count - FEC parity fragments generated (0 without FEC)
      * @param {number} metadata.total_bytes - Total message size in bytes
+     * @param {number} metadata.compressed_bytes - Message size after compression (total_bytes if not compressed)
      */
 
     /**
      * Error event - emitted on validation or encoding errors
      * @event JTPEncoder#error
-     * @param {Error} error - The error that occurred
+     * @param {Error} error - The error that occurred; validation errors are JTPMessageErrors with a `code`
      * @param {Object} context - Error context information
      * @param {number} [context.message_type] - Message type if available
      * @param {number} [context.message_id] - Message ID if available
@@ -74,23 +130,208 @@ module.exports = class JTPEncoder extends EventEmitter {
     static get VERSION() { return VERSION; }
     
     /**
-     * Get the maximum payload size per packet
+     * Get the default maximum payload size per packet
      * @static
-     * @returns {number} Maximum payload size in bytes
+     * @returns {number} Default maximum payload size in bytes
      */
     static get MAX_PAYLOAD_SIZE() { return MAX_PAYLOAD_SIZE; }
 
+    /**
+     * Get the largest message this encoder can fragment
+     * @returns {number} Maximum message size in bytes (max_payload_size * 65535, less ENCRYPTION_OVERHEAD when encrypting)
+     */
+    get max_message_size() { return this.max_payload_size * MAX_FRAGMENT_COUNT - (this._encryption_key ? ENCRYPTION_OVERHEAD : 0); }
+
+    /**
+     * Get the largest message type this encoder can send
+     * @returns {number} 63, or 65535 with extended_types
+     */
+    get max_message_type() { return (this.extended_types ? MAX_EXTENDED_TYPES : MAX_PACKET_TYPES) - 1; }
+
     /**
      * Create a new JTP encoder
+     *
+     * With `checksum` enabled, packets use the flagged header (version 1)
+     * and carry a CRC32 of the whole message that the decoder verifies
+     * after reassembly. Decoders without checksum support reject these
+     * packets as an unsupported version, so only enable it once every
+     * receiver understands version 1 headers.
+     *
+     * With `fec_group_size` set, every group of that many data fragments is
+     * followed by `fec_parity_count` XOR parity fragments (also version 1),
+     * letting the decoder rebuild up to `fec_parity_count` consecutive lost
+     * fragments per group without a retransmission.
+     *
+     * `max_payload_size` sets the fragment size. It is limited so that a
+     * packet with the largest header still fits in a UDP datagram; pick a
+     * value that also fits the path MTU to avoid IP fragmentation.
+     * Receivers need a `max_payload_size` at least as large.
+     *
+     * `rate_limit` paces every packet the encoder emits through a token
+     * bucket: `{ bytes_per_second, packets_per_second, burst_bytes,
+     * burst_packets }`, where either rate may be left out and bursts default
+     * to a tenth of a second's budget. `rate_limits` adds limits of the same
+     * shape per message type, applied on top of the shared one. Fragments
+     * then wait for budget before being emitted; NACK retransmissions are
+     * sent at once but still charged against the budget.
+     *
+     * Packets are sent by a scheduler: messages of one type go out one
+     * after another, the next packet comes from the type with the highest
+     * entry in `priorities` (types not listed have priority 0), and types of
+     * equal priority take turns packet by packet. A high priority message
+     * encoded while a low priority one is being sent goes out at the next
+     * packet boundary, ahead of the rest of the low priority message.
+     *
+     * With `auth_key` set, every packet ends with the key ID and a truncated
+     * HMAC-SHA256 tag, and NACKs are only served if they are signed with a
+     * known key. Use set_auth_key() to rotate keys.
+     *
+     * With `encryption_key` set, each message is encrypted with AES-256-GCM
+     * before it is fragmented, and the decoder needs the same key to read
+     * it. Every sender sharing a key must use its own source ID.
+     *
+     * Messages of types with a compression codec are compressed first, unless
+     * they are smaller than `compression_min_size` or do not get smaller.
+     *
+     * Types registered in `schemas` can be sent by name with publish().
+     *
+     * With `extended_types` set, every packet uses the extended header
+     * (version 2), whose 16-bit type field allows message types 0-65535
+     * instead of 0-63. Decoders read both formats, but decoders from before
+     * version 2 reject these packets as an unsupported version.
+     *
+     * By default each packet uses the oldest header that can carry it:
+     * version 0 unless a flag is needed. `protocol_version` pins the header
+     * instead: 0 keeps every packet readable by decoders that predate the
+     * flags byte, and refuses options that need a flag; 1 writes the flags
+     * byte even when no flag is set; 2 is the same as `extended_types`.
+     *
+     * `header_extensions` are carried in the extension area of every packet,
+     * keyed by entry type. Decoders skip entries they have no use for, so
+     * new header fields can be added this way without a new version.
+     *
      * @param {Object} options - Configuration options
      * @param {number} options.source_id - 32-bit source identifier for this encoder
-     * @throws {Error} If source_id is not provided or invalid
+     * @param {number} [options.max_payload_size=1200] - Payload bytes per fragment
+     * @param {boolean} [options.checksum=false] - Attach a CRC32 of each message to its packets
+     * @param {number} [options.history_size=0] - Number of recently sent packets kept for NACK retransmission (0 disables)
+     * @param {number} [options.fec_group_size=0] - Data fragments per FEC group, 1-255 (0 disables FEC)
+     * @param {number} [options.fec_parity_count=1] - Parity fragments per FEC group, 1 to fec_group_size
+     * @param {Object|null} [options.rate_limit=null] - Rate limit shared by all message types (null disables)
+     * @param {Object<number, Object>} [options.rate_limits={}] - Rate limits per message type
+     * @param {Object<number, number>} [options.priorities={}] - Send priority per message type (higher goes first, default 0)
+     * @param {Buffer|string|null} [options.auth_key=null] - Shared key to sign packets with (null disables authentication)
+     * @param {number} [options.auth_key_id=0] - ID of auth_key (0-255)
+     * @param {Buffer|null} [options.encryption_key=null] - 32-byte AES-256-GCM key to encrypt messages with (null sends plaintext)
+     * @param {string} [options.compression='none'] - Compression codec for every message type: 'deflate', 'brotli' or 'none'
+     * @param {Object<number, string>} [options.compressions={}] - Per message type overrides of compression
+     * @param {number} [options.compression_min_size=256] - Messages smaller than this many bytes are sent uncompressed
+     * @param {SchemaRegistry|Object} [options.schemas={}] - Schema registry, or schema definitions to build one from
+     * @param {boolean} [options.extended_types=false] - Use the version 2 header and its 16-bit message types
+     * @param {number|null} [options.protocol_version=null] - Header version of every packet: 0, 1 or 2 (null picks per packet)
+     * @param {Object<number, Buffer>} [options.header_extensions={}] - Extension entries (types 0-255) to carry in every packet
+     * @throws {Error} If source_id is not provided or invalid, max_payload_size would not fit in a UDP datagram, the FEC settings are out of range, a rate limit has no rate, the auth or encryption key is invalid, a compression codec is unknown, the header extensions do not fit, or protocol_version is invalid or cannot carry the options
      */
-    constructor({ source_id }) {
+    constructor({
+        source_id,
+        max_payload_size = MAX_PAYLOAD_SIZE,
+        checksum = false,
+        history_size = 0,
+        fec_group_size = 0,
+        fec_parity_count = 1,
+        rate_limit = null,
+        rate_limits = {},
+        priorities = {},
+        auth_key = null,
+        auth_key_id = 0,
+        encryption_key = null,
+        compression = 'none',
+        compressions = {},
+        compression_min_size = 256,
+        schemas = {},
+        extended_types = false,
+        protocol_version = null,
+        header_extensions = {}
+    }) {
         super();
+        if (protocol_version !== null && protocol_version !== VERSION && protocol_version !== FLAGS_VERSION && protocol_version !== EXTENDED_VERSION) {
+            throw new Error(`protocol_version must be 0, 1 or 2, got ${protocol_version}`);
+        }
+        if (extended_types && protocol_version !== null && protocol_version !== EXTENDED_VERSION) {
+            throw new Error(`extended_types needs protocol_version 2, got ${protocol_version}`);
+        }
+        const extensions = encode_extensions(header_extensions);
+        if (protocol_version === VERSION) {
+            const flagged_options = [
+                checksum && 'checksum',
+                fec_group_size > 0 && 'fec_group_size',
+                auth_key !== null && 'auth_key',
+                encryption_key !== null && 'encryption_key',
+                [compression, ...Object.values(compressions)].some(codec => codec !== 'none') && 'compression',
+                extensions !== null && 'header_extensions'
+            ].filter(Boolean);
+            if (flagged_options.length > 0) {
+                throw new Error(`protocol_version 0 has no flags byte for ${flagged_options.join(', ')}`);
+            }
+        }
+        this.protocol_version = extended_types ? EXTENDED_VERSION : protocol_version;
+        this.extended_types = this.protocol_version === EXTENDED_VERSION;
+        this._extensions = extensions; // Extension area written after the optional fields, or null
+        const largest_payload_size = MAX_UDP_PAYLOAD_SIZE - this._max_overhead(false);
+        if (!Number.isInteger(max_payload_size) || max_payload_size < MIN_PAYLOAD_SIZE || max_payload_size > largest_payload_size) {
+            throw new Error(`max_payload_size must be ${MIN_PAYLOAD_SIZE}-${largest_payload_size}, got ${max_payload_size}`);
+        }
+        if (!Number.isInteger(fec_group_size) || fec_group_size < 0 || fec_group_size > 0xFF) {
+            throw new Error(`fec_group_size must be 0-255, got ${fec_group_size}`);
+        }
+        if (fec_group_size > 0 && (!Number.isInteger(fec_parity_count) || fec_parity_count < 1 || fec_parity_count > fec_group_size)) {
+            throw new Error(`fec_parity_count must be 1-${fec_group_size}, got ${fec_parity_count}`);
+        }
         this.source_id = source_id;
+        this.max_payload_size = max_payload_size;
+        this.checksum = checksum;
+        this.history_size = history_size;
+        this.fec_group_size = fec_group_size;
+        this.fec_parity_count = fec_parity_count;
+        this._pacer = rate_limit || Object.keys(rate_limits).length > 0 ? new Pacer({ rate_limit, rate_limits }) : null;
+        this._scheduler = new Scheduler({
+            priorities,
+            pacer: this._pacer,
+            send: (packet, info) => {
+                this._count_packet(packet, info);
+                this.emit('packet', packet, info);
+            }
+        });
+        this._history = new Map(); // Map of history key -> { packet, info }, oldest first
+        this.auth_key_id = null; // ID of the key packets are signed with, or null
+        this._auth_keys = new Map(); // Map of key ID -> key, for the active and retired keys
+        if (auth_key !== null) {
+            this.set_auth_key(auth_key_id, auth_key);
+        }
+        this._encryption_key = encryption_key === null ? null : normalize_encryption_key(encryption_key);
+        this._encryption_epoch = random_epoch(); // Extends message IDs in encryption nonces
+        this.compression = validate_codec(compression);
+        this.compressions = {};
+        Object.entries(compressions).forEach(([message_type, codec]) => {
+            this.compressions[message_type] = validate_codec(codec);
+        });
+        this.compression_min_size = compression_min_size;
+        this.schemas = schemas instanceof SchemaRegistry ? schemas : new SchemaRegistry(schemas);
         this.message_id = 0;
         this._buffer_pool = []; // Pool of reusable buffers
+        this._preparing = new Map(); // Map of message_type -> messages waiting to be compressed or encrypted
+        this._stats = new StatsRecorder({
+            counters: [
+                'messages_sent',
+                'messages_failed',
+                'packets_sent',
+                'bytes_sent',
+                'parity_packets_sent',
+                'retransmitted_packets',
+                'nacks_received',
+                'nacks_rejected'
+            ]
+        });
     }
 
     /**
@@ -100,6 +341,9 @@ module.exports = class JTPEncoder extends EventEmitter {
      */
     increment_message_id() {
         this.message_id = (this.message_id + 1) % 0x10000;
+        if (this.message_id === 0) {
+            this._encryption_epoch = (this._encryption_epoch + 1) >>> 0; // Fresh nonces for the reused IDs
+        }
     }
 
     /**
@@ -132,15 +376,243 @@ module.exports = class JTPEncoder extends EventEmitter {
         }
     }
 
+    /**
+     * Sign packets with a new key from now on
+     *
+     * Messages encoded after the call use the new key; messages already
+     * queued keep the key they were queued with. Earlier keys are still
+     * accepted on NACKs until removed with remove_auth_key(), so a key can
+     * be rotated without downtime: add it to every decoder, switch the
+     * encoders over, then remove the old key everywhere.
+     *
+     * @param {number} key_id - Key ID (0-255), carried in every packet
+     * @param {Buffer|string} key - Shared secret
+     * @returns {void}
+     * @throws {Error} If the key is invalid, max_payload_size leaves no room for the authentication trailer, or protocol_version is 0
+     *
+     * @example
+     * decoder.add_auth_key(2, new_key);
+     * encoder.set_auth_key(2, new_key);
+     * // Once packets signed with key 1 have drained
+     * encoder.remove_auth_key(1);
+     * decoder.remove_auth_key(1);
+     */
+    set_auth_key(key_id, key) {
+        if (this.protocol_version === VERSION) {
+            throw new Error('protocol_version 0 has no flags byte for auth_key');
+        }
+        const max_payload_size = MAX_UDP_PAYLOAD_SIZE - this._max_overhead(true);
+        if (this.max_payload_size > max_payload_size) {
+            throw new Error(`max_payload_size must be at most ${max_payload_size} with authentication, got ${this.max_payload_size}`);
+        }
+        this._auth_keys.set(key_id, normalize_key(key_id, key));
+        this.auth_key_id = key_id;
+    }
+
+    /**
+     * Stop accepting a retired key on NACKs
+     * @param {number} key_id - Key ID to remove
+     * @returns {boolean} true if the key was known and removed
+     * @throws {Error} If key_id is the key packets are currently signed with
+     */
+    remove_auth_key(key_id) {
+        if (key_id === this.auth_key_id) {
+            throw new Error(`Cannot remove the active auth key ${key_id}`);
+        }
+        return this._auth_keys.delete(key_id);
+    }
+
+    /**
+     * Serve a NACK control packet by re-emitting the requested fragments
+     *
+     * Only fragments still present in the send history are re-sent; the
+     * rest are reported as unavailable. NACKs addressed to other sources,
+     * and packets that are not NACKs, are ignored. With authentication on,
+     * NACKs that are not signed with a known key are rejected.
+     *
+     * @param {Buffer} packet - Received NACK control packet
+     * @returns {boolean} true if the NACK was addressed to this encoder and served
+     *
+     * @fires JTPEncoder#packet - Emitted for each retransmitted fragment
+     * @fires JTPEncoder#retransmit - Emitted once the NACK has been served
+     * @fires JTPEncoder#packet:rejected - Emitted when the NACK fails authentication
+     *
+     * @example
+     * udpSocket.on('message', (packet) => {
+     *   encoder.handle_nack(packet);
+     * });
+     */
+    handle_nack(packet) {
+        const nack = decode_nack(packet);
+        if (!nack || nack.source_id !== this.source_id || this.history_size === 0) {
+            return false;
+        }
+        if (this.auth_key_id !== null) {
+            const authenticated = (packet.readUInt8(HEADER_SIZE) & FLAGS.AUTH) !== 0;
+            const { key_id, reason } = authenticated ? verify_packet(packet, this._auth_keys) : { key_id: null, reason: 'unauthenticated' };
+            if (reason) {
+                this._stats.count('nacks_rejected', nack);
+                this.emit('packet:rejected', {
+                    source_id: nack.source_id,
+                    message_type: nack.message_type,
+                    message_id: nack.message_id,
+                    key_id,
+                    reason
+                });
+                return false;
+            }
+        }
+
+        this._stats.count('nacks_received', nack);
+        const fragment_indices = [];
+        const unavailable_indices = [];
+        for (const fragment_index of nack.fragment_indices) {
+            const entry = this._history.get(this._history_key(nack.message_type, nack.message_id, fragment_index));
+            if (entry) {
+                if (this._pacer) {
+                    this._pacer.charge(nack.message_type, entry.packet.length);
+                }
+                const info = { ...entry.info, retransmission: true };
+                this._count_packet(entry.packet, info);
+                this.emit('packet', entry.packet, info);
+                fragment_indices.push(fragment_index);
+            } else {
+                unavailable_indices.push(fragment_index);
+            }
+        }
+
+        this.emit('retransmit', {
+            message_id: nack.message_id,
+            message_type: nack.message_type,
+            fragment_indices,
+            unavailable_indices
+        });
+        return true;
+    }
+
+    /**
+     * Stop emitting the packets of queued messages until resume() is called
+     *
+     * For consumers that cannot keep up, such as a stream whose readable
+     * side is full. Messages can still be queued, and NACKs are still
+     * answered.
+     *
+     * @returns {void}
+     */
+    pause() {
+        this._scheduler.pause();
+    }
+
+    /**
+     * Emit the packets of queued messages again after pause()
+     * @returns {void}
+     */
+    resume() {
+        this._scheduler.resume();
+    }
+
+    /**
+     * Get the pacing queue depth and estimated time to drain it
+     *
+     * Counts every packet of the messages being encoded that has not been
+     * emitted yet. Without a rate limit nothing is ever queued.
+     *
+     * @returns {Object} { queued_packets, queued_bytes, drain_time_ms, types }, with the same fields per message type in types; bytes include headers
+     *
+     * @example
+     * const { queued_packets, drain_time_ms } = encoder.get_pacing_status();
+     * console.log(`${queued_packets} packets queued, ${drain_time_ms}ms to drain`);
+     */
+    get_pacing_status() {
+        if (!this._pacer) {
+            return { queued_packets: 0, queued_bytes: 0, drain_time_ms: 0, types: {} };
+        }
+        return this._pacer.status();
+    }
+
+    /**
+     * Get packet and message counters
+     *
+     * Counters are kept in total and per message type. Packet and byte
+     * counts include parity fragments and retransmissions, headers
+     * included. `messages_failed` counts messages refused by validation
+     * (attributed to their type when it is in range) or that failed while
+     * being sent.
+     *
+     * @returns {Object} Counters in total, with `types` keyed by message type
+     *
+     * @example
+     * const { packets_sent, retransmitted_packets } = encoder.get_stats().types[12];
+     */
+    get_stats() {
+        return this._stats.snapshot();
+    }
+
+    /**
+     * Zero every counter returned by get_stats()
+     * @returns {void}
+     */
+    reset_stats() {
+        this._stats.reset();
+    }
+
+    /**
+     * Count a packet about to be emitted
+     * @private
+     * @param {Buffer} packet - The packet
+     * @param {Object} info - Its 'packet' event info
+     * @returns {void}
+     */
+    _count_packet(packet, info) {
+        this._stats.count('packets_sent', info);
+        this._stats.count('bytes_sent', info, packet.length);
+        if (info.parity) {
+            this._stats.count('parity_packets_sent', info);
+        }
+        if (info.retransmission) {
+            this._stats.count('retransmitted_packets', info);
+        }
+    }
+
+    /**
+     * Build the send history key for a fragment
+     * @private
+     * @param {number} message_type - Message type
+     * @param {number} message_id - Message ID
+     * @param {number} fragment_index - Fragment index
+     * @returns {number} History key
+     */
+    _history_key(message_type, message_id, fragment_index) {
+        return (message_type * 0x10000 + message_id) * 0x10000 + fragment_index;
+    }
+
+    /**
+     * Remember a sent packet for retransmission, evicting the oldest when full
+     * @private
+     * @param {Buffer} packet - Packet that was emitted
+     * @param {Object} info - Packet information emitted with it
+     * @returns {void}
+     */
+    _remember_packet(packet, info) {
+        const key = this._history_key(info.message_type, info.message_id, info.fragment_index);
+        this._history.delete(key); // Re-insert as newest if the ID wrapped around
+        this._history.set(key, { packet, info });
+        if (this._history.size > this.history_size) {
+            this._history.delete(this._history.keys().next().value);
+        }
+    }
+
     /**
      * Encode a message into JTP packets and emit them as events
      * 
      * Fragments large messages automatically and emits 'packet' events for each
      * fragment. Supports both synchronous return value and asynchronous callback
      * patterns following Node.js stream conventions.
+     * Compression and encryption run after this returns, and their failures
+     * are emitted as 'error' events like other encoding errors.
      * 
      * @param {Buffer} message_buffer - The buffer containing the message to encode
-     * @param {number} message_type - The message type (0-63, fits in 6 bits)
+     * @param {number} message_type - The message type (0-63, or 0-65535 with extended_types)
      * @param {Function} [callback] - Optional callback called when encoding completes
      * @returns {number|null} The assigned message ID, or null if validation failed
      * 
@@ -163,107 +635,487 @@ module.exports = class JTPEncoder extends EventEmitter {
      * });
      */
     encode_message(message_buffer, message_type, callback) {
-        // Validate message type fits in 6 bits (0-63)
-        if (message_type < 0 || message_type > 63) {
-            const error = new Error(`Message type must be 0-63, got ${message_type}`);
-            setImmediate(() => this.emit('error', error, { message_type }));
+        const invalid = this._validate_message(message_buffer, message_type);
+        if (invalid) {
+            this._count_invalid_message(message_type);
+            setImmediate(() => this.emit('error', invalid.error, invalid.context));
             return null;
         }
 
-        if (!Buffer.isBuffer(message_buffer)) {
-            const error = new Error("message_buffer must be a Buffer");
-            setImmediate(() => this.emit('error', error, { message_type }));
-            return null;
-        }
+        const message_id = this.message_id;
 
-        const message_length = message_buffer.length;
-        const fragment_count = Math.max(1, Math.ceil(message_length / MAX_PAYLOAD_SIZE));
+        // Packets are emitted asynchronously, as the scheduler gives the message its turns
+        this._queue_message(message_buffer, message_type, message_id, callback);
+        this.increment_message_id();
 
-        if (fragment_count > 0xFFFF) {
-            const error = new Error("Message too large to fragment within 65535 fragments");
-            setImmediate(() => this.emit('error', error, { message_type, message_length }));
-            return null;
+        return message_id;
+    }
+
+    /**
+     * Encode a message and wait for every packet to be emitted
+     *
+     * Promise-based counterpart of encode_message. Validation and encoding
+     * errors reject the promise instead of being emitted as 'error' events,
+     * so no 'error' listener is needed.
+     *
+     * @param {Buffer} message_buffer - The buffer containing the message to encode
+     * @param {number} message_type - The message type (0-63, or 0-65535 with extended_types)
+     * @returns {Promise<Object>} Resolves with the 'message:encoded' metadata
+     *
+     * @fires JTPEncoder#packet - Emitted for each packet fragment
+     * @fires JTPEncoder#message:encoded - Emitted when encoding completes
+     *
+     * @example
+     * try {
+     *   const { message_id, fragment_count } = await encoder.send(buffer, 5);
+     * } catch (error) {
+     *   console.error(`Not sent: ${error.message}`);
+     * }
+     */
+    send(message_buffer, message_type) {
+        const invalid = this._validate_message(message_buffer, message_type);
+        if (invalid) {
+            this._count_invalid_message(message_type);
+            return Promise.reject(invalid.error);
         }
 
         const message_id = this.message_id;
+        const sent = new Promise((resolve, reject) => {
+            this._queue_message(message_buffer, message_type, message_id, resolve, reject);
+        });
         this.increment_message_id();
+        return sent;
+    }
 
-        // Start encoding asynchronously
-        setImmediate(() => {
-            this._encode_message_async(message_buffer, message_type, message_id, fragment_count, callback);
-        });
+    /**
+     * Serialize a value with its schema and send it
+     *
+     * Like send(), but the message type and serializer come from the
+     * schema registered under `name`.
+     *
+     * @param {string} name - Schema name
+     * @param {*} value - Value to serialize
+     * @returns {Promise<Object>} Resolves with the 'message:encoded' metadata; rejects with a
+     *   JTPMessageError (E_UNKNOWN_SCHEMA or E_SERIALIZE) if the value cannot be serialized
+     *
+     * @example
+     * const encoder = new JTPEncoder({ source_id: 0x1234, schemas: { pose: { message_type: 1 } } });
+     * await encoder.publish('pose', { x: 1.5, y: -2, heading: 90 });
+     */
+    publish(name, value) {
+        let encoded;
+        try {
+            encoded = this.schemas.encode(name, value, { source_id: this.source_id });
+        } catch (error) {
+            this._count_invalid_message(error.message_type);
+            return Promise.reject(error);
+        }
+        return this.send(encoded.buffer, encoded.message_type);
+    }
 
-        return message_id;
+    /**
+     * Check that a message can be encoded
+     * @private
+     * @param {Buffer} message_buffer - The buffer containing the message
+     * @param {number} message_type - The message type
+     * @returns {{error: JTPMessageError, context: Object}|null} The validation error and its context, or null if valid
+     */
+    _validate_message(message_buffer, message_type) {
+        // Validate message type fits in the type field (6 bits, or 16 in extended headers)
+        if (message_type < 0 || message_type > this.max_message_type) {
+            return {
+                error: new JTPMessageError(ERROR_CODES.E_TYPE_RANGE, `Message type must be 0-${this.max_message_type}, got ${message_type}`, { source_id: this.source_id, message_type }),
+                context: { message_type }
+            };
+        }
+
+        if (!Buffer.isBuffer(message_buffer)) {
+            return {
+                error: new JTPMessageError(ERROR_CODES.E_NOT_BUFFER, "message_buffer must be a Buffer", { source_id: this.source_id, message_type }),
+                context: { message_type }
+            };
+        }
+
+        const message_length = message_buffer.length;
+        if (message_length > this.max_message_size) {
+            return {
+                error: new JTPMessageError(ERROR_CODES.E_TOO_LARGE, "Message too large to fragment within 65535 fragments", { source_id: this.source_id, message_type }),
+                context: { message_type, message_length }
+            };
+        }
+        return null;
     }
 
     /**
-     * Internal async method that performs the actual encoding
-     * 
-     * This method handles the packet generation loop, yielding control
-     * to the event loop periodically to prevent blocking on large messages.
-     * 
+     * Count a message refused by validation
+     * @private
+     * @param {*} message_type - The message type it was given
+     * @returns {void}
+     */
+    _count_invalid_message(message_type) {
+        const valid_type = Number.isInteger(message_type) && message_type >= 0 && message_type <= this.max_message_type;
+        this._stats.count('messages_failed', valid_type ? { message_type } : {});
+    }
+
+    /**
+     * Get the compression codec of a message type
+     * @private
+     * @param {number} message_type - Message type
+     * @returns {string} 'deflate', 'brotli' or 'none'
+     */
+    _compression_for(message_type) {
+        return message_type in this.compressions ? this.compressions[message_type] : this.compression;
+    }
+
+    /**
+     * Queue a validated message with the send scheduler
+     *
+     * Messages to compress or encrypt are prepared on the next turn of the
+     * event loop rather than inside encode_message() or send(), and so are
+     * messages queued behind them with the same type, to keep their order.
+     *
      * @private
      * @param {Buffer} message_buffer - The message to encode
      * @param {number} message_type - The message type
      * @param {number} message_id - The assigned message ID
-     * @param {number} fragment_count - Total number of fragments
      * @param {Function} [callback] - Optional completion callback
-     * @returns {Promise<void>} Promise that resolves when encoding completes
+     * @param {Function} [on_error] - Called with encoding errors instead of emitting 'error'
+     * @returns {void}
+     */
+    _queue_message(message_buffer, message_type, message_id, callback, on_error) {
+        const message = {
+            message_buffer,
+            message_type,
+            message_id,
+            codec: message_buffer.length >= this.compression_min_size ? this._compression_for(message_type) : 'none',
+            auth: this.auth_key_id === null ? null : { key_id: this.auth_key_id, key: this._auth_keys.get(this.auth_key_id) },
+            epoch: this._encryption_epoch,
+            callback,
+            fail: (error) => {
+                this._stats.count('messages_failed', { message_type });
+                if (on_error) {
+                    on_error(error);
+                } else {
+                    this.emit('error', error, { message_id, message_type });
+                }
+            }
+        };
+        if (message.codec === 'none' && !this._encryption_key && !this._preparing.has(message_type)) {
+            this._schedule_message(message);
+            return;
+        }
+
+        this._preparing.set(message_type, (this._preparing.get(message_type) || 0) + 1);
+        setImmediate(() => {
+            const preparing = this._preparing.get(message_type) - 1;
+            if (preparing === 0) {
+                this._preparing.delete(message_type);
+            } else {
+                this._preparing.set(message_type, preparing);
+            }
+            this._schedule_message(message);
+        });
+    }
+
+    /**
+     * Compress and encrypt a message as configured and push it to the send scheduler
+     * @private
+     * @param {Object} message - Message from _queue_message()
+     * @returns {void}
      */
-    async _encode_message_async(message_buffer, message_type, message_id, fragment_count, callback) {
+    _schedule_message({ message_buffer, message_type, message_id, codec, auth, epoch, callback, fail }) {
+        let compressed;
+        let body;
         try {
-            const message_length = message_buffer.length;
-            
-            for (let fragment_index = 0; fragment_index < fragment_count; fragment_index++) {
-                const frag_start = fragment_index * MAX_PAYLOAD_SIZE;
-                const frag_end = Math.min(frag_start + MAX_PAYLOAD_SIZE, message_length);
-                const frag_payload_length = frag_end - frag_start;
-                const header_length = 12;
-                const packet_buffer = this._get_buffer(header_length + frag_payload_length);
-
-                // Header fields
-                const version_and_type = (VERSION << 6) | (message_type & 0x3F);
-                packet_buffer.writeUInt8(MAGIC_BYTE, 0); // Magic byte "J"
-                packet_buffer.writeUInt8(version_and_type, 1); // Version + Message type
-                packet_buffer.writeUInt16LE(message_id, 2); // Message ID
-                packet_buffer.writeUInt16LE(fragment_index, 4); // Fragment Index
-                packet_buffer.writeUInt16LE(fragment_count, 6); // Fragment Count
-                packet_buffer.writeUInt32LE(this.source_id, 8); // Source ID
-
-                // Copy fragment payload
-                message_buffer.copy(packet_buffer, header_length, frag_start, frag_end);
-
-                // Emit packet event
-                this.emit('packet', packet_buffer, {
+            compressed = codec === 'none' ? null : compress_message(message_buffer, codec);
+            body = this._encryption_key ? encrypt_message(compressed || message_buffer, this._encryption_key, {
+                source_id: this.source_id,
+                message_type,
+                message_id,
+                epoch
+            }) : compressed || message_buffer;
+        } catch (error) {
+            fail(error);
+            return;
+        }
+        const compressed_bytes = compressed ? compressed.length : message_buffer.length;
+        const trailer_length = auth ? AUTH_TRAILER_SIZE : 0;
+        const fragment_count = Math.max(1, Math.ceil(body.length / this.max_payload_size));
+        const data_flags = (this.checksum ? FLAGS.CHECKSUM : 0) |
+            (auth ? FLAGS.AUTH : 0) |
+            (this._encryption_key ? FLAGS.ENCRYPTED : 0) |
+            (compressed ? FLAGS.COMPRESSED : 0) |
+            (this._extensions ? FLAGS.EXTENSIONS : 0);
+        const totals = this._pacer ? this._packet_totals(
+            body.length,
+            fragment_count,
+            this._header_length(data_flags) + trailer_length,
+            this._header_length(data_flags | FLAGS.PARITY) + trailer_length
+        ) : null;
+
+        this._scheduler.push(message_type, {
+            packets: this._message_packets(body, message_type, message_id, fragment_count, data_flags, auth),
+            totals,
+            on_done: (parity_count) => {
+                const completion_metadata = {
                     message_id,
                     message_type,
-                    fragment_index,
                     fragment_count,
-                    fragment_size: frag_payload_length
-                });
+                    parity_count,
+                    total_bytes: message_buffer.length,
+                    compressed_bytes
+                };
 
-                // Yield control to event loop every 10 fragments or if large fragment count
-                if (fragment_index % 10 === 9 || fragment_count > 100) {
-                    await new Promise(resolve => setImmediate(resolve));
+                this._stats.count('messages_sent', { message_type });
+                this.emit('message:encoded', completion_metadata);
+
+                if (callback) {
+                    callback(completion_metadata);
                 }
+            },
+            on_error: fail
+        });
+    }
+
+    /**
+     * Build a message's packets in send order
+     *
+     * Data fragments in order, each FEC group followed by its parity
+     * fragments. Packets are built one at a time as the scheduler asks for
+     * them, so a large message is never copied into packets all at once.
+     *
+     * @private
+     * @param {Buffer} message_buffer - The message to encode
+     * @param {number} message_type - The message type
+     * @param {number} message_id - The assigned message ID
+     * @param {number} fragment_count - Total number of fragments
+     * @param {number} data_flags - Header flags of the data fragments
+     * @param {{key_id: number, key: Buffer}|null} auth - Key to sign the packets with, or null
+     * @yields {{packet: Buffer, info: Object}} Packet and its 'packet' event info
+     * @returns {number} Number of parity fragments built
+     */
+    *_message_packets(message_buffer, message_type, message_id, fragment_count, data_flags, auth) {
+        const message_length = message_buffer.length;
+        const checksum = data_flags & FLAGS.CHECKSUM ? crc32(message_buffer) : null;
+        const header_length = this._header_length(data_flags);
+        const trailer_length = auth ? AUTH_TRAILER_SIZE : 0;
+        const payload_size = this.max_payload_size;
+        const group_size = this.fec_group_size;
+        const parity_count = this.fec_parity_count;
+        let parity = null; // Parity classes of the current FEC group
+        let parity_emitted = 0;
+
+        for (let fragment_index = 0; fragment_index < fragment_count; fragment_index++) {
+            const frag_start = fragment_index * payload_size;
+            const frag_end = Math.min(frag_start + payload_size, message_length);
+            const frag_payload_length = frag_end - frag_start;
+            const packet_buffer = this._get_buffer(header_length + frag_payload_length + trailer_length);
+
+            this._write_header(packet_buffer, data_flags, message_type, message_id, fragment_index, fragment_count, checksum);
+
+            // Copy fragment payload
+            message_buffer.copy(packet_buffer, header_length, frag_start, frag_end);
+            if (auth) {
+                sign_packet(packet_buffer, auth.key_id, auth.key);
             }
 
-            // Emit completion event
-            const completion_metadata = {
+            const info = {
                 message_id,
                 message_type,
+                fragment_index,
                 fragment_count,
-                total_bytes: message_length
+                fragment_size: frag_payload_length
             };
+            if (this.history_size > 0) {
+                this._remember_packet(packet_buffer, info);
+            }
+
+            yield { packet: packet_buffer, info };
+
+            // Fold the fragment into its parity class, and send parity once the group is done
+            if (group_size > 0) {
+                const position = fragment_index % group_size;
+                if (position === 0) {
+                    parity = [];
+                    for (let j = 0; j < parity_count; j++) {
+                        parity.push({ payload: Buffer.alloc(payload_size), size: 0, length_xor: 0 });
+                    }
+                }
+                const parity_class = parity[position % parity_count];
+                xor_into(parity_class.payload, message_buffer.subarray(frag_start, frag_end));
+                parity_class.size = Math.max(parity_class.size, frag_payload_length);
+                parity_class.length_xor ^= frag_payload_length;
 
-            this.emit('message:encoded', completion_metadata);
-            
-            if (callback) {
-                callback(completion_metadata);
+                if (position === group_size - 1 || fragment_index === fragment_count - 1) {
+                    const group = Math.floor(fragment_index / group_size);
+                    const classes = parity.slice(0, Math.min(parity_count, position + 1));
+                    for (let j = 0; j < classes.length; j++) {
+                        yield this._build_parity(classes[j], message_type, message_id, group * parity_count + j, fragment_count, checksum, data_flags, auth);
+                    }
+                    parity_emitted += classes.length;
+                }
             }
+        }
+        return parity_emitted;
+    }
 
-        } catch (error) {
-            this.emit('error', error, { message_id, message_type });
+    /**
+     * Count the packets and bytes a message will be sent as
+     * @private
+     * @param {number} message_length - Message size in bytes
+     * @param {number} fragment_count - Data fragment count
+     * @param {number} header_length - Data fragment header and trailer length
+     * @param {number} parity_header_length - Parity fragment header and trailer length
+     * @returns {{packets: number, bytes: number}} Packet count and total bytes, headers included
+     */
+    _packet_totals(message_length, fragment_count, header_length, parity_header_length) {
+        const totals = { packets: fragment_count, bytes: message_length + fragment_count * header_length };
+        const group_size = this.fec_group_size;
+        if (group_size === 0) {
+            return totals;
+        }
+
+        // Every group but the last is full; a parity fragment is as long as its longest data fragment
+        const parity_count = this.fec_parity_count;
+        const payload_size = this.max_payload_size;
+        const full_groups = Math.ceil(fragment_count / group_size) - 1;
+        const last_group_size = fragment_count - full_groups * group_size;
+        const last_size = message_length - (fragment_count - 1) * payload_size;
+        const last_classes = Math.min(parity_count, last_group_size);
+        totals.packets += full_groups * parity_count + last_classes;
+        totals.bytes += (full_groups * parity_count + last_classes) * parity_header_length +
+            full_groups * parity_count * payload_size +
+            (last_classes - 1) * payload_size +
+            (last_group_size > parity_count ? payload_size : last_size);
+        return totals;
+    }
+
+    /**
+     * Get the most bytes a packet from this encoder spends outside its payload
+     * @private
+     * @param {boolean} auth - Whether packets carry an authentication trailer
+     * @returns {number} Largest header plus extension area and trailer, in bytes
+     */
+    _max_overhead(auth) {
+        return max_packet_overhead({
+            extended_types: this.extended_types,
+            extensions_size: this._extensions ? this._extensions.length : 0,
+            auth
+        });
+    }
+
+    /**
+     * Get the header version for a set of header flags
+     * @private
+     * @param {number} flags - Header flags
+     * @returns {number} protocol_version if set, otherwise VERSION without flags and FLAGS_VERSION with
+     */
+    _header_version(flags) {
+        if (this.protocol_version !== null) {
+            return this.protocol_version;
+        }
+        return flags === 0 ? VERSION : FLAGS_VERSION;
+    }
+
+    /**
+     * Get the header length for a set of header flags
+     * @private
+     * @param {number} flags - Header flags
+     * @returns {number} Header length in bytes
+     */
+    _header_length(flags) {
+        const version = this._header_version(flags);
+        if (version === VERSION) {
+            return HEADER_SIZE;
+        }
+        return (version === EXTENDED_VERSION ? EXTENDED_HEADER_SIZE : FLAGS_HEADER_SIZE) +
+            (flags & FLAGS.CHECKSUM ? CHECKSUM_SIZE : 0) +
+            (flags & FLAGS.PARITY ? FEC_FIELD_SIZE : 0) +
+            (flags & FLAGS.EXTENSIONS ? this._extensions.length : 0);
+    }
+
+    /**
+     * Write a packet header
+     *
+     * Packets without flags use the version 0 header; any flag selects the
+     * version 1 header with its flags byte and optional fields. With
+     * protocol_version set every packet uses that version; version 2 adds a
+     * 16-bit message type after the flags byte. The extension area is
+     * written here too, leaving room for the FEC field before it.
+     *
+     * @private
+     * @param {Buffer} packet_buffer - Packet to write into
+     * @param {number} flags - Header flags
+     * @param {number} message_type - Message type
+     * @param {number} message_id - Message ID
+     * @param {number} fragment_index - Fragment (or parity) index
+     * @param {number} fragment_count - Data fragment count
+     * @param {number|null} checksum - Message CRC32, written when FLAGS.CHECKSUM is set
+     * @returns {number} Offset of the first byte after the checksum field
+     */
+    _write_header(packet_buffer, flags, message_type, message_id, fragment_index, fragment_count, checksum) {
+        const version = this._header_version(flags);
+        const version_and_type = version === EXTENDED_VERSION ? version << 6 : (version << 6) | (message_type & 0x3F);
+        packet_buffer.writeUInt8(MAGIC_BYTE, 0); // Magic byte "J"
+        packet_buffer.writeUInt8(version_and_type, 1); // Version + Message type
+        packet_buffer.writeUInt16LE(message_id, 2); // Message ID
+        packet_buffer.writeUInt16LE(fragment_index, 4); // Fragment Index
+        packet_buffer.writeUInt16LE(fragment_count, 6); // Fragment Count
+        packet_buffer.writeUInt32LE(this.source_id, 8); // Source ID
+
+        if (version === VERSION) {
+            return HEADER_SIZE;
         }
+        let offset = packet_buffer.writeUInt8(flags, HEADER_SIZE); // Flags
+        if (version === EXTENDED_VERSION) {
+            offset = packet_buffer.writeUInt16LE(message_type, offset); // Message type
+        }
+        if (flags & FLAGS.CHECKSUM) {
+            offset = packet_buffer.writeUInt32LE(checksum, offset); // Message CRC32
+        }
+        if (flags & FLAGS.EXTENSIONS) {
+            this._extensions.copy(packet_buffer, this._header_length(flags) - this._extensions.length); // Extension area
+        }
+        return offset;
+    }
+
+    /**
+     * Build one FEC parity fragment
+     * @private
+     * @param {Object} parity_class - Accumulated parity ({ payload, size, length_xor })
+     * @param {number} message_type - Message type
+     * @param {number} message_id - Message ID
+     * @param {number} parity_index - Parity fragment index
+     * @param {number} fragment_count - Data fragment count
+     * @param {number|null} checksum - Message CRC32, or null
+     * @param {number} data_flags - Header flags of the message's data fragments
+     * @param {{key_id: number, key: Buffer}|null} auth - Key to sign the packet with, or null
+     * @returns {{packet: Buffer, info: Object}} Packet and its 'packet' event info
+     */
+    _build_parity(parity_class, message_type, message_id, parity_index, fragment_count, checksum, data_flags, auth) {
+        const flags = data_flags | FLAGS.PARITY;
+        const header_length = this._header_length(flags);
+        const packet_buffer = this._get_buffer(header_length + parity_class.size + (auth ? AUTH_TRAILER_SIZE : 0));
+
+        let offset = this._write_header(packet_buffer, flags, message_type, message_id, parity_index, fragment_count, checksum);
+        offset = packet_buffer.writeUInt8(this.fec_group_size, offset); // FEC group size
+        offset = packet_buffer.writeUInt8(this.fec_parity_count, offset); // Parity fragments per group
+        packet_buffer.writeUInt16LE(parity_class.length_xor, offset); // XOR of covered fragment lengths
+        parity_class.payload.copy(packet_buffer, header_length, 0, parity_class.size);
+        if (auth) {
+            sign_packet(packet_buffer, auth.key_id, auth.key);
+        }
+
+        return {
+            packet: packet_buffer,
+            info: {
+                message_id,
+                message_type,
+                fragment_index: parity_index,
+                fragment_count,
+                fragment_size: parity_class.size,
+                parity: true
+            }
+        };
     }
 };
@@ -0,0 +1,440 @@
+/**
+ * @fileoverview JTP (Janky Transfer Protocol) UDP socket transport
+ * @author JTP Library
+ * @version 1.0.0
+ */
+
+/**
+ * JTPSocket - UDP transport wrapping a JTPEncoder and JTPDecoder
+ *
+ * Owns a dgram socket and wires encoder packets into socket sends and
+ * received datagrams into the decoder, so applications only deal with
+ * whole messages. Handles binding, broadcast setup, destination lists,
+ * socket errors and shutdown. When NACK repair is enabled, NACKs from
+ * the decoder are sent back to the sender's address and NACKs received
+ * from peers are served by the encoder. With a shared `auth_key`, packets
+ * are signed on the way out and checked on the way in; with a shared
+ * `encryption_key`, messages are encrypted end to end.
+ *
+ * @class JTPSocket
+ * @extends EventEmitter
+ * @example
+ * const socket = new JTPSocket({
+ *   source_id: 0x1234,
+ *   bind_port: 5000,
+ *   destinations: ['192.168.1.20:5000', { host: '192.168.1.21', port: 5000 }]
+ * });
+ *
+ * socket.on('message', (buffer, messageType, metadata) => {
+ *   console.log(`Type ${messageType} from ${metadata.remote.address}`);
+ * });
+ *
+ * socket.bind(() => {
+ *   socket.send(Buffer.from('Hello, fleet!'), 5);
+ * });
+ */
+
+const dgram = require('dgram');
+const { EventEmitter } = require('events');
+const JTPEncoder = require('./Encoder');
+const JTPDecoder = require('./Decoder');
+const { is_nack } = require('./nack');
+const { ERROR_CODES } = require('./errors');
+
+/**
+ * Decoder error codes after which a message is no longer in flight
+ * @private
+ * @type {Set<string>}
+ */
+const MESSAGE_ENDING_ERRORS = new Set([ERROR_CODES.E_FRAGMENT_COUNT, ERROR_CODES.E_REASSEMBLY, ERROR_CODES.E_DECOMPRESSION, ERROR_CODES.E_TOO_LARGE]);
+
+module.exports = class JTPSocket extends EventEmitter {
+    /**
+     * Message event - emitted when a complete message is received
+     * @event JTPSocket#message
+     * @param {Buffer} message_buffer - The complete reassembled message
+     * @param {number} message_type - Message type
+     * @param {Object} metadata - Decoder message metadata
+     * @param {Object} metadata.remote - Address info of the last data fragment of the message accepted by the decoder
+     * @param {string} metadata.remote.address - Sender IP address
+     * @param {number} metadata.remote.port - Sender UDP port
+     */
+
+    /**
+     * Listening event - emitted once the underlying socket is bound
+     * @event JTPSocket#listening
+     * @param {Object} address - Bound address info ({ address, family, port })
+     */
+
+    /**
+     * Decode error event - emitted when a received packet fails validation
+     *
+     * Kept separate from 'error' so that malformed traffic on the network
+     * cannot crash an application that only handles socket errors.
+     *
+     * @event JTPSocket#decode:error
+     * @param {Error} error - The decoder error
+     * @param {Object} remote - Address info of the offending packet
+     */
+
+    /**
+     * Packet rejected event - emitted when a received packet or NACK fails
+     * authentication or is a replay
+     * @event JTPSocket#packet:rejected
+     * @param {Object} info - Rejection information from the decoder or encoder
+     * @param {Object} remote - Address info of the offending packet
+     */
+
+    /**
+     * Error event - emitted on socket, send or encoding errors
+     * @event JTPSocket#error
+     * @param {Error} error - The error that occurred
+     */
+
+    /**
+     * Close event - emitted once the socket has been closed
+     * @event JTPSocket#close
+     */
+
+    /**
+     * Create a new JTP socket
+     * @param {Object} options - Configuration options
+     * @param {number} options.source_id - 32-bit source identifier for outgoing messages
+     * @param {number|number[]|Set<number>|Function|null} [options.listen_source_id] - Source filter for received messages, as accepted by JTPDecoder (defaults to source_id)
+     * @param {number[]} [options.message_types] - Optional array of message types to accept (0-65535)
+     * @param {string} [options.bind_address] - Local address to bind (default: all interfaces)
+     * @param {number} [options.bind_port=0] - Local UDP port to bind (0 for an ephemeral port)
+     * @param {Array<string|Object>} [options.destinations=[]] - Destinations as 'host:port' strings or { host, port } objects
+     * @param {boolean} [options.broadcast=false] - Enable SO_BROADCAST for broadcast destinations
+     * @param {string} [options.type='udp4'] - Socket type ('udp4' or 'udp6')
+     * @param {boolean} [options.reuse_address=false] - Allow several sockets to bind the same port
+     * @param {number} [options.max_payload_size=1200] - Fragment payload size for sending and largest accepted when receiving
+     * @param {number} [options.history_size=0] - Sent packets kept to answer NACKs (see JTPEncoder)
+     * @param {number} [options.nack_interval=0] - NACK missing fragments after this many idle milliseconds (see JTPDecoder)
+     * @param {number} [options.nack_retries=3] - Maximum NACK rounds per message (see JTPDecoder)
+     * @param {Buffer|string|null} [options.auth_key=null] - Shared key to sign and check packets with (null disables authentication)
+     * @param {number} [options.auth_key_id=0] - ID of auth_key (0-255)
+     * @param {Buffer|null} [options.encryption_key=null] - 32-byte AES-256-GCM key to encrypt sent and decrypt received messages with
+     * @param {Object} [options.encoder_options={}] - Further JTPEncoder options (e.g. checksum, fec_group_size, extended_types)
+     * @param {Object} [options.decoder_options={}] - Further JTPDecoder options
+     */
+    constructor({
+        source_id,
+        listen_source_id = source_id,
+        message_types = null,
+        bind_address,
+        bind_port = 0,
+        destinations = [],
+        broadcast = false,
+        type = 'udp4',
+        reuse_address = false,
+        max_payload_size = JTPEncoder.MAX_PAYLOAD_SIZE,
+        history_size = 0,
+        nack_interval = 0,
+        nack_retries = 3,
+        auth_key = null,
+        auth_key_id = 0,
+        encryption_key = null,
+        encoder_options = {},
+        decoder_options = {}
+    }) {
+        super();
+        this.bind_address = bind_address;
+        this.bind_port = bind_port;
+        this.broadcast = broadcast;
+        this.destinations = [];
+        this.closed = false;
+
+        this.encoder = new JTPEncoder({ ...encoder_options, source_id, max_payload_size, history_size, auth_key, auth_key_id, encryption_key });
+        this.decoder = new JTPDecoder({
+            ...decoder_options,
+            auth_keys: auth_key === null ? decoder_options.auth_keys : { ...decoder_options.auth_keys, [auth_key_id]: auth_key },
+            source_id: listen_source_id,
+            message_types,
+            max_payload_size,
+            nack_interval,
+            nack_retries,
+            encryption_key
+        });
+        this._remotes = new Map(); // Map of 'source_id:message_type:message_id' -> rinfo of its latest accepted fragment
+        this._current_remote = null; // Sender of the datagram being decoded, or null between datagrams
+
+        this._socket = dgram.createSocket({ type, reuseAddr: reuse_address });
+        this._socket.on('listening', () => this._on_listening());
+        this._socket.on('message', (packet, rinfo) => this._on_datagram(packet, rinfo));
+        this._socket.on('error', (error) => this.emit('error', error));
+        this._socket.on('close', () => this.emit('close'));
+
+        this.encoder.on('packet', (packet) => this._send_packet(packet));
+        this.encoder.on('error', (error) => this.emit('error', error));
+        this.encoder.on('packet:rejected', (info) => this.emit('packet:rejected', info, this._current_remote));
+        this.decoder.on('message', (buffer, message_type, metadata) => {
+            const remote = this._remotes.get(this._remote_key({ ...metadata, message_type }));
+            this.emit('message', buffer, message_type, { ...metadata, remote });
+        });
+        // Only fragments the decoder accepted (authenticated, from a listened-to source) may
+        // redirect NACKs, and each entry lives as long as its message is in flight
+        this.decoder.on('fragment:received', (info) => this._remotes.set(this._remote_key(info), this._current_remote));
+        for (const event of ['message:complete', 'message:incomplete', 'message:corrupt', 'message:decrypt_failed', 'message:abort']) {
+            this.decoder.on(event, (info) => this._remotes.delete(this._remote_key(info)));
+        }
+        this.decoder.on('error', (error) => {
+            if (MESSAGE_ENDING_ERRORS.has(error.code)) {
+                this._remotes.delete(this._remote_key(error));
+            }
+            this.emit('decode:error', error, this._current_remote);
+        });
+        this.decoder.on('nack', (packet, info) => this._send_nack(packet, info));
+        this.decoder.on('packet:rejected', (info) => this.emit('packet:rejected', info, this._current_remote));
+
+        destinations.forEach(destination => this.add_destination(destination));
+    }
+
+    /**
+     * Bind the underlying socket to the configured address and port
+     *
+     * Binding is required to receive messages. Sending without binding
+     * first lets the operating system pick an ephemeral port.
+     *
+     * @param {Function} [callback] - Called once the socket is listening
+     * @returns {JTPSocket} This socket, for chaining
+     * @fires JTPSocket#listening
+     */
+    bind(callback) {
+        if (callback) {
+            this.once('listening', () => callback());
+        }
+        this._socket.bind({ port: this.bind_port, address: this.bind_address });
+        return this;
+    }
+
+    /**
+     * Get the bound address of the underlying socket
+     * @returns {Object} Address info ({ address, family, port })
+     * @throws {Error} If the socket is not bound
+     */
+    address() {
+        return this._socket.address();
+    }
+
+    /**
+     * Add a destination that every outgoing packet is sent to
+     * @param {string|Object} host - 'host:port' string, { host, port } object, or host name
+     * @param {number} [port] - UDP port when host is given as a plain string
+     * @returns {void}
+     * @throws {Error} If the destination cannot be parsed
+     */
+    add_destination(host, port) {
+        const destination = this._parse_destination(host, port);
+        const exists = this.destinations.some(d => d.host === destination.host && d.port === destination.port);
+        if (!exists) {
+            this.destinations.push(destination);
+        }
+    }
+
+    /**
+     * Remove a previously added destination
+     * @param {string|Object} host - 'host:port' string, { host, port } object, or host name
+     * @param {number} [port] - UDP port when host is given as a plain string
+     * @returns {boolean} true if the destination was removed
+     */
+    remove_destination(host, port) {
+        const destination = this._parse_destination(host, port);
+        const index = this.destinations.findIndex(d => d.host === destination.host && d.port === destination.port);
+        if (index === -1) {
+            return false;
+        }
+        this.destinations.splice(index, 1);
+        return true;
+    }
+
+    /**
+     * Encode a message and send its packets to every destination
+     * @param {Buffer} message_buffer - The buffer containing the message to send
+     * @param {number} message_type - The message type (0-63, or 0-65535 with extended_types)
+     * @param {Function} [callback] - Optional callback called when all packets are queued
+     * @returns {number|null} The assigned message ID, or null if the message was rejected
+     * @fires JTPSocket#error
+     */
+    send(message_buffer, message_type, callback) {
+        if (this.closed) {
+            const error = new Error('Socket is closed');
+            setImmediate(() => this.emit('error', error));
+            return null;
+        }
+        return this.encoder.encode_message(message_buffer, message_type, callback);
+    }
+
+    /**
+     * Switch to a new authentication key
+     *
+     * Received packets signed with the new key are accepted from now on,
+     * and outgoing packets are signed with it. Older keys stay accepted
+     * until removed, so rotate every peer first and then retire the old
+     * key with remove_auth_key().
+     *
+     * @param {number} key_id - Key ID (0-255)
+     * @param {Buffer|string} key - Shared secret
+     * @returns {void}
+     * @throws {Error} If the key is invalid
+     */
+    rotate_auth_key(key_id, key) {
+        this.decoder.add_auth_key(key_id, key);
+        this.encoder.set_auth_key(key_id, key);
+    }
+
+    /**
+     * Stop accepting a retired authentication key
+     * @param {number} key_id - Key ID to remove
+     * @returns {void}
+     * @throws {Error} If key_id is the key outgoing packets are signed with
+     */
+    remove_auth_key(key_id) {
+        this.encoder.remove_auth_key(key_id);
+        this.decoder.remove_auth_key(key_id);
+    }
+
+    /**
+     * Drop partially received messages, like JTPDecoder#reset_message_state()
+     *
+     * Use this rather than `socket.decoder.reset_message_state()`, which
+     * would leave the senders of the dropped messages recorded.
+     *
+     * @param {number} [message_type] - Specific message type to reset, or null for all
+     * @param {number} [source_id] - Specific source to reset, or null for all sources
+     * @returns {void}
+     */
+    reset_message_state(message_type = null, source_id = null) {
+        this.decoder.reset_message_state(message_type, source_id);
+        for (const key of this._remotes.keys()) {
+            const [key_source_id, key_message_type] = key.split(':').map(Number);
+            if ((message_type === null || key_message_type === message_type) && (source_id === null || key_source_id === source_id)) {
+                this._remotes.delete(key);
+            }
+        }
+    }
+
+    /**
+     * Close the socket and drop any partially received messages
+     * @param {Function} [callback] - Called once the socket is closed
+     * @returns {void}
+     * @fires JTPSocket#close
+     */
+    close(callback) {
+        if (this.closed) {
+            if (callback) {
+                setImmediate(callback);
+            }
+            return;
+        }
+        this.closed = true;
+        if (callback) {
+            this.once('close', () => callback());
+        }
+        this.decoder.close();
+        this._remotes.clear();
+        this._socket.close();
+    }
+
+    /**
+     * Apply socket options that require a bound socket
+     * @private
+     * @returns {void}
+     */
+    _on_listening() {
+        if (this.broadcast) {
+            this._socket.setBroadcast(true);
+        }
+        this.emit('listening', this._socket.address());
+    }
+
+    /**
+     * Feed a received datagram into the decoder
+     * @private
+     * @param {Buffer} packet - Received datagram
+     * @param {Object} rinfo - Remote address info from dgram
+     * @returns {void}
+     */
+    _on_datagram(packet, rinfo) {
+        this._current_remote = { address: rinfo.address, port: rinfo.port };
+        if (is_nack(packet)) {
+            this.encoder.handle_nack(packet);
+            this._current_remote = null;
+            return;
+        }
+
+        this.decoder.decode_packet(packet);
+        this._current_remote = null;
+    }
+
+    /**
+     * Send an encoded packet to every destination
+     * @private
+     * @param {Buffer} packet - JTP packet emitted by the encoder
+     * @returns {void}
+     */
+    _send_packet(packet) {
+        if (this.closed) {
+            return;
+        }
+        for (const { host, port } of this.destinations) {
+            this._socket.send(packet, port, host, (error) => {
+                if (error) {
+                    this.emit('error', error);
+                }
+            });
+        }
+    }
+
+    /**
+     * Send a decoder NACK back to the address the message came from
+     * @private
+     * @param {Buffer} packet - NACK control packet
+     * @param {Object} info - NACK information from the decoder
+     * @returns {void}
+     */
+    _send_nack(packet, info) {
+        const remote = this._remotes.get(this._remote_key(info));
+        if (this.closed || !remote) {
+            return;
+        }
+        this._socket.send(packet, remote.port, remote.address, (error) => {
+            if (error) {
+                this.emit('error', error);
+            }
+        });
+    }
+
+    /**
+     * Key of a message in the remote address map
+     * @private
+     * @param {Object} fields - Event information or error with source_id, message_type and message_id
+     * @returns {string} 'source_id:message_type:message_id'
+     */
+    _remote_key({ source_id, message_type, message_id }) {
+        return `${source_id}:${message_type}:${message_id}`;
+    }
+
+    /**
+     * Normalize a destination argument into { host, port }
+     * @private
+     * @param {string|Object} host - 'host:port' string, { host, port } object, or host name
+     * @param {number} [port] - UDP port when host is given as a plain string
+     * @returns {{host: string, port: number}} Parsed destination
+     * @throws {Error} If the destination cannot be parsed
+     */
+    _parse_destination(host, port) {
+        if (host && typeof host === 'object') {
+            ({ host, port } = host);
+        } else if (typeof host === 'string' && port === undefined) {
+            const separator = host.lastIndexOf(':');
+            port = Number(host.slice(separator + 1));
+            host = host.slice(0, separator).replace(/^\[(.*)\]$/, '$1'); // Strip IPv6 brackets
+        }
+
+        if (typeof host !== 'string' || !host || !Number.isInteger(port) || port < 1 || port > 0xFFFF) {
+            throw new Error(`Invalid destination: ${JSON.stringify({ host, port })}`);
+        }
+        return { host, port };
+    }
+};
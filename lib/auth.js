@@ -0,0 +1,137 @@
+/**
+ * @fileoverview JTP (Janky Transfer Protocol) packet authentication
+ * @author JTP Library
+ * @version 1.0.0
+ */
+
+/**
+ * Shared-key packet authentication.
+ *
+ * An authenticated packet sets FLAGS.AUTH and ends with a trailer: the
+ * 1-byte ID of the key it was signed with, then the first AUTH_TAG_SIZE
+ * bytes of an HMAC-SHA256 over everything before the tag (header, payload
+ * and key ID). Key IDs let senders switch to a new key while receivers
+ * still accept the old one.
+ *
+ * A ReplayWindow remembers which packets of recent message IDs have been
+ * seen, so a captured packet cannot be played back into a decoder.
+ */
+
+const crypto = require('crypto');
+const { AUTH_TAG_SIZE } = require('./constants');
+
+/**
+ * Check and copy an authentication key
+ * @param {number} key_id - Key ID (0-255)
+ * @param {Buffer|string} key - Shared secret
+ * @returns {Buffer} The key as a Buffer
+ * @throws {Error} If the key ID is out of range or the key is empty
+ */
+function normalize_key(key_id, key) {
+    if (!Number.isInteger(key_id) || key_id < 0 || key_id > 0xFF) {
+        throw new Error(`Auth key ID must be 0-255, got ${key_id}`);
+    }
+    const buffer = Buffer.isBuffer(key) ? Buffer.from(key) : typeof key === 'string' ? Buffer.from(key, 'utf8') : null;
+    if (!buffer || buffer.length === 0) {
+        throw new Error(`Auth key ${key_id} must be a non-empty Buffer or string`);
+    }
+    return buffer;
+}
+
+/**
+ * Sign a packet whose last AUTH_TRAILER_SIZE bytes are reserved for the trailer
+ * @param {Buffer} packet - Packet to sign, trailer space included
+ * @param {number} key_id - Key ID (0-255)
+ * @param {Buffer} key - Shared secret
+ * @returns {void}
+ */
+function sign_packet(packet, key_id, key) {
+    const tag_offset = packet.length - AUTH_TAG_SIZE;
+    packet.writeUInt8(key_id, tag_offset - 1);
+    crypto.createHmac('sha256', key)
+        .update(packet.subarray(0, tag_offset))
+        .digest()
+        .copy(packet, tag_offset, 0, AUTH_TAG_SIZE);
+}
+
+/**
+ * Check the trailer of an authenticated packet
+ * @param {Buffer} packet - Packet with an authentication trailer
+ * @param {Map<number, Buffer>} keys - Accepted keys by ID
+ * @returns {{key_id: number, reason: string|null}} The trailer's key ID, and null or 'unknown_key' / 'bad_tag'
+ */
+function verify_packet(packet, keys) {
+    const tag_offset = packet.length - AUTH_TAG_SIZE;
+    const key_id = packet.readUInt8(tag_offset - 1);
+    const key = keys.get(key_id);
+    if (!key) {
+        return { key_id, reason: 'unknown_key' };
+    }
+    const expected = crypto.createHmac('sha256', key)
+        .update(packet.subarray(0, tag_offset))
+        .digest()
+        .subarray(0, AUTH_TAG_SIZE);
+    const valid = crypto.timingSafeEqual(expected, packet.subarray(tag_offset));
+    return { key_id, reason: valid ? null : 'bad_tag' };
+}
+
+/**
+ * Sliding replay window over 16-bit message IDs
+ *
+ * Accepts each (message ID, fragment) pair once, and rejects message IDs
+ * `size` or more behind the newest one seen. Message IDs wrap around, so
+ * an ID up to 32767 ahead of the newest counts as newer.
+ */
+class ReplayWindow {
+    /**
+     * Create a new replay window
+     * @param {number} size - Message IDs tracked behind the newest one
+     */
+    constructor(size) {
+        this.size = size;
+        this.newest = null;
+        this._seen = new Map(); // Map of message_id -> Set of fragment keys
+    }
+
+    /**
+     * Record a packet, unless it is a replay
+     * @param {number} message_id - Message ID
+     * @param {number} fragment_key - Fragment index, offset by 0x10000 for parity fragments
+     * @returns {boolean} true if the packet is new, false if it is a replay or too old
+     */
+    accept(message_id, fragment_key) {
+        if (this.newest === null) {
+            this.newest = message_id;
+        }
+        const behind = (this.newest - message_id) & 0xFFFF;
+        if (behind >= this.size && behind < 0x8000) {
+            return false;
+        }
+        if (behind >= 0x8000) {
+            this.newest = message_id;
+            for (const seen_id of this._seen.keys()) {
+                if (((message_id - seen_id) & 0xFFFF) >= this.size) {
+                    this._seen.delete(seen_id);
+                }
+            }
+        }
+
+        let seen = this._seen.get(message_id);
+        if (!seen) {
+            seen = new Set();
+            this._seen.set(message_id, seen);
+        }
+        if (seen.has(fragment_key)) {
+            return false;
+        }
+        seen.add(fragment_key);
+        return true;
+    }
+}
+
+module.exports = {
+    normalize_key,
+    sign_packet,
+    verify_packet,
+    ReplayWindow
+};
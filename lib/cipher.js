@@ -0,0 +1,140 @@
+/**
+ * @fileoverview JTP (Janky Transfer Protocol) message encryption
+ * @author JTP Library
+ * @version 1.0.0
+ */
+
+/**
+ * End-to-end message encryption with AES-256-GCM.
+ *
+ * Whole messages are sealed before fragmentation, so every fragment,
+ * parity fragment and retransmission carries ciphertext. A sealed message
+ * is the sender's 4-byte epoch, the ciphertext, then the 16-byte GCM tag.
+ *
+ * The 12-byte nonce is never sent: it is derived from the source ID, the
+ * epoch and the message ID. The epoch starts at a random value and moves
+ * on each time the sender's message IDs wrap around, so a nonce is not
+ * reused under one key as long as each sender has its own source ID.
+ * The message type is authenticated as additional data, so a sealed
+ * message cannot be replayed under another type.
+ */
+
+const crypto = require('crypto');
+const {
+    ENCRYPTION_KEY_SIZE,
+    ENCRYPTION_EPOCH_SIZE,
+    ENCRYPTION_TAG_SIZE,
+    ENCRYPTION_OVERHEAD
+} = require('./constants');
+
+/**
+ * Check and copy an encryption key
+ * @param {Buffer} key - AES-256 key
+ * @returns {Buffer} Copy of the key
+ * @throws {Error} If the key is not a Buffer of ENCRYPTION_KEY_SIZE bytes
+ */
+function normalize_encryption_key(key) {
+    if (!Buffer.isBuffer(key) || key.length !== ENCRYPTION_KEY_SIZE) {
+        throw new Error(`encryption_key must be a ${ENCRYPTION_KEY_SIZE}-byte Buffer`);
+    }
+    return Buffer.from(key);
+}
+
+/**
+ * Pick a random starting epoch for a new sender
+ * @returns {number} 32-bit epoch
+ */
+function random_epoch() {
+    return crypto.randomBytes(ENCRYPTION_EPOCH_SIZE).readUInt32LE(0);
+}
+
+/**
+ * Derive the GCM nonce of a message
+ * @private
+ * @param {number} source_id - Sender's source ID
+ * @param {number} epoch - Sender's epoch
+ * @param {number} message_id - Message ID
+ * @returns {Buffer} 12-byte nonce
+ */
+function message_nonce(source_id, epoch, message_id) {
+    const nonce = Buffer.alloc(12);
+    nonce.writeUInt32LE(source_id, 0);
+    nonce.writeUInt32LE(epoch, 4);
+    nonce.writeUInt16LE(message_id, 8);
+    return nonce;
+}
+
+/**
+ * Build the additional authenticated data binding a sealed message to its type
+ *
+ * One byte for the original 0-63 type range, two (little-endian) for the
+ * extended types above 255, so no two types share the same data.
+ *
+ * @private
+ * @param {number} message_type - Message type
+ * @returns {Buffer} Additional authenticated data
+ */
+function type_aad(message_type) {
+    if (message_type <= 0xFF) {
+        return Buffer.from([message_type]);
+    }
+    const aad = Buffer.alloc(2);
+    aad.writeUInt16LE(message_type);
+    return aad;
+}
+
+/**
+ * Encrypt a message
+ * @param {Buffer} message_buffer - Plaintext message
+ * @param {Buffer} key - AES-256 key
+ * @param {Object} ids - Message identity
+ * @param {number} ids.source_id - Sender's source ID
+ * @param {number} ids.message_type - Message type
+ * @param {number} ids.message_id - Message ID
+ * @param {number} ids.epoch - Sender's current epoch
+ * @returns {Buffer} Sealed message: epoch, ciphertext and tag
+ */
+function encrypt_message(message_buffer, key, { source_id, message_type, message_id, epoch }) {
+    const cipher = crypto.createCipheriv('aes-256-gcm', key, message_nonce(source_id, epoch, message_id));
+    cipher.setAAD(type_aad(message_type));
+
+    const sealed = Buffer.allocUnsafe(message_buffer.length + ENCRYPTION_OVERHEAD);
+    sealed.writeUInt32LE(epoch, 0);
+    const ciphertext = Buffer.concat([cipher.update(message_buffer), cipher.final()]);
+    ciphertext.copy(sealed, ENCRYPTION_EPOCH_SIZE);
+    cipher.getAuthTag().copy(sealed, ENCRYPTION_EPOCH_SIZE + ciphertext.length);
+    return sealed;
+}
+
+/**
+ * Decrypt and authenticate a sealed message
+ * @param {Buffer} sealed - Sealed message: epoch, ciphertext and tag
+ * @param {Buffer} key - AES-256 key
+ * @param {Object} ids - Message identity from the packet headers
+ * @param {number} ids.source_id - Sender's source ID
+ * @param {number} ids.message_type - Message type
+ * @param {number} ids.message_id - Message ID
+ * @returns {Buffer|null} Plaintext, or null if the message is malformed or fails authentication
+ */
+function decrypt_message(sealed, key, { source_id, message_type, message_id }) {
+    if (sealed.length < ENCRYPTION_OVERHEAD) {
+        return null;
+    }
+    const epoch = sealed.readUInt32LE(0);
+    const tag_offset = sealed.length - ENCRYPTION_TAG_SIZE;
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, message_nonce(source_id, epoch, message_id));
+    decipher.setAAD(type_aad(message_type));
+    decipher.setAuthTag(sealed.subarray(tag_offset));
+    try {
+        return Buffer.concat([decipher.update(sealed.subarray(ENCRYPTION_EPOCH_SIZE, tag_offset)), decipher.final()]);
+    } catch (error) {
+        return null; // Tag mismatch
+    }
+}
+
+module.exports = {
+    normalize_encryption_key,
+    random_epoch,
+    encrypt_message,
+    decrypt_message
+};
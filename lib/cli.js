@@ -0,0 +1,477 @@
+/**
+ * @fileoverview JTP (Janky Transfer Protocol) command-line tool
+ * @author JTP Library
+ * @version 1.0.0
+ */
+
+/**
+ * Implementation of the `jtp` command:
+ *
+ *   jtp send --type 5 --source 0x1234 --to host:port < file
+ *   jtp listen --port 5000 [--source 0x1234] [--types 1,2] [--out dir/]
+ *   jtp dump --port 5000 | --pcap capture.pcap
+ *
+ * Each command is also exported as a function taking parsed options and
+ * the streams to use, so the tool can be driven from scripts and tests.
+ */
+
+const dgram = require('dgram');
+const fs = require('fs');
+const net = require('net');
+const path = require('path');
+const { parseArgs } = require('util');
+const JTPEncoder = require('./Encoder');
+const JTPDecoder = require('./Decoder');
+const { max_packet_overhead, decode_header } = require('./header');
+const { read_pcap } = require('./pcap');
+const { FLAGS, MIN_PAYLOAD_SIZE, MAX_UDP_PAYLOAD_SIZE, MAX_PACKET_TYPES, MAX_EXTENDED_TYPES } = require('./constants');
+
+/**
+ * Usage text printed by `jtp --help` and after usage errors
+ * @constant {string}
+ */
+const USAGE = `Usage: jtp <command> [options]
+
+Commands:
+  send     Send standard input as one message
+             --type <n>              Message type, 0-65535 (required; above 63
+                                     sends the extended version 2 header)
+             --source <id>           Source ID, decimal or 0x hex (required)
+             --to <host:port>        Destination, may be repeated (required)
+             --max-payload-size <n>  Payload bytes per fragment (default: 1200)
+             --checksum              Attach a CRC32 of the message
+             --compression <codec>   deflate, brotli or none (default: none)
+  listen   Print (and optionally save) every message received
+             --port <n>              UDP port to listen on (required)
+             --address <ip>          Address to bind (default: all)
+             --source <id>           Only accept this source ID
+             --types <list>          Only accept these message types, e.g. 1,2
+             --out <dir>             Write each message to a file in <dir>
+  dump     Print the header fields of every packet
+             --port <n>              UDP port to listen on
+             --address <ip>          Address to bind (default: all)
+             --pcap <file>           Read packets from a pcap capture instead
+
+Options:
+  -h, --help                         Show this help
+`;
+
+/**
+ * Command line options of each command, in util.parseArgs() form
+ * @private
+ * @type {Object<string, Object>}
+ */
+const COMMAND_OPTIONS = {
+    send: {
+        type: { type: 'string' },
+        source: { type: 'string' },
+        to: { type: 'string', multiple: true },
+        'max-payload-size': { type: 'string' },
+        checksum: { type: 'boolean' },
+        compression: { type: 'string' }
+    },
+    listen: {
+        port: { type: 'string' },
+        address: { type: 'string' },
+        source: { type: 'string' },
+        types: { type: 'string' },
+        out: { type: 'string' }
+    },
+    dump: {
+        port: { type: 'string' },
+        address: { type: 'string' },
+        pcap: { type: 'string' }
+    }
+};
+
+/**
+ * Largest fragment payload a decoder can be configured to accept
+ * @private
+ * @type {number}
+ */
+const LARGEST_PAYLOAD_SIZE = MAX_UDP_PAYLOAD_SIZE - max_packet_overhead();
+
+/**
+ * Parse the command line
+ * @param {string[]} argv - Arguments after the program name
+ * @returns {{command: string, options: Object}} Command ('send', 'listen', 'dump' or 'help') and its validated options
+ * @throws {Error} If the command or an option is unknown, missing or invalid
+ */
+function parse_args(argv) {
+    const [command, ...rest] = argv;
+    if (command === undefined || command === '-h' || command === '--help' || command === 'help') {
+        return { command: 'help', options: {} };
+    }
+    if (!Object.prototype.hasOwnProperty.call(COMMAND_OPTIONS, command)) {
+        throw new Error(`Unknown command: ${command}`);
+    }
+    const { values } = parseArgs({
+        args: rest,
+        options: { ...COMMAND_OPTIONS[command], help: { type: 'boolean', short: 'h' } },
+        strict: true
+    });
+    if (values.help) {
+        return { command: 'help', options: {} };
+    }
+
+    if (command === 'send') {
+        const message_type = parse_integer('--type', required('--type', values.type), 0, MAX_EXTENDED_TYPES - 1);
+        const largest_payload_size = MAX_UDP_PAYLOAD_SIZE - max_packet_overhead({ extended_types: message_type >= MAX_PACKET_TYPES });
+        return {
+            command,
+            options: {
+                message_type,
+                source_id: parse_integer('--source', required('--source', values.source), 0, 0xFFFFFFFF),
+                destinations: required('--to', values.to).map(parse_endpoint),
+                max_payload_size: values['max-payload-size'] === undefined
+                    ? JTPEncoder.MAX_PAYLOAD_SIZE
+                    : parse_integer('--max-payload-size', values['max-payload-size'], MIN_PAYLOAD_SIZE, largest_payload_size),
+                checksum: Boolean(values.checksum),
+                compression: values.compression === undefined ? 'none' : parse_choice('--compression', values.compression, ['deflate', 'brotli', 'none'])
+            }
+        };
+    }
+
+    const options = {
+        port: values.port === undefined ? null : parse_integer('--port', values.port, 0, 0xFFFF),
+        address: values.address === undefined ? null : values.address
+    };
+    if (command === 'listen') {
+        options.port = parse_integer('--port', required('--port', values.port), 0, 0xFFFF);
+        options.source_id = values.source === undefined ? null : parse_integer('--source', values.source, 0, 0xFFFFFFFF);
+        options.message_types = values.types === undefined
+            ? null
+            : values.types.split(',').map(type => parse_integer('--types', type.trim(), 0, MAX_EXTENDED_TYPES - 1));
+        options.out = values.out === undefined ? null : values.out;
+    } else {
+        options.pcap = values.pcap === undefined ? null : values.pcap;
+        if ((options.port === null) === (options.pcap === null)) {
+            throw new Error('dump needs exactly one of --port and --pcap');
+        }
+    }
+    return { command, options };
+}
+
+/**
+ * Send standard input as one message
+ *
+ * Message types above 63 are sent with the extended (version 2) header.
+ *
+ * @param {Object} options - Options from parse_args()
+ * @param {number} options.message_type - Message type
+ * @param {number} options.source_id - Source ID
+ * @param {Array<{host: string, port: number}>} options.destinations - Destinations
+ * @param {number} options.max_payload_size - Payload bytes per fragment
+ * @param {boolean} options.checksum - Attach a CRC32 of the message
+ * @param {string} options.compression - Compression codec
+ * @param {Object} io - Streams
+ * @param {Readable} io.stdin - Message source
+ * @returns {Promise<Object>} The 'message:encoded' metadata, once every packet has left the sockets
+ */
+async function send({ message_type, source_id, destinations, max_payload_size, checksum, compression }, { stdin }) {
+    const encoder = new JTPEncoder({ source_id, max_payload_size, checksum, compression, extended_types: message_type >= MAX_PACKET_TYPES });
+    const chunks = [];
+    for await (const chunk of stdin) {
+        chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk));
+    }
+
+    const sockets = new Map(); // Map of socket type -> dgram socket
+    const socket_for = (host) => {
+        const type = net.isIPv6(host) ? 'udp6' : 'udp4';
+        if (!sockets.has(type)) {
+            sockets.set(type, dgram.createSocket(type));
+        }
+        return sockets.get(type);
+    };
+    const pending = [];
+    encoder.on('packet', (packet) => {
+        for (const { host, port } of destinations) {
+            const sent = new Promise((resolve, reject) => {
+                socket_for(host).send(packet, port, host, error => error ? reject(error) : resolve());
+            });
+            sent.catch(() => {}); // Reported once the message is sent, not as an unhandled rejection
+            pending.push(sent);
+        }
+    });
+
+    try {
+        const metadata = await encoder.send(Buffer.concat(chunks), message_type);
+        await Promise.all(pending);
+        return metadata;
+    } finally {
+        sockets.forEach(socket => socket.close());
+    }
+}
+
+/**
+ * Print every message received, and write each one to a file when `out` is set
+ *
+ * Lines look like `0x00001234 type=5 id=3 bytes=1500 from=10.0.0.7:41000`,
+ * followed by ` file=<path>` when the message was saved. Files are named
+ * `<source>-<type>-<message id>-<count>.bin`. Decode errors go to stderr.
+ *
+ * @param {Object} options - Options from parse_args()
+ * @param {number} options.port - UDP port
+ * @param {string|null} options.address - Address to bind, or null for all
+ * @param {number|null} options.source_id - Source ID to accept, or null for any
+ * @param {number[]|null} options.message_types - Message types to accept, or null for all
+ * @param {string|null} options.out - Directory to write messages to, or null
+ * @param {Object} io - Streams
+ * @param {Writable} io.stdout - Message lines
+ * @param {Writable} io.stderr - Decode errors
+ * @returns {Object} Listener: { listening: Promise<address>, closed: Promise, close() }
+ */
+function listen({ port, address, source_id, message_types, out }, { stdout, stderr }) {
+    if (out !== null) {
+        fs.mkdirSync(out, { recursive: true });
+    }
+    const decoder = new JTPDecoder({ source_id, message_types, max_payload_size: LARGEST_PAYLOAD_SIZE });
+    let count = 0;
+    let remote = null;
+
+    decoder.on('message', (buffer, message_type, { source_id: sender, message_id }) => {
+        count++;
+        let line = `${format_source_id(sender)} type=${message_type} id=${message_id} bytes=${buffer.length} from=${remote}`;
+        if (out !== null) {
+            const file = path.join(out, `${format_source_id(sender)}-${message_type}-${message_id}-${count}.bin`);
+            fs.writeFileSync(file, buffer);
+            line += ` file=${file}`;
+        }
+        stdout.write(`${line}\n`);
+    });
+    decoder.on('error', error => stderr.write(`decode error from ${remote}: ${error.message}\n`));
+
+    return open_listener(port, address, (packet, rinfo) => {
+        remote = format_endpoint(rinfo);
+        decoder.decode_packet(packet);
+    });
+}
+
+/**
+ * Print the header fields of every packet received, or of every JTP packet in a capture
+ *
+ * Lines look like `2024-05-01T12:00:00.000Z v1 type=5 id=3 frag=0/2
+ * source=0x00001234 payload=1200 flags=CHECKSUM from=10.0.0.7:41000`.
+ * Packets are also fed to a decoder, which adds a `message` line for each
+ * message completed.
+ *
+ * @param {Object} options - Options from parse_args()
+ * @param {number|null} options.port - UDP port, or null when reading a capture
+ * @param {string|null} options.address - Address to bind, or null for all
+ * @param {string|null} options.pcap - Capture file to read, or null
+ * @param {Object} io - Streams
+ * @param {Writable} io.stdout - Packet lines
+ * @returns {Object} Dumper: { listening: Promise<address|null>, closed: Promise, close() }; a capture is dumped before this returns
+ * @throws {Error} If the capture cannot be read
+ */
+function dump({ port, address, pcap }, { stdout }) {
+    const decoder = new JTPDecoder({ source_id: null, max_payload_size: LARGEST_PAYLOAD_SIZE });
+    decoder.on('error', () => {}); // Reported by the packet lines
+    decoder.on('message', (buffer, message_type, { source_id, message_id, fragment_count }) => {
+        stdout.write(`  message type=${message_type} id=${message_id} source=${format_source_id(source_id)} fragments=${fragment_count} bytes=${buffer.length}\n`);
+    });
+
+    const dump_packet = (packet, timestamp, from) => {
+        stdout.write(`${new Date(timestamp).toISOString()} ${describe_packet(packet)} from=${from}\n`);
+        decoder.decode_packet(packet);
+    };
+
+    if (pcap !== null) {
+        read_pcap(fs.readFileSync(pcap)).forEach(({ packet, timestamp, source }) => {
+            dump_packet(packet, timestamp, format_endpoint(source));
+        });
+        return { listening: Promise.resolve(null), closed: Promise.resolve(), close() {} };
+    }
+    return open_listener(port, address, (packet, rinfo) => dump_packet(packet, Date.now(), format_endpoint(rinfo)));
+}
+
+/**
+ * Describe a packet's header fields
+ * @param {Buffer} packet - Packet as received
+ * @returns {string} Header fields, or why the packet could not be parsed
+ *
+ * @example
+ * describe_packet(packet); // 'v0 type=5 id=3 frag=0/2 source=0x00001234 payload=1200'
+ */
+function describe_packet(packet) {
+    let header;
+    try {
+        header = decode_header(packet);
+    } catch (error) {
+        return `invalid (${error.message}) length=${packet.length}`;
+    }
+    if (!header) {
+        return `not JTP length=${packet.length}`;
+    }
+    const { version, message_type, message_id, fragment_index, fragment_count, source_id, flags, payload_length } = header;
+    let line = `v${version} type=${message_type} id=${message_id} frag=${fragment_index}/${fragment_count} ` +
+        `source=${format_source_id(source_id)} payload=${payload_length}`;
+    const names = Object.keys(FLAGS).filter(name => flags & FLAGS[name]);
+    if (names.length > 0) {
+        line += ` flags=${names.join(',')}`;
+    }
+    if (header.key_id !== null) {
+        line += ` key_id=${header.key_id}`;
+    }
+    return line;
+}
+
+/**
+ * Run the tool
+ * @param {string[]} argv - Arguments after the program name
+ * @param {Object} [io] - Streams (default: the process's)
+ * @param {Readable} [io.stdin] - Standard input
+ * @param {Writable} [io.stdout] - Standard output
+ * @param {Writable} [io.stderr] - Standard error
+ * @returns {Promise<number>} Exit code: 0 on success, 1 on errors, 2 on usage errors
+ */
+async function main(argv, { stdin = process.stdin, stdout = process.stdout, stderr = process.stderr } = {}) {
+    let parsed;
+    try {
+        parsed = parse_args(argv);
+    } catch (error) {
+        stderr.write(`jtp: ${error.message}\n\n${USAGE}`);
+        return 2;
+    }
+
+    const { command, options } = parsed;
+    try {
+        if (command === 'help') {
+            stdout.write(USAGE);
+        } else if (command === 'send') {
+            const { message_id, fragment_count, total_bytes } = await send(options, { stdin });
+            stderr.write(`Sent message ${message_id}: ${total_bytes} bytes in ${fragment_count} fragments\n`);
+        } else {
+            const listener = command === 'listen' ? listen(options, { stdout, stderr }) : dump(options, { stdout });
+            const bound = await listener.listening;
+            if (bound) {
+                stderr.write(`Listening on ${format_endpoint(bound)}\n`);
+                const stop = () => listener.close();
+                process.once('SIGINT', stop);
+                process.once('SIGTERM', stop);
+            }
+            await listener.closed;
+        }
+        return 0;
+    } catch (error) {
+        stderr.write(`jtp: ${error.message}\n`);
+        return 1;
+    }
+}
+
+/**
+ * Bind a UDP socket and hand it every datagram
+ * @private
+ * @param {number} port - UDP port
+ * @param {string|null} address - Address to bind, or null for all
+ * @param {Function} on_datagram - Called with (packet, rinfo)
+ * @returns {Object} { listening: Promise<address>, closed: Promise, close() }
+ */
+function open_listener(port, address, on_datagram) {
+    const socket = dgram.createSocket(address && net.isIPv6(address) ? 'udp6' : 'udp4');
+    socket.on('message', on_datagram);
+    const closed = new Promise(resolve => socket.once('close', resolve));
+    const listening = new Promise((resolve, reject) => {
+        socket.once('error', (error) => {
+            socket.close();
+            reject(error);
+        });
+        socket.bind(port, address || undefined, () => resolve(socket.address()));
+    });
+    return { listening, closed, close: () => socket.close() };
+}
+
+/**
+ * Check that an option was given
+ * @private
+ * @param {string} name - Option name
+ * @param {*} value - Option value
+ * @returns {*} The value
+ * @throws {Error} If the value is undefined
+ */
+function required(name, value) {
+    if (value === undefined) {
+        throw new Error(`${name} is required`);
+    }
+    return value;
+}
+
+/**
+ * Parse a decimal or 0x-prefixed hexadecimal integer option
+ * @private
+ * @param {string} name - Option name, for errors
+ * @param {string} value - Option value
+ * @param {number} min - Smallest value allowed
+ * @param {number} max - Largest value allowed
+ * @returns {number} The integer
+ * @throws {Error} If the value is not an integer in range
+ */
+function parse_integer(name, value, min, max) {
+    const number = /^(0x[0-9a-f]+|\d+)$/i.test(value) ? Number(value) : NaN;
+    if (!Number.isInteger(number) || number < min || number > max) {
+        throw new Error(`${name} must be an integer ${min}-${max}, got ${value}`);
+    }
+    return number;
+}
+
+/**
+ * Check an option that takes one of a fixed set of values
+ * @private
+ * @param {string} name - Option name, for errors
+ * @param {string} value - Option value
+ * @param {string[]} choices - Values allowed
+ * @returns {string} The value
+ * @throws {Error} If the value is not one of the choices
+ */
+function parse_choice(name, value, choices) {
+    if (!choices.includes(value)) {
+        throw new Error(`${name} must be ${choices.slice(0, -1).join(', ')} or ${choices[choices.length - 1]}, got ${value}`);
+    }
+    return value;
+}
+
+/**
+ * Parse a 'host:port' destination
+ * @private
+ * @param {string} value - Destination, with IPv6 hosts in brackets ('[::1]:5000')
+ * @returns {{host: string, port: number}} Parsed destination
+ * @throws {Error} If the destination cannot be parsed
+ */
+function parse_endpoint(value) {
+    const separator = value.lastIndexOf(':');
+    const host = value.slice(0, separator).replace(/^\[(.*)\]$/, '$1');
+    if (separator < 1 || !host) {
+        throw new Error(`--to must be host:port, got ${value}`);
+    }
+    return { host, port: parse_integer('--to port', value.slice(separator + 1), 1, 0xFFFF) };
+}
+
+/**
+ * Format a source ID as 8 hex digits
+ * @private
+ * @param {number} source_id - Source ID
+ * @returns {string} e.g. '0x00001234'
+ */
+function format_source_id(source_id) {
+    return `0x${source_id.toString(16).padStart(8, '0')}`;
+}
+
+/**
+ * Format an address and port
+ * @private
+ * @param {{address: string, port: number}} endpoint - Address info
+ * @returns {string} 'address:port', with IPv6 addresses in brackets
+ */
+function format_endpoint({ address, port }) {
+    return net.isIPv6(address) ? `[${address}]:${port}` : `${address}:${port}`;
+}
+
+module.exports = {
+    USAGE,
+    parse_args,
+    send,
+    listen,
+    dump,
+    describe_packet,
+    main
+};
@@ -0,0 +1,110 @@
+/**
+ * @fileoverview JTP (Janky Transfer Protocol) message compression
+ * @author JTP Library
+ * @version 1.0.0
+ */
+
+/**
+ * Per-message payload compression.
+ *
+ * A compressed message sets FLAGS.COMPRESSED on every fragment and starts
+ * with a 1-byte codec ID followed by the compressed data. Compression runs
+ * before encryption, so the codec ID is encrypted along with the data.
+ */
+
+const zlib = require('zlib');
+const { ERROR_CODES, JTPMessageError } = require('./errors');
+
+/**
+ * Codec IDs carried in the first byte of a compressed message
+ * @constant {Object}
+ * @property {number} deflate - Raw DEFLATE (zlib.deflateRawSync)
+ * @property {number} brotli - Brotli (zlib.brotliCompressSync)
+ */
+const CODECS = Object.freeze({
+    deflate: 1,
+    brotli: 2
+});
+
+/**
+ * Size in bytes of the codec ID that starts a compressed message
+ * @constant {number}
+ * @default 1
+ */
+const CODEC_ID_SIZE = 1;
+
+/**
+ * Check a codec name
+ * @param {string} codec - 'deflate', 'brotli' or 'none'
+ * @returns {string} The codec name
+ * @throws {Error} If the codec is not supported
+ */
+function validate_codec(codec) {
+    if (codec !== 'none' && !Object.prototype.hasOwnProperty.call(CODECS, codec)) {
+        throw new Error(`Compression codec must be 'deflate', 'brotli' or 'none', got ${codec}`);
+    }
+    return codec;
+}
+
+/**
+ * Compress a message
+ * @param {Buffer} message_buffer - Message to compress
+ * @param {string} codec - 'deflate' or 'brotli'
+ * @returns {Buffer|null} Codec ID and compressed data, or null if that is not smaller than the message
+ */
+function compress_message(message_buffer, codec) {
+    const data = codec === 'brotli'
+        ? zlib.brotliCompressSync(message_buffer, { params: { [zlib.constants.BROTLI_PARAM_SIZE_HINT]: message_buffer.length } })
+        : zlib.deflateRawSync(message_buffer);
+    if (CODEC_ID_SIZE + data.length >= message_buffer.length) {
+        return null;
+    }
+    const compressed = Buffer.allocUnsafe(CODEC_ID_SIZE + data.length);
+    compressed.writeUInt8(CODECS[codec], 0);
+    data.copy(compressed, CODEC_ID_SIZE);
+    return compressed;
+}
+
+/**
+ * Decompress a message
+ * @param {Buffer} compressed - Codec ID and compressed data
+ * @param {number} max_size - Largest decompressed size accepted, in bytes
+ * @returns {Buffer} The original message
+ * @throws {JTPMessageError} E_TOO_LARGE if it decompresses to more than max_size bytes
+ * @throws {Error} If the codec is unknown or the data is invalid
+ */
+function decompress_message(compressed, max_size) {
+    if (compressed.length < CODEC_ID_SIZE) {
+        throw new Error('Compressed message is empty');
+    }
+    const codec_id = compressed.readUInt8(0);
+    const data = compressed.subarray(CODEC_ID_SIZE);
+    const options = { maxOutputLength: Math.max(1, max_size) };
+    let message;
+    try {
+        if (codec_id === CODECS.deflate) {
+            message = zlib.inflateRawSync(data, options);
+        } else if (codec_id === CODECS.brotli) {
+            message = zlib.brotliDecompressSync(data, options);
+        } else {
+            throw new Error(`Unknown compression codec ${codec_id}`);
+        }
+    } catch (e) {
+        if (e.code === 'ERR_BUFFER_TOO_LARGE') {
+            throw new JTPMessageError(ERROR_CODES.E_TOO_LARGE, `Message decompresses to more than ${max_size} bytes`, { cause: e });
+        }
+        throw e;
+    }
+    if (message.length > max_size) { // maxOutputLength cannot go below 1
+        throw new JTPMessageError(ERROR_CODES.E_TOO_LARGE, `Message decompresses to more than ${max_size} bytes`);
+    }
+    return message;
+}
+
+module.exports = {
+    CODECS,
+    CODEC_ID_SIZE,
+    validate_codec,
+    compress_message,
+    decompress_message
+};
@@ -20,6 +20,21 @@
  */
 const VERSION = 0;
 
+/**
+ * Protocol version whose header carries a flags byte after the v0 fields
+ * @constant {number}
+ * @default 1
+ */
+const FLAGS_VERSION = 1;
+
+/**
+ * Protocol version whose header carries a flags byte and a 16-bit message
+ * type after the v0 fields
+ * @constant {number}
+ * @default 2
+ */
+const EXTENDED_VERSION = 2;
+
 /**
  * Magic byte identifier for JTP packets ("J" in ASCII)
  * @constant {number}
@@ -28,12 +43,26 @@ const VERSION = 0;
 const MAGIC_BYTE = 0x4A;
 
 /**
- * Maximum payload size per UDP packet in bytes
+ * Default maximum payload size per UDP packet in bytes
  * @constant {number}
  * @default 1200
  */
 const MAX_PAYLOAD_SIZE = 1200;
 
+/**
+ * Smallest configurable payload size in bytes (a NACK must fit one 2-byte fragment index)
+ * @constant {number}
+ * @default 2
+ */
+const MIN_PAYLOAD_SIZE = 2;
+
+/**
+ * Largest UDP datagram payload in bytes (65535 minus 8-byte UDP and 20-byte IPv4 headers)
+ * @constant {number}
+ * @default 65507
+ */
+const MAX_UDP_PAYLOAD_SIZE = 65507;
+
 // Header structure constants
 
 /**
@@ -43,6 +72,130 @@ const MAX_PAYLOAD_SIZE = 1200;
  */
 const HEADER_SIZE = 12;
 
+/**
+ * Header size in bytes for FLAGS_VERSION packets, before optional fields
+ * @constant {number}
+ * @default 13
+ */
+const FLAGS_HEADER_SIZE = 13;
+
+/**
+ * Header size in bytes for EXTENDED_VERSION packets, before optional fields:
+ * the FLAGS_VERSION header followed by a 16-bit message type
+ * @constant {number}
+ * @default 15
+ */
+const EXTENDED_HEADER_SIZE = 15;
+
+/**
+ * Header flag bits (FLAGS_VERSION and EXTENDED_VERSION only)
+ *
+ * Optional header fields follow the flags byte (the message type field in
+ * EXTENDED_VERSION headers) in the order the flags are listed here.
+ * Decoders reject packets with flags they do not know, so new header
+ * fields go in the extension area, whose entries unknown to a decoder are
+ * skipped, rather than behind new flags.
+ *
+ * @constant {Object}
+ * @property {number} CHECKSUM - A 4-byte CRC32 of the whole message follows the flags byte
+ * @property {number} NACK - Control packet asking the sender to retransmit the listed fragments
+ * @property {number} PARITY - FEC parity fragment; a FEC field (see FEC_FIELD_SIZE) follows the checksum field
+ * @property {number} AUTH - The packet ends with an authentication trailer (see AUTH_TRAILER_SIZE)
+ * @property {number} ENCRYPTED - The reassembled message is sealed with AES-256-GCM (see ENCRYPTION_OVERHEAD)
+ * @property {number} COMPRESSED - The (decrypted) message is a codec ID followed by compressed data
+ * @property {number} EXTENSIONS - An extension area (see MAX_EXTENSIONS_SIZE) follows the FEC field
+ */
+const FLAGS = Object.freeze({
+    CHECKSUM: 0x01,
+    NACK: 0x02,
+    PARITY: 0x04,
+    AUTH: 0x08,
+    ENCRYPTED: 0x10,
+    COMPRESSED: 0x20,
+    EXTENSIONS: 0x40
+});
+
+/**
+ * Size in bytes of the optional message checksum field
+ * @constant {number}
+ * @default 4
+ */
+const CHECKSUM_SIZE = 4;
+
+/**
+ * Size in bytes of the FEC field on parity fragments: group size (1 byte),
+ * parity fragments per group (1 byte), XOR of covered fragment lengths (2 bytes)
+ * @constant {number}
+ * @default 4
+ */
+const FEC_FIELD_SIZE = 4;
+
+/**
+ * Largest header extension area in bytes, after its 1-byte length: a run of
+ * type (1 byte), length (1 byte), value entries
+ * @constant {number}
+ * @default 255
+ */
+const MAX_EXTENSIONS_SIZE = 0xFF;
+
+/**
+ * Size in bytes of the truncated HMAC-SHA256 tag that ends authenticated packets
+ * @constant {number}
+ * @default 16
+ */
+const AUTH_TAG_SIZE = 16;
+
+/**
+ * Size in bytes of the authentication trailer: key ID (1 byte) and tag
+ * @constant {number}
+ * @default 17
+ */
+const AUTH_TRAILER_SIZE = 1 + AUTH_TAG_SIZE;
+
+/**
+ * Size in bytes of an AES-256-GCM message encryption key
+ * @constant {number}
+ * @default 32
+ */
+const ENCRYPTION_KEY_SIZE = 32;
+
+/**
+ * Size in bytes of the epoch that starts every encrypted message and
+ * extends its message ID in the nonce
+ * @constant {number}
+ * @default 4
+ */
+const ENCRYPTION_EPOCH_SIZE = 4;
+
+/**
+ * Size in bytes of the GCM authentication tag that ends every encrypted message
+ * @constant {number}
+ * @default 16
+ */
+const ENCRYPTION_TAG_SIZE = 16;
+
+/**
+ * Bytes encryption adds to a message: epoch and GCM tag
+ * @constant {number}
+ * @default 20
+ */
+const ENCRYPTION_OVERHEAD = ENCRYPTION_EPOCH_SIZE + ENCRYPTION_TAG_SIZE;
+
+/**
+ * Largest possible version 0 or 1 header in bytes: flagged header with every optional
+ * field but the extension area
+ * @constant {number}
+ * @default 21
+ */
+const MAX_HEADER_SIZE = FLAGS_HEADER_SIZE + CHECKSUM_SIZE + FEC_FIELD_SIZE;
+
+/**
+ * Largest possible EXTENDED_VERSION header in bytes
+ * @constant {number}
+ * @default 23
+ */
+const MAX_EXTENDED_HEADER_SIZE = EXTENDED_HEADER_SIZE + CHECKSUM_SIZE + FEC_FIELD_SIZE;
+
 /**
  * Maximum number of packet types (6-bit field: 0-63)
  * @constant {number}
@@ -50,6 +203,13 @@ const HEADER_SIZE = 12;
  */
 const MAX_PACKET_TYPES = 64;
 
+/**
+ * Maximum number of message types in EXTENDED_VERSION headers (16-bit field: 0-65535)
+ * @constant {number}
+ * @default 65536
+ */
+const MAX_EXTENDED_TYPES = 0x10000;
+
 /**
  * Maximum message ID value (16-bit field)
  * @constant {number}
@@ -67,7 +227,8 @@ const MAX_FRAGMENT_COUNT = 0xFFFF;
 // Protocol limits
 
 /**
- * Theoretical maximum message size in bytes
+ * Theoretical maximum message size in bytes at the default payload size
+ * (encoders and decoders report their own limit as max_message_size)
  * @constant {number}
  * @default 78,642,000
  */
@@ -75,10 +236,29 @@ const MAX_MESSAGE_SIZE = MAX_PAYLOAD_SIZE * MAX_FRAGMENT_COUNT;
 
 module.exports = {
     VERSION,
+    FLAGS_VERSION,
+    EXTENDED_VERSION,
     MAGIC_BYTE,
     MAX_PAYLOAD_SIZE,
+    MIN_PAYLOAD_SIZE,
+    MAX_UDP_PAYLOAD_SIZE,
     HEADER_SIZE,
+    FLAGS_HEADER_SIZE,
+    EXTENDED_HEADER_SIZE,
+    FLAGS,
+    CHECKSUM_SIZE,
+    FEC_FIELD_SIZE,
+    MAX_EXTENSIONS_SIZE,
+    AUTH_TAG_SIZE,
+    AUTH_TRAILER_SIZE,
+    ENCRYPTION_KEY_SIZE,
+    ENCRYPTION_EPOCH_SIZE,
+    ENCRYPTION_TAG_SIZE,
+    ENCRYPTION_OVERHEAD,
+    MAX_HEADER_SIZE,
+    MAX_EXTENDED_HEADER_SIZE,
     MAX_PACKET_TYPES,
+    MAX_EXTENDED_TYPES,
     MAX_MESSAGE_ID,
     MAX_FRAGMENT_COUNT,
     MAX_MESSAGE_SIZE
@@ -0,0 +1,56 @@
+/**
+ * @fileoverview JTP (Janky Transfer Protocol) CRC32 helper
+ * @author JTP Library
+ * @version 1.0.0
+ */
+
+/**
+ * CRC32 (IEEE 802.3, as used by zlib and Ethernet) over a buffer.
+ *
+ * Uses the native zlib implementation when the running Node.js version
+ * provides one, and a table-driven implementation otherwise.
+ */
+
+const zlib = require('zlib');
+
+/**
+ * Lookup table for the reflected polynomial 0xEDB88320
+ * @private
+ * @type {Int32Array}
+ */
+const TABLE = new Int32Array(256);
+for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+    }
+    TABLE[n] = c;
+}
+
+/**
+ * Compute the CRC32 of a buffer in pure JavaScript
+ * @param {Buffer} buffer - Data to checksum
+ * @param {number} [value=0] - Running CRC32 of preceding data
+ * @returns {number} Unsigned 32-bit CRC32
+ */
+function crc32_js(buffer, value = 0) {
+    let crc = ~value;
+    for (let i = 0; i < buffer.length; i++) {
+        crc = TABLE[(crc ^ buffer[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return ~crc >>> 0;
+}
+
+/**
+ * Compute the CRC32 of a buffer
+ * @function crc32
+ * @param {Buffer} buffer - Data to checksum
+ * @param {number} [value=0] - Running CRC32 of preceding data, for incremental use
+ * @returns {number} Unsigned 32-bit CRC32
+ */
+const crc32 = typeof zlib.crc32 === 'function' ? zlib.crc32 : crc32_js;
+
+module.exports = {
+    crc32,
+    crc32_js
+};
@@ -0,0 +1,103 @@
+/**
+ * @fileoverview JTP (Janky Transfer Protocol) error classes
+ * @author JTP Library
+ * @version 1.0.0
+ */
+
+/**
+ * Errors emitted or thrown by the encoder and decoder. Every error carries a
+ * stable `code` from ERROR_CODES, so handlers can tell a harmless duplicate
+ * from real corruption without matching on messages, and whatever is known
+ * of the packet or message it concerns (null otherwise):
+ *
+ *   JTPError                 Base class: code, source_id, message_type, message_id, fragment_index
+ *   ├── JTPPacketError       A packet is malformed and was dropped on its own
+ *   ├── JTPFragmentError     A well-formed fragment conflicts with the message it belongs to
+ *   └── JTPMessageError      A whole message could not be encoded, reassembled or (de)serialized
+ */
+
+/**
+ * Error codes
+ * @constant {Object<string, string>}
+ */
+const ERROR_CODES = Object.freeze({
+    // JTPPacketError
+    E_PACKET_SHORT: 'E_PACKET_SHORT',                 // Shorter than its header says
+    E_VERSION: 'E_VERSION',                           // Unsupported header version
+    E_FLAGS: 'E_FLAGS',                               // Unsupported header flags
+    E_EXTENSIONS: 'E_EXTENSIONS',                     // Malformed header extension area
+    E_INVALID_FRAGMENT: 'E_INVALID_FRAGMENT',         // Fragment index, count or size out of range
+    E_INVALID_PARITY: 'E_INVALID_PARITY',             // Parity fragment index or FEC parameters out of range
+
+    // JTPFragmentError
+    E_DUPLICATE_FRAGMENT: 'E_DUPLICATE_FRAGMENT',     // Data fragment already received
+    E_DUPLICATE_PARITY: 'E_DUPLICATE_PARITY',         // Parity fragment already received
+    E_CHECKSUM_MISMATCH: 'E_CHECKSUM_MISMATCH',       // Message checksum differs from earlier fragments
+    E_FLAG_MISMATCH: 'E_FLAG_MISMATCH',               // Encryption or compression flag differs from earlier fragments
+    E_FEC_MISMATCH: 'E_FEC_MISMATCH',                 // FEC parameters differ from earlier parity fragments
+    E_FRAGMENT_COUNT: 'E_FRAGMENT_COUNT',             // More fragments than the message has
+    E_PARITY_INCONSISTENT: 'E_PARITY_INCONSISTENT',   // Parity fragment does not match the fragments it covers
+
+    // JTPMessageError
+    E_TYPE_RANGE: 'E_TYPE_RANGE',                     // Message type outside 0-63 (0-65535 with extended_types)
+    E_NOT_BUFFER: 'E_NOT_BUFFER',                     // Message is not a Buffer
+    E_TOO_LARGE: 'E_TOO_LARGE',                       // Message does not fit in 65535 fragments, or decompresses past max_message_size
+    E_REASSEMBLY: 'E_REASSEMBLY',                     // Reassembly or delivery threw
+    E_DECOMPRESSION: 'E_DECOMPRESSION',               // Compressed message could not be decompressed
+    E_UNKNOWN_SCHEMA: 'E_UNKNOWN_SCHEMA',             // No schema registered under the name published
+    E_SERIALIZE: 'E_SERIALIZE',                       // Value could not be serialized for its schema
+    E_DESERIALIZE: 'E_DESERIALIZE'                    // Message could not be deserialized for its schema
+});
+
+/**
+ * Base class of every JTP error
+ * @extends Error
+ */
+class JTPError extends Error {
+    /**
+     * Create an error
+     * @param {string} code - One of ERROR_CODES
+     * @param {string} message - Human-readable description
+     * @param {Object} [fields] - What is known of the packet or message
+     * @param {number} [fields.source_id] - Source ID
+     * @param {number} [fields.message_type] - Message type
+     * @param {number} [fields.message_id] - Message ID
+     * @param {number} [fields.fragment_index] - Fragment (or parity fragment) index
+     * @param {Error} [fields.cause] - Underlying error
+     */
+    constructor(code, message, { source_id = null, message_type = null, message_id = null, fragment_index = null, cause } = {}) {
+        super(message, cause === undefined ? undefined : { cause });
+        this.name = this.constructor.name;
+        this.code = code;
+        this.source_id = source_id;
+        this.message_type = message_type;
+        this.message_id = message_id;
+        this.fragment_index = fragment_index;
+    }
+}
+
+/**
+ * A packet that is malformed on its own
+ * @extends JTPError
+ */
+class JTPPacketError extends JTPError {}
+
+/**
+ * A well-formed fragment that conflicts with its message's earlier fragments
+ * @extends JTPError
+ */
+class JTPFragmentError extends JTPError {}
+
+/**
+ * A message that could not be encoded, reassembled or (de)serialized
+ * @extends JTPError
+ */
+class JTPMessageError extends JTPError {}
+
+module.exports = {
+    ERROR_CODES,
+    JTPError,
+    JTPPacketError,
+    JTPFragmentError,
+    JTPMessageError
+};
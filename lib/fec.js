@@ -0,0 +1,94 @@
+/**
+ * @fileoverview JTP (Janky Transfer Protocol) forward error correction helpers
+ * @author JTP Library
+ * @version 1.0.0
+ */
+
+/**
+ * Interleaved XOR parity over groups of data fragments.
+ *
+ * Data fragments are split into groups of `group_size` consecutive
+ * fragments. Each group gets up to `parity_count` parity fragments; parity
+ * fragment j of a group is the XOR of the group's fragments whose position
+ * in the group is congruent to j modulo `parity_count`. A group can
+ * therefore be rebuilt when each parity class is missing at most one
+ * fragment, which covers any burst of up to `parity_count` consecutive
+ * losses.
+ *
+ * Parity fragments are numbered group * parity_count + j. Fragment lengths
+ * are XORed alongside the data so the (shorter) last fragment of a message
+ * is rebuilt with its exact length.
+ */
+
+/**
+ * Largest FEC group, in data fragments (the group size field is 8 bits)
+ * @constant {number}
+ */
+const MAX_GROUP_SIZE = 0xFF;
+
+/**
+ * Get the parity fragment index protecting a data fragment
+ * @param {number} fragment_index - Data fragment index
+ * @param {number} group_size - Data fragments per group
+ * @param {number} parity_count - Parity fragments per group
+ * @returns {number} Parity fragment index
+ */
+function parity_index_for(fragment_index, group_size, parity_count) {
+    const group = Math.floor(fragment_index / group_size);
+    return group * parity_count + (fragment_index % group_size) % parity_count;
+}
+
+/**
+ * Get the data fragment indices covered by a parity fragment
+ * @param {number} parity_index - Parity fragment index
+ * @param {number} group_size - Data fragments per group
+ * @param {number} parity_count - Parity fragments per group
+ * @param {number} fragment_count - Total data fragments in the message
+ * @returns {number[]} Covered data fragment indices
+ */
+function covered_indices(parity_index, group_size, parity_count, fragment_count) {
+    const group = Math.floor(parity_index / parity_count);
+    const group_start = group * group_size;
+    const group_end = Math.min(group_start + group_size, fragment_count);
+    const indices = [];
+    for (let i = group_start + parity_index % parity_count; i < group_end; i += parity_count) {
+        indices.push(i);
+    }
+    return indices;
+}
+
+/**
+ * Get the number of parity fragments generated for a message
+ * @param {number} fragment_count - Total data fragments in the message
+ * @param {number} group_size - Data fragments per group
+ * @param {number} parity_count - Parity fragments per group
+ * @returns {number} Parity fragment count
+ */
+function parity_fragment_count(fragment_count, group_size, parity_count) {
+    const full_groups = Math.floor(fragment_count / group_size);
+    const remainder = fragment_count % group_size;
+    return full_groups * parity_count + Math.min(remainder, parity_count);
+}
+
+/**
+ * XOR a source buffer into a target buffer in place
+ *
+ * The source may be shorter than the target, as if zero-padded.
+ *
+ * @param {Buffer} target - Buffer to update
+ * @param {Buffer} source - Buffer to XOR in
+ * @returns {void}
+ */
+function xor_into(target, source) {
+    for (let i = 0; i < source.length; i++) {
+        target[i] ^= source[i];
+    }
+}
+
+module.exports = {
+    MAX_GROUP_SIZE,
+    parity_index_for,
+    covered_indices,
+    parity_fragment_count,
+    xor_into
+};
@@ -0,0 +1,257 @@
+/**
+ * @fileoverview JTP (Janky Transfer Protocol) packet header parsing
+ * @author JTP Library
+ * @version 1.0.0
+ */
+
+/**
+ * Parses the fixed header, the version 1 and 2 flags byte, the version 2
+ * message type and the optional fields the flags announce, and locates
+ * the payload and authentication trailer. Nothing is verified beyond the
+ * header's own structure: checksums, tags and fragment bounds are left to
+ * the decoder.
+ *
+ * Header layouts (multi-byte fields little-endian):
+ *
+ *   v0  magic | ver:2 type:6 | message_id:16 | fragment_index:16 | fragment_count:16 | source_id:32
+ *   v1  v0 fields | flags:8 | optional fields
+ *   v2  v0 fields (type bits 0) | flags:8 | message_type:16 | optional fields
+ *
+ * The optional fields are, in order and each present only with its flag:
+ * checksum:32, fec:32 and the extension area, a length byte followed by
+ * that many bytes of (type:8 | length:8 | value) entries. The extension
+ * area is where new header fields go: decode_header() returns every entry
+ * and decoders skip those they have no use for, so senders can add entries
+ * without breaking receivers that predate them.
+ */
+
+const {
+    VERSION,
+    FLAGS_VERSION,
+    EXTENDED_VERSION,
+    MAGIC_BYTE,
+    HEADER_SIZE,
+    FLAGS_HEADER_SIZE,
+    EXTENDED_HEADER_SIZE,
+    FLAGS,
+    CHECKSUM_SIZE,
+    FEC_FIELD_SIZE,
+    MAX_EXTENSIONS_SIZE,
+    AUTH_TRAILER_SIZE,
+    MAX_HEADER_SIZE,
+    MAX_EXTENDED_HEADER_SIZE
+} = require('./constants');
+const { ERROR_CODES, JTPPacketError } = require('./errors');
+
+/**
+ * Bitmask of every header flag this library understands
+ * @constant {number}
+ */
+const KNOWN_FLAGS = Object.values(FLAGS).reduce((mask, flag) => mask | flag, 0);
+
+/**
+ * Build a header extension area
+ * @param {Object<number, Buffer>} extensions - Entry values by entry type (0-255)
+ * @returns {Buffer|null} Length byte and entries, or null if there are none
+ * @throws {Error} If a type is out of range, a value is not a Buffer of at most 255 bytes, or the entries do not fit
+ *
+ * @example
+ * encode_extensions({ 7: Buffer.from([1]) }); // <Buffer 03 07 01 01>
+ */
+function encode_extensions(extensions) {
+    const entries = Object.entries(extensions).map(([type, value]) => {
+        type = Number(type);
+        if (!Number.isInteger(type) || type < 0 || type > 0xFF) {
+            throw new Error(`Header extension type must be 0-255, got ${type}`);
+        }
+        if (!Buffer.isBuffer(value) || value.length > 0xFF) {
+            throw new Error(`Header extension ${type} must be a Buffer of at most 255 bytes`);
+        }
+        return Buffer.concat([Buffer.from([type, value.length]), value]);
+    });
+    if (entries.length === 0) {
+        return null;
+    }
+    const area = Buffer.concat(entries);
+    if (area.length > MAX_EXTENSIONS_SIZE) {
+        throw new Error(`Header extensions must fit in ${MAX_EXTENSIONS_SIZE} bytes, got ${area.length}`);
+    }
+    return Buffer.concat([Buffer.from([area.length]), area]);
+}
+
+/**
+ * Parse the entries of a header extension area
+ * @private
+ * @param {Buffer} area - Entries, without the length byte
+ * @param {Object} header - Header fields parsed so far, attached to errors
+ * @returns {Map<number, Buffer>} Entry values by entry type
+ * @throws {JTPPacketError} E_EXTENSIONS if an entry overruns the area or a type repeats
+ */
+function decode_extensions(area, header) {
+    const extensions = new Map();
+    let offset = 0;
+    while (offset < area.length) {
+        if (offset + 2 > area.length || offset + 2 + area.readUInt8(offset + 1) > area.length) {
+            throw new JTPPacketError(ERROR_CODES.E_EXTENSIONS, 'Header extension overruns the extension area', header);
+        }
+        const type = area.readUInt8(offset);
+        if (extensions.has(type)) {
+            throw new JTPPacketError(ERROR_CODES.E_EXTENSIONS, `Header extension ${type} repeated`, header);
+        }
+        const end = offset + 2 + area.readUInt8(offset + 1);
+        extensions.set(type, area.subarray(offset + 2, end));
+        offset = end;
+    }
+    return extensions;
+}
+
+/**
+ * Parse a packet header
+ * @param {Buffer} packet - Packet as received
+ * @returns {Object|null} Header fields, or null if the packet does not start with MAGIC_BYTE:
+ *   { version, message_type, message_id, fragment_index, fragment_count, source_id, flags,
+ *     checksum, fec, extensions, key_id, header_length, trailer_length, payload_length }, where
+ *   checksum, fec ({ group_size, parity_count, length_xor }), extensions (Map of entry type to
+ *   value) and key_id are null when absent
+ * @throws {JTPPacketError} E_PACKET_SHORT if the packet is too short for its header, E_VERSION or
+ *   E_FLAGS if it uses an unsupported version or flag, E_EXTENSIONS if its extension area is malformed
+ *
+ * @example
+ * const header = decode_header(packet);
+ * if (header && !(header.flags & FLAGS.NACK)) {
+ *   console.log(`Fragment ${header.fragment_index}/${header.fragment_count} of message ${header.message_id}`);
+ * }
+ */
+function decode_header(packet) {
+    if (packet.length < 1 || packet.readUInt8(0) !== MAGIC_BYTE) {
+        return null;
+    }
+    if (packet.length < HEADER_SIZE) {
+        throw new JTPPacketError(ERROR_CODES.E_PACKET_SHORT, 'Packet too short');
+    }
+
+    // Version in the top 2 bits, message type (versions 0 and 1) in the bottom 6
+    const version = (packet.readUInt8(1) >> 6) & 0x03;
+    if (version !== VERSION && version !== FLAGS_VERSION && version !== EXTENDED_VERSION) {
+        throw new JTPPacketError(ERROR_CODES.E_VERSION, `Unsupported version: ${version}`);
+    }
+
+    const header = {
+        version,
+        message_type: version === EXTENDED_VERSION ? null : packet.readUInt8(1) & 0x3F, // Read below for version 2
+        message_id: packet.readUInt16LE(2),
+        fragment_index: packet.readUInt16LE(4),
+        fragment_count: packet.readUInt16LE(6),
+        source_id: packet.readUInt32LE(8),
+        flags: 0,
+        checksum: null,
+        fec: null,
+        extensions: null,
+        key_id: null,
+        header_length: HEADER_SIZE,
+        trailer_length: 0,
+        payload_length: 0
+    };
+    const too_short = () => new JTPPacketError(ERROR_CODES.E_PACKET_SHORT, 'Packet too short', header);
+
+    // Flagged headers append a flags byte (and extended ones a 16-bit type) and the optional fields it announces
+    if (version !== VERSION) {
+        if (version === EXTENDED_VERSION) {
+            if (packet.length < EXTENDED_HEADER_SIZE) {
+                throw too_short();
+            }
+            header.message_type = packet.readUInt16LE(FLAGS_HEADER_SIZE);
+            header.header_length = EXTENDED_HEADER_SIZE;
+        } else {
+            if (packet.length < FLAGS_HEADER_SIZE) {
+                throw too_short();
+            }
+            header.header_length = FLAGS_HEADER_SIZE;
+        }
+        const flags = packet.readUInt8(HEADER_SIZE);
+        if (flags & ~KNOWN_FLAGS) {
+            throw new JTPPacketError(ERROR_CODES.E_FLAGS, `Unsupported flags: 0x${flags.toString(16)}`, header);
+        }
+        header.flags = flags;
+        if (flags & FLAGS.CHECKSUM) {
+            if (packet.length < header.header_length + CHECKSUM_SIZE) {
+                throw too_short();
+            }
+            header.checksum = packet.readUInt32LE(header.header_length);
+            header.header_length += CHECKSUM_SIZE;
+        }
+        if (flags & FLAGS.PARITY) {
+            if (packet.length < header.header_length + FEC_FIELD_SIZE) {
+                throw too_short();
+            }
+            header.fec = {
+                group_size: packet.readUInt8(header.header_length),
+                parity_count: packet.readUInt8(header.header_length + 1),
+                length_xor: packet.readUInt16LE(header.header_length + 2)
+            };
+            header.header_length += FEC_FIELD_SIZE;
+        }
+        if (flags & FLAGS.EXTENSIONS) {
+            const start = header.header_length + 1;
+            if (packet.length < start || packet.length < start + packet.readUInt8(header.header_length)) {
+                throw too_short();
+            }
+            const end = start + packet.readUInt8(header.header_length);
+            header.extensions = decode_extensions(packet.subarray(start, end), header);
+            header.header_length = end;
+        }
+        if (flags & FLAGS.AUTH) {
+            if (packet.length < header.header_length + AUTH_TRAILER_SIZE) {
+                throw too_short();
+            }
+            header.trailer_length = AUTH_TRAILER_SIZE;
+            header.key_id = packet.readUInt8(packet.length - AUTH_TRAILER_SIZE);
+        }
+    }
+
+    header.payload_length = packet.length - header.header_length - header.trailer_length;
+    return header;
+}
+
+/**
+ * Read the message type of a packet without parsing the rest of its header
+ * @param {Buffer} packet - Packet starting with MAGIC_BYTE
+ * @returns {number|null} Message type, or null if the packet is too short to carry one
+ */
+function read_message_type(packet) {
+    if (packet.length < HEADER_SIZE) {
+        return null;
+    }
+    if (((packet.readUInt8(1) >> 6) & 0x03) !== EXTENDED_VERSION) {
+        return packet.readUInt8(1) & 0x3F;
+    }
+    return packet.length < EXTENDED_HEADER_SIZE ? null : packet.readUInt16LE(FLAGS_HEADER_SIZE);
+}
+
+/**
+ * Get the most bytes a packet can spend outside its payload
+ *
+ * Callers subtract this from MAX_UDP_PAYLOAD_SIZE to find the largest
+ * payload that still fits in one datagram.
+ *
+ * @param {Object} [options] - Packet features to allow for
+ * @param {boolean} [options.extended_types=false] - EXTENDED_VERSION header
+ * @param {number} [options.extensions_size=0] - Extension area length, length byte included
+ * @param {boolean} [options.auth=false] - Authentication trailer
+ * @returns {number} Largest header with every optional field, plus the extension area and trailer
+ *
+ * @example
+ * max_packet_overhead(); // 21
+ * max_packet_overhead({ extended_types: true, auth: true }); // 40
+ */
+function max_packet_overhead({ extended_types = false, extensions_size = 0, auth = false } = {}) {
+    return (extended_types ? MAX_EXTENDED_HEADER_SIZE : MAX_HEADER_SIZE) + extensions_size + (auth ? AUTH_TRAILER_SIZE : 0);
+}
+
+module.exports = {
+    KNOWN_FLAGS,
+    max_packet_overhead,
+    encode_extensions,
+    decode_header,
+    read_message_type
+};
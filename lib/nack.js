@@ -0,0 +1,146 @@
+/**
+ * @fileoverview JTP (Janky Transfer Protocol) NACK control packets
+ * @author JTP Library
+ * @version 1.0.0
+ */
+
+/**
+ * NACK control packets ask a sender to retransmit specific fragments.
+ *
+ * A NACK uses the version 1 header with the NACK flag set. The header
+ * fields describe the message being repaired: Source ID is the sender
+ * being asked (not the receiver), Fragment Cnt is the message's fragment
+ * count and Fragment Idx is unused (0). The payload is a list of missing
+ * fragment indices as 16-bit little-endian integers, followed by the
+ * authentication trailer when the AUTH flag is set.
+ *
+ * NACKs for message types above 63 use the version 2 header, which carries
+ * the 16-bit message type after the flags byte.
+ */
+
+const { sign_packet } = require('./auth');
+const { decode_header } = require('./header');
+const {
+    FLAGS_VERSION,
+    EXTENDED_VERSION,
+    MAGIC_BYTE,
+    MAX_PAYLOAD_SIZE,
+    HEADER_SIZE,
+    FLAGS_HEADER_SIZE,
+    EXTENDED_HEADER_SIZE,
+    FLAGS,
+    MAX_PACKET_TYPES,
+    AUTH_TRAILER_SIZE
+} = require('./constants');
+
+/**
+ * Maximum number of fragment indices carried by a single NACK packet at
+ * the default payload size
+ * @constant {number}
+ */
+const MAX_NACK_INDICES = Math.floor(MAX_PAYLOAD_SIZE / 2);
+
+/**
+ * Build NACK packets requesting the given fragments
+ *
+ * Splits the request across several packets when there are more missing
+ * fragments than fit in one payload of `max_payload_size` bytes.
+ *
+ * @param {Object} nack - NACK contents
+ * @param {number} nack.source_id - Source ID of the sender being asked to retransmit
+ * @param {number} nack.message_type - Message type (0-65535)
+ * @param {number} nack.message_id - Message ID being repaired
+ * @param {number} nack.fragment_count - Total fragment count of the message
+ * @param {number[]} nack.fragment_indices - Missing fragment indices
+ * @param {number} [max_payload_size=MAX_PAYLOAD_SIZE] - Payload size limit of each NACK packet
+ * @param {{key_id: number, key: Buffer}|null} [auth=null] - Key to sign the packets with
+ * @returns {Buffer[]} NACK packets
+ */
+function encode_nack({ source_id, message_type, message_id, fragment_count, fragment_indices }, max_payload_size = MAX_PAYLOAD_SIZE, auth = null) {
+    const indices_per_packet = Math.floor(max_payload_size / 2);
+    const trailer_length = auth ? AUTH_TRAILER_SIZE : 0;
+    const extended = message_type >= MAX_PACKET_TYPES;
+    const header_length = extended ? EXTENDED_HEADER_SIZE : FLAGS_HEADER_SIZE;
+    const packets = [];
+    for (let start = 0; start < fragment_indices.length; start += indices_per_packet) {
+        const indices = fragment_indices.slice(start, start + indices_per_packet);
+        const packet = Buffer.allocUnsafe(header_length + indices.length * 2 + trailer_length);
+
+        packet.writeUInt8(MAGIC_BYTE, 0);
+        packet.writeUInt8(extended ? EXTENDED_VERSION << 6 : (FLAGS_VERSION << 6) | message_type, 1);
+        packet.writeUInt16LE(message_id, 2);
+        packet.writeUInt16LE(0, 4);
+        packet.writeUInt16LE(fragment_count, 6);
+        packet.writeUInt32LE(source_id, 8);
+        packet.writeUInt8(auth ? FLAGS.NACK | FLAGS.AUTH : FLAGS.NACK, HEADER_SIZE);
+        if (extended) {
+            packet.writeUInt16LE(message_type, FLAGS_HEADER_SIZE);
+        }
+        indices.forEach((index, i) => packet.writeUInt16LE(index, header_length + i * 2));
+        if (auth) {
+            sign_packet(packet, auth.key_id, auth.key);
+        }
+
+        packets.push(packet);
+    }
+    return packets;
+}
+
+/**
+ * Check whether a packet is a NACK control packet
+ * @param {Buffer} packet - Packet to inspect
+ * @returns {boolean} true for NACK packets
+ */
+function is_nack(packet) {
+    if (packet.length < FLAGS_HEADER_SIZE || packet.readUInt8(0) !== MAGIC_BYTE) {
+        return false;
+    }
+    const version = (packet.readUInt8(1) >> 6) & 0x03;
+    return (version === FLAGS_VERSION || (version === EXTENDED_VERSION && packet.length >= EXTENDED_HEADER_SIZE)) &&
+        (packet.readUInt8(HEADER_SIZE) & FLAGS.NACK) !== 0;
+}
+
+/**
+ * Parse a NACK control packet
+ *
+ * The authentication trailer, if any, is skipped but not verified, and so
+ * is the extension area.
+ *
+ * @param {Buffer} packet - Packet to parse
+ * @returns {Object|null} { source_id, message_type, message_id, fragment_count, fragment_indices }, or null if not a valid NACK
+ */
+function decode_nack(packet) {
+    if (!is_nack(packet)) {
+        return null;
+    }
+    let header;
+    try {
+        header = decode_header(packet);
+    } catch (e) {
+        return null;
+    }
+    if (header.payload_length % 2 !== 0) {
+        return null;
+    }
+
+    const fragment_indices = [];
+    const end = header.header_length + header.payload_length;
+    for (let offset = header.header_length; offset < end; offset += 2) {
+        fragment_indices.push(packet.readUInt16LE(offset));
+    }
+
+    return {
+        source_id: header.source_id,
+        message_type: header.message_type,
+        message_id: header.message_id,
+        fragment_count: header.fragment_count,
+        fragment_indices
+    };
+}
+
+module.exports = {
+    MAX_NACK_INDICES,
+    encode_nack,
+    is_nack,
+    decode_nack
+};
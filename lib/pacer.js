@@ -0,0 +1,267 @@
+/**
+ * @fileoverview JTP (Janky Transfer Protocol) token-bucket pacing
+ * @author JTP Library
+ * @version 1.0.0
+ */
+
+/**
+ * Token buckets that pace outgoing packets to a bandwidth budget.
+ *
+ * A rate limit has a bytes-per-second and/or packets-per-second budget,
+ * each with a burst size (bucket capacity). A packet may go out once
+ * every bucket it is subject to holds enough tokens for it; a packet
+ * larger than a bucket's whole capacity only needs a full bucket, and
+ * leaves it in debt. The Pacer applies one global limit and optional
+ * per message type limits and tracks the packets queued behind them;
+ * deciding which packet goes next is left to the caller.
+ */
+
+/**
+ * Token bucket refilled continuously at a fixed rate
+ */
+class TokenBucket {
+    /**
+     * Create a new token bucket, initially full
+     * @param {Object} options - Bucket options
+     * @param {number} options.rate - Tokens added per second
+     * @param {number} options.burst - Bucket capacity in tokens
+     * @param {number} [options.now=Date.now()] - Current time in milliseconds
+     */
+    constructor({ rate, burst, now = Date.now() }) {
+        this.rate = rate;
+        this.capacity = burst;
+        this.tokens = burst;
+        this.updated = now;
+    }
+
+    /**
+     * Add the tokens earned since the last update
+     * @param {number} now - Current time in milliseconds
+     * @returns {void}
+     */
+    refill(now) {
+        if (now > this.updated) {
+            this.tokens = Math.min(this.capacity, this.tokens + (now - this.updated) * this.rate / 1000);
+            this.updated = now;
+        }
+    }
+
+    /**
+     * Get how long until a cost can be taken
+     * @param {number} cost - Tokens needed
+     * @param {number} now - Current time in milliseconds
+     * @returns {number} Milliseconds to wait (0 if the cost can be taken now)
+     */
+    wait_time(cost, now) {
+        this.refill(now);
+        const needed = Math.min(cost, this.capacity) - this.tokens;
+        return needed > 0 ? needed * 1000 / this.rate : 0;
+    }
+
+    /**
+     * Take tokens, possibly leaving the bucket in debt
+     * @param {number} cost - Tokens to take
+     * @param {number} now - Current time in milliseconds
+     * @returns {void}
+     */
+    take(cost, now) {
+        this.refill(now);
+        this.tokens -= cost;
+    }
+}
+
+/**
+ * Paces packets through a global rate limit and per message type rate limits
+ */
+class Pacer {
+    /**
+     * Create a new pacer
+     *
+     * A rate limit is `{ bytes_per_second, packets_per_second, burst_bytes,
+     * burst_packets }`; either rate may be omitted. Bursts default to a
+     * tenth of a second's budget.
+     *
+     * @param {Object} options - Pacer options
+     * @param {Object|null} [options.rate_limit=null] - Limit shared by all message types
+     * @param {Object<number, Object>} [options.rate_limits={}] - Limits per message type
+     * @param {Function} [options.now=Date.now] - Clock returning milliseconds
+     * @throws {Error} If a rate limit has no positive rate
+     */
+    constructor({ rate_limit = null, rate_limits = {}, now = Date.now }) {
+        this._now = now;
+        this._global = rate_limit ? this._create_buckets(rate_limit) : null;
+        this._types = new Map(); // Map of message_type -> buckets
+        for (const [message_type, limit] of Object.entries(rate_limits)) {
+            this._types.set(Number(message_type), this._create_buckets(limit));
+        }
+        this._queued = new Map(); // Map of message_type -> { packets, bytes } not yet sent
+    }
+
+    /**
+     * Account for packets that will be requested later
+     * @param {number} message_type - Message type
+     * @param {number} packets - Packet count
+     * @param {number} bytes - Total packet bytes
+     * @returns {void}
+     */
+    enqueue(message_type, packets, bytes) {
+        const queued = this._queued.get(message_type) || { packets: 0, bytes: 0 };
+        queued.packets += packets;
+        queued.bytes += bytes;
+        this._queued.set(message_type, queued);
+    }
+
+    /**
+     * Remove packets from the queue accounting without sending them
+     * @param {number} message_type - Message type
+     * @param {number} packets - Packet count
+     * @param {number} bytes - Total packet bytes
+     * @returns {void}
+     */
+    dequeue(message_type, packets, bytes) {
+        const queued = this._queued.get(message_type);
+        if (!queued) {
+            return;
+        }
+        queued.packets -= packets;
+        queued.bytes -= bytes;
+        if (queued.packets <= 0) {
+            this._queued.delete(message_type);
+        }
+    }
+
+    /**
+     * Get how long until a packet fits the shared budget
+     * @param {number} bytes - Packet size in bytes
+     * @returns {number} Milliseconds to wait (0 if it may be sent now)
+     */
+    global_wait_time(bytes) {
+        return this._wait_time(this._global || [], bytes, this._now());
+    }
+
+    /**
+     * Get how long until a packet fits its message type's budget
+     * @param {number} message_type - Message type
+     * @param {number} bytes - Packet size in bytes
+     * @returns {number} Milliseconds to wait (0 if it may be sent now)
+     */
+    type_wait_time(message_type, bytes) {
+        return this._wait_time(this._types.get(message_type) || [], bytes, this._now());
+    }
+
+    /**
+     * Charge a queued packet as it is sent and remove it from the queue
+     * @param {number} message_type - Message type
+     * @param {number} bytes - Packet size in bytes
+     * @returns {void}
+     */
+    take(message_type, bytes) {
+        this.charge(message_type, bytes);
+        this.dequeue(message_type, 1, bytes);
+    }
+
+    /**
+     * Charge a packet sent outside the pacer (e.g. a retransmission)
+     * @param {number} message_type - Message type
+     * @param {number} bytes - Packet size in bytes
+     * @returns {void}
+     */
+    charge(message_type, bytes) {
+        const now = this._now();
+        this._buckets_for(message_type).forEach(({ bucket, unit }) => bucket.take(unit === 'bytes' ? bytes : 1, now));
+    }
+
+    /**
+     * Get the queue depth and estimated time to drain it
+     * @returns {{queued_packets: number, queued_bytes: number, drain_time_ms: number, types: Object<number, Object>}} Totals, and the same fields per message type
+     */
+    status() {
+        const now = this._now();
+        const types = {};
+        let queued_packets = 0;
+        let queued_bytes = 0;
+        let drain_time_ms = 0;
+
+        for (const [message_type, queued] of this._queued) {
+            const type_buckets = this._types.get(message_type) || [];
+            const type_time = Math.max(
+                this._drain_time(type_buckets, queued, now),
+                this._drain_time(this._global || [], queued, now)
+            );
+            types[message_type] = { queued_packets: queued.packets, queued_bytes: queued.bytes, drain_time_ms: type_time };
+            queued_packets += queued.packets;
+            queued_bytes += queued.bytes;
+            drain_time_ms = Math.max(drain_time_ms, type_time);
+        }
+        drain_time_ms = Math.max(drain_time_ms, this._drain_time(this._global || [], { packets: queued_packets, bytes: queued_bytes }, now));
+
+        return { queued_packets, queued_bytes, drain_time_ms: Math.ceil(drain_time_ms), types };
+    }
+
+    /**
+     * Get how long until a packet fits every bucket in a set
+     * @private
+     * @param {Array<{bucket: TokenBucket, unit: string}>} buckets - Buckets to check
+     * @param {number} bytes - Packet size in bytes
+     * @param {number} now - Current time in milliseconds
+     * @returns {number} Milliseconds to wait
+     */
+    _wait_time(buckets, bytes, now) {
+        return buckets.reduce((wait, { bucket, unit }) => Math.max(wait, bucket.wait_time(unit === 'bytes' ? bytes : 1, now)), 0);
+    }
+
+    /**
+     * Estimate how long a set of buckets needs to pass a queue
+     * @private
+     * @param {Array<{bucket: TokenBucket, unit: string}>} buckets - Buckets to check
+     * @param {{packets: number, bytes: number}} queued - Queued packets and bytes
+     * @param {number} now - Current time in milliseconds
+     * @returns {number} Milliseconds
+     */
+    _drain_time(buckets, queued, now) {
+        return buckets.reduce((time, { bucket, unit }) => {
+            bucket.refill(now);
+            const cost = unit === 'bytes' ? queued.bytes : queued.packets;
+            return Math.max(time, Math.max(0, cost - bucket.tokens) * 1000 / bucket.rate);
+        }, 0);
+    }
+
+    /**
+     * Get every bucket a message type is subject to
+     * @private
+     * @param {number} message_type - Message type
+     * @returns {Array<{bucket: TokenBucket, unit: string}>} Buckets
+     */
+    _buckets_for(message_type) {
+        return [...(this._global || []), ...(this._types.get(message_type) || [])];
+    }
+
+    /**
+     * Create the buckets for a rate limit
+     * @private
+     * @param {Object} limit - Rate limit
+     * @returns {Array<{bucket: TokenBucket, unit: string}>} Buckets
+     * @throws {Error} If the limit has no positive rate
+     */
+    _create_buckets({ bytes_per_second = 0, packets_per_second = 0, burst_bytes, burst_packets }) {
+        if (!(bytes_per_second > 0) && !(packets_per_second > 0)) {
+            throw new Error('Rate limit needs a positive bytes_per_second or packets_per_second');
+        }
+        const now = this._now();
+        const buckets = [];
+        if (bytes_per_second > 0) {
+            const burst = burst_bytes === undefined ? bytes_per_second / 10 : burst_bytes;
+            buckets.push({ bucket: new TokenBucket({ rate: bytes_per_second, burst, now }), unit: 'bytes' });
+        }
+        if (packets_per_second > 0) {
+            const burst = burst_packets === undefined ? Math.max(1, packets_per_second / 10) : burst_packets;
+            buckets.push({ bucket: new TokenBucket({ rate: packets_per_second, burst, now }), unit: 'packets' });
+        }
+        return buckets;
+    }
+}
+
+module.exports = {
+    TokenBucket,
+    Pacer
+};
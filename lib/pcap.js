@@ -0,0 +1,549 @@
+/**
+ * @fileoverview JTP (Janky Transfer Protocol) pcap capture export and import
+ * @author JTP Library
+ * @version 1.0.0
+ */
+
+/**
+ * Packet captures in the classic libpcap file format.
+ *
+ * PcapWriter wraps JTP packets in synthetic IPv4 or IPv6 and UDP headers,
+ * so captures open in Wireshark and tcpdump like traffic sniffed off the
+ * wire. read_pcap() goes the other way: it pulls the UDP payloads that
+ * start with MAGIC_BYTE out of a capture (Ethernet, Linux cooked, loopback
+ * or raw IP), and replay_pcap() feeds them into a decoder with their
+ * original timing.
+ *
+ * pcapng files are not supported; `editcap -F pcap in.pcapng out.pcap`
+ * converts them.
+ */
+
+const net = require('net');
+const { performance } = require('perf_hooks');
+const { MAGIC_BYTE } = require('./constants');
+
+/**
+ * Link-layer header types (LINKTYPE_* values from tcpdump.org)
+ * @constant {Object}
+ * @property {number} NULL - BSD loopback, protocol family in host byte order
+ * @property {number} ETHERNET - Ethernet II
+ * @property {number} RAW - Raw IPv4 or IPv6, used for written captures
+ * @property {number} LOOP - OpenBSD loopback, protocol family in network byte order
+ * @property {number} LINUX_SLL - Linux cooked capture v1 ('any' interface)
+ * @property {number} IPV4 - Raw IPv4
+ * @property {number} IPV6 - Raw IPv6
+ * @property {number} LINUX_SLL2 - Linux cooked capture v2
+ */
+const LINK_TYPES = Object.freeze({
+    NULL: 0,
+    ETHERNET: 1,
+    RAW: 101,
+    LOOP: 108,
+    LINUX_SLL: 113,
+    IPV4: 228,
+    IPV6: 229,
+    LINUX_SLL2: 276
+});
+
+/**
+ * Size in bytes of the pcap file header
+ * @constant {number}
+ * @default 24
+ */
+const PCAP_HEADER_SIZE = 24;
+
+/**
+ * Size in bytes of a pcap record header
+ * @constant {number}
+ * @default 16
+ */
+const PCAP_RECORD_HEADER_SIZE = 16;
+
+const PCAP_MAGIC_MICROS = 0xA1B2C3D4;
+const PCAP_MAGIC_NANOS = 0xA1B23C4D;
+const PCAPNG_MAGIC = 0x0A0D0D0A;
+const IPV4_HEADER_SIZE = 20;
+const IPV6_HEADER_SIZE = 40;
+const UDP_HEADER_SIZE = 8;
+const UDP_PROTOCOL = 17;
+const ETHERTYPE_IPV4 = 0x0800;
+const ETHERTYPE_IPV6 = 0x86DD;
+const ETHERTYPE_VLAN = [0x8100, 0x88A8];
+const IPV6_EXTENSION_HEADERS = [0, 43, 60]; // Hop-by-hop, routing and destination options
+
+/**
+ * Writes packets to a pcap capture
+ *
+ * @example
+ * const writer = new PcapWriter(fs.createWriteStream('robot7.pcap'));
+ * writer.record_encoder(encoder);
+ * // ...
+ * writer.end();
+ */
+class PcapWriter {
+    /**
+     * Create a writer and write the pcap file header
+     *
+     * Packets are written as UDP datagrams from `source` to `destination`
+     * unless write() is given other addresses. Both addresses must be of
+     * the same family, IPv4 or IPv6.
+     *
+     * @param {Writable} stream - Stream to write the capture to
+     * @param {Object} [options] - Writer options
+     * @param {{address: string, port: number}} [options.source={ address: '10.0.0.1', port: 5000 }] - Default sender address
+     * @param {{address: string, port: number}} [options.destination={ address: '10.0.0.2', port: 5000 }] - Default receiver address
+     * @throws {Error} If an address is invalid
+     */
+    constructor(stream, {
+        source = { address: '10.0.0.1', port: 5000 },
+        destination = { address: '10.0.0.2', port: 5000 }
+    } = {}) {
+        this.stream = stream;
+        this.source = validate_endpoint(source);
+        this.destination = validate_endpoint(destination);
+        this.packets_written = 0;
+        this._ip_id = 0; // IPv4 identification field
+
+        const header = Buffer.alloc(PCAP_HEADER_SIZE);
+        header.writeUInt32LE(PCAP_MAGIC_MICROS, 0);
+        header.writeUInt16LE(2, 4); // Version 2.4
+        header.writeUInt16LE(4, 6);
+        header.writeUInt32LE(0xFFFF, 16); // Snapshot length
+        header.writeUInt32LE(LINK_TYPES.RAW, 20);
+        this.stream.write(header);
+    }
+
+    /**
+     * Write a packet to the capture
+     * @param {Buffer} packet - UDP payload, usually a JTP packet
+     * @param {Object} [options] - Record options
+     * @param {number} [options.timestamp] - Capture time in milliseconds since the epoch (default: now, with microseconds)
+     * @param {{address: string, port: number}} [options.source] - Sender address (default: the writer's)
+     * @param {{address: string, port: number}} [options.destination] - Receiver address (default: the writer's)
+     * @returns {boolean} The stream's write() result: false when the caller should wait for 'drain'
+     * @throws {Error} If the addresses are invalid or of different families
+     */
+    write(packet, {
+        timestamp = performance.timeOrigin + performance.now(),
+        source = this.source,
+        destination = this.destination
+    } = {}) {
+        const datagram = this._wrap_datagram(packet, validate_endpoint(source), validate_endpoint(destination));
+        const seconds = Math.floor(timestamp / 1000);
+        const record = Buffer.allocUnsafe(PCAP_RECORD_HEADER_SIZE + datagram.length);
+        record.writeUInt32LE(seconds, 0);
+        record.writeUInt32LE(Math.min(999999, Math.round((timestamp - seconds * 1000) * 1000)), 4);
+        record.writeUInt32LE(datagram.length, 8); // Captured length
+        record.writeUInt32LE(datagram.length, 12); // Original length
+        datagram.copy(record, PCAP_RECORD_HEADER_SIZE);
+        this.packets_written++;
+        return this.stream.write(record);
+    }
+
+    /**
+     * Capture every packet an encoder emits, retransmissions included
+     * @param {JTPEncoder} encoder - Encoder to capture
+     * @returns {Function} Call to stop capturing
+     */
+    record_encoder(encoder) {
+        const on_packet = (packet) => this.write(packet);
+        encoder.on('packet', on_packet);
+        return () => encoder.removeListener('packet', on_packet);
+    }
+
+    /**
+     * Capture every packet passed to a decoder's decode_packet(), whether it is accepted or not
+     *
+     * Listens for the decoder's 'packet:received' event. The writer's
+     * default addresses are used, as the decoder does not know where
+     * packets came from.
+     *
+     * @param {JTPDecoder} decoder - Decoder to capture
+     * @returns {Function} Call to stop capturing
+     */
+    record_decoder(decoder) {
+        const on_packet = (packet) => this.write(packet);
+        decoder.on('packet:received', on_packet);
+        return () => decoder.removeListener('packet:received', on_packet);
+    }
+
+    /**
+     * Finish the capture and end the stream
+     * @param {Function} [callback] - Called once the stream has finished
+     * @returns {void}
+     */
+    end(callback) {
+        this.stream.end(callback);
+    }
+
+    /**
+     * Wrap a payload in IP and UDP headers
+     * @private
+     * @param {Buffer} payload - UDP payload
+     * @param {{address: string, port: number}} source - Sender address
+     * @param {{address: string, port: number}} destination - Receiver address
+     * @returns {Buffer} IP datagram
+     * @throws {Error} If the addresses are of different families
+     */
+    _wrap_datagram(payload, source, destination) {
+        const family = net.isIP(source.address);
+        if (family !== net.isIP(destination.address)) {
+            throw new Error(`Source ${source.address} and destination ${destination.address} must both be IPv4 or IPv6`);
+        }
+        const ip_header_size = family === 4 ? IPV4_HEADER_SIZE : IPV6_HEADER_SIZE;
+        const udp_length = UDP_HEADER_SIZE + payload.length;
+        const datagram = Buffer.alloc(ip_header_size + udp_length);
+        const source_ip = ip_to_buffer(source.address);
+        const destination_ip = ip_to_buffer(destination.address);
+
+        if (family === 4) {
+            datagram.writeUInt8(0x45, 0); // Version 4, 5-word header
+            datagram.writeUInt16BE(datagram.length, 2);
+            datagram.writeUInt16BE(this._ip_id, 4);
+            datagram.writeUInt16BE(0x4000, 6); // Don't fragment
+            datagram.writeUInt8(64, 8); // TTL
+            datagram.writeUInt8(UDP_PROTOCOL, 9);
+            source_ip.copy(datagram, 12);
+            destination_ip.copy(datagram, 16);
+            datagram.writeUInt16BE(internet_checksum([datagram.subarray(0, IPV4_HEADER_SIZE)]), 10);
+            this._ip_id = (this._ip_id + 1) & 0xFFFF;
+        } else {
+            datagram.writeUInt32BE(0x60000000, 0); // Version 6
+            datagram.writeUInt16BE(udp_length, 4);
+            datagram.writeUInt8(UDP_PROTOCOL, 6);
+            datagram.writeUInt8(64, 7); // Hop limit
+            source_ip.copy(datagram, 8);
+            destination_ip.copy(datagram, 24);
+        }
+
+        const udp = datagram.subarray(ip_header_size);
+        udp.writeUInt16BE(source.port, 0);
+        udp.writeUInt16BE(destination.port, 2);
+        udp.writeUInt16BE(udp_length, 4);
+        payload.copy(udp, UDP_HEADER_SIZE);
+
+        const pseudo_header = Buffer.alloc(4);
+        pseudo_header.writeUInt16BE(UDP_PROTOCOL, 0);
+        pseudo_header.writeUInt16BE(udp_length, 2);
+        const checksum = internet_checksum([source_ip, destination_ip, pseudo_header, udp]);
+        udp.writeUInt16BE(checksum === 0 ? 0xFFFF : checksum, 6); // 0 means "no checksum"
+        return datagram;
+    }
+}
+
+/**
+ * Extract JTP packets from a pcap capture
+ *
+ * Keeps UDP datagrams whose payload starts with MAGIC_BYTE. Records cut
+ * short by the capture's snapshot length, IP fragments and anything that
+ * is not UDP are skipped. A capture that ends in the middle of a record
+ * (tcpdump killed while writing) yields the records before it.
+ *
+ * @param {Buffer} capture - Contents of a pcap file
+ * @returns {Array<{timestamp: number, packet: Buffer, source: {address: string, port: number}, destination: {address: string, port: number}}>} Packets in capture order, timestamps in milliseconds since the epoch
+ * @throws {Error} If the capture is not a pcap file or uses an unsupported link type
+ *
+ * @example
+ * const records = read_pcap(fs.readFileSync('field.pcap'));
+ * console.log(`${records.length} JTP packets from ${records[0].source.address}`);
+ */
+function read_pcap(capture) {
+    if (capture.length < PCAP_HEADER_SIZE) {
+        throw new Error('Not a pcap file: too short');
+    }
+    const magic = capture.readUInt32LE(0);
+    if (magic === PCAPNG_MAGIC) {
+        throw new Error('pcapng captures are not supported, convert with: editcap -F pcap in.pcapng out.pcap');
+    }
+    let little_endian;
+    if (magic === PCAP_MAGIC_MICROS || magic === PCAP_MAGIC_NANOS) {
+        little_endian = true;
+    } else if (capture.readUInt32BE(0) === PCAP_MAGIC_MICROS || capture.readUInt32BE(0) === PCAP_MAGIC_NANOS) {
+        little_endian = false;
+    } else {
+        throw new Error(`Not a pcap file: magic 0x${magic.toString(16)}`);
+    }
+    const read_u32 = (offset) => little_endian ? capture.readUInt32LE(offset) : capture.readUInt32BE(offset);
+    const fraction_ms = (little_endian ? magic : capture.readUInt32BE(0)) === PCAP_MAGIC_NANOS ? 1e-6 : 1e-3;
+    const link_type = read_u32(20) & 0x0FFFFFFF; // Upper bits may carry FCS information
+
+    const records = [];
+    let offset = PCAP_HEADER_SIZE;
+    while (offset + PCAP_RECORD_HEADER_SIZE <= capture.length) {
+        const captured_length = read_u32(offset + 8);
+        const original_length = read_u32(offset + 12);
+        const data_start = offset + PCAP_RECORD_HEADER_SIZE;
+        if (data_start + captured_length > capture.length) {
+            break; // Capture ends mid-record
+        }
+        const timestamp = read_u32(offset) * 1000 + read_u32(offset + 4) * fraction_ms;
+        const frame = capture.subarray(data_start, data_start + captured_length);
+        offset = data_start + captured_length;
+
+        if (captured_length < original_length) {
+            continue; // Truncated by the snapshot length
+        }
+        const datagram = parse_link_layer(frame, link_type);
+        const udp = datagram && parse_udp(datagram);
+        if (udp && udp.packet.length > 0 && udp.packet.readUInt8(0) === MAGIC_BYTE) {
+            records.push({ timestamp, ...udp });
+        }
+    }
+    return records;
+}
+
+/**
+ * Feed captured packets into a decoder, spaced out as they were captured
+ *
+ * Timing matters to the decoder's reassembly timeouts and NACKs, so by
+ * default packets are replayed in real time. NACKs and other control
+ * packets in the capture reach decode_packet() like any other packet.
+ *
+ * @param {Array<{timestamp: number, packet: Buffer}>} records - Packets from read_pcap()
+ * @param {JTPDecoder} decoder - Decoder to feed
+ * @param {Object} [options] - Replay options
+ * @param {number} [options.speed=1] - Playback speed factor (2 replays twice as fast, 0 replays without delays)
+ * @returns {Promise<number>} Resolves with the number of packets replayed, or rejects with the
+ *   first error decode_packet() throws, which stops the replay
+ * @throws {Error} If speed is negative
+ *
+ * @example
+ * const decoder = new JTPDecoder({ source_id: null, reassembly_timeout: 500 });
+ * decoder.on('message:incomplete', (info) => console.log('Lost', info));
+ * await replay_pcap(read_pcap(fs.readFileSync('field.pcap')), decoder);
+ */
+function replay_pcap(records, decoder, { speed = 1 } = {}) {
+    if (typeof speed !== 'number' || !(speed >= 0)) {
+        throw new Error(`speed must be a non-negative number, got ${speed}`);
+    }
+    return new Promise((resolve, reject) => {
+        const first_timestamp = records.length > 0 ? records[0].timestamp : 0;
+        const start = performance.now();
+        let index = 0;
+        const replay_due = () => {
+            while (index < records.length) {
+                const { timestamp, packet } = records[index];
+                const wait = speed === 0 ? 0 : (timestamp - first_timestamp) / speed - (performance.now() - start);
+                if (wait > 0) {
+                    setTimeout(replay_due, wait);
+                    return;
+                }
+                index++;
+                try {
+                    decoder.decode_packet(packet);
+                } catch (error) {
+                    reject(error); // Such as an 'error' event without a listener
+                    return;
+                }
+            }
+            resolve(records.length);
+        };
+        replay_due();
+    });
+}
+
+/**
+ * Check a { address, port } endpoint
+ * @private
+ * @param {{address: string, port: number}} endpoint - Endpoint to check
+ * @returns {{address: string, port: number}} The endpoint
+ * @throws {Error} If the address is not an IP address or the port is out of range
+ */
+function validate_endpoint(endpoint) {
+    const { address, port } = endpoint || {};
+    if (!net.isIP(address) || !Number.isInteger(port) || port < 0 || port > 0xFFFF) {
+        throw new Error(`Invalid endpoint: ${JSON.stringify(endpoint)}`);
+    }
+    return { address, port };
+}
+
+/**
+ * Convert an IP address to its bytes
+ * @private
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {Buffer} 4 or 16 bytes
+ */
+function ip_to_buffer(address) {
+    if (net.isIPv4(address)) {
+        return Buffer.from(address.split('.').map(Number));
+    }
+    const v4_suffix = address.match(/^(.*:)(\d+\.\d+\.\d+\.\d+)$/); // IPv4-mapped and -embedded forms
+    if (v4_suffix) {
+        const v4 = ip_to_buffer(v4_suffix[2]);
+        address = `${v4_suffix[1]}${v4.readUInt16BE(0).toString(16)}:${v4.readUInt16BE(2).toString(16)}`;
+    }
+    const [head, tail] = address.split('::');
+    const head_groups = head ? head.split(':') : [];
+    const tail_groups = tail !== undefined && tail ? tail.split(':') : [];
+    const groups = tail === undefined
+        ? head_groups
+        : [...head_groups, ...new Array(8 - head_groups.length - tail_groups.length).fill('0'), ...tail_groups];
+    const bytes = Buffer.alloc(16);
+    groups.forEach((group, i) => bytes.writeUInt16BE(parseInt(group, 16), i * 2));
+    return bytes;
+}
+
+/**
+ * Format IPv4 or IPv6 address bytes
+ * @private
+ * @param {Buffer} bytes - 4 or 16 address bytes
+ * @returns {string} Dotted quad, or IPv6 with the longest run of zero groups compressed
+ */
+function buffer_to_ip(bytes) {
+    if (bytes.length === 4) {
+        return Array.from(bytes).join('.');
+    }
+    const groups = [];
+    for (let i = 0; i < 16; i += 2) {
+        groups.push(bytes.readUInt16BE(i).toString(16));
+    }
+    let best_start = -1;
+    let best_length = 1; // Only runs of two or more zero groups are compressed
+    for (let i = 0; i < 8; i++) {
+        let length = 0;
+        while (i + length < 8 && groups[i + length] === '0') {
+            length++;
+        }
+        if (length > best_length) {
+            best_start = i;
+            best_length = length;
+        }
+    }
+    if (best_start === -1) {
+        return groups.join(':');
+    }
+    return `${groups.slice(0, best_start).join(':')}::${groups.slice(best_start + best_length).join(':')}`;
+}
+
+/**
+ * One's complement checksum used by IP and UDP
+ * @private
+ * @param {Buffer[]} buffers - Data to sum, each padded to an even length
+ * @returns {number} 16-bit checksum
+ */
+function internet_checksum(buffers) {
+    let sum = 0;
+    for (const buffer of buffers) {
+        for (let i = 0; i < buffer.length; i += 2) {
+            sum += i + 1 < buffer.length ? buffer.readUInt16BE(i) : buffer[i] << 8;
+        }
+    }
+    while (sum > 0xFFFF) {
+        sum = (sum & 0xFFFF) + Math.floor(sum / 0x10000);
+    }
+    return ~sum & 0xFFFF;
+}
+
+/**
+ * Strip the link-layer header of a captured frame
+ * @private
+ * @param {Buffer} frame - Captured frame
+ * @param {number} link_type - Capture link type
+ * @returns {Buffer|null} IP datagram, or null if the frame does not carry IP
+ * @throws {Error} If the link type is not supported
+ */
+function parse_link_layer(frame, link_type) {
+    switch (link_type) {
+    case LINK_TYPES.RAW:
+    case LINK_TYPES.IPV4:
+    case LINK_TYPES.IPV6:
+        return frame;
+    case LINK_TYPES.NULL:
+    case LINK_TYPES.LOOP:
+        return frame.length >= 4 ? frame.subarray(4) : null; // Family checked from the IP version instead
+    case LINK_TYPES.ETHERNET: {
+        let offset = 12;
+        while (offset + 2 <= frame.length && ETHERTYPE_VLAN.includes(frame.readUInt16BE(offset))) {
+            offset += 4; // 802.1Q and 802.1ad tags
+        }
+        return ethertype_payload(frame, offset, offset + 2);
+    }
+    case LINK_TYPES.LINUX_SLL:
+        return ethertype_payload(frame, 14, 16);
+    case LINK_TYPES.LINUX_SLL2:
+        return ethertype_payload(frame, 0, 20);
+    default:
+        throw new Error(`Unsupported pcap link type ${link_type}`);
+    }
+}
+
+/**
+ * Get the IP datagram of a frame whose link-layer header has an EtherType field
+ * @private
+ * @param {Buffer} frame - Captured frame
+ * @param {number} ethertype_offset - Offset of the EtherType field
+ * @param {number} payload_offset - Length of the link-layer header
+ * @returns {Buffer|null} IP datagram, or null for other protocols
+ */
+function ethertype_payload(frame, ethertype_offset, payload_offset) {
+    if (payload_offset > frame.length) {
+        return null;
+    }
+    const ethertype = frame.readUInt16BE(ethertype_offset);
+    return ethertype === ETHERTYPE_IPV4 || ethertype === ETHERTYPE_IPV6 ? frame.subarray(payload_offset) : null;
+}
+
+/**
+ * Extract the UDP payload and addresses of an IP datagram
+ * @private
+ * @param {Buffer} datagram - IPv4 or IPv6 datagram
+ * @returns {{packet: Buffer, source: Object, destination: Object}|null} Payload and endpoints, or null if the datagram is not a whole UDP datagram
+ */
+function parse_udp(datagram) {
+    if (datagram.length < 1) {
+        return null;
+    }
+    const version = datagram.readUInt8(0) >> 4;
+    let offset;
+    let source_address;
+    let destination_address;
+    if (version === 4) {
+        const header_length = (datagram.readUInt8(0) & 0x0F) * 4;
+        if (datagram.length < header_length || header_length < IPV4_HEADER_SIZE ||
+            datagram.readUInt8(9) !== UDP_PROTOCOL || (datagram.readUInt16BE(6) & 0x3FFF) !== 0) {
+            return null; // Not UDP, or an IP fragment
+        }
+        source_address = buffer_to_ip(datagram.subarray(12, 16));
+        destination_address = buffer_to_ip(datagram.subarray(16, 20));
+        offset = header_length;
+    } else if (version === 6) {
+        if (datagram.length < IPV6_HEADER_SIZE) {
+            return null;
+        }
+        let next_header = datagram.readUInt8(6);
+        offset = IPV6_HEADER_SIZE;
+        while (IPV6_EXTENSION_HEADERS.includes(next_header) && offset + 2 <= datagram.length) {
+            next_header = datagram.readUInt8(offset);
+            offset += (datagram.readUInt8(offset + 1) + 1) * 8;
+        }
+        if (next_header !== UDP_PROTOCOL) {
+            return null; // Not UDP, or an IP fragment
+        }
+        source_address = buffer_to_ip(datagram.subarray(8, 24));
+        destination_address = buffer_to_ip(datagram.subarray(24, 40));
+    } else {
+        return null;
+    }
+
+    if (offset + UDP_HEADER_SIZE > datagram.length) {
+        return null;
+    }
+    const udp_length = datagram.readUInt16BE(offset + 4);
+    if (udp_length < UDP_HEADER_SIZE || offset + udp_length > datagram.length) {
+        return null;
+    }
+    return {
+        packet: Buffer.from(datagram.subarray(offset + UDP_HEADER_SIZE, offset + udp_length)), // Ethernet padding excluded
+        source: { address: source_address, port: datagram.readUInt16BE(offset) },
+        destination: { address: destination_address, port: datagram.readUInt16BE(offset + 2) }
+    };
+}
+
+module.exports = {
+    LINK_TYPES,
+    PCAP_HEADER_SIZE,
+    PCAP_RECORD_HEADER_SIZE,
+    PcapWriter,
+    read_pcap,
+    replay_pcap
+};
@@ -0,0 +1,312 @@
+/**
+ * @fileoverview JTP (Janky Transfer Protocol) priority send scheduler
+ * @author JTP Library
+ * @version 1.0.0
+ */
+
+/**
+ * Decides which queued message sends its next packet.
+ *
+ * Messages are queued per message type and each type sends its messages
+ * one after another, so a decoder never sees two messages of the same
+ * type and source interleaved. Across types, the next packet always comes
+ * from the highest priority type with a message queued; types of equal
+ * priority take turns packet by packet. A message queued for a higher
+ * priority type therefore preempts lower priority messages at the next
+ * packet boundary.
+ *
+ * With a Pacer, a type held back by its own rate limit lets the next
+ * type go, while a packet held back by the shared limit holds back every
+ * type after it.
+ */
+
+/**
+ * Packets sent per turn of the event loop before yielding
+ * @type {number}
+ */
+const PACKETS_PER_TICK = 10;
+
+/**
+ * Priority send scheduler for queued messages
+ */
+class Scheduler {
+    /**
+     * Create a new scheduler
+     * @param {Object} options - Scheduler options
+     * @param {Function} options.send - Called with (packet, info) to send each packet; may throw
+     * @param {Object<number, number>} [options.priorities={}] - Priority per message type (higher goes first)
+     * @param {number} [options.default_priority=0] - Priority of types not in `priorities`
+     * @param {Pacer|null} [options.pacer=null] - Rate limits to respect
+     */
+    constructor({ send, priorities = {}, default_priority = 0, pacer = null }) {
+        this._send = send;
+        this._priorities = new Map(Object.entries(priorities).map(([message_type, priority]) => [Number(message_type), priority]));
+        this._default_priority = default_priority;
+        this._pacer = pacer;
+        this._queues = new Map(); // Map of message_type -> queued jobs, in round-robin order
+        this._immediate = null;
+        this._timer = null;
+        this._paused = false;
+    }
+
+    /**
+     * Get the priority of a message type
+     * @param {number} message_type - Message type
+     * @returns {number} Priority (higher goes first)
+     */
+    priority(message_type) {
+        return this._priorities.has(message_type) ? this._priorities.get(message_type) : this._default_priority;
+    }
+
+    /**
+     * Queue a message for sending
+     *
+     * The job's packet iterator is not advanced until the message's turn
+     * comes, so packets are built just before they are sent.
+     *
+     * @param {number} message_type - Message type
+     * @param {Object} job - Message to send
+     * @param {Iterator<{packet: Buffer, info: Object}>} job.packets - The message's packets, in send order
+     * @param {{packets: number, bytes: number}|null} job.totals - Packet count and bytes, needed with a pacer
+     * @param {Function} job.on_done - Called with the iterator's return value after the last packet has been sent; what it throws is not the message's failure and propagates from the send loop
+     * @param {Function} job.on_error - Called with the error if building or sending fails
+     * @returns {void}
+     */
+    push(message_type, job) {
+        job.next = null; // Next packet, built once the message is at the head of its queue
+        if (this._pacer) {
+            this._pacer.enqueue(message_type, job.totals.packets, job.totals.bytes);
+        }
+        const jobs = this._queues.get(message_type);
+        if (jobs) {
+            jobs.push(job);
+        } else {
+            this._queues.set(message_type, [job]);
+        }
+        this._wake();
+    }
+
+    /**
+     * Stop sending packets until resume() is called
+     *
+     * Takes effect at the next packet, even within a send call.
+     *
+     * @returns {void}
+     */
+    pause() {
+        this._paused = true;
+    }
+
+    /**
+     * Send queued packets again after pause()
+     * @returns {void}
+     */
+    resume() {
+        if (this._paused) {
+            this._paused = false;
+            this._wake();
+        }
+    }
+
+    /**
+     * Get the number of messages queued or being sent
+     * @returns {number} Message count
+     */
+    get queued_messages() {
+        let count = 0;
+        for (const jobs of this._queues.values()) {
+            count += jobs.length;
+        }
+        return count;
+    }
+
+    /**
+     * Run the send loop on the next turn of the event loop
+     * @private
+     * @returns {void}
+     */
+    _wake() {
+        if (this._timer) {
+            clearTimeout(this._timer);
+            this._timer = null;
+        }
+        if (!this._immediate) {
+            this._immediate = setImmediate(() => {
+                this._immediate = null;
+                this._run();
+            });
+        }
+    }
+
+    /**
+     * Send packets until the queues are empty, the rate limits say wait, or the turn is used up
+     * @private
+     * @returns {void}
+     */
+    _run() {
+        for (let sent = 0; sent < PACKETS_PER_TICK; sent++) {
+            if (this._paused) {
+                return; // resume() wakes the loop again
+            }
+            const { job, message_type, wait } = this._select();
+            if (!job) {
+                if (wait < Infinity && !this._immediate) {
+                    this._timer = setTimeout(() => {
+                        this._timer = null;
+                        this._run();
+                    }, Math.max(1, Math.ceil(wait)));
+                    this._timer.unref(); // Waiting for the rate limits alone does not keep the process alive
+                }
+                return;
+            }
+            this._send_next(message_type, job);
+        }
+        this._wake();
+    }
+
+    /**
+     * Pick the message that sends the next packet
+     * @private
+     * @returns {{job: Object|null, message_type: number, wait: number}} The job and its type, or how long to wait
+     */
+    _select() {
+        const message_types = [...this._queues.keys()].sort((a, b) => this.priority(b) - this.priority(a));
+        let wait = Infinity;
+        for (const message_type of message_types) {
+            const job = this._peek(message_type);
+            if (!job) {
+                continue;
+            }
+            if (!this._pacer) {
+                return { job, message_type, wait: 0 };
+            }
+            const bytes = job.next.packet.length;
+            const global_wait = this._pacer.global_wait_time(bytes);
+            if (global_wait > 0) {
+                return { job: null, message_type: null, wait: Math.min(wait, global_wait) }; // Keep priority order on the shared budget
+            }
+            const type_wait = this._pacer.type_wait_time(message_type, bytes);
+            if (type_wait === 0) {
+                return { job, message_type, wait: 0 };
+            }
+            wait = Math.min(wait, type_wait);
+        }
+        return { job: null, message_type: null, wait };
+    }
+
+    /**
+     * Get the head job of a type with its next packet built
+     * @private
+     * @param {number} message_type - Message type
+     * @returns {Object|null} Job with `next` set, or null if the type's queue emptied
+     */
+    _peek(message_type) {
+        const jobs = this._queues.get(message_type);
+        while (jobs.length > 0 && !jobs[0].next) {
+            const job = jobs[0];
+            let result;
+            try {
+                result = job.packets.next();
+            } catch (error) {
+                this._fail(message_type, job, error);
+                continue;
+            }
+            if (!result.done) {
+                job.next = result.value;
+                break;
+            }
+            this._finish(message_type, job);
+            this._complete(job, result.value);
+        }
+        if (jobs.length === 0) {
+            this._queues.delete(message_type);
+            return null;
+        }
+        return jobs[0];
+    }
+
+    /**
+     * Send a job's next packet and move its type to the back of the round-robin order
+     * @private
+     * @param {number} message_type - Message type
+     * @param {Object} job - Job whose packet is sent
+     * @returns {void}
+     */
+    _send_next(message_type, job) {
+        const { packet, info } = job.next;
+        job.next = null;
+        if (this._pacer) {
+            this._pacer.take(message_type, packet.length);
+            job.totals.packets -= 1;
+            job.totals.bytes -= packet.length;
+        }
+
+        const jobs = this._queues.get(message_type);
+        this._queues.delete(message_type);
+        this._queues.set(message_type, jobs);
+
+        try {
+            this._send(packet, info);
+        } catch (error) {
+            this._fail(message_type, job, error);
+            return;
+        }
+        this._peek(message_type); // Completes the message right after its last packet
+    }
+
+    /**
+     * Remove a job from its queue
+     * @private
+     * @param {number} message_type - Message type
+     * @param {Object} job - Job to remove
+     * @returns {void}
+     */
+    _finish(message_type, job) {
+        const jobs = this._queues.get(message_type);
+        const index = jobs ? jobs.indexOf(job) : -1;
+        if (index >= 0) {
+            jobs.splice(index, 1);
+        }
+        if (this._pacer && job.totals.packets > 0) {
+            this._pacer.dequeue(message_type, job.totals.packets, job.totals.bytes);
+        }
+    }
+
+    /**
+     * Report a job whose last packet has been sent
+     *
+     * The message was sent whatever on_done throws, so it is not failed;
+     * the other messages are woken before the error propagates.
+     *
+     * @private
+     * @param {Object} job - Finished job
+     * @param {*} value - The iterator's return value
+     * @returns {void}
+     */
+    _complete(job, value) {
+        try {
+            job.on_done(value);
+        } catch (error) {
+            this._wake();
+            throw error;
+        }
+    }
+
+    /**
+     * Drop a job after an error and report it
+     * @private
+     * @param {number} message_type - Message type
+     * @param {Object} job - Failed job
+     * @param {Error} error - The error
+     * @returns {void}
+     */
+    _fail(message_type, job, error) {
+        this._finish(message_type, job);
+        job.on_error(error);
+    }
+}
+
+module.exports = {
+    PACKETS_PER_TICK,
+    Scheduler
+};
@@ -0,0 +1,178 @@
+/**
+ * @fileoverview JTP (Janky Transfer Protocol) message schema registry
+ * @author JTP Library
+ * @version 1.0.0
+ */
+
+/**
+ * Named message types with serializers.
+ *
+ * A SchemaRegistry maps a name such as 'pose' to a message type and a
+ * serializer, so producers call encoder.publish('pose', value) and consumers
+ * listen with decoder.on('pose', value => ...) instead of repeating type
+ * numbers and JSON.stringify()/JSON.parse() on both ends. Share one registry
+ * (or identical ones) between encoder and decoder.
+ *
+ * A serializer is any object with encode(value) returning a Buffer and
+ * decode(buffer) returning the value, so MessagePack or protobuf codecs
+ * plug in directly. Exceptions they throw are reported as JTPMessageErrors.
+ */
+
+const { ERROR_CODES, JTPMessageError } = require('./errors');
+const { MAX_EXTENDED_TYPES } = require('./constants');
+
+/**
+ * Built-in serializers
+ * @constant {Object<string, {encode: Function, decode: Function}>}
+ * @property {Object} json - JSON text in UTF-8
+ * @property {Object} raw - Buffers passed through unchanged
+ */
+const SERIALIZERS = Object.freeze({
+    json: Object.freeze({
+        encode: (value) => {
+            const text = JSON.stringify(value);
+            if (text === undefined) {
+                throw new Error(`${typeof value} cannot be serialized as JSON`);
+            }
+            return Buffer.from(text, 'utf8');
+        },
+        decode: (buffer) => JSON.parse(buffer.toString('utf8'))
+    }),
+    raw: Object.freeze({
+        encode: (value) => {
+            if (!Buffer.isBuffer(value)) {
+                throw new Error('raw messages must be Buffers');
+            }
+            return value;
+        },
+        decode: (buffer) => buffer
+    })
+});
+
+/**
+ * Event names of the encoder, decoder and socket, which schemas may not take
+ * @private
+ * @type {Set<string>}
+ */
+const RESERVED_NAMES = new Set(['message', 'error', 'nack', 'packet', 'retransmit', 'listening', 'close', 'newListener', 'removeListener']);
+
+/**
+ * Registry of named message types
+ */
+class SchemaRegistry {
+    /**
+     * Create a registry
+     * @param {Object<string, {message_type: number, serializer?: string|Object}>} [schemas={}] - Schemas to register, by name
+     *
+     * @example
+     * const schemas = new SchemaRegistry({
+     *   pose: { message_type: 1 },                       // JSON
+     *   frame: { message_type: 2, serializer: 'raw' },
+     *   scan: { message_type: 3, serializer: msgpack }    // { encode, decode }
+     * });
+     */
+    constructor(schemas = {}) {
+        this._by_name = new Map();
+        this._by_type = new Map();
+        for (const [name, { message_type, serializer }] of Object.entries(schemas)) {
+            this.register(name, message_type, serializer);
+        }
+    }
+
+    /**
+     * Register a named message type
+     * @param {string} name - Schema name, also the decoder event it is delivered as
+     * @param {number} message_type - Message type (0-65535; above 63 needs an encoder with extended_types)
+     * @param {string|Object} [serializer='json'] - 'json', 'raw', or an object with encode(value) and decode(buffer)
+     * @returns {SchemaRegistry} This registry, for chaining
+     * @throws {Error} If the name is reserved or taken, the type is out of range or taken, or the serializer is invalid
+     */
+    register(name, message_type, serializer = 'json') {
+        if (typeof name !== 'string' || name === '' || name.includes(':') || RESERVED_NAMES.has(name)) {
+            throw new Error(`Schema name must be a non-empty string other than an event name, got ${name}`);
+        }
+        if (!Number.isInteger(message_type) || message_type < 0 || message_type >= MAX_EXTENDED_TYPES) {
+            throw new Error(`Message type must be 0-${MAX_EXTENDED_TYPES - 1}, got ${message_type}`);
+        }
+        if (this._by_name.has(name)) {
+            throw new Error(`Schema ${name} is already registered`);
+        }
+        if (this._by_type.has(message_type)) {
+            throw new Error(`Message type ${message_type} is already registered as ${this._by_type.get(message_type).name}`);
+        }
+        if (typeof serializer === 'string') {
+            if (!Object.prototype.hasOwnProperty.call(SERIALIZERS, serializer)) {
+                throw new Error(`Serializer must be 'json', 'raw' or an object with encode and decode, got ${serializer}`);
+            }
+            serializer = SERIALIZERS[serializer];
+        } else if (!serializer || typeof serializer.encode !== 'function' || typeof serializer.decode !== 'function') {
+            throw new Error('Serializer must be \'json\', \'raw\' or an object with encode and decode');
+        }
+
+        const schema = { name, message_type, serializer };
+        this._by_name.set(name, schema);
+        this._by_type.set(message_type, schema);
+        return this;
+    }
+
+    /**
+     * Look up a schema
+     * @param {string|number} name_or_type - Schema name or message type
+     * @returns {{name: string, message_type: number, serializer: Object}|null} The schema, or null if none is registered
+     */
+    get(name_or_type) {
+        const schema = typeof name_or_type === 'number' ? this._by_type.get(name_or_type) : this._by_name.get(name_or_type);
+        return schema || null;
+    }
+
+    /**
+     * Serialize a value of a named message type
+     * @param {string} name - Schema name
+     * @param {*} value - Value to serialize
+     * @param {Object} [fields] - Source ID to attach to errors
+     * @returns {{message_type: number, buffer: Buffer}} Message type and serialized message
+     * @throws {JTPMessageError} E_UNKNOWN_SCHEMA if the name is not registered, E_SERIALIZE if the serializer fails
+     */
+    encode(name, value, fields = {}) {
+        const schema = this._by_name.get(name);
+        if (!schema) {
+            throw new JTPMessageError(ERROR_CODES.E_UNKNOWN_SCHEMA, `No schema registered as ${name}`, fields);
+        }
+        const { message_type } = schema;
+        let buffer;
+        try {
+            buffer = schema.serializer.encode(value);
+        } catch (e) {
+            throw new JTPMessageError(ERROR_CODES.E_SERIALIZE, `Cannot serialize ${name}: ${e.message}`, { ...fields, message_type, cause: e });
+        }
+        if (!Buffer.isBuffer(buffer)) {
+            throw new JTPMessageError(ERROR_CODES.E_SERIALIZE, `Cannot serialize ${name}: serializer did not return a Buffer`, { ...fields, message_type });
+        }
+        return { message_type, buffer };
+    }
+
+    /**
+     * Deserialize a message of a registered type
+     * @param {number} message_type - Message type
+     * @param {Buffer} buffer - Serialized message
+     * @param {Object} [fields] - Source and message ID to attach to errors
+     * @returns {{name: string, value: *}|null} Schema name and value, or null if the type is not registered
+     * @throws {JTPMessageError} E_DESERIALIZE if the serializer fails
+     */
+    decode(message_type, buffer, fields = {}) {
+        const schema = this._by_type.get(message_type);
+        if (!schema) {
+            return null;
+        }
+        try {
+            return { name: schema.name, value: schema.serializer.decode(buffer) };
+        } catch (e) {
+            throw new JTPMessageError(ERROR_CODES.E_DESERIALIZE, `Cannot deserialize ${schema.name}: ${e.message}`, { ...fields, message_type, cause: e });
+        }
+    }
+}
+
+module.exports = {
+    SERIALIZERS,
+    SchemaRegistry
+};
@@ -0,0 +1,398 @@
+/**
+ * @fileoverview JTP (Janky Transfer Protocol) statistics and Prometheus export
+ * @author JTP Library
+ * @version 1.0.0
+ */
+
+/**
+ * Counters and histograms for encoders and decoders.
+ *
+ * A StatsRecorder keeps every counter in total, per message type and,
+ * for decoders, per source and per (source, message type) pair, so
+ * questions like "what is the loss rate on type 12 from source 7" can be
+ * answered from a single snapshot. to_prometheus() renders a snapshot in
+ * the Prometheus text exposition format.
+ */
+
+/**
+ * Upper bounds in milliseconds of the latency histogram buckets
+ * @constant {number[]}
+ */
+const LATENCY_BUCKETS_MS = Object.freeze([1, 2, 5, 10, 25, 50, 100, 250, 500, 1000, 2500, 5000, 10000]);
+
+/**
+ * Prometheus help text of every metric
+ * @private
+ * @type {Object<string, string>}
+ */
+const DESCRIPTIONS = {
+    messages_sent: 'Messages whose packets have all been emitted',
+    messages_failed: 'Messages that could not be encoded, or were reassembled but could not be delivered',
+    packets_sent: 'Packets emitted, including parity fragments and retransmissions',
+    bytes_sent: 'Bytes emitted, headers included',
+    parity_packets_sent: 'FEC parity fragments emitted',
+    retransmitted_packets: 'Packets re-emitted to serve NACKs',
+    nacks_received: 'NACK packets served',
+    nacks_rejected: 'NACK packets that failed authentication',
+    packets_received: 'Packets decoded, whether accepted or not',
+    bytes_received: 'Bytes of packets decoded, headers included',
+    duplicate_packets: 'Fragments and parity fragments received more than once',
+    invalid_packets: 'Packets that failed validation',
+    rejected_packets: 'Packets that failed authentication or were replays',
+    ignored_packets: 'Packets ignored without an error, by reason',
+    messages_completed: 'Messages reassembled and delivered',
+    messages_incomplete: 'Messages dropped with fragments missing',
+    messages_partial: 'Incomplete messages delivered in part',
+    messages_evicted: 'Incomplete messages dropped to stay within a memory limit',
+    messages_recovered: 'Messages completed with the help of FEC parity',
+    messages_repaired: 'Messages completed with the help of NACK retransmissions',
+    fragments_recovered: 'Fragments rebuilt from FEC parity',
+    nacks_sent: 'NACK packets sent',
+    reassembly_latency_ms: 'Time from the first fragment of a message to its delivery'
+};
+
+/**
+ * Cumulative histogram with fixed bucket bounds
+ */
+class Histogram {
+    /**
+     * Create an empty histogram
+     * @param {number[]} bounds - Ascending bucket upper bounds
+     */
+    constructor(bounds) {
+        this.bounds = bounds;
+        this.counts = new Array(bounds.length + 1).fill(0); // Last slot is +Inf
+        this.sum = 0;
+        this.count = 0;
+    }
+
+    /**
+     * Record a value
+     * @param {number} value - Observed value
+     * @returns {void}
+     */
+    observe(value) {
+        let i = 0;
+        while (i < this.bounds.length && value > this.bounds[i]) {
+            i++;
+        }
+        this.counts[i]++;
+        this.sum += value;
+        this.count++;
+    }
+
+    /**
+     * Get a plain-object copy of the histogram
+     * @returns {{buckets: Object<string, number>, sum: number, count: number}} Cumulative count per upper bound ('+Inf' last), sum and count
+     */
+    snapshot() {
+        const buckets = {};
+        let cumulative = 0;
+        this.bounds.forEach((bound, i) => {
+            cumulative += this.counts[i];
+            buckets[bound] = cumulative;
+        });
+        buckets['+Inf'] = this.count;
+        return { buckets, sum: this.sum, count: this.count };
+    }
+}
+
+/**
+ * Counter and histogram store broken down by message type and source
+ */
+class StatsRecorder {
+    /**
+     * Create a new recorder
+     * @param {Object} options - Recorder options
+     * @param {string[]} options.counters - Counter names
+     * @param {string[]} [options.reason_counters=[]] - Names of counters kept per reason
+     * @param {string[]} [options.histograms=[]] - Names of latency histograms
+     * @param {boolean} [options.by_source=false] - Also break counters down per source
+     */
+    constructor({ counters, reason_counters = [], histograms = [], by_source = false }) {
+        this._counters = counters;
+        this._reason_counters = reason_counters;
+        this._histograms = histograms;
+        this._by_source = by_source;
+        this.reset();
+    }
+
+    /**
+     * Zero every counter and histogram
+     * @returns {void}
+     */
+    reset() {
+        this._total = this._create_entry();
+        this._types = new Map(); // Map of message_type -> entry
+        this._sources = new Map(); // Map of source_id -> { entry, types: Map of message_type -> entry }
+    }
+
+    /**
+     * Add to a counter
+     * @param {string} name - Counter name
+     * @param {{message_type?: number|null, source_id?: number|null}} [where={}] - What the event is attributed to, where known
+     * @param {number} [amount=1] - Amount to add
+     * @returns {void}
+     */
+    count(name, where = {}, amount = 1) {
+        this._entries(where).forEach(entry => {
+            entry[name] += amount;
+        });
+    }
+
+    /**
+     * Add to a counter of the type and source breakdown only
+     *
+     * For events already counted in the totals before it was known whom
+     * to attribute them to.
+     *
+     * @param {string} name - Counter name
+     * @param {{message_type?: number|null, source_id?: number|null}} where - What the event is attributed to
+     * @param {number} [amount=1] - Amount to add
+     * @returns {void}
+     */
+    attribute(name, where, amount = 1) {
+        this._entries(where).slice(1).forEach(entry => {
+            entry[name] += amount;
+        });
+    }
+
+    /**
+     * Add one to a per-reason counter
+     * @param {string} name - Counter name
+     * @param {string} reason - Reason
+     * @param {{message_type?: number|null, source_id?: number|null}} [where={}] - What the event is attributed to, where known
+     * @returns {void}
+     */
+    count_reason(name, reason, where = {}) {
+        this._entries(where).forEach(entry => {
+            entry[name][reason] = (entry[name][reason] || 0) + 1;
+        });
+    }
+
+    /**
+     * Record a value in a histogram
+     * @param {string} name - Histogram name
+     * @param {number} value - Observed value
+     * @param {{message_type?: number|null, source_id?: number|null}} [where={}] - What the value is attributed to
+     * @returns {void}
+     */
+    observe(name, value, where = {}) {
+        this._entries(where).forEach(entry => entry[name].observe(value));
+    }
+
+    /**
+     * Get a plain-object copy of every counter
+     * @returns {Object} Totals, with `types` keyed by message type and, when broken down by source, `sources` keyed by source ID (each with its own `types`)
+     */
+    snapshot() {
+        const snapshot = this._entry_snapshot(this._total);
+        snapshot.types = this._map_snapshot(this._types);
+        if (this._by_source) {
+            snapshot.sources = {};
+            for (const [source_id, { entry, types }] of this._sources) {
+                snapshot.sources[source_id] = { ...this._entry_snapshot(entry), types: this._map_snapshot(types) };
+            }
+        }
+        return snapshot;
+    }
+
+    /**
+     * Get the entries an event updates
+     * @private
+     * @param {{message_type?: number|null, source_id?: number|null}} where - What the event is attributed to
+     * @returns {Object[]} Entries to update
+     */
+    _entries({ message_type = null, source_id = null }) {
+        const entries = [this._total];
+        if (message_type !== null) {
+            entries.push(this._entry_in(this._types, message_type));
+        }
+        if (this._by_source && source_id !== null) {
+            let source = this._sources.get(source_id);
+            if (!source) {
+                source = { entry: this._create_entry(), types: new Map() };
+                this._sources.set(source_id, source);
+            }
+            entries.push(source.entry);
+            if (message_type !== null) {
+                entries.push(this._entry_in(source.types, message_type));
+            }
+        }
+        return entries;
+    }
+
+    /**
+     * Get or create the entry for a key
+     * @private
+     * @param {Map<number, Object>} entries - Entries by key
+     * @param {number} key - Message type or source ID
+     * @returns {Object} Entry
+     */
+    _entry_in(entries, key) {
+        let entry = entries.get(key);
+        if (!entry) {
+            entry = this._create_entry();
+            entries.set(key, entry);
+        }
+        return entry;
+    }
+
+    /**
+     * Create a zeroed entry
+     * @private
+     * @returns {Object} Entry with every counter and histogram
+     */
+    _create_entry() {
+        const entry = {};
+        this._counters.forEach(name => {
+            entry[name] = 0;
+        });
+        this._reason_counters.forEach(name => {
+            entry[name] = {};
+        });
+        this._histograms.forEach(name => {
+            entry[name] = new Histogram(LATENCY_BUCKETS_MS);
+        });
+        return entry;
+    }
+
+    /**
+     * Copy an entry into plain objects
+     * @private
+     * @param {Object} entry - Entry to copy
+     * @returns {Object} Snapshot of the entry
+     */
+    _entry_snapshot(entry) {
+        const snapshot = {};
+        this._counters.forEach(name => {
+            snapshot[name] = entry[name];
+        });
+        this._reason_counters.forEach(name => {
+            snapshot[name] = { ...entry[name] };
+        });
+        this._histograms.forEach(name => {
+            snapshot[name] = entry[name].snapshot();
+        });
+        return snapshot;
+    }
+
+    /**
+     * Copy a map of entries into a plain object
+     * @private
+     * @param {Map<number, Object>} entries - Entries by key
+     * @returns {Object<number, Object>} Snapshots by key
+     */
+    _map_snapshot(entries) {
+        const snapshot = {};
+        for (const [key, entry] of entries) {
+            snapshot[key] = this._entry_snapshot(entry);
+        }
+        return snapshot;
+    }
+}
+
+/**
+ * Render encoder or decoder stats in the Prometheus text exposition format
+ *
+ * Every counter becomes a `<prefix>_<name>_total` counter and every
+ * latency histogram a `<prefix>_<name>_seconds` histogram. Series are
+ * labelled with `message_type` and, for decoder stats, `source_id`; events
+ * that could not be attributed to a type or source (such as packets that
+ * are too short to carry a header) are rendered without those labels, so
+ * summing a metric over all its series gives the total.
+ *
+ * @param {Object} stats - Snapshot from get_stats()
+ * @param {Object} [options] - Rendering options
+ * @param {string} [options.prefix='jtp'] - Metric name prefix
+ * @param {Object<string, string>} [options.labels={}] - Extra labels added to every series
+ * @returns {string} Exposition text, ending with a newline
+ *
+ * @example
+ * http.createServer((req, res) => {
+ *   res.setHeader('Content-Type', 'text/plain; version=0.0.4');
+ *   res.end(to_prometheus(decoder.get_stats(), { prefix: 'jtp_decoder' }));
+ * }).listen(9100);
+ */
+function to_prometheus(stats, { prefix = 'jtp', labels = {} } = {}) {
+    const leaves = [];
+    if (stats.sources) {
+        for (const [source_id, source] of Object.entries(stats.sources)) {
+            for (const [message_type, entry] of Object.entries(source.types)) {
+                leaves.push({ labels: { source_id, message_type }, entry });
+            }
+        }
+    } else {
+        for (const [message_type, entry] of Object.entries(stats.types)) {
+            leaves.push({ labels: { message_type }, entry });
+        }
+    }
+
+    const lines = [];
+    for (const [name, total] of Object.entries(stats)) {
+        if (name === 'types' || name === 'sources') {
+            continue;
+        }
+        const help = DESCRIPTIONS[name] || name;
+        if (typeof total === 'number') {
+            const metric = `${prefix}_${name}_total`;
+            lines.push(`# HELP ${metric} ${help}`, `# TYPE ${metric} counter`);
+            leaves.forEach(leaf => lines.push(`${metric}${format_labels({ ...labels, ...leaf.labels })} ${leaf.entry[name]}`));
+            const rest = total - leaves.reduce((sum, leaf) => sum + leaf.entry[name], 0);
+            if (rest > 0 || leaves.length === 0) {
+                lines.push(`${metric}${format_labels(labels)} ${rest}`);
+            }
+        } else if (total.buckets) {
+            const metric = `${prefix}_${name.replace(/_ms$/, '')}_seconds`;
+            lines.push(`# HELP ${metric} ${help}`, `# TYPE ${metric} histogram`);
+            leaves.forEach(leaf => {
+                const histogram = leaf.entry[name];
+                const series_labels = { ...labels, ...leaf.labels };
+                for (const [bound, count] of Object.entries(histogram.buckets)) {
+                    const le = bound === '+Inf' ? bound : String(Number(bound) / 1000);
+                    lines.push(`${metric}_bucket${format_labels({ ...series_labels, le })} ${count}`);
+                }
+                lines.push(`${metric}_sum${format_labels(series_labels)} ${histogram.sum / 1000}`);
+                lines.push(`${metric}_count${format_labels(series_labels)} ${histogram.count}`);
+            });
+        } else {
+            const metric = `${prefix}_${name}_total`;
+            lines.push(`# HELP ${metric} ${help}`, `# TYPE ${metric} counter`);
+            for (const [reason, count] of Object.entries(total)) {
+                let rest = count;
+                leaves.forEach(leaf => {
+                    const leaf_count = leaf.entry[name][reason] || 0;
+                    rest -= leaf_count;
+                    if (leaf_count > 0) {
+                        lines.push(`${metric}${format_labels({ ...labels, ...leaf.labels, reason })} ${leaf_count}`);
+                    }
+                });
+                if (rest > 0) {
+                    lines.push(`${metric}${format_labels({ ...labels, reason })} ${rest}`);
+                }
+            }
+        }
+    }
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Format a Prometheus label set
+ * @private
+ * @param {Object<string, string|number>} labels - Label names and values
+ * @returns {string} '{name="value",...}', or '' without labels
+ */
+function format_labels(labels) {
+    const pairs = Object.entries(labels).map(([name, value]) => {
+        const escaped = String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+        return `${name}="${escaped}"`;
+    });
+    return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+module.exports = {
+    LATENCY_BUCKETS_MS,
+    Histogram,
+    StatsRecorder,
+    to_prometheus
+};
@@ -0,0 +1,103 @@
+/**
+ * @fileoverview Test suite for packet authentication
+ * @author JTP Library
+ * @version 1.0.0
+ */
+
+const { expect } = require('chai');
+const { normalize_key, sign_packet, verify_packet, ReplayWindow } = require('../lib/auth');
+const { AUTH_TAG_SIZE, AUTH_TRAILER_SIZE } = require('../lib/constants');
+
+describe('Packet authentication', function() {
+    const KEY = Buffer.from('0123456789abcdef0123456789abcdef');
+
+    /**
+     * Build a signed packet with a recognizable body
+     * @param {number} [key_id=1] - Key ID to sign with
+     * @returns {Buffer} Signed packet
+     */
+    function signed_packet(key_id = 1) {
+        const packet = Buffer.alloc(20 + AUTH_TRAILER_SIZE);
+        packet.write('header and payload..');
+        sign_packet(packet, key_id, KEY);
+        return packet;
+    }
+
+    describe('Keys', function() {
+        it('should accept Buffer and string keys', function() {
+            expect(normalize_key(0, 'secret')).to.deep.equal(Buffer.from('secret'));
+            expect(normalize_key(255, KEY)).to.deep.equal(KEY);
+        });
+
+        it('should reject empty keys and out of range key IDs', function() {
+            expect(() => normalize_key(256, KEY)).to.throw('Auth key ID must be 0-255');
+            expect(() => normalize_key(-1, KEY)).to.throw('Auth key ID must be 0-255');
+            expect(() => normalize_key(1, '')).to.throw('non-empty Buffer or string');
+            expect(() => normalize_key(1, 42)).to.throw('non-empty Buffer or string');
+        });
+    });
+
+    describe('Signing', function() {
+        it('should write the key ID ahead of a truncated tag', function() {
+            const packet = signed_packet(7);
+            expect(packet.readUInt8(packet.length - AUTH_TRAILER_SIZE)).to.equal(7);
+            expect(packet.subarray(packet.length - AUTH_TAG_SIZE)).to.not.deep.equal(Buffer.alloc(AUTH_TAG_SIZE));
+        });
+
+        it('should verify a packet signed with a known key', function() {
+            expect(verify_packet(signed_packet(), new Map([[1, KEY]]))).to.deep.equal({ key_id: 1, reason: null });
+        });
+
+        it('should report unknown keys', function() {
+            expect(verify_packet(signed_packet(2), new Map([[1, KEY]]))).to.deep.equal({ key_id: 2, reason: 'unknown_key' });
+        });
+
+        it('should detect tampering with the body, key ID or tag', function() {
+            const keys = new Map([[0, KEY], [1, KEY]]); // Flipping the key ID bit yields key 0
+            [0, 19, 20, 20 + AUTH_TRAILER_SIZE - 1].forEach(offset => {
+                const packet = signed_packet();
+                packet[offset] ^= 0x01;
+                expect(verify_packet(packet, keys).reason).to.equal('bad_tag');
+            });
+        });
+
+        it('should reject packets signed with a different key under the same ID', function() {
+            const packet = signed_packet();
+            expect(verify_packet(packet, new Map([[1, Buffer.from('another key')]])).reason).to.equal('bad_tag');
+        });
+    });
+
+    describe('ReplayWindow', function() {
+        it('should accept each fragment of a message once', function() {
+            const window = new ReplayWindow(8);
+            expect(window.accept(10, 0)).to.be.true;
+            expect(window.accept(10, 1)).to.be.true;
+            expect(window.accept(10, 0)).to.be.false;
+            expect(window.accept(10, 0x10000)).to.be.true; // Parity fragment 0
+        });
+
+        it('should accept older messages inside the window only', function() {
+            const window = new ReplayWindow(8);
+            expect(window.accept(100, 0)).to.be.true;
+            expect(window.accept(93, 0)).to.be.true;
+            expect(window.accept(92, 0)).to.be.false;
+        });
+
+        it('should forget messages that fall out of the window', function() {
+            const window = new ReplayWindow(8);
+            window.accept(1, 0);
+            window.accept(20, 0);
+            expect(window._seen.has(1)).to.be.false;
+            expect(window.accept(1, 0)).to.be.false; // Too old to be trusted
+        });
+
+        it('should follow message IDs across wraparound', function() {
+            const window = new ReplayWindow(8);
+            expect(window.accept(0xFFFE, 0)).to.be.true;
+            expect(window.accept(1, 0)).to.be.true;
+            expect(window.newest).to.equal(1);
+            expect(window.accept(0xFFFF, 0)).to.be.true;
+            expect(window.accept(0xFFFE, 0)).to.be.false;
+        });
+    });
+});
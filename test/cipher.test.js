@@ -0,0 +1,61 @@
+/**
+ * @fileoverview Test suite for message encryption
+ * @author JTP Library
+ * @version 1.0.0
+ */
+
+const { expect } = require('chai');
+const { normalize_encryption_key, random_epoch, encrypt_message, decrypt_message } = require('../lib/cipher');
+const { ENCRYPTION_OVERHEAD } = require('../lib/constants');
+
+describe('Message encryption', function() {
+    const KEY = Buffer.alloc(32, 0x42);
+    const IDS = { source_id: 0x12345678, message_type: 5, message_id: 300 };
+    const MESSAGE = Buffer.from('telemetry crossing an untrusted network');
+
+    it('should only accept 32-byte Buffer keys', function() {
+        expect(normalize_encryption_key(KEY)).to.deep.equal(KEY);
+        expect(() => normalize_encryption_key(Buffer.alloc(16))).to.throw('encryption_key must be a 32-byte Buffer');
+        expect(() => normalize_encryption_key('a'.repeat(32))).to.throw('encryption_key must be a 32-byte Buffer');
+    });
+
+    it('should pick 32-bit epochs', function() {
+        const epoch = random_epoch();
+        expect(epoch).to.be.at.least(0).and.below(2 ** 32);
+    });
+
+    it('should round trip a message and hide its contents', function() {
+        const sealed = encrypt_message(MESSAGE, KEY, { ...IDS, epoch: 7 });
+        expect(sealed.length).to.equal(MESSAGE.length + ENCRYPTION_OVERHEAD);
+        expect(sealed.readUInt32LE(0)).to.equal(7);
+        expect(sealed.includes(Buffer.from('telemetry'))).to.be.false;
+        expect(decrypt_message(sealed, KEY, IDS)).to.deep.equal(MESSAGE);
+    });
+
+    it('should round trip an empty message', function() {
+        const sealed = encrypt_message(Buffer.alloc(0), KEY, { ...IDS, epoch: 0 });
+        expect(decrypt_message(sealed, KEY, IDS)).to.deep.equal(Buffer.alloc(0));
+    });
+
+    it('should use a different nonce for every epoch and message ID', function() {
+        const first = encrypt_message(MESSAGE, KEY, { ...IDS, epoch: 1 });
+        const next_epoch = encrypt_message(MESSAGE, KEY, { ...IDS, epoch: 2 });
+        const next_id = encrypt_message(MESSAGE, KEY, { ...IDS, message_id: 301, epoch: 1 });
+        expect(first.subarray(4)).to.not.deep.equal(next_epoch.subarray(4));
+        expect(first.subarray(4)).to.not.deep.equal(next_id.subarray(4));
+    });
+
+    it('should refuse tampered messages, wrong keys and moved messages', function() {
+        const sealed = encrypt_message(MESSAGE, KEY, { ...IDS, epoch: 7 });
+        [0, 10, sealed.length - 1].forEach(offset => {
+            const tampered = Buffer.from(sealed);
+            tampered[offset] ^= 0x01;
+            expect(decrypt_message(tampered, KEY, IDS)).to.be.null;
+        });
+        expect(decrypt_message(sealed, Buffer.alloc(32, 0x43), IDS)).to.be.null;
+        expect(decrypt_message(sealed, KEY, { ...IDS, message_type: 6 })).to.be.null;
+        expect(decrypt_message(sealed, KEY, { ...IDS, source_id: 1 })).to.be.null;
+        expect(decrypt_message(sealed, KEY, { ...IDS, message_id: 301 })).to.be.null;
+        expect(decrypt_message(sealed.subarray(0, ENCRYPTION_OVERHEAD - 1), KEY, IDS)).to.be.null;
+    });
+});
@@ -0,0 +1,211 @@
+/**
+ * @fileoverview Test suite for the jtp command-line tool
+ * @author JTP Library
+ * @version 1.0.0
+ */
+
+const { expect } = require('chai');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { PassThrough, Readable } = require('stream');
+const JTPEncoder = require('../lib/Encoder');
+const { PcapWriter } = require('../lib/pcap');
+const { encode_nack } = require('../lib/nack');
+const { USAGE, parse_args, send, listen, dump, describe_packet, main } = require('../lib/cli');
+const { MAGIC_BYTE } = require('../lib/constants');
+
+describe('jtp command-line tool', function() {
+    const SOURCE_ID = 0x1234;
+    let listeners;
+
+    /**
+     * Collect what is written to a stream
+     * @returns {{stream: PassThrough, text: Function}} Stream and a function returning everything written so far
+     */
+    function capture_output() {
+        const stream = new PassThrough();
+        let text = '';
+        stream.on('data', chunk => {
+            text += chunk;
+        });
+        return { stream, text: () => text };
+    }
+
+    /**
+     * Wait until a condition holds
+     * @param {Function} condition - Checked every few milliseconds
+     * @returns {Promise<void>} Resolves once the condition is true
+     */
+    function wait_for(condition) {
+        return new Promise(resolve => {
+            const check = () => condition() ? resolve() : setTimeout(check, 5);
+            check();
+        });
+    }
+
+    beforeEach(function() {
+        listeners = [];
+    });
+
+    afterEach(async function() {
+        listeners.forEach(listener => listener.close());
+        await Promise.all(listeners.map(listener => listener.closed));
+    });
+
+    describe('Argument Parsing', function() {
+        it('should parse send options', function() {
+            const { command, options } = parse_args(['send', '--type', '5', '--source', '0x1234', '--to', '127.0.0.1:5000', '--to', '[::1]:6000', '--checksum']);
+            expect(command).to.equal('send');
+            expect(options).to.deep.equal({
+                message_type: 5,
+                source_id: 0x1234,
+                destinations: [{ host: '127.0.0.1', port: 5000 }, { host: '::1', port: 6000 }],
+                max_payload_size: 1200,
+                checksum: true,
+                compression: 'none'
+            });
+        });
+
+        it('should parse listen and dump options', function() {
+            expect(parse_args(['listen', '--port', '5000', '--types', '1, 2', '--out', 'messages']).options).to.deep.equal({
+                port: 5000,
+                address: null,
+                source_id: null,
+                message_types: [1, 2],
+                out: 'messages'
+            });
+            expect(parse_args(['dump', '--pcap', 'field.pcap']).options).to.deep.equal({ port: null, address: null, pcap: 'field.pcap' });
+        });
+
+        it('should reject missing, unknown and invalid options', function() {
+            expect(() => parse_args(['send', '--source', '1', '--to', 'host:1'])).to.throw('--type is required');
+            expect(() => parse_args(['send', '--type', '65536', '--source', '1', '--to', 'host:1'])).to.throw('--type must be an integer 0-65535, got 65536');
+            expect(() => parse_args(['send', '--type', '1', '--source', '1', '--to', 'host'])).to.throw('--to must be host:port');
+            expect(() => parse_args(['send', '--type', '1', '--source', '1', '--to', 'host:1', '--max-payload-size', '65487'])).to.throw('--max-payload-size must be an integer 2-65486, got 65487');
+            expect(() => parse_args(['send', '--type', '100', '--source', '1', '--to', 'host:1', '--max-payload-size', '65485'])).to.throw('--max-payload-size must be an integer 2-65484, got 65485');
+            expect(() => parse_args(['send', '--type', '1', '--source', '1', '--to', 'host:1', '--compression', 'gzip'])).to.throw('--compression must be deflate, brotli or none, got gzip');
+            expect(() => parse_args(['listen', '--port', '1', '--colour'])).to.throw();
+            expect(() => parse_args(['listen'])).to.throw('--port is required');
+            expect(() => parse_args(['dump'])).to.throw('dump needs exactly one of --port and --pcap');
+            expect(() => parse_args(['fetch'])).to.throw('Unknown command: fetch');
+        });
+
+        it('should treat no command and --help as a request for help', function() {
+            expect(parse_args([]).command).to.equal('help');
+            expect(parse_args(['--help']).command).to.equal('help');
+            expect(parse_args(['dump', '-h']).command).to.equal('help');
+        });
+    });
+
+    describe('send and listen', function() {
+        it('should deliver standard input to a listener and save it', async function() {
+            const out = fs.mkdtempSync(path.join(os.tmpdir(), 'jtp-cli-'));
+            const stdout = capture_output();
+            const stderr = capture_output();
+            const listener = listen({ port: 0, address: '127.0.0.1', source_id: SOURCE_ID, message_types: [5], out }, { stdout: stdout.stream, stderr: stderr.stream });
+            listeners.push(listener);
+            const { port } = await listener.listening;
+
+            const message = Buffer.alloc(3000, 'x');
+            const destinations = [{ host: '127.0.0.1', port }];
+            const metadata = await send({ message_type: 5, source_id: SOURCE_ID, destinations, max_payload_size: 1000, checksum: true, compression: 'none' }, { stdin: Readable.from([message.subarray(0, 100), message.subarray(100)]) });
+            await send({ message_type: 6, source_id: SOURCE_ID, destinations, max_payload_size: 1000, checksum: false, compression: 'none' }, { stdin: Readable.from([Buffer.from('filtered')]) });
+            expect(metadata).to.include({ message_type: 5, fragment_count: 3, total_bytes: 3000 });
+
+            await wait_for(() => stdout.text().includes('\n'));
+            const [line] = stdout.text().trim().split('\n');
+            expect(line).to.match(/^0x00001234 type=5 id=0 bytes=3000 from=127\.0\.0\.1:\d+ file=/);
+            const file = line.split(' file=')[1];
+            expect(path.basename(file)).to.equal('0x00001234-5-0-1.bin');
+            expect(fs.readFileSync(file)).to.deep.equal(message);
+            fs.rmSync(out, { recursive: true });
+        });
+
+        it('should report packets that cannot be sent', async function() {
+            const options = { message_type: 1, source_id: SOURCE_ID, destinations: [{ host: '127.0.0.1', port: 0 }], max_payload_size: 1200, checksum: false, compression: 'none' };
+            let error = null;
+            await send(options, { stdin: Readable.from([Buffer.from('x')]) }).catch(e => {
+                error = e;
+            });
+            expect(error).to.be.an('error');
+        });
+    });
+
+    describe('dump', function() {
+        it('should describe every header field', function() {
+            const encoder = new JTPEncoder({ source_id: SOURCE_ID, checksum: true, auth_key: 'k', auth_key_id: 3 });
+            let packet = null;
+            encoder.on('packet', p => {
+                packet = p;
+            });
+            return encoder.send(Buffer.from('hello'), 7).then(() => {
+                expect(describe_packet(packet)).to.equal('v1 type=7 id=0 frag=0/1 source=0x00001234 payload=5 flags=CHECKSUM,AUTH key_id=3');
+                const nack = encode_nack({ source_id: SOURCE_ID, message_type: 7, message_id: 0, fragment_count: 4, fragment_indices: [1, 2] })[0];
+                expect(describe_packet(nack)).to.equal('v1 type=7 id=0 frag=0/4 source=0x00001234 payload=4 flags=NACK');
+                expect(describe_packet(Buffer.from([MAGIC_BYTE, 0]))).to.equal('invalid (Packet too short) length=2');
+                expect(describe_packet(Buffer.from('GET /'))).to.equal('not JTP length=5');
+            });
+        });
+
+        it('should dump packets and messages from a capture', async function() {
+            const file = path.join(os.tmpdir(), `jtp-cli-${process.pid}.pcap`);
+            const writer = new PcapWriter(fs.createWriteStream(file), { source: { address: '10.0.0.7', port: 4000 } });
+            const encoder = new JTPEncoder({ source_id: SOURCE_ID, max_payload_size: 100 });
+            encoder.on('packet', packet => writer.write(packet, { timestamp: Date.UTC(2024, 4, 1) }));
+            await encoder.send(Buffer.alloc(150), 2);
+            await new Promise(resolve => writer.end(resolve));
+
+            const stdout = capture_output();
+            const dumper = dump({ port: null, address: null, pcap: file }, { stdout: stdout.stream });
+            expect(await dumper.listening).to.be.null;
+            await dumper.closed;
+            fs.unlinkSync(file);
+
+            expect(stdout.text().split('\n')).to.deep.equal([
+                '2024-05-01T00:00:00.000Z v0 type=2 id=0 frag=0/2 source=0x00001234 payload=100 from=10.0.0.7:4000',
+                '2024-05-01T00:00:00.000Z v0 type=2 id=0 frag=1/2 source=0x00001234 payload=50 from=10.0.0.7:4000',
+                '  message type=2 id=0 source=0x00001234 fragments=2 bytes=150',
+                ''
+            ]);
+        });
+
+        it('should dump packets received on a port', async function() {
+            const stdout = capture_output();
+            const dumper = dump({ port: 0, address: '127.0.0.1', pcap: null }, { stdout: stdout.stream });
+            listeners.push(dumper);
+            const { port } = await dumper.listening;
+
+            await send({ message_type: 1, source_id: SOURCE_ID, destinations: [{ host: '127.0.0.1', port }], max_payload_size: 1200, checksum: false, compression: 'none' }, { stdin: Readable.from([Buffer.from('ping')]) });
+            await wait_for(() => stdout.text().includes('message'));
+            expect(stdout.text()).to.match(/Z v0 type=1 id=0 frag=0\/1 source=0x00001234 payload=4 from=127\.0\.0\.1:\d+\n/);
+        });
+    });
+
+    describe('main', function() {
+        it('should print usage and exit with 2 on usage errors', async function() {
+            const stdout = capture_output();
+            const stderr = capture_output();
+            expect(await main(['send'], { stdout: stdout.stream, stderr: stderr.stream })).to.equal(2);
+            expect(stderr.text()).to.equal(`jtp: --type is required\n\n${USAGE}`);
+            const bad_codec = capture_output();
+            expect(await main(['send', '--type', '1', '--source', '1', '--to', 'host:1', '--compression', 'gzip'], { stdout: stdout.stream, stderr: bad_codec.stream })).to.equal(2);
+            expect(bad_codec.text()).to.match(/^jtp: --compression must be deflate, brotli or none, got gzip\n/);
+            expect(await main(['--help'], { stdout: stdout.stream, stderr: stderr.stream })).to.equal(0);
+            expect(stdout.text()).to.equal(USAGE);
+        });
+
+        it('should exit with 1 when a command fails', async function() {
+            const stderr = capture_output();
+            const code = await main(['dump', '--pcap', path.join(os.tmpdir(), 'jtp-missing.pcap')], { stdout: new PassThrough(), stderr: stderr.stream });
+            expect(code).to.equal(1);
+            expect(stderr.text()).to.match(/^jtp: ENOENT/);
+        });
+
+        it('should run as the jtp executable', function() {
+            const output = execFileSync(process.execPath, [path.join(__dirname, '..', 'bin', 'jtp.js'), '--help'], { encoding: 'utf8' });
+            expect(output).to.equal(USAGE);
+        });
+    });
+});
@@ -0,0 +1,52 @@
+/**
+ * @fileoverview Test suite for message compression
+ * @author JTP Library
+ * @version 1.0.0
+ */
+
+const { expect } = require('chai');
+const crypto = require('crypto');
+const zlib = require('zlib');
+const { CODECS, validate_codec, compress_message, decompress_message } = require('../lib/compression');
+const { ERROR_CODES, JTPMessageError } = require('../lib/errors');
+
+describe('Message compression', function() {
+    const JSON_MESSAGE = Buffer.from(JSON.stringify(Array.from({ length: 200 }, (_, i) => ({ id: i, status: 'ok', x: 1.5 }))));
+
+    it('should accept only known codecs', function() {
+        ['deflate', 'brotli', 'none'].forEach(codec => expect(validate_codec(codec)).to.equal(codec));
+        expect(() => validate_codec('gzip')).to.throw("Compression codec must be 'deflate', 'brotli' or 'none', got gzip");
+        expect(() => validate_codec('toString')).to.throw('Compression codec must be');
+    });
+
+    ['deflate', 'brotli'].forEach(codec => {
+        it(`should round trip a message with ${codec}`, function() {
+            const compressed = compress_message(JSON_MESSAGE, codec);
+            expect(compressed.readUInt8(0)).to.equal(CODECS[codec]);
+            expect(compressed.length).to.be.below(JSON_MESSAGE.length / 5);
+            expect(decompress_message(compressed, JSON_MESSAGE.length)).to.deep.equal(JSON_MESSAGE);
+        });
+    });
+
+    it('should give up on data that does not get smaller', function() {
+        const noise = crypto.randomBytes(500);
+        expect(compress_message(noise, 'deflate')).to.be.null;
+        expect(compress_message(Buffer.from('a'), 'brotli')).to.be.null;
+    });
+
+    it('should refuse to decompress beyond the size limit', function() {
+        const compressed = compress_message(Buffer.alloc(100000), 'deflate');
+        expect(() => decompress_message(compressed, 1000)).to.throw(JTPMessageError, 'more than 1000 bytes').with.property('code', ERROR_CODES.E_TOO_LARGE);
+        expect(() => decompress_message(compressed, 99999)).to.throw(JTPMessageError).with.property('code', ERROR_CODES.E_TOO_LARGE);
+        expect(decompress_message(compressed, 100000).length).to.equal(100000);
+
+        const one_byte = Buffer.concat([Buffer.from([CODECS.deflate]), zlib.deflateRawSync(Buffer.from('a'))]);
+        expect(() => decompress_message(one_byte, 0)).to.throw(JTPMessageError).with.property('code', ERROR_CODES.E_TOO_LARGE);
+    });
+
+    it('should reject unknown codecs and invalid data', function() {
+        expect(() => decompress_message(Buffer.from([9, 1, 2]), 100)).to.throw('Unknown compression codec 9');
+        expect(() => decompress_message(Buffer.from([CODECS.brotli, 0xFF, 0xFF, 0xFF]), 100)).to.throw();
+        expect(() => decompress_message(Buffer.alloc(0), 100)).to.throw('Compressed message is empty');
+    });
+});
@@ -0,0 +1,32 @@
+/**
+ * @fileoverview Test suite for the CRC32 helper
+ * @author JTP Library
+ * @version 1.0.0
+ */
+
+const { expect } = require('chai');
+const { crc32, crc32_js } = require('../lib/crc32');
+
+describe('crc32', function() {
+    [
+        { name: 'crc32', fn: crc32 },
+        { name: 'crc32_js', fn: crc32_js }
+    ].forEach(({ name, fn }) => {
+        describe(name, function() {
+            it('should match the standard check value', function() {
+                expect(fn(Buffer.from('123456789'))).to.equal(0xCBF43926);
+            });
+
+            it('should return 0 for an empty buffer', function() {
+                expect(fn(Buffer.alloc(0))).to.equal(0);
+            });
+
+            it('should support incremental computation', function() {
+                const data = Buffer.from('The quick brown fox jumps over the lazy dog');
+                const partial = fn(data.subarray(0, 10));
+                expect(fn(data.subarray(10), partial)).to.equal(fn(data));
+                expect(fn(data)).to.equal(0x414FA339);
+            });
+        });
+    });
+});
@@ -0,0 +1,116 @@
+/**
+ * @fileoverview Test suite for JTPDecodeStream class
+ * @author JTP Library
+ * @version 1.0.0
+ */
+
+const { expect } = require('chai');
+const JTPDecodeStream = require('../lib/DecodeStream');
+const JTPDecoder = require('../lib/Decoder');
+const JTPEncoder = require('../lib/Encoder');
+
+describe('JTPDecodeStream', function() {
+    const SOURCE_ID = 0x12345678;
+
+    /**
+     * Encode a message and collect its packets
+     * @param {Buffer} message - Message to encode
+     * @param {number} message_type - Message type
+     * @returns {Promise<Buffer[]>} Packets
+     */
+    function encode_packets(message, message_type) {
+        const encoder = new JTPEncoder({ source_id: SOURCE_ID });
+        const packets = [];
+        encoder.on('packet', (packet) => packets.push(packet));
+        return new Promise(resolve => encoder.encode_message(message, message_type, () => resolve(packets)));
+    }
+
+    /**
+     * Drain a readable stream into an array
+     * @param {Readable} readable - Stream to drain
+     * @returns {Promise<Array>} Every chunk read
+     */
+    async function collect(readable) {
+        const chunks = [];
+        for await (const chunk of readable) {
+            chunks.push(chunk);
+        }
+        return chunks;
+    }
+
+    it('should push reassembled messages with their metadata', async function() {
+        const decode_stream = new JTPDecodeStream({ source_id: SOURCE_ID });
+        const message = Buffer.alloc(5000, 7);
+        (await encode_packets(message, 6)).forEach(packet => decode_stream.write(packet));
+        decode_stream.end();
+
+        const messages = await collect(decode_stream);
+        expect(messages.length).to.equal(1);
+        expect(messages[0].buffer).to.deep.equal(message);
+        expect(messages[0].message_type).to.equal(6);
+        expect(messages[0].metadata).to.include({ source_id: SOURCE_ID, message_id: 0, fragment_count: 5 });
+    });
+
+    it('should push large messages reassembled after the last write', async function() {
+        const decode_stream = new JTPDecodeStream({ source_id: SOURCE_ID });
+        const message = Buffer.alloc(200000, 3); // Reassembly is deferred above 64KB
+        (await encode_packets(message, 2)).forEach(packet => decode_stream.write(packet));
+        decode_stream.end();
+
+        const messages = await collect(decode_stream);
+        expect(messages.length).to.equal(1);
+        expect(messages[0].buffer).to.deep.equal(message);
+    });
+
+    it('should report invalid packets as decode errors and keep going', async function() {
+        const decode_stream = new JTPDecodeStream({ source_id: SOURCE_ID });
+        const errors = [];
+        decode_stream.on('decode:error', (error) => errors.push(error.message));
+
+        decode_stream.write(Buffer.from([0x4A, 0x00, 0x01]));
+        (await encode_packets(Buffer.from('after'), 1)).forEach(packet => decode_stream.write(packet));
+        decode_stream.end();
+
+        const messages = await collect(decode_stream);
+        expect(errors).to.deep.equal(['Packet too short']);
+        expect(messages.map(m => m.buffer.toString())).to.deep.equal(['after']);
+    });
+
+    it('should destroy the stream on chunks that are not Buffers', function(done) {
+        const decode_stream = new JTPDecodeStream({ source_id: SOURCE_ID });
+        decode_stream.on('error', (error) => {
+            expect(error.message).to.include('expects Buffer packets');
+            done();
+        });
+        decode_stream.write({ not: 'a packet' });
+    });
+
+    it('should close its own decoder but leave a shared one open', async function() {
+        const own_stream = new JTPDecodeStream({ source_id: SOURCE_ID });
+        const shared_decoder = new JTPDecoder({ source_id: SOURCE_ID });
+        const shared_stream = new JTPDecodeStream({ decoder: shared_decoder });
+
+        own_stream.end();
+        shared_stream.end();
+        await Promise.all([collect(own_stream), collect(shared_stream)]);
+
+        expect(own_stream.decoder.closed).to.be.true;
+        expect(shared_decoder.closed).to.be.false;
+        expect(shared_decoder.listenerCount('message')).to.equal(0);
+    });
+
+    it('should stop decoding while the readable side is full', async function() {
+        const decode_stream = new JTPDecodeStream({ source_id: SOURCE_ID, high_water_mark: 1 });
+        const packets = [];
+        for (let type = 0; type < 4; type++) {
+            packets.push(...await encode_packets(Buffer.from(`message ${type}`), type));
+        }
+
+        const accepted = packets.map(packet => decode_stream.write(packet));
+        expect(accepted[0]).to.be.false; // First message fills the buffer
+        decode_stream.end();
+
+        const messages = await collect(decode_stream);
+        expect(messages.map(m => m.message_type)).to.deep.equal([0, 1, 2, 3]);
+    });
+});
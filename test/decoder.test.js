@@ -7,7 +7,12 @@
 const { expect } = require('chai');
 const JTPDecoder = require('../lib/Decoder');
 const JTPEncoder = require('../lib/Encoder');
-const { VERSION, MAGIC_BYTE, MAX_PAYLOAD_SIZE } = require('../lib/constants');
+const { crc32 } = require('../lib/crc32');
+const { encode_nack, decode_nack } = require('../lib/nack');
+const { verify_packet } = require('../lib/auth');
+const { compress_message } = require('../lib/compression');
+const { ERROR_CODES, JTPPacketError, JTPFragmentError, JTPMessageError } = require('../lib/errors');
+const { VERSION, FLAGS_VERSION, FLAGS, MAGIC_BYTE, MAX_PAYLOAD_SIZE, MAX_UDP_PAYLOAD_SIZE } = require('../lib/constants');
 
 describe('JTPDecoder', function() {
     let decoder;
@@ -45,20 +50,29 @@ describe('JTPDecoder', function() {
     describe('Message State Management', function() {
         it('should reset all message state', function() {
             // Add some mock accumulators
-            decoder._accumulators.set(1, { mock: 'data1' });
-            decoder._accumulators.set(2, { mock: 'data2' });
+            decoder._accumulators.set(decoder._accumulator_key(SOURCE_ID, 1), new Map([[0, { source_id: SOURCE_ID, message_type: 1 }]]));
+            decoder._accumulators.set(decoder._accumulator_key(SOURCE_ID, 2), new Map([[0, { source_id: SOURCE_ID, message_type: 2 }]]));
             
             decoder.reset_message_state();
             expect(decoder._accumulators.size).to.equal(0);
         });
 
         it('should reset specific message type state', function() {
-            decoder._accumulators.set(1, { mock: 'data1' });
-            decoder._accumulators.set(2, { mock: 'data2' });
+            decoder._accumulators.set(decoder._accumulator_key(SOURCE_ID, 1), new Map([[0, { source_id: SOURCE_ID, message_type: 1 }]]));
+            decoder._accumulators.set(decoder._accumulator_key(SOURCE_ID, 2), new Map([[0, { source_id: SOURCE_ID, message_type: 2 }]]));
             
             decoder.reset_message_state(1);
-            expect(decoder._accumulators.has(1)).to.be.false;
-            expect(decoder._accumulators.has(2)).to.be.true;
+            expect(decoder._accumulators.has(decoder._accumulator_key(SOURCE_ID, 1))).to.be.false;
+            expect(decoder._accumulators.has(decoder._accumulator_key(SOURCE_ID, 2))).to.be.true;
+        });
+
+        it('should reset specific source state', function() {
+            decoder._accumulators.set(decoder._accumulator_key(SOURCE_ID, 1), new Map([[0, { source_id: SOURCE_ID, message_type: 1 }]]));
+            decoder._accumulators.set(decoder._accumulator_key(OTHER_SOURCE_ID, 1), new Map([[0, { source_id: OTHER_SOURCE_ID, message_type: 1 }]]));
+            
+            decoder.reset_message_state(null, OTHER_SOURCE_ID);
+            expect(decoder._accumulators.has(decoder._accumulator_key(SOURCE_ID, 1))).to.be.true;
+            expect(decoder._accumulators.has(decoder._accumulator_key(OTHER_SOURCE_ID, 1))).to.be.false;
         });
     });
 
@@ -77,6 +91,8 @@ describe('JTPDecoder', function() {
             
             decoder.on('error', (error) => {
                 expect(error.message).to.include('Packet too short');
+                expect(error).to.be.instanceOf(JTPPacketError);
+                expect(error.code).to.equal(ERROR_CODES.E_PACKET_SHORT);
                 done();
             });
             
@@ -91,6 +107,7 @@ describe('JTPDecoder', function() {
             
             decoder.on('error', (error) => {
                 expect(error.message).to.include('Unsupported version: 3');
+                expect(error.code).to.equal(ERROR_CODES.E_VERSION);
                 done();
             });
             
@@ -137,6 +154,8 @@ describe('JTPDecoder', function() {
             
             decoder.on('error', (error) => {
                 expect(error.message).to.include('Invalid fragment');
+                expect(error.code).to.equal(ERROR_CODES.E_INVALID_FRAGMENT);
+                expect(error.message_id).to.equal(error_count);
                 error_count++;
                 if (error_count === expected_errors) {
                     done();
@@ -178,6 +197,53 @@ describe('JTPDecoder', function() {
         });
     });
 
+    describe('Payload Size', function() {
+        it('should reject payload sizes that do not fit in a UDP datagram', function() {
+            expect(() => new JTPDecoder({ source_id: SOURCE_ID, max_payload_size: 0 })).to.throw('max_payload_size must be 2-65486');
+            expect(() => new JTPDecoder({ source_id: SOURCE_ID, max_payload_size: 70000 })).to.throw('max_payload_size must be 2-65486');
+            expect(() => new JTPDecoder({ source_id: SOURCE_ID, max_payload_size: 65487 })).to.throw('max_payload_size must be 2-65486');
+            expect(() => new JTPDecoder({ source_id: SOURCE_ID, max_payload_size: 65486 })).to.not.throw();
+        });
+
+        it('should accept fragments up to the configured payload size', function() {
+            const jumbo_decoder = new JTPDecoder({ source_id: SOURCE_ID, max_payload_size: 9000 });
+            const payload = Buffer.alloc(9000, 0x77);
+            let received = null;
+
+            jumbo_decoder.on('message', (buffer) => {
+                received = buffer;
+            });
+            jumbo_decoder.decode_packet(createValidPacket({
+                source_id: SOURCE_ID,
+                message_type: 1,
+                message_id: 1,
+                fragment_index: 0,
+                fragment_count: 1,
+                payload
+            }));
+
+            expect(received).to.deep.equal(payload);
+            expect(jumbo_decoder.max_message_size).to.equal(9000 * 0xFFFF);
+        });
+
+        it('should reject fragments larger than the configured payload size', function(done) {
+            const small_decoder = new JTPDecoder({ source_id: SOURCE_ID, max_payload_size: 500 });
+
+            small_decoder.on('error', (error) => {
+                expect(error.message).to.include('Invalid fragment: idx=0, cnt=1, size=501');
+                done();
+            });
+            small_decoder.decode_packet(createValidPacket({
+                source_id: SOURCE_ID,
+                message_type: 1,
+                message_id: 1,
+                fragment_index: 0,
+                fragment_count: 1,
+                payload: Buffer.alloc(501)
+            }));
+        });
+    });
+
     describe('Single Fragment Messages', function() {
         it('should decode complete single-fragment message', function(done) {
             const original_message = Buffer.from('Hello, World!');
@@ -200,6 +266,7 @@ describe('JTPDecoder', function() {
             decoder.on('message', (buffer, type, metadata) => {
                 expect(buffer).to.deep.equal(original_message);
                 expect(type).to.equal(message_type);
+                expect(metadata.source_id).to.equal(SOURCE_ID);
                 expect(metadata.message_id).to.equal(100);
                 expect(metadata.fragment_count).to.equal(1);
                 expect(metadata.total_bytes).to.equal(original_message.length);
@@ -335,7 +402,7 @@ describe('JTPDecoder', function() {
                     // We've received 2 out of 3 fragments, message should not complete
                     setTimeout(() => {
                         // Verify message is still incomplete
-                        const accumulator = decoder._accumulators.get(message_type);
+                        const accumulator = decoder._get_accumulator(decoder._accumulator_key(SOURCE_ID, message_type), message_id);
                         expect(accumulator).to.exist;
                         expect(accumulator.fragments_received).to.equal(2);
                         expect(accumulator.fragment_count).to.equal(3);
@@ -377,6 +444,14 @@ describe('JTPDecoder', function() {
             
             decoder.on('error', (error) => {
                 expect(error.message).to.include('Duplicate fragment 0');
+                expect(error).to.be.instanceOf(JTPFragmentError);
+                expect(error).to.include({
+                    code: ERROR_CODES.E_DUPLICATE_FRAGMENT,
+                    source_id: SOURCE_ID,
+                    message_type,
+                    message_id,
+                    fragment_index: 0
+                });
                 done();
             });
             
@@ -480,6 +555,1637 @@ describe('JTPDecoder', function() {
         });
     });
 
+    describe('Extended Message Types', function() {
+        /**
+         * Encode a message and collect its packets
+         * @param {Object} options - Extra encoder options
+         * @param {Buffer} message - Message to encode
+         * @param {number} message_type - Message type
+         * @param {number} [message_id=0] - Message ID to send it as
+         * @returns {Promise<Buffer[]>} Packets in send order
+         */
+        async function packets_for(options, message, message_type, message_id = 0) {
+            const sender = new JTPEncoder({ source_id: SOURCE_ID, max_payload_size: 100, ...options });
+            sender.message_id = message_id;
+            const packets = [];
+            sender.on('packet', packet => packets.push(packet));
+            await sender.send(message, message_type);
+            return packets;
+        }
+
+        it('should decode mixed version 0, 1 and 2 traffic of the same type', async function() {
+            const delivered = [];
+            const mixed_decoder = new JTPDecoder({ source_id: SOURCE_ID, message_types: [5] });
+            mixed_decoder.on('message', (buffer, type, metadata) => delivered.push([buffer.toString(), type, metadata.message_id]));
+
+            const old_packets = await packets_for({}, Buffer.from('old'), 5);
+            const checked_packets = await packets_for({ checksum: true }, Buffer.from('checked'), 5, 1);
+            const extended_packets = await packets_for({ extended_types: true }, Buffer.from('extended'), 5, 2);
+            expect([old_packets, checked_packets, extended_packets].map(packets => packets[0].readUInt8(1) >> 6)).to.deep.equal([0, 1, 2]);
+            [...old_packets, ...checked_packets, ...extended_packets].forEach(packet => mixed_decoder.decode_packet(packet));
+
+            expect(delivered).to.deep.equal([['old', 5, 0], ['checked', 5, 1], ['extended', 5, 2]]);
+        });
+
+        it('should reassemble fragments of one message sent in both formats', async function() {
+            const message = Buffer.alloc(250, 0x61);
+            const old_packets = await packets_for({}, message, 7);
+            const extended_packets = await packets_for({ extended_types: true }, message, 7);
+            let delivered = null;
+            decoder.on('message', (buffer, type, metadata) => {
+                delivered = { buffer, type, fragment_count: metadata.fragment_count };
+            });
+
+            [old_packets[0], extended_packets[1], old_packets[2]].forEach(packet => decoder.decode_packet(packet));
+            expect(delivered).to.deep.equal({ buffer: message, type: 7, fragment_count: 3 });
+        });
+
+        it('should filter and reassemble types above 63', async function() {
+            const delivered = [];
+            const filtering_decoder = new JTPDecoder({ source_id: SOURCE_ID, message_types: [64, 40000] });
+            filtering_decoder.on('message', (buffer, type) => delivered.push([type, buffer.length]));
+
+            for (const message_type of [64, 0, 128, 40000]) {
+                (await packets_for({ extended_types: true }, Buffer.alloc(250), message_type)).reverse().forEach(packet => filtering_decoder.decode_packet(packet));
+            }
+            expect(delivered).to.deep.equal([[64, 250], [40000, 250]]);
+        });
+
+        it('should keep messages of types sharing their low bits apart', async function() {
+            const delivered = [];
+            decoder.on('message', (buffer, type) => delivered.push([type, buffer.toString()]));
+
+            const low = await packets_for({ extended_types: true }, Buffer.alloc(150, 'a'), 1);
+            const high = await packets_for({ extended_types: true }, Buffer.alloc(150, 'b'), 65);
+            [low[0], high[0], low[1], high[1]].forEach(packet => decoder.decode_packet(packet));
+
+            expect(delivered.map(([type, text]) => [type, text[0]])).to.deep.equal([[1, 'a'], [65, 'b']]);
+        });
+
+        it('should reset state for an extended type only', async function() {
+            (await packets_for({ extended_types: true }, Buffer.alloc(150), 300)).slice(0, 1).forEach(packet => decoder.decode_packet(packet));
+            (await packets_for({}, Buffer.alloc(150), 44)).slice(0, 1).forEach(packet => decoder.decode_packet(packet));
+            expect(decoder._accumulators.size).to.equal(2);
+
+            decoder.reset_message_state(300);
+            expect([...decoder._accumulators.keys()]).to.deep.equal([decoder._accumulator_key(SOURCE_ID, 44)]);
+        });
+
+        it('should NACK and repair messages of extended types', async function() {
+            const sender = new JTPEncoder({ source_id: SOURCE_ID, max_payload_size: 100, extended_types: true, history_size: 10 });
+            const nack_decoder = new JTPDecoder({ source_id: SOURCE_ID, nack_interval: 10 });
+            const packets = [];
+            const on_packet = packet => packets.push(packet);
+            sender.on('packet', on_packet);
+            await sender.send(Buffer.alloc(300, 0x7A), 1000);
+            sender.off('packet', on_packet);
+
+            const repaired = new Promise(resolve => nack_decoder.on('message:repaired', resolve));
+            nack_decoder.on('nack', (packet, info) => {
+                expect(decode_nack(packet)).to.include({ message_type: 1000, message_id: 0 });
+                expect(info.fragment_indices).to.deep.equal([1]);
+                sender.on('packet', packet => nack_decoder.decode_packet(packet));
+                expect(sender.handle_nack(packet)).to.be.true;
+            });
+            [packets[0], packets[2]].forEach(packet => nack_decoder.decode_packet(packet));
+
+            expect(await repaired).to.include({ message_type: 1000, nack_rounds: 1 });
+        });
+
+        it('should decrypt messages of types above 255', async function() {
+            const KEY = Buffer.alloc(32, 0x44);
+            let delivered = null;
+            const secure_decoder = new JTPDecoder({ source_id: SOURCE_ID, encryption_key: KEY });
+            secure_decoder.on('message', (buffer, type) => {
+                delivered = [type, buffer.toString()];
+            });
+
+            (await packets_for({ extended_types: true, encryption_key: KEY }, Buffer.from('sealed'), 4096)).forEach(packet => secure_decoder.decode_packet(packet));
+            expect(delivered).to.deep.equal([4096, 'sealed']);
+
+            const tampered = await packets_for({ extended_types: true, encryption_key: KEY }, Buffer.from('sealed'), 4096);
+            tampered[0].writeUInt16LE(4096 + 256, 13);
+            const failed = [];
+            const tampered_decoder = new JTPDecoder({ source_id: SOURCE_ID, encryption_key: KEY });
+            tampered_decoder.on('message:decrypt_failed', info => failed.push(info.message_type));
+            tampered.forEach(packet => tampered_decoder.decode_packet(packet));
+            expect(failed).to.deep.equal([4096 + 256]);
+        });
+    });
+
+    describe('Multiple Sources', function() {
+        /**
+         * Build a single-fragment packet for the given source
+         * @param {number} source_id - Source ID
+         * @param {number} message_id - Message ID
+         * @param {string} text - Payload text
+         * @returns {Buffer} Packet buffer
+         */
+        function packet_from(source_id, message_id, text) {
+            return createValidPacket({
+                source_id,
+                message_type: 3,
+                message_id,
+                fragment_index: 0,
+                fragment_count: 1,
+                payload: Buffer.from(text)
+            });
+        }
+
+        it('should accept any source when source_id is null', function() {
+            const any_decoder = new JTPDecoder({ source_id: null });
+            const received = [];
+            any_decoder.on('message', (buffer, type, metadata) => received.push(metadata.source_id));
+
+            expect(any_decoder.decode_packet(packet_from(1, 0, 'a'))).to.be.true;
+            expect(any_decoder.decode_packet(packet_from(0xFFFFFFFF, 0, 'b'))).to.be.true;
+            expect(received).to.deep.equal([1, 0xFFFFFFFF]);
+        });
+
+        it('should accept a set of sources', function() {
+            const set_decoder = new JTPDecoder({ source_id: [1, 2] });
+
+            expect(set_decoder.decode_packet(packet_from(1, 0, 'a'))).to.be.true;
+            expect(set_decoder.decode_packet(packet_from(2, 0, 'b'))).to.be.true;
+            expect(set_decoder.decode_packet(packet_from(3, 0, 'c'))).to.be.false;
+        });
+
+        it('should accept a source predicate', function() {
+            const predicate_decoder = new JTPDecoder({ source_id: (id) => id >= 0x100 });
+
+            expect(predicate_decoder.decode_packet(packet_from(0x100, 0, 'a'))).to.be.true;
+            expect(predicate_decoder.decode_packet(packet_from(0xFF, 0, 'b'))).to.be.false;
+        });
+
+        it('should reject unsupported source filters', function() {
+            expect(() => new JTPDecoder({ source_id: 'robot-7' })).to.throw('source_id must be');
+            expect(() => new JTPDecoder({})).to.throw('source_id is required: pass null to accept any source');
+            expect(() => new JTPDecoder({ source_id: undefined, message_types: [1] })).to.throw('source_id is required');
+        });
+
+        it('should reassemble interleaved fragments from different sources independently', function(done) {
+            const any_decoder = new JTPDecoder({ source_id: null });
+            const received = new Map();
+            let incomplete = 0;
+
+            any_decoder.on('message:incomplete', () => incomplete++);
+            any_decoder.on('message', (buffer, type, metadata) => {
+                received.set(metadata.source_id, buffer.toString());
+                if (received.size === 2) {
+                    expect(received.get(1)).to.equal('robot one');
+                    expect(received.get(2)).to.equal('robot two');
+                    expect(incomplete).to.equal(0);
+                    done();
+                }
+            });
+
+            // Same type, unrelated message IDs: a per-type accumulator would drop one of them
+            const fragment = (source_id, message_id, fragment_index, text) => createValidPacket({
+                source_id,
+                message_type: 3,
+                message_id,
+                fragment_index,
+                fragment_count: 2,
+                payload: Buffer.from(text)
+            });
+            any_decoder.decode_packet(fragment(1, 10, 0, 'robot '));
+            any_decoder.decode_packet(fragment(2, 500, 0, 'robot '));
+            any_decoder.decode_packet(fragment(1, 10, 1, 'one'));
+            any_decoder.decode_packet(fragment(2, 500, 1, 'two'));
+        });
+    });
+
+    describe('Message Checksum', function() {
+        const message_type = 11;
+        const message = Buffer.from('checksummed message');
+
+        /**
+         * Split the test message into two checksummed fragments
+         * @param {number} checksum - CRC32 to place in the headers
+         * @returns {Buffer[]} Packets
+         */
+        function checksummed_packets(checksum) {
+            return [message.subarray(0, 8), message.subarray(8)].map((payload, fragment_index) => createValidPacket({
+                source_id: SOURCE_ID,
+                message_type,
+                message_id: 7,
+                fragment_index,
+                fragment_count: 2,
+                payload,
+                checksum
+            }));
+        }
+
+        it('should deliver messages whose checksum matches', function(done) {
+            decoder.on('message', (buffer) => {
+                expect(buffer).to.deep.equal(message);
+                done();
+            });
+            decoder.on('message:corrupt', () => done(new Error('Unexpected corrupt event')));
+
+            checksummed_packets(crc32(message)).forEach(packet => {
+                expect(decoder.decode_packet(packet)).to.be.true;
+            });
+        });
+
+        it('should emit message:corrupt instead of message on mismatch', function() {
+            const packets = checksummed_packets(crc32(message));
+            packets[1][FLAGS_HEADER_LENGTH + 2] ^= 0xFF; // Flip a payload byte
+            let corrupt_info = null;
+
+            decoder.on('message', () => {
+                throw new Error('Corrupt message was delivered');
+            });
+            decoder.on('message:corrupt', (info) => {
+                corrupt_info = info;
+            });
+
+            packets.forEach(packet => decoder.decode_packet(packet));
+
+            expect(corrupt_info).to.not.be.null;
+            expect(corrupt_info.source_id).to.equal(SOURCE_ID);
+            expect(corrupt_info.message_type).to.equal(message_type);
+            expect(corrupt_info.message_id).to.equal(7);
+            expect(corrupt_info.expected_checksum).to.equal(crc32(message));
+            expect(corrupt_info.actual_checksum).to.not.equal(corrupt_info.expected_checksum);
+            expect(decoder._accumulators.size).to.equal(0);
+        });
+
+        it('should reject fragments whose checksum disagrees with the message', function(done) {
+            const [first] = checksummed_packets(crc32(message));
+            const [, second] = checksummed_packets(0xDEADBEEF);
+
+            decoder.on('error', (error) => {
+                expect(error.message).to.include('Checksum mismatch on fragment 1');
+                done();
+            });
+
+            expect(decoder.decode_packet(first)).to.be.true;
+            expect(decoder.decode_packet(second)).to.be.false;
+        });
+
+        it('should reject unknown header flags', function(done) {
+            const packet = checksummed_packets(crc32(message))[0];
+            packet.writeUInt8(0x80 | FLAGS.CHECKSUM, 12);
+
+            decoder.on('error', (error) => {
+                expect(error.message).to.include('Unsupported flags: 0x81');
+                done();
+            });
+
+            expect(decoder.decode_packet(packet)).to.be.false;
+        });
+
+        it('should decode checksummed and plain senders side by side', function(done) {
+            const plain_encoder = new JTPEncoder({ source_id: SOURCE_ID });
+            const checksum_encoder = new JTPEncoder({ source_id: SOURCE_ID, checksum: true });
+            const received = [];
+
+            decoder.on('message', (buffer, type) => {
+                received.push(type);
+                if (received.length === 2) {
+                    expect(received.sort()).to.deep.equal([1, 2]);
+                    done();
+                }
+            });
+            plain_encoder.on('packet', (packet) => decoder.decode_packet(packet));
+            checksum_encoder.on('packet', (packet) => decoder.decode_packet(packet));
+
+            plain_encoder.encode_message(Buffer.alloc(3000, 1), 1);
+            checksum_encoder.encode_message(Buffer.alloc(3000, 2), 2);
+        });
+    });
+
+    describe('NACK Repair', function() {
+        const message_type = 21;
+
+        /**
+         * Build fragment packets of a 4-fragment message
+         * @param {number[]} indices - Fragment indices to build
+         * @returns {Buffer[]} Packets
+         */
+        function fragments(indices) {
+            return indices.map(fragment_index => createValidPacket({
+                source_id: SOURCE_ID,
+                message_type,
+                message_id: 9,
+                fragment_index,
+                fragment_count: 4,
+                payload: Buffer.from(`part${fragment_index}`)
+            }));
+        }
+
+        it('should validate the NACK settings', function() {
+            expect(() => new JTPDecoder({ source_id: SOURCE_ID, nack_interval: -1 })).to.throw('nack_interval must be a non-negative integer, got -1');
+            expect(() => new JTPDecoder({ source_id: SOURCE_ID, nack_interval: NaN })).to.throw('nack_interval must be a non-negative integer, got NaN');
+            expect(() => new JTPDecoder({ source_id: SOURCE_ID, nack_interval: '10' })).to.throw('nack_interval must be a non-negative integer, got 10');
+            expect(() => new JTPDecoder({ source_id: SOURCE_ID, nack_retries: 1.5 })).to.throw('nack_retries must be a non-negative integer, got 1.5');
+            expect(() => new JTPDecoder({ source_id: SOURCE_ID, nack_interval: 0, nack_retries: 0 })).to.not.throw();
+        });
+
+        it('should NACK missing fragments after the idle interval', function(done) {
+            const nack_decoder = new JTPDecoder({ source_id: SOURCE_ID, nack_interval: 10 });
+
+            nack_decoder.on('nack', (packet, info) => {
+                expect(info).to.deep.equal({
+                    source_id: SOURCE_ID,
+                    message_type,
+                    message_id: 9,
+                    fragment_indices: [1, 3],
+                    attempt: 1
+                });
+                expect(decode_nack(packet)).to.deep.equal({
+                    source_id: SOURCE_ID,
+                    message_type,
+                    message_id: 9,
+                    fragment_count: 4,
+                    fragment_indices: [1, 3]
+                });
+                nack_decoder.reset_message_state();
+                done();
+            });
+
+            fragments([0, 2]).forEach(packet => nack_decoder.decode_packet(packet));
+        });
+
+        it('should report a repaired message once retransmissions complete it', function(done) {
+            const nack_decoder = new JTPDecoder({ source_id: SOURCE_ID, nack_interval: 10 });
+            let delivered = false;
+
+            nack_decoder.on('nack', (packet, info) => {
+                fragments(info.fragment_indices).forEach(fragment => nack_decoder.decode_packet(fragment));
+            });
+            nack_decoder.on('message', (buffer) => {
+                expect(buffer.toString()).to.equal('part0part1part2part3');
+                delivered = true;
+            });
+            nack_decoder.on('message:repaired', (info) => {
+                expect(delivered).to.be.true;
+                expect(info.message_id).to.equal(9);
+                expect(info.nack_rounds).to.equal(1);
+                done();
+            });
+
+            fragments([0, 2]).forEach(packet => nack_decoder.decode_packet(packet));
+        });
+
+        it('should give up after the configured number of rounds', function(done) {
+            const nack_decoder = new JTPDecoder({ source_id: SOURCE_ID, nack_interval: 5, nack_retries: 2 });
+            let nack_count = 0;
+
+            nack_decoder.on('nack', () => nack_count++);
+            nack_decoder.on('message:repair_failed', (info) => {
+                expect(nack_count).to.equal(2);
+                expect(info.nack_rounds).to.equal(2);
+                expect(info.fragments_received).to.equal(1);
+                expect(info.fragment_count).to.equal(4);
+                done();
+            });
+
+            nack_decoder.decode_packet(fragments([0])[0]);
+        });
+
+        it('should not NACK complete messages or when disabled', function(done) {
+            const nack_decoder = new JTPDecoder({ source_id: SOURCE_ID, nack_interval: 5 });
+            nack_decoder.on('nack', () => done(new Error('Unexpected NACK')));
+            decoder.on('nack', () => done(new Error('Unexpected NACK')));
+
+            fragments([0, 1, 2, 3]).forEach(packet => nack_decoder.decode_packet(packet));
+            fragments([0]).forEach(packet => decoder.decode_packet(packet));
+            setTimeout(done, 30);
+        });
+
+        it('should stop NACKing when the message state is reset', function(done) {
+            const nack_decoder = new JTPDecoder({ source_id: SOURCE_ID, nack_interval: 5 });
+            nack_decoder.on('nack', () => done(new Error('Unexpected NACK')));
+
+            nack_decoder.decode_packet(fragments([0])[0]);
+            nack_decoder.reset_message_state(message_type);
+            setTimeout(done, 30);
+        });
+
+        it('should ignore NACK control packets', function() {
+            const [nack] = encode_nack({
+                source_id: SOURCE_ID,
+                message_type,
+                message_id: 9,
+                fragment_count: 4,
+                fragment_indices: [1]
+            });
+            expect(decoder.decode_packet(nack)).to.be.false;
+            expect(decoder._accumulators.size).to.equal(0);
+        });
+    });
+
+    describe('Reassembly Window', function() {
+        /**
+         * Build one fragment of a 2-fragment message whose payload names the message
+         * @param {number} message_id - Message ID
+         * @param {number} fragment_index - Fragment index
+         * @returns {Buffer} Packet
+         */
+        function fragment(message_id, fragment_index) {
+            return createValidPacket({
+                source_id: SOURCE_ID,
+                message_type: 3,
+                message_id,
+                fragment_index,
+                fragment_count: 2,
+                payload: Buffer.from(`${message_id}.${fragment_index};`)
+            });
+        }
+
+        /**
+         * Create a windowed decoder that records delivered and dropped message IDs
+         * @param {Object} options - Extra JTPDecoder options
+         * @returns {{window_decoder: JTPDecoder, delivered: number[], incomplete: Object[]}} Decoder and records
+         */
+        function create_window_decoder(options) {
+            const window_decoder = new JTPDecoder({ source_id: SOURCE_ID, ...options });
+            const delivered = [];
+            const incomplete = [];
+            window_decoder.on('message', (buffer, type, metadata) => {
+                expect(buffer.toString()).to.equal(`${metadata.message_id}.0;${metadata.message_id}.1;`);
+                delivered.push(metadata.message_id);
+            });
+            window_decoder.on('message:incomplete', (info) => incomplete.push(info));
+            return { window_decoder, delivered, incomplete };
+        }
+
+        it('should reject invalid window settings', function() {
+            expect(() => new JTPDecoder({ source_id: SOURCE_ID, reassembly_window: 0 })).to.throw('reassembly_window must be 1-32767');
+            expect(() => new JTPDecoder({ source_id: SOURCE_ID, reassembly_window: 0x8000 })).to.throw('reassembly_window must be 1-32767');
+            expect(() => new JTPDecoder({ source_id: SOURCE_ID, delivery_order: 'fifo' })).to.throw("delivery_order must be 'completion' or 'id'");
+        });
+
+        it('should reassemble interleaved messages in completion order', function() {
+            const { window_decoder, delivered, incomplete } = create_window_decoder({ reassembly_window: 2 });
+
+            [fragment(10, 0), fragment(11, 0), fragment(11, 1), fragment(10, 1)].forEach(packet => {
+                expect(window_decoder.decode_packet(packet)).to.be.true;
+            });
+
+            expect(delivered).to.deep.equal([11, 10]);
+            expect(incomplete).to.be.empty;
+            expect(window_decoder._accumulators.size).to.equal(0);
+        });
+
+        it('should supersede messages that fall out of the window', function() {
+            const { window_decoder, delivered, incomplete } = create_window_decoder({ reassembly_window: 2 });
+
+            window_decoder.decode_packet(fragment(10, 0));
+            window_decoder.decode_packet(fragment(11, 0));
+            window_decoder.decode_packet(fragment(12, 0)); // Pushes 10 out of the window
+            expect(window_decoder.decode_packet(fragment(10, 1))).to.be.false;
+            window_decoder.decode_packet(fragment(11, 1));
+
+            expect(delivered).to.deep.equal([11]);
+            expect(incomplete.map(info => [info.message_id, info.reason])).to.deep.equal([[10, 'superseded']]);
+        });
+
+        it('should keep the window across message ID wraparound', function() {
+            const { window_decoder, delivered } = create_window_decoder({ reassembly_window: 3 });
+
+            [fragment(0xFFFF, 0), fragment(0, 0), fragment(1, 0), fragment(0xFFFF, 1), fragment(1, 1), fragment(0, 1)]
+                .forEach(packet => window_decoder.decode_packet(packet));
+
+            expect(delivered).to.deep.equal([0xFFFF, 1, 0]);
+        });
+
+        it('should ignore stragglers of recently completed messages', function() {
+            const { window_decoder, delivered } = create_window_decoder({ reassembly_window: 2 });
+
+            [fragment(10, 0), fragment(11, 0), fragment(10, 1), fragment(11, 1)].forEach(packet => window_decoder.decode_packet(packet));
+
+            expect(window_decoder.decode_packet(fragment(10, 0))).to.be.false;
+            expect(window_decoder.decode_packet(fragment(11, 1))).to.be.false;
+            expect(delivered).to.deep.equal([10, 11]);
+            expect(window_decoder._accumulators.size).to.equal(0);
+        });
+
+        it('should deliver in message ID order when requested', function() {
+            const { window_decoder, delivered } = create_window_decoder({ reassembly_window: 3, delivery_order: 'id' });
+
+            window_decoder.decode_packet(fragment(10, 0));
+            window_decoder.decode_packet(fragment(11, 0));
+            window_decoder.decode_packet(fragment(12, 0));
+            window_decoder.decode_packet(fragment(12, 1));
+            window_decoder.decode_packet(fragment(11, 1));
+            expect(delivered).to.be.empty; // Both wait for message 10
+
+            window_decoder.decode_packet(fragment(10, 1));
+            expect(delivered).to.deep.equal([10, 11, 12]);
+        });
+
+        it('should always time out lost messages when delivering in ID order', function() {
+            expect(new JTPDecoder({ source_id: SOURCE_ID, delivery_order: 'id' }).reassembly_timeout).to.equal(1000);
+            expect(new JTPDecoder({ source_id: SOURCE_ID }).reassembly_timeout).to.equal(0);
+            expect(() => new JTPDecoder({ source_id: SOURCE_ID, delivery_order: 'id', reassembly_timeout: 0 }))
+                .to.throw("reassembly_timeout must be above 0 with delivery_order 'id'");
+            expect(() => new JTPDecoder({ source_id: SOURCE_ID, delivery_order: 'id', reassembly_timeouts: { 3: 0 } }))
+                .to.throw("reassembly_timeouts[3] must be above 0 with delivery_order 'id'");
+        });
+
+        it('should release held messages when an older message is dropped', function(done) {
+            const { window_decoder, delivered, incomplete } = create_window_decoder({
+                reassembly_window: 2,
+                delivery_order: 'id',
+                reassembly_timeout: 10
+            });
+
+            window_decoder.decode_packet(fragment(10, 0));
+            window_decoder.decode_packet(fragment(11, 0));
+            window_decoder.decode_packet(fragment(11, 1));
+            expect(delivered).to.be.empty;
+
+            window_decoder.on('message', () => {
+                expect(incomplete.map(info => [info.message_id, info.reason])).to.deep.equal([[10, 'timeout']]);
+                expect(delivered).to.deep.equal([11]);
+                done();
+            });
+        });
+
+        it('should ignore messages behind the last delivered one in ID order', function() {
+            const { window_decoder, delivered } = create_window_decoder({ reassembly_window: 4, delivery_order: 'id' });
+
+            window_decoder.decode_packet(fragment(12, 0));
+            window_decoder.decode_packet(fragment(12, 1));
+            expect(window_decoder.decode_packet(fragment(11, 0))).to.be.false;
+
+            expect(delivered).to.deep.equal([12]);
+            expect(window_decoder._accumulators.size).to.equal(0);
+        });
+
+        it('should drop held messages on reset', function() {
+            const { window_decoder, delivered } = create_window_decoder({ reassembly_window: 2, delivery_order: 'id' });
+
+            window_decoder.decode_packet(fragment(10, 0));
+            window_decoder.decode_packet(fragment(11, 0));
+            window_decoder.decode_packet(fragment(11, 1));
+            window_decoder.reset_message_state();
+            window_decoder.decode_packet(fragment(10, 1));
+
+            expect(delivered).to.be.empty;
+        });
+    });
+
+    describe('Reassembly Timeouts', function() {
+        /**
+         * Build one fragment of a 3-fragment message
+         * @param {number} message_type - Message type
+         * @param {number} fragment_index - Fragment index
+         * @returns {Buffer} Packet
+         */
+        function fragment(message_type, fragment_index) {
+            return createValidPacket({
+                source_id: SOURCE_ID,
+                message_type,
+                message_id: 40,
+                fragment_index,
+                fragment_count: 3,
+                payload: Buffer.from('part')
+            });
+        }
+
+        it('should validate the timeouts', function() {
+            const create = options => new JTPDecoder({ source_id: SOURCE_ID, ...options });
+            expect(() => create({ reassembly_timeout: -1 })).to.throw('reassembly_timeout must be 0-2147483647 milliseconds, got -1');
+            expect(() => create({ reassembly_timeout: Infinity })).to.throw('reassembly_timeout must be 0-2147483647 milliseconds, got Infinity');
+            expect(() => create({ reassembly_timeout: '500' })).to.throw('reassembly_timeout must be');
+            expect(() => create({ reassembly_timeouts: null })).to.throw('reassembly_timeouts must be an object keyed by message type, got null');
+            expect(() => create({ reassembly_timeouts: { robot: 10 } })).to.throw('reassembly_timeouts keys must be message types 0-65535, got robot');
+            expect(() => create({ reassembly_timeouts: { 65536: 10 } })).to.throw('reassembly_timeouts keys must be message types 0-65535, got 65536');
+            expect(() => create({ reassembly_timeouts: { 5: NaN } })).to.throw('reassembly_timeouts[5] must be 0-2147483647 milliseconds, got NaN');
+            expect(() => create({ reassembly_timeout: 2.5, reassembly_timeouts: { 5: 0, 65535: 100 } })).to.not.throw();
+        });
+
+        it('should drop a stalled message and report it as a timeout', function(done) {
+            const timeout_decoder = new JTPDecoder({ source_id: SOURCE_ID, reassembly_timeout: 10 });
+
+            timeout_decoder.on('message:incomplete', (info) => {
+                expect(info).to.deep.equal({
+                    source_id: SOURCE_ID,
+                    message_type: 2,
+                    message_id: 40,
+                    fragments_received: 1,
+                    fragment_count: 3,
+                    reason: 'timeout'
+                });
+                expect(timeout_decoder._accumulators.size).to.equal(0);
+                done();
+            });
+
+            timeout_decoder.decode_packet(fragment(2, 0));
+        });
+
+        it('should apply per-type timeout overrides', function(done) {
+            const timeout_decoder = new JTPDecoder({
+                source_id: SOURCE_ID,
+                reassembly_timeout: 0,
+                reassembly_timeouts: { 5: 10 }
+            });
+            const expired = [];
+
+            timeout_decoder.on('message:incomplete', (info) => expired.push(info.message_type));
+            timeout_decoder.decode_packet(fragment(4, 0));
+            timeout_decoder.decode_packet(fragment(5, 0));
+
+            setTimeout(() => {
+                expect(expired).to.deep.equal([5]);
+                expect(timeout_decoder._accumulators.size).to.equal(1); // Type 4 has no timeout
+                timeout_decoder.close();
+                done();
+            }, 40);
+        });
+
+        it('should restart the timeout whenever a fragment arrives', function(done) {
+            const timeout_decoder = new JTPDecoder({ source_id: SOURCE_ID, reassembly_timeout: 30 });
+            let delivered = false;
+
+            timeout_decoder.on('message:incomplete', () => done(new Error('Message timed out despite progress')));
+            timeout_decoder.on('message', () => {
+                delivered = true;
+            });
+
+            timeout_decoder.decode_packet(fragment(2, 0));
+            setTimeout(() => timeout_decoder.decode_packet(fragment(2, 1)), 20);
+            setTimeout(() => timeout_decoder.decode_packet(fragment(2, 2)), 40);
+            setTimeout(() => {
+                expect(delivered).to.be.true;
+                done();
+            }, 80);
+        });
+
+        it('should report superseded messages with their reason', function(done) {
+            decoder.on('message:incomplete', (info) => {
+                expect(info.reason).to.equal('superseded');
+                done();
+            });
+
+            decoder.decode_packet(fragment(2, 0));
+            decoder.decode_packet(createValidPacket({
+                source_id: SOURCE_ID,
+                message_type: 2,
+                message_id: 41,
+                fragment_index: 0,
+                fragment_count: 1,
+                payload: Buffer.from('newer')
+            }));
+        });
+    });
+
+    describe('Authentication', function() {
+        const KEY = Buffer.from('decoder test key');
+        const NEXT_KEY = Buffer.from('rotated key');
+
+        /**
+         * Encode a message with a signing encoder and collect its packets
+         * @param {Object} options - Extra encoder options
+         * @param {Buffer} message - Message to encode
+         * @param {number} [count=1] - Messages to encode back to back
+         * @returns {Promise<Buffer[]>} Packets of every message, in send order
+         */
+        async function signed_packets(options, message, count = 1) {
+            const signer = new JTPEncoder({ source_id: SOURCE_ID, auth_key: KEY, auth_key_id: 1, ...options });
+            const packets = [];
+            signer.on('packet', packet => packets.push(packet));
+            for (let i = 0; i < count; i++) {
+                await signer.send(message, 7);
+            }
+            return packets;
+        }
+
+        /**
+         * Create a decoder that records rejections
+         * @param {Object} [options={}] - Extra decoder options
+         * @returns {{auth_decoder: JTPDecoder, rejected: Object[]}} Decoder and its rejection log
+         */
+        function create_auth_decoder(options = {}) {
+            const auth_decoder = new JTPDecoder({ source_id: SOURCE_ID, auth_keys: { 1: KEY }, ...options });
+            const rejected = [];
+            auth_decoder.on('packet:rejected', info => rejected.push(info));
+            return { auth_decoder, rejected };
+        }
+
+        it('should validate the replay window', function() {
+            expect(() => new JTPDecoder({ source_id: SOURCE_ID, replay_window: 0 })).to.throw('replay_window must be 1-32767');
+            expect(() => new JTPDecoder({ source_id: SOURCE_ID, auth_keys: { 300: KEY } })).to.throw('Auth key ID must be 0-255');
+        });
+
+        it('should deliver messages signed with a known key', async function() {
+            const { auth_decoder, rejected } = create_auth_decoder();
+            const message = Buffer.alloc(MAX_PAYLOAD_SIZE * 2 + 10, 0x5A);
+            const delivered = [];
+            auth_decoder.on('message', buffer => delivered.push(buffer));
+
+            (await signed_packets({ checksum: true }, message)).forEach(packet => auth_decoder.decode_packet(packet));
+            expect(delivered).to.deep.equal([message]);
+            expect(rejected).to.be.empty;
+        });
+
+        it('should strip the trailer of signed packets when no keys are configured', async function() {
+            const delivered = [];
+            decoder.on('message', buffer => delivered.push(buffer.toString()));
+            (await signed_packets({}, Buffer.from('signed'))).forEach(packet => decoder.decode_packet(packet));
+            expect(delivered).to.deep.equal(['signed']);
+        });
+
+        it('should reject unsigned, unknown key and forged packets before reassembly', async function() {
+            const { auth_decoder, rejected } = create_auth_decoder();
+            const [unsigned] = await signed_packets({ auth_key: null }, Buffer.from('plain'));
+            const [unknown] = await signed_packets({ auth_key_id: 9 }, Buffer.from('unknown'));
+            const [forged] = await signed_packets({ auth_key: 'guess' }, Buffer.from('forged'));
+
+            [unsigned, unknown, forged].forEach(packet => expect(auth_decoder.decode_packet(packet)).to.be.false);
+            expect(rejected.map(info => [info.key_id, info.reason])).to.deep.equal([
+                [null, 'unauthenticated'],
+                [9, 'unknown_key'],
+                [1, 'bad_tag']
+            ]);
+            expect(rejected[0]).to.include({ source_id: SOURCE_ID, message_type: 7, message_id: 0, fragment_index: 0 });
+            expect(auth_decoder._accumulators.size).to.equal(0);
+        });
+
+        it('should reject replayed fragments and messages behind the replay window', async function() {
+            const { auth_decoder, rejected } = create_auth_decoder({ replay_window: 4, reassembly_window: 4 });
+            const packets = await signed_packets({}, Buffer.alloc(MAX_PAYLOAD_SIZE * 2), 6);
+
+            expect(auth_decoder.decode_packet(packets[0])).to.be.true;
+            expect(auth_decoder.decode_packet(packets[0])).to.be.false;
+            expect(auth_decoder.decode_packet(packets[10])).to.be.true; // Message 5
+            expect(auth_decoder.decode_packet(packets[2])).to.be.false; // Message 1, 4 IDs behind
+            expect(auth_decoder.decode_packet(packets[4])).to.be.true; // Message 2, still inside
+
+            expect(rejected.map(info => [info.message_id, info.reason])).to.deep.equal([[0, 'replay'], [1, 'replay']]);
+        });
+
+        it('should accept old and new keys during a rotation', async function() {
+            const { auth_decoder, rejected } = create_auth_decoder();
+            const signer = new JTPEncoder({ source_id: SOURCE_ID, auth_key: KEY, auth_key_id: 1 });
+            const packets = [];
+            const delivered = [];
+            signer.on('packet', packet => packets.push(packet));
+            auth_decoder.on('message', buffer => delivered.push(buffer.toString()));
+
+            await signer.send(Buffer.from('old'), 7);
+            auth_decoder.add_auth_key(2, NEXT_KEY);
+            signer.set_auth_key(2, NEXT_KEY);
+            await signer.send(Buffer.from('new'), 7);
+            packets.forEach(packet => auth_decoder.decode_packet(packet));
+            expect(delivered).to.deep.equal(['old', 'new']);
+
+            expect(auth_decoder.remove_auth_key(1)).to.be.true;
+            signer.set_auth_key(1, KEY); // A sender that missed the rotation
+            await signer.send(Buffer.from('retired'), 7);
+            expect(auth_decoder.decode_packet(packets[2])).to.be.false;
+            expect(rejected.map(info => info.reason)).to.deep.equal(['unknown_key']);
+        });
+
+        it('should let a reset sender start its message IDs over', async function() {
+            const { auth_decoder, rejected } = create_auth_decoder();
+            const [packet] = await signed_packets({}, Buffer.from('again'));
+            auth_decoder.decode_packet(packet);
+            auth_decoder.reset_message_state(7, SOURCE_ID);
+            expect(auth_decoder.decode_packet(packet)).to.be.true;
+            expect(rejected).to.be.empty;
+        });
+
+        it('should sign NACKs with the key of the message', function(done) {
+            const { auth_decoder } = create_auth_decoder({ nack_interval: 5 });
+            auth_decoder.on('nack', (packet, info) => {
+                expect(info.fragment_indices).to.deep.equal([1]);
+                expect(packet.readUInt8(12)).to.equal(FLAGS.NACK | FLAGS.AUTH);
+                expect(verify_packet(packet, new Map([[1, KEY]]))).to.deep.equal({ key_id: 1, reason: null });
+                auth_decoder.close();
+                done();
+            });
+            signed_packets({}, Buffer.alloc(MAX_PAYLOAD_SIZE * 2)).then(packets => auth_decoder.decode_packet(packets[0]));
+        });
+
+        it('should keep signed NACKs within a UDP datagram at the largest payload size', function(done) {
+            const { auth_decoder } = create_auth_decoder({ max_payload_size: MAX_UDP_PAYLOAD_SIZE - 21, nack_interval: 5 });
+            const requested = [];
+            auth_decoder.on('nack', (packet, info) => {
+                expect(packet.length).to.be.at.most(MAX_UDP_PAYLOAD_SIZE);
+                requested.push(...info.fragment_indices);
+                if (requested.length === 39999) {
+                    auth_decoder.close();
+                    done();
+                }
+            });
+            signed_packets({ max_payload_size: 2 }, Buffer.alloc(80000)).then(packets => auth_decoder.decode_packet(packets[0]));
+        });
+    });
+
+    describe('Encryption', function() {
+        const KEY = Buffer.alloc(32, 0x22);
+
+        /**
+         * Encode a message and collect its packets
+         * @param {Object} options - Extra encoder options
+         * @param {Buffer} message - Message to encode
+         * @returns {Promise<Buffer[]>} Packets in send order
+         */
+        async function packets_for(options, message) {
+            const sender = new JTPEncoder({ source_id: SOURCE_ID, ...options });
+            const packets = [];
+            sender.on('packet', packet => packets.push(packet));
+            await sender.send(message, 6);
+            return packets;
+        }
+
+        /**
+         * Decode packets and collect deliveries and decryption failures
+         * @param {JTPDecoder} receiver - Decoder to feed
+         * @param {Buffer[]} packets - Packets to decode
+         * @returns {{delivered: Array, failed: Object[]}} Delivered [buffer, metadata] pairs and failure info
+         */
+        function decode_all(receiver, packets) {
+            const delivered = [];
+            const failed = [];
+            receiver.on('message', (buffer, type, metadata) => delivered.push([buffer, metadata]));
+            receiver.on('message:decrypt_failed', info => failed.push(info));
+            packets.forEach(packet => receiver.decode_packet(packet));
+            return { delivered, failed };
+        }
+
+        it('should decrypt messages after reassembly', async function() {
+            const message = Buffer.alloc(MAX_PAYLOAD_SIZE * 3, 0x33);
+            const packets = await packets_for({ encryption_key: KEY, checksum: true }, message);
+            const { delivered, failed } = decode_all(new JTPDecoder({ source_id: SOURCE_ID, encryption_key: KEY }), packets);
+
+            expect(failed).to.be.empty;
+            expect(delivered).to.have.length(1);
+            expect(delivered[0][0]).to.deep.equal(message);
+            expect(delivered[0][1]).to.include({ fragment_count: 4, total_bytes: message.length });
+        });
+
+        it('should report messages sealed with another key', async function() {
+            const packets = await packets_for({ encryption_key: Buffer.alloc(32, 0x23) }, Buffer.from('secret'));
+            const { delivered, failed } = decode_all(new JTPDecoder({ source_id: SOURCE_ID, encryption_key: KEY }), packets);
+
+            expect(delivered).to.be.empty;
+            expect(failed).to.deep.equal([{
+                source_id: SOURCE_ID,
+                message_type: 6,
+                message_id: 0,
+                fragment_count: 1,
+                total_bytes: 6 + 20,
+                reason: 'auth_failed'
+            }]);
+        });
+
+        it('should refuse encrypted messages without a key and plaintext with one', async function() {
+            const sealed = await packets_for({ encryption_key: KEY }, Buffer.from('secret'));
+            const plain = await packets_for({}, Buffer.from('plain'));
+
+            expect(decode_all(decoder, sealed).failed.map(info => info.reason)).to.deep.equal(['no_key']);
+            const { delivered, failed } = decode_all(new JTPDecoder({ source_id: SOURCE_ID, encryption_key: KEY }), plain);
+            expect(delivered).to.be.empty;
+            expect(failed.map(info => info.reason)).to.deep.equal(['unencrypted']);
+        });
+
+        it('should reject fragments that disagree about encryption', async function() {
+            const sealed = await packets_for({ encryption_key: KEY }, Buffer.alloc(MAX_PAYLOAD_SIZE * 2));
+            const plain = await packets_for({}, Buffer.alloc(MAX_PAYLOAD_SIZE * 2));
+            const errors = [];
+            decoder.on('error', error => errors.push(error.message));
+
+            decoder.decode_packet(sealed[0]);
+            expect(decoder.decode_packet(plain[1])).to.be.false;
+            expect(errors).to.deep.equal(['Encryption flag mismatch on fragment 1 of message 0']);
+        });
+    });
+
+    describe('Compression', function() {
+        it('should decompress messages before delivering them', async function() {
+            const sender = new JTPEncoder({ source_id: SOURCE_ID, compression: 'brotli' });
+            const message = Buffer.from(JSON.stringify({ grid: new Array(3000).fill(0) }));
+            const delivered = [];
+            const completed = [];
+            sender.on('packet', packet => decoder.decode_packet(packet));
+            decoder.on('message', (buffer, type, metadata) => delivered.push([buffer, metadata]));
+            decoder.on('message:complete', info => completed.push(info));
+
+            const { compressed_bytes } = await sender.send(message, 2);
+            expect(delivered).to.have.length(1);
+            expect(delivered[0][0]).to.deep.equal(message);
+            expect(delivered[0][1]).to.include({ total_bytes: message.length, compressed_bytes });
+            expect(completed[0]).to.include({ total_bytes: message.length, compressed_bytes });
+        });
+
+        it('should report the size of uncompressed messages as their compressed size', function() {
+            let metadata = null;
+            decoder.on('message', (buffer, type, info) => {
+                metadata = info;
+            });
+            decoder.decode_packet(createValidPacket({
+                source_id: SOURCE_ID,
+                message_type: 1,
+                message_id: 0,
+                fragment_index: 0,
+                fragment_count: 1,
+                payload: Buffer.from('plain')
+            }));
+            expect(metadata).to.include({ total_bytes: 5, compressed_bytes: 5 });
+        });
+
+        it('should report messages that fail to decompress', function() {
+            const packet = Buffer.from([MAGIC_BYTE, (FLAGS_VERSION << 6) | 1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 0, FLAGS.COMPRESSED, 7, 1, 2, 3]);
+            packet.writeUInt32LE(SOURCE_ID, 8);
+            const errors = [];
+            decoder.on('error', error => errors.push(error));
+            decoder.on('message', () => expect.fail('Undecodable message delivered'));
+
+            decoder.decode_packet(packet);
+            expect(errors.map(error => error.message)).to.deep.equal(['Decompression failed for message 0: Unknown compression codec 7']);
+            expect(errors[0]).to.be.instanceOf(JTPMessageError);
+            expect(errors[0]).to.include({ code: ERROR_CODES.E_DECOMPRESSION, source_id: SOURCE_ID, message_type: 1, message_id: 0, fragment_index: null });
+            expect(errors[0].cause.message).to.equal('Unknown compression codec 7');
+        });
+
+        it('should reject messages that decompress past max_message_size', function() {
+            const small_decoder = new JTPDecoder({ source_id: SOURCE_ID, max_payload_size: 100 });
+            const compressed = compress_message(Buffer.alloc(small_decoder.max_message_size + 1), 'brotli');
+            const header = Buffer.from([MAGIC_BYTE, (FLAGS_VERSION << 6) | 1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 0, FLAGS.COMPRESSED]);
+            header.writeUInt32LE(SOURCE_ID, 8);
+            const errors = [];
+            small_decoder.on('error', error => errors.push(error));
+            small_decoder.on('message', () => expect.fail('Oversized message delivered'));
+
+            small_decoder.decode_packet(Buffer.concat([header, compressed]));
+            expect(errors).to.have.lengthOf(1);
+            expect(errors[0]).to.be.instanceOf(JTPMessageError);
+            expect(errors[0]).to.include({ code: ERROR_CODES.E_TOO_LARGE, source_id: SOURCE_ID, message_type: 1, message_id: 0 });
+            expect(small_decoder.get_stats().messages_failed).to.equal(1);
+        });
+    });
+
+    describe('Schemas', function() {
+        it('should emit deserialized messages under their schema name', async function() {
+            const schemas = { pose: { message_type: 7 } };
+            const sender = new JTPEncoder({ source_id: SOURCE_ID, schemas });
+            const receiver = new JTPDecoder({ source_id: SOURCE_ID, schemas });
+            const events = [];
+            sender.on('packet', packet => receiver.decode_packet(packet));
+            receiver.on('message', (buffer, message_type) => events.push(['message', message_type]));
+            receiver.on('pose', (value, metadata) => events.push(['pose', value, metadata]));
+
+            await sender.publish('pose', { x: 1, y: 2 });
+            await sender.send(Buffer.from('unregistered'), 8);
+
+            expect(events).to.deep.equal([
+                ['message', 7],
+                ['pose', { x: 1, y: 2 }, {
+                    message_type: 7,
+                    source_id: SOURCE_ID,
+                    message_id: 0,
+                    fragment_count: 1,
+                    total_bytes: 13,
+                    compressed_bytes: 13,
+                    recovered_fragments: 0
+                }],
+                ['message', 8]
+            ]);
+        });
+
+        it('should report messages that cannot be deserialized', function() {
+            decoder.schemas.register('pose', 1);
+            const errors = [];
+            const messages = [];
+            decoder.on('error', error => errors.push(error));
+            decoder.on('message', buffer => messages.push(buffer));
+            decoder.on('pose', () => expect.fail('Undecodable pose delivered'));
+
+            decoder.decode_packet(createValidPacket({
+                source_id: SOURCE_ID,
+                message_type: 1,
+                message_id: 4,
+                fragment_index: 0,
+                fragment_count: 1,
+                payload: Buffer.from('{"x":')
+            }));
+
+            expect(messages).to.deep.equal([Buffer.from('{"x":')]);
+            expect(errors).to.have.length(1);
+            expect(errors[0]).to.be.instanceOf(JTPMessageError);
+            expect(errors[0]).to.include({ code: ERROR_CODES.E_DESERIALIZE, source_id: SOURCE_ID, message_type: 1, message_id: 4 });
+            expect(errors[0].message).to.match(/^Cannot deserialize pose: /);
+        });
+    });
+
+    describe('Streaming', function() {
+        /**
+         * Build one 4-byte fragment of a streamed message
+         * @param {number} fragment_index - Fragment index
+         * @param {number} [fragment_count=4] - Fragments in the message
+         * @param {Object} [options] - Message ID and checksum
+         * @returns {Buffer} Packet
+         */
+        function chunk(fragment_index, fragment_count = 4, { message_id = 3, checksum } = {}) {
+            return createValidPacket({
+                source_id: SOURCE_ID,
+                message_type: 9,
+                message_id,
+                fragment_index,
+                fragment_count,
+                payload: Buffer.from(`c${String(fragment_index).padStart(3, '0')}`),
+                checksum
+            });
+        }
+
+        /**
+         * Record the streaming events of a decoder
+         * @param {JTPDecoder} receiver - Decoder to watch
+         * @returns {Array} Events as [name, ...details]
+         */
+        function record(receiver) {
+            const events = [];
+            receiver.on('message', () => events.push(['message']));
+            receiver.on('message:chunk', (buffer, message_type, info) => events.push(['chunk', buffer.toString(), message_type, info]));
+            receiver.on('message:complete', info => events.push(['complete', info]));
+            receiver.on('message:abort', info => events.push(['abort', info]));
+            return events;
+        }
+
+        it('should emit each contiguous prefix as soon as it is available', function() {
+            const receiver = new JTPDecoder({ source_id: SOURCE_ID, streaming_types: [9] });
+            const events = record(receiver);
+
+            receiver.decode_packet(chunk(1));
+            expect(events).to.deep.equal([]);
+            receiver.decode_packet(chunk(0));
+            expect(events.map(event => event[1])).to.deep.equal(['c000', 'c001']);
+            receiver.decode_packet(chunk(3));
+            receiver.decode_packet(chunk(2));
+
+            expect(events).to.deep.equal([
+                ['chunk', 'c000', 9, { source_id: SOURCE_ID, message_id: 3, fragment_index: 0, fragment_count: 4, offset: 0 }],
+                ['chunk', 'c001', 9, { source_id: SOURCE_ID, message_id: 3, fragment_index: 1, fragment_count: 4, offset: 4 }],
+                ['chunk', 'c002', 9, { source_id: SOURCE_ID, message_id: 3, fragment_index: 2, fragment_count: 4, offset: 8 }],
+                ['chunk', 'c003', 9, { source_id: SOURCE_ID, message_id: 3, fragment_index: 3, fragment_count: 4, offset: 12 }],
+                ['complete', { source_id: SOURCE_ID, message_type: 9, message_id: 3, fragment_count: 4, total_bytes: 16, compressed_bytes: 16 }]
+            ]);
+            expect(receiver._accumulators.size).to.equal(0);
+            expect(receiver.get_stats().types[9]).to.include({ messages_completed: 1 });
+        });
+
+        it('should deliver other types whole', function() {
+            const receiver = new JTPDecoder({ source_id: SOURCE_ID, streaming_types: [8] });
+            const events = record(receiver);
+            [0, 1, 2, 3].forEach(index => receiver.decode_packet(chunk(index)));
+            expect(events.map(event => event[0])).to.deep.equal(['message', 'complete']);
+        });
+
+        it('should release streamed fragments and reject their duplicates', function() {
+            const receiver = new JTPDecoder({ source_id: SOURCE_ID, streaming_types: [9] });
+            const errors = [];
+            let streamed = 0;
+            receiver.on('error', error => errors.push(error.code));
+            receiver.on('message:chunk', () => streamed++);
+
+            for (let index = 0; index < 600; index++) {
+                receiver.decode_packet(chunk(index, 1000));
+            }
+            const accumulator = receiver._accumulators.get(receiver._accumulator_key(SOURCE_ID, 9)).get(3);
+            expect(streamed).to.equal(600);
+            expect(accumulator.fragments.size).to.equal(255); // Kept for FEC until the group size is known
+
+            receiver.decode_packet(chunk(0, 1000));
+            expect(errors).to.deep.equal([ERROR_CODES.E_DUPLICATE_FRAGMENT]);
+            expect(accumulator.fragments_received).to.equal(600);
+        });
+
+        it('should rebuild lost fragments from FEC parity', async function() {
+            const sender = new JTPEncoder({ source_id: SOURCE_ID, max_payload_size: 100, fec_group_size: 4, checksum: true });
+            const receiver = new JTPDecoder({ source_id: SOURCE_ID, max_payload_size: 100, streaming_types: [1] });
+            const message = Buffer.alloc(1000).map((_, i) => i);
+            const chunks = [];
+            let completed = null;
+            sender.on('packet', (packet, info) => {
+                if (info.fragment_index % 4 !== 1 || info.parity) {
+                    receiver.decode_packet(packet);
+                }
+            });
+            receiver.on('message:chunk', buffer => chunks.push(Buffer.from(buffer)));
+            receiver.on('message:complete', info => {
+                completed = info;
+            });
+
+            await sender.send(message, 1);
+            expect(Buffer.concat(chunks)).to.deep.equal(message);
+            expect(completed).to.include({ total_bytes: 1000 });
+            expect(receiver.fec_stats).to.deep.equal({ messages_recovered: 1, fragments_recovered: 3 });
+        });
+
+        it('should abort a stream whose checksum does not match', function() {
+            const receiver = new JTPDecoder({ source_id: SOURCE_ID, streaming_types: [9] });
+            const events = record(receiver);
+            receiver.on('message:corrupt', info => events.push(['corrupt', info.expected_checksum, info.actual_checksum]));
+            const checksum = crc32(Buffer.from('c000c001'));
+
+            receiver.decode_packet(chunk(0, 2, { checksum }));
+            receiver.decode_packet(chunk(1, 2, { checksum }));
+            expect(events.map(event => event[0])).to.deep.equal(['chunk', 'chunk', 'complete']);
+
+            receiver.decode_packet(chunk(1, 2, { message_id: 5, checksum: 1 }));
+            receiver.decode_packet(chunk(0, 2, { message_id: 5, checksum: 1 }));
+            expect(events.slice(-2)).to.deep.equal([
+                ['corrupt', 1, checksum],
+                ['abort', { source_id: SOURCE_ID, message_type: 9, message_id: 5, fragments_received: 2, fragment_count: 2, bytes_streamed: 8, reason: 'corrupt' }]
+            ]);
+        });
+
+        it('should abort a stalled stream after the incomplete report', function(done) {
+            const receiver = new JTPDecoder({ source_id: SOURCE_ID, reassembly_timeout: 10, streaming_types: [9] });
+            const events = record(receiver);
+            receiver.on('message:incomplete', info => events.push(['incomplete', info.reason]));
+            receiver.on('message:abort', () => {
+                expect(events.slice(1)).to.deep.equal([
+                    ['incomplete', 'timeout'],
+                    ['abort', { source_id: SOURCE_ID, message_type: 9, message_id: 3, fragments_received: 2, fragment_count: 4, bytes_streamed: 4, reason: 'timeout' }]
+                ]);
+                done();
+            });
+            receiver.decode_packet(chunk(0));
+            receiver.decode_packet(chunk(2));
+        });
+
+        it('should abort superseded and reset streams', function() {
+            const receiver = new JTPDecoder({ source_id: SOURCE_ID, reassembly_window: 1, streaming_types: [9] });
+            const reasons = [];
+            receiver.on('message:incomplete', () => {});
+            receiver.on('message:abort', info => reasons.push([info.message_id, info.reason]));
+
+            receiver.decode_packet(chunk(0, 4, { message_id: 3 }));
+            receiver.decode_packet(chunk(0, 4, { message_id: 4 }));
+            receiver.close();
+            expect(reasons).to.deep.equal([[3, 'superseded'], [4, 'reset']]);
+        });
+
+        it('should NACK only fragments that have not been streamed', function(done) {
+            const receiver = new JTPDecoder({ source_id: SOURCE_ID, nack_interval: 10, streaming_types: [9] });
+            receiver.on('nack', (packet, info) => {
+                expect(info.fragment_indices).to.deep.equal([2]);
+                receiver.close();
+                done();
+            });
+            [0, 1, 3].forEach(index => receiver.decode_packet(chunk(index)));
+        });
+
+        it('should deliver encrypted and compressed messages whole', async function() {
+            const key = Buffer.alloc(32, 7);
+            const sender = new JTPEncoder({ source_id: SOURCE_ID, encryption_key: key, compression: 'brotli' });
+            const receiver = new JTPDecoder({ source_id: SOURCE_ID, encryption_key: key, streaming_types: [2] });
+            const events = record(receiver);
+            sender.on('packet', packet => receiver.decode_packet(packet));
+
+            await sender.send(Buffer.alloc(5000, 'a'), 2);
+            expect(events.map(event => event[0])).to.deep.equal(['message', 'complete']);
+        });
+    });
+
+    describe('Partial Delivery', function() {
+        const PAYLOADS = ['aaaa', 'bbbb', 'cccc', 'dd'];
+
+        /**
+         * Build fragments of a 4-fragment, 14-byte message
+         * @param {number[]} indices - Fragment indices to build
+         * @param {number} [message_id=6] - Message ID
+         * @returns {Buffer[]} Packets
+         */
+        function fragments(indices, message_id = 6) {
+            return indices.map(fragment_index => createValidPacket({
+                source_id: SOURCE_ID,
+                message_type: 4,
+                message_id,
+                fragment_index,
+                fragment_count: 4,
+                payload: Buffer.from(PAYLOADS[fragment_index])
+            }));
+        }
+
+        it('should deliver a timed out message with its gaps zero-filled', function(done) {
+            const receiver = new JTPDecoder({ source_id: SOURCE_ID, reassembly_timeout: 10, partial_types: [4] });
+            const events = [];
+            receiver.on('message:incomplete', () => events.push('incomplete'));
+            receiver.on('message', () => done(new Error('Incomplete message delivered')));
+            receiver.on('message:partial', (buffer, message_type, metadata) => {
+                expect(events).to.deep.equal(['incomplete']);
+                expect(buffer).to.deep.equal(Buffer.from('aaaabbbb\0\0\0\0dd'));
+                expect(message_type).to.equal(4);
+                expect(metadata).to.deep.equal({
+                    source_id: SOURCE_ID,
+                    message_id: 6,
+                    fragment_count: 4,
+                    fragments_received: 3,
+                    total_bytes: 14,
+                    recovered_fragments: 0,
+                    valid_ranges: [{ start: 0, end: 8 }, { start: 12, end: 14 }],
+                    reason: 'timeout'
+                });
+                expect(receiver.get_stats().types[4]).to.include({ messages_incomplete: 1, messages_partial: 1 });
+                done();
+            });
+
+            fragments([3, 0, 1]).forEach(packet => receiver.decode_packet(packet));
+        });
+
+        it('should deliver a superseded message up to its last fragment received', function() {
+            const receiver = new JTPDecoder({ source_id: SOURCE_ID, partial_types: [4] });
+            const partials = [];
+            receiver.on('message:incomplete', () => {});
+            receiver.on('message:partial', (buffer, message_type, metadata) => partials.push([buffer.toString(), metadata.valid_ranges, metadata.reason]));
+
+            fragments([2, 0]).forEach(packet => receiver.decode_packet(packet));
+            receiver.decode_packet(fragments([0], 7)[0]);
+            expect(partials).to.deep.equal([['aaaa\0\0\0\0cccc', [{ start: 0, end: 4 }, { start: 8, end: 12 }], 'superseded']]);
+        });
+
+        it('should not deliver messages it cannot place or of other types', function() {
+            const receiver = new JTPDecoder({ source_id: SOURCE_ID, partial_types: [4] });
+            receiver.on('message:incomplete', () => {});
+            receiver.on('message:partial', () => expect.fail('Unexpected partial message'));
+
+            receiver.decode_packet(fragments([3], 6)[0]); // Fragment size unknown
+            receiver.decode_packet(fragments([0], 7)[0]);
+            receiver.partial_types.delete(4);
+            receiver.decode_packet(fragments([0], 8)[0]);
+            expect(receiver.get_stats().types[4]).to.include({ messages_incomplete: 2, messages_partial: 0 });
+        });
+    });
+
+    describe('Memory Limits', function() {
+        /**
+         * Build a fragment of a 4-fragment message
+         * @param {Object} fields - Source, type, message ID and fragment index
+         * @param {number} [payload_length=4] - Payload bytes
+         * @returns {Buffer} Packet
+         */
+        function fragment({ source_id = SOURCE_ID, message_type = 1, message_id = 0, fragment_index = 0 }, payload_length = 4) {
+            return createValidPacket({ source_id, message_type, message_id, fragment_index, fragment_count: 4, payload: Buffer.alloc(payload_length, 1) });
+        }
+
+        /**
+         * Record evictions of a decoder
+         * @param {JTPDecoder} receiver - Decoder to watch
+         * @returns {Array} [message_type, message_id, limit] of every eviction
+         */
+        function record_evictions(receiver) {
+            const evictions = [];
+            receiver.on('message:incomplete', () => {});
+            receiver.on('message:evicted', info => evictions.push([info.message_type, info.message_id, info.limit]));
+            return evictions;
+        }
+
+        it('should validate the limits', function() {
+            expect(() => new JTPDecoder({ source_id: SOURCE_ID, max_buffered_bytes: -1 })).to.throw('max_buffered_bytes must be a non-negative integer, got -1');
+            expect(() => new JTPDecoder({ source_id: SOURCE_ID, max_messages_per_type: 1.5 })).to.throw('max_messages_per_type must be a non-negative integer, got 1.5');
+            expect(() => new JTPDecoder({ source_id: SOURCE_ID, eviction_policy: 'newest' })).to.throw("eviction_policy must be 'oldest' or 'largest', got newest");
+        });
+
+        it('should evict the oldest message to stay within max_buffered_bytes', function() {
+            const receiver = new JTPDecoder({ source_id: SOURCE_ID, max_buffered_bytes: 20 });
+            const events = [];
+            receiver.on('message:incomplete', info => events.push(['incomplete', info]));
+            receiver.on('message:evicted', info => events.push(['evicted', info]));
+
+            receiver.decode_packet(fragment({ message_type: 1 }));
+            receiver.decode_packet(fragment({ message_type: 1, fragment_index: 1 }));
+            receiver.decode_packet(fragment({ message_type: 2 }));
+            receiver.decode_packet(fragment({ message_type: 3 }));
+            receiver.decode_packet(fragment({ message_type: 3, fragment_index: 1 }));
+            expect(receiver.buffered_bytes).to.equal(20);
+            expect(events).to.deep.equal([]);
+
+            expect(receiver.decode_packet(fragment({ message_type: 2, fragment_index: 1 }))).to.be.true;
+            expect(events).to.deep.equal([
+                ['incomplete', { source_id: SOURCE_ID, message_type: 1, message_id: 0, fragments_received: 2, fragment_count: 4, reason: 'evicted' }],
+                ['evicted', { source_id: SOURCE_ID, message_type: 1, message_id: 0, fragments_received: 2, fragment_count: 4, buffered_bytes: 8, limit: 'max_buffered_bytes' }]
+            ]);
+            expect(receiver.buffered_bytes).to.equal(16);
+            expect(receiver.get_stats().types[1]).to.include({ messages_incomplete: 1, messages_evicted: 1 });
+        });
+
+        it('should evict the largest message first with the largest policy', function() {
+            const receiver = new JTPDecoder({ source_id: SOURCE_ID, max_buffered_bytes: 20, eviction_policy: 'largest' });
+            const evictions = record_evictions(receiver);
+
+            receiver.decode_packet(fragment({ message_type: 1 }));
+            receiver.decode_packet(fragment({ message_type: 2 }, 12));
+            receiver.decode_packet(fragment({ message_type: 3 }));
+            receiver.decode_packet(fragment({ message_type: 1, fragment_index: 1 }));
+            expect(evictions).to.deep.equal([[2, 0, 'max_buffered_bytes']]);
+            expect(receiver.buffered_bytes).to.equal(12);
+        });
+
+        it('should evict a message that cannot fit on its own', function() {
+            const receiver = new JTPDecoder({ source_id: SOURCE_ID, max_buffered_bytes: 10, eviction_policy: 'largest' });
+            const evictions = record_evictions(receiver);
+
+            receiver.decode_packet(fragment({ message_type: 1 }, 8));
+            expect(receiver.decode_packet(fragment({ message_type: 1, fragment_index: 1 }, 8))).to.be.false;
+            expect(evictions).to.deep.equal([[1, 0, 'max_buffered_bytes']]);
+            expect(receiver.buffered_bytes).to.equal(0);
+            expect(receiver._accumulators.size).to.equal(0);
+        });
+
+        it('should limit in-flight messages per type and per source', function() {
+            const receiver = new JTPDecoder({ source_id: null, max_messages_per_type: 2, max_messages_per_source: 2 });
+            const evictions = record_evictions(receiver);
+
+            receiver.decode_packet(fragment({ message_type: 1 }));
+            receiver.decode_packet(fragment({ message_type: 1, source_id: OTHER_SOURCE_ID }));
+            receiver.decode_packet(fragment({ message_type: 1, source_id: 3 }));
+            expect(evictions).to.deep.equal([[1, 0, 'max_messages_per_type']]);
+
+            receiver.decode_packet(fragment({ message_type: 2, source_id: 3 }));
+            receiver.decode_packet(fragment({ message_type: 4, source_id: 3 }));
+            expect(evictions.slice(1)).to.deep.equal([[1, 0, 'max_messages_per_source']]);
+            expect([...receiver._accumulators.keys()]).to.have.length(3);
+        });
+
+        it('should not evict a message whose reassembly is pending', async function() {
+            const receiver = new JTPDecoder({ source_id: SOURCE_ID, reassembly_window: 2, max_buffered_bytes: 410, max_messages_per_type: 1 });
+            const evictions = record_evictions(receiver);
+            const delivered = [];
+            receiver.on('message', (buffer, message_type) => delivered.push([message_type, buffer.length]));
+
+            for (let fragment_index = 0; fragment_index < 101; fragment_index++) {
+                receiver.decode_packet(createValidPacket({ source_id: SOURCE_ID, message_type: 1, message_id: 0, fragment_index, fragment_count: 101, payload: Buffer.alloc(4, 1) }));
+            }
+            expect(delivered).to.deep.equal([]); // Reassembly of more than 100 fragments is deferred
+            receiver.decode_packet(fragment({ message_type: 1, message_id: 1 }));
+            receiver.decode_packet(fragment({ message_type: 2 }, 6));
+            expect(evictions).to.deep.equal([[1, 1, 'max_buffered_bytes']]);
+
+            await new Promise(resolve => setImmediate(resolve));
+            expect(delivered).to.deep.equal([[1, 404]]);
+            expect(receiver.buffered_bytes).to.equal(6);
+        });
+
+        it('should count messages held for ID order against max_buffered_bytes', function() {
+            const receiver = new JTPDecoder({ source_id: SOURCE_ID, reassembly_window: 10, delivery_order: 'id', max_buffered_bytes: 30 });
+            const evictions = record_evictions(receiver);
+            const delivered = [];
+            receiver.on('message', (buffer, message_type, { message_id }) => delivered.push(message_id));
+            const whole = message_id => createValidPacket({ source_id: SOURCE_ID, message_type: 1, message_id, fragment_index: 0, fragment_count: 1, payload: Buffer.alloc(8, 1) });
+
+            receiver.decode_packet(fragment({ message_type: 1 }));
+            [1, 2, 3].forEach(message_id => receiver.decode_packet(whole(message_id)));
+            expect(delivered).to.deep.equal([]);
+            expect(receiver.buffered_bytes).to.equal(28);
+
+            receiver.decode_packet(whole(4));
+            expect(evictions).to.deep.equal([[1, 0, 'max_buffered_bytes']]);
+            expect(delivered).to.deep.equal([1, 2, 3, 4]);
+            expect(receiver.buffered_bytes).to.equal(0);
+
+            receiver.decode_packet(fragment({ message_type: 1, message_id: 6 }));
+            receiver.decode_packet(whole(7));
+            receiver.reset_message_state();
+            expect(receiver.buffered_bytes).to.equal(0);
+        });
+
+        it('should stop counting bytes once messages complete or are dropped', async function() {
+            const sender = new JTPEncoder({ source_id: SOURCE_ID, max_payload_size: 100, fec_group_size: 4 });
+            const receiver = new JTPDecoder({ source_id: SOURCE_ID, max_buffered_bytes: 10000, streaming_types: [2] });
+            sender.on('packet', (packet, info) => {
+                if (info.fragment_index !== 1 || info.parity) {
+                    receiver.decode_packet(packet);
+                }
+            });
+            await sender.send(Buffer.alloc(1000, 1), 1);
+            await new Promise(resolve => setImmediate(resolve));
+            expect(receiver.buffered_bytes).to.equal(0);
+
+            receiver.on('message:chunk', () => {});
+            await sender.send(Buffer.alloc(1000, 2), 2);
+            expect(receiver.buffered_bytes).to.equal(0);
+
+            receiver.decode_packet(fragment({ message_type: 3 }));
+            receiver.reset_message_state();
+            expect(receiver.buffered_bytes).to.equal(0);
+        });
+    });
+
+    describe('Statistics', function() {
+        const packet_for = (message_id, fragment_index = 0, fragment_count = 1, message_type = 12) => createValidPacket({
+            source_id: SOURCE_ID,
+            message_type,
+            message_id,
+            fragment_index,
+            fragment_count,
+            payload: Buffer.from('data')
+        });
+
+        beforeEach(function() {
+            decoder.on('error', () => {});
+        });
+
+        it('should count packets and completed messages per source and type', function() {
+            const packets = [packet_for(0, 0, 2), packet_for(0, 1, 2), packet_for(1, 0, 1, 3)];
+            packets.forEach(packet => decoder.decode_packet(packet));
+
+            const stats = decoder.get_stats();
+            expect(stats).to.include({ packets_received: 3, bytes_received: 48, messages_completed: 2 });
+            expect(stats.types[12]).to.include({ packets_received: 2, messages_completed: 1 });
+            expect(stats.sources[SOURCE_ID]).to.include({ packets_received: 3, messages_completed: 2 });
+            expect(stats.sources[SOURCE_ID].types[3]).to.include({ packets_received: 1, messages_completed: 1 });
+            expect(stats.sources[SOURCE_ID].types[12].reassembly_latency_ms.count).to.equal(1);
+        });
+
+        it('should count duplicates, invalid packets and incomplete messages', function() {
+            decoder.decode_packet(packet_for(0, 0, 2));
+            decoder.decode_packet(packet_for(0, 0, 2)); // Duplicate
+            decoder.decode_packet(packet_for(1, 3, 2)); // Fragment index out of range
+            decoder.decode_packet(packet_for(1, 0, 2)); // Supersedes message 0
+            decoder.decode_packet(Buffer.from([MAGIC_BYTE, 0, 0])); // Too short for a header
+
+            const stats = decoder.get_stats();
+            expect(stats).to.include({ duplicate_packets: 1, invalid_packets: 2, messages_incomplete: 1, packets_received: 5 });
+            expect(stats.sources[SOURCE_ID].types[12]).to.include({ duplicate_packets: 1, invalid_packets: 1, messages_incomplete: 1, packets_received: 4 });
+        });
+
+        it('should count ignored packets by reason', function() {
+            const filtered = new JTPDecoder({ source_id: SOURCE_ID, message_types: [12] });
+            filtered.decode_packet(Buffer.from('not jtp'));
+            filtered.decode_packet(createValidPacket({
+                source_id: OTHER_SOURCE_ID, message_type: 12, message_id: 0, fragment_index: 0, fragment_count: 1, payload: Buffer.alloc(1)
+            }));
+            filtered.decode_packet(packet_for(0, 0, 1, 5));
+            filtered.decode_packet(packet_for(0));
+            filtered.decode_packet(packet_for(0)); // Straggler of a completed message
+            encode_nack({ source_id: SOURCE_ID, message_type: 12, message_id: 0, fragment_count: 2, fragment_indices: [1] }, MAX_PAYLOAD_SIZE)
+                .forEach(packet => filtered.decode_packet(packet));
+
+            const stats = filtered.get_stats();
+            expect(stats.ignored_packets).to.deep.equal({ not_jtp: 1, source: 1, message_type: 1, stale: 1, nack: 1 });
+            expect(stats.packets_received).to.equal(6);
+            expect(stats.sources).to.have.all.keys(String(SOURCE_ID)); // Filtered sources stay in the totals
+            expect(stats.sources[SOURCE_ID].types[12].ignored_packets).to.deep.equal({ stale: 1, nack: 1 });
+        });
+
+        it('should not break down packets that fail authentication', async function() {
+            const receiver = new JTPDecoder({ source_id: null, auth_keys: { 0: 'k' } });
+            const sender = new JTPEncoder({ source_id: SOURCE_ID, auth_key: 'k' });
+            receiver.on('packet:rejected', () => {});
+            for (let source_id = 1; source_id <= 20; source_id++) {
+                const forger = new JTPEncoder({ source_id, auth_key: 'guess' });
+                forger.on('packet', packet => receiver.decode_packet(packet));
+                await forger.send(Buffer.from('forged'), source_id);
+            }
+            sender.on('packet', packet => receiver.decode_packet(packet));
+            await sender.send(Buffer.from('genuine'), 12);
+
+            const stats = receiver.get_stats();
+            expect(stats).to.include({ packets_received: 21, rejected_packets: 20, messages_completed: 1 });
+            expect(stats.types).to.have.all.keys('12');
+            expect(stats.sources).to.have.all.keys(String(SOURCE_ID));
+            expect(stats.sources[SOURCE_ID].types[12]).to.include({ packets_received: 1, rejected_packets: 0 });
+        });
+
+        it('should count FEC recoveries, failed messages and rejected packets', async function() {
+            const sender = new JTPEncoder({ source_id: SOURCE_ID, max_payload_size: 100, fec_group_size: 4, checksum: true, auth_key: 'k' });
+            const receiver = new JTPDecoder({ source_id: SOURCE_ID, max_payload_size: 100, auth_keys: { 0: 'k' } });
+            receiver.on('packet:rejected', () => {});
+            receiver.on('message:corrupt', () => {});
+            sender.on('packet', (packet, info) => {
+                if (info.fragment_index !== 1 || info.parity) {
+                    receiver.decode_packet(packet);
+                }
+            });
+            await sender.send(Buffer.alloc(300, 1), 1);
+            receiver.decode_packet(packet_for(5));
+
+            const stats = receiver.get_stats();
+            expect(stats).to.include({ fragments_recovered: 1, messages_recovered: 1, messages_completed: 1, rejected_packets: 1 });
+            expect(receiver.fec_stats).to.deep.equal({ messages_recovered: 1, fragments_recovered: 1 });
+        });
+
+        it('should count messages that fail to reassemble', function() {
+            decoder.on('message:corrupt', () => {});
+            decoder.decode_packet(createValidPacket({
+                source_id: SOURCE_ID, message_type: 2, message_id: 0, fragment_index: 0, fragment_count: 1, payload: Buffer.from('x'), checksum: 1
+            }));
+            expect(decoder.get_stats().types[2]).to.include({ messages_failed: 1, messages_completed: 0 });
+        });
+
+        it('should zero the counters and fec_stats on reset', function() {
+            decoder.decode_packet(packet_for(0));
+            decoder.fec_stats.fragments_recovered = 3;
+            decoder.reset_stats();
+
+            const stats = decoder.get_stats();
+            expect(stats).to.include({ packets_received: 0, messages_completed: 0 });
+            expect(stats.reassembly_latency_ms.count).to.equal(0);
+            expect(stats.sources).to.deep.equal({});
+            expect(decoder.fec_stats).to.deep.equal({ messages_recovered: 0, fragments_recovered: 0 });
+        });
+    });
+
+    describe('Close', function() {
+        it('should stop timers, drop partial messages and ignore later packets', function(done) {
+            const closing_decoder = new JTPDecoder({ source_id: SOURCE_ID, reassembly_timeout: 10, nack_interval: 5 });
+            let closed = false;
+
+            closing_decoder.on('message:incomplete', () => done(new Error('Timer fired after close')));
+            closing_decoder.on('nack', () => done(new Error('NACK sent after close')));
+            closing_decoder.on('close', () => {
+                closed = true;
+            });
+
+            const packet = createValidPacket({
+                source_id: SOURCE_ID,
+                message_type: 1,
+                message_id: 1,
+                fragment_index: 0,
+                fragment_count: 2,
+                payload: Buffer.from('part')
+            });
+            expect(closing_decoder.decode_packet(packet)).to.be.true;
+
+            closing_decoder.close();
+            closing_decoder.close(); // Idempotent
+            expect(closed).to.be.true;
+            expect(closing_decoder.closed).to.be.true;
+            expect(closing_decoder._accumulators.size).to.equal(0);
+            expect(closing_decoder.decode_packet(packet)).to.be.false;
+
+            setTimeout(done, 30);
+        });
+    });
+
+    describe('Async Iteration', function() {
+        /**
+         * Build a single-fragment packet
+         * @param {number} message_type - Message type
+         * @param {number} message_id - Message ID
+         * @param {string} text - Payload text
+         * @returns {Buffer} Packet
+         */
+        function packet_for(message_type, message_id, text) {
+            return createValidPacket({
+                source_id: SOURCE_ID,
+                message_type,
+                message_id,
+                fragment_index: 0,
+                fragment_count: 1,
+                payload: Buffer.from(text)
+            });
+        }
+
+        it('should yield messages, including ones queued before iteration, until closed', async function() {
+            const iterator = decoder.messages();
+            decoder.decode_packet(packet_for(1, 1, 'early'));
+            setImmediate(() => {
+                decoder.decode_packet(packet_for(2, 2, 'late'));
+                decoder.close();
+            });
+
+            const received = [];
+            for await (const { buffer, message_type, metadata } of iterator) {
+                received.push([message_type, buffer.toString(), metadata.source_id]);
+            }
+            expect(received).to.deep.equal([[1, 'early', SOURCE_ID], [2, 'late', SOURCE_ID]]);
+        });
+
+        it('should only yield the requested message types', async function() {
+            const iterator = decoder.messages({ types: [3] });
+            decoder.decode_packet(packet_for(2, 1, 'skip'));
+            decoder.decode_packet(packet_for(3, 2, 'keep'));
+            decoder.close();
+
+            const received = [];
+            for await (const { buffer } of iterator) {
+                received.push(buffer.toString());
+            }
+            expect(received).to.deep.equal(['keep']);
+        });
+
+        it('should detach when the consumer stops early', async function() {
+            const iterator = decoder.messages();
+            decoder.decode_packet(packet_for(1, 1, 'one'));
+            decoder.decode_packet(packet_for(1, 2, 'two'));
+
+            for await (const { buffer } of iterator) {
+                expect(buffer.toString()).to.equal('one');
+                break;
+            }
+            expect(decoder.listenerCount('message')).to.equal(0);
+            expect(decoder.listenerCount('close')).to.equal(0);
+        });
+
+        it('should end immediately for a closed decoder', async function() {
+            decoder.close();
+            const received = [];
+            for await (const message of decoder.messages()) {
+                received.push(message);
+            }
+            expect(received).to.be.empty;
+        });
+    });
+
     describe('Integration with Encoder', function() {
         it('should correctly decode encoder output', function(done) {
             const encoder = new JTPEncoder({ source_id: SOURCE_ID });
@@ -540,6 +2246,12 @@ describe('JTPDecoder', function() {
     });
 });
 
+/**
+ * Header length of a checksummed (flags version) packet
+ * @type {number}
+ */
+const FLAGS_HEADER_LENGTH = 17;
+
 /**
  * Helper function to create valid JTP packets for testing
  * @param {Object} options - Packet creation options
@@ -549,19 +2261,26 @@ describe('JTPDecoder', function() {
  * @param {number} options.fragment_index - Fragment index
  * @param {number} options.fragment_count - Total fragment count
  * @param {Buffer} options.payload - Payload data
+ * @param {number} [options.checksum] - Message CRC32; produces a flags version header when given
  * @returns {Buffer} Valid JTP packet buffer
  */
-function createValidPacket({ source_id, message_type, message_id, fragment_index, fragment_count, payload }) {
-    const header_size = 12;
+function createValidPacket({ source_id, message_type, message_id, fragment_index, fragment_count, payload, checksum }) {
+    const with_checksum = checksum !== undefined;
+    const header_size = with_checksum ? FLAGS_HEADER_LENGTH : 12;
     const packet = Buffer.allocUnsafe(header_size + payload.length);
     
-    const version_and_type = (VERSION << 6) | (message_type & 0x3F);
+    const version = with_checksum ? FLAGS_VERSION : VERSION;
+    const version_and_type = (version << 6) | (message_type & 0x3F);
     packet.writeUInt8(MAGIC_BYTE, 0);
     packet.writeUInt8(version_and_type, 1);
     packet.writeUInt16LE(message_id, 2);
     packet.writeUInt16LE(fragment_index, 4);
     packet.writeUInt16LE(fragment_count, 6);
     packet.writeUInt32LE(source_id, 8);
+    if (with_checksum) {
+        packet.writeUInt8(FLAGS.CHECKSUM, 12);
+        packet.writeUInt32LE(checksum, 13);
+    }
     
     payload.copy(packet, header_size);
     
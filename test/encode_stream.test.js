@@ -0,0 +1,143 @@
+/**
+ * @fileoverview Test suite for JTPEncodeStream class
+ * @author JTP Library
+ * @version 1.0.0
+ */
+
+const { expect } = require('chai');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const JTPEncodeStream = require('../lib/EncodeStream');
+const JTPEncoder = require('../lib/Encoder');
+
+describe('JTPEncodeStream', function() {
+    const SOURCE_ID = 0x12345678;
+
+    /**
+     * Drain a readable stream into an array
+     * @param {Readable} readable - Stream to drain
+     * @returns {Promise<Array>} Every chunk read
+     */
+    async function collect(readable) {
+        const chunks = [];
+        for await (const chunk of readable) {
+            chunks.push(chunk);
+        }
+        return chunks;
+    }
+
+    it('should push the packets of every written message', async function() {
+        const encode_stream = new JTPEncodeStream({ source_id: SOURCE_ID });
+        encode_stream.write({ buffer: Buffer.alloc(3000, 1), message_type: 4 });
+        encode_stream.end({ buffer: Buffer.from('tail'), message_type: 5 });
+
+        const packets = await collect(encode_stream);
+        expect(packets.length).to.equal(4);
+        packets.forEach(packet => expect(Buffer.isBuffer(packet)).to.be.true);
+        expect(packets.map(packet => packet.readUInt16LE(2))).to.deep.equal([0, 0, 0, 1]);
+        expect(packets[3].subarray(12).toString()).to.equal('tail');
+    });
+
+    it('should pass encoder options through', async function() {
+        const encode_stream = new JTPEncodeStream({ source_id: SOURCE_ID, max_payload_size: 500, checksum: true });
+        encode_stream.end({ buffer: Buffer.alloc(1200), message_type: 1 });
+
+        const packets = await collect(encode_stream);
+        expect(encode_stream.encoder.checksum).to.be.true;
+        expect(packets.map(packet => packet.length)).to.deep.equal([517, 517, 217]);
+    });
+
+    it('should stop taking messages while the readable side is full', function(done) {
+        const encode_stream = new JTPEncodeStream({ source_id: SOURCE_ID, high_water_mark: 2 });
+        let encoded = 0;
+        encode_stream.encoder.on('message:encoded', () => encoded++);
+
+        for (let i = 0; i < 5; i++) {
+            encode_stream.write({ buffer: Buffer.alloc(2400), message_type: 1 });
+        }
+
+        setTimeout(() => {
+            expect(encoded).to.equal(1); // Two packets fill the buffer; nothing reads them
+            encode_stream.end();
+            collect(encode_stream).then(packets => {
+                expect(encoded).to.equal(5);
+                expect(packets.length).to.equal(10);
+                done();
+            }, done);
+        }, 20);
+    });
+
+    it('should pause the encoder within a message while the readable side is full', function(done) {
+        const encode_stream = new JTPEncodeStream({ source_id: SOURCE_ID, high_water_mark: 2 });
+        let emitted = 0;
+        encode_stream.encoder.on('packet', () => emitted++);
+        encode_stream.write({ buffer: Buffer.alloc(1200 * 30), message_type: 1 });
+
+        setTimeout(() => {
+            expect(emitted).to.equal(2); // Buffered up to the high water mark, not all 30
+            encode_stream.end();
+            collect(encode_stream).then(packets => {
+                expect(packets.length).to.equal(30);
+                done();
+            }, done);
+        }, 20);
+    });
+
+    it('should fail the pipeline on encoder validation errors', async function() {
+        const source = Readable.from([{ buffer: Buffer.from('ok'), message_type: 1 }, { buffer: Buffer.from('bad'), message_type: 64 }]);
+        const encode_stream = new JTPEncodeStream({ source_id: SOURCE_ID });
+
+        let error = null;
+        try {
+            await pipeline(source, encode_stream, async function*(packets) {
+                for await (const packet of packets) {
+                    yield packet;
+                }
+            });
+        } catch (e) {
+            error = e;
+        }
+        expect(error).to.be.instanceOf(Error);
+        expect(error.message).to.include('Message type must be 0-63');
+    });
+
+    it('should reject chunks that are not messages', function(done) {
+        const encode_stream = new JTPEncodeStream({ source_id: SOURCE_ID });
+        encode_stream.on('error', (error) => {
+            expect(error.message).to.include('expects { buffer, message_type } objects');
+            done();
+        });
+        encode_stream.write('not a message');
+    });
+
+    it('should leave the errors of other users of a shared encoder to them', async function() {
+        const encoder = new JTPEncoder({ source_id: SOURCE_ID });
+        const encode_stream = new JTPEncodeStream({ encoder });
+        const errors = [];
+        encoder.on('error', error => errors.push(error.message));
+
+        encode_stream.write({ buffer: Buffer.alloc(3000, 1), message_type: 4 });
+        encoder.encode_message(Buffer.from('bad'), 64);
+        encoder.send(Buffer.from('bad'), 64).catch(error => errors.push(error.message));
+        encode_stream.end({ buffer: Buffer.from('tail'), message_type: 5 });
+
+        const packets = await collect(encode_stream);
+        expect(packets.length).to.equal(4);
+        expect(errors.length).to.equal(2);
+        errors.forEach(message => expect(message).to.include('Message type must be 0-63'));
+    });
+
+    it('should detach from a shared encoder when destroyed', function(done) {
+        const encoder = new JTPEncoder({ source_id: SOURCE_ID });
+        const encode_stream = new JTPEncodeStream({ encoder });
+        expect(encode_stream.encoder).to.equal(encoder);
+        expect(encoder.listenerCount('packet')).to.equal(1);
+
+        encode_stream.on('close', () => {
+            expect(encoder.listenerCount('packet')).to.equal(0);
+            expect(encoder.listenerCount('error')).to.equal(0);
+            done();
+        });
+        encode_stream.destroy();
+    });
+});
@@ -5,8 +5,15 @@
  */
 
 const { expect } = require('chai');
+const crypto = require('crypto');
+const zlib = require('zlib');
 const JTPEncoder = require('../lib/Encoder');
-const { VERSION, MAGIC_BYTE, MAX_PAYLOAD_SIZE } = require('../lib/constants');
+const { crc32 } = require('../lib/crc32');
+const { encode_nack } = require('../lib/nack');
+const { verify_packet } = require('../lib/auth');
+const { decrypt_message } = require('../lib/cipher');
+const { ERROR_CODES, JTPMessageError } = require('../lib/errors');
+const { VERSION, FLAGS_VERSION, EXTENDED_VERSION, EXTENDED_HEADER_SIZE, FLAGS, MAGIC_BYTE, MAX_PAYLOAD_SIZE, MAX_UDP_PAYLOAD_SIZE, MAX_MESSAGE_SIZE, AUTH_TRAILER_SIZE, ENCRYPTION_OVERHEAD } = require('../lib/constants');
 
 describe('JTPEncoder', function() {
     let encoder;
@@ -49,6 +56,8 @@ describe('JTPEncoder', function() {
 
             encoder.on('error', (error, metadata) => {
                 expect(error.message).to.include('Message type must be 0-63');
+                expect(error).to.be.instanceOf(JTPMessageError);
+                expect(error).to.include({ code: ERROR_CODES.E_TYPE_RANGE, source_id: SOURCE_ID, message_type: invalid_types[error_count] });
                 error_count++;
                 if (error_count === invalid_types.length) {
                     done();
@@ -64,6 +73,7 @@ describe('JTPEncoder', function() {
         it('should reject non-buffer messages', function(done) {
             encoder.on('error', (error) => {
                 expect(error.message).to.include('message_buffer must be a Buffer');
+                expect(error.code).to.equal(ERROR_CODES.E_NOT_BUFFER);
                 done();
             });
 
@@ -78,6 +88,7 @@ describe('JTPEncoder', function() {
 
             encoder.on('error', (error) => {
                 expect(error.message).to.include('Message too large to fragment');
+                expect(error.code).to.equal(ERROR_CODES.E_TOO_LARGE);
                 done();
             });
 
@@ -187,6 +198,748 @@ describe('JTPEncoder', function() {
         });
     });
 
+    describe('Payload Size', function() {
+        it('should default to MAX_PAYLOAD_SIZE', function() {
+            expect(encoder.max_payload_size).to.equal(MAX_PAYLOAD_SIZE);
+            expect(encoder.max_message_size).to.equal(MAX_MESSAGE_SIZE);
+        });
+
+        it('should reject payload sizes that do not fit in a UDP datagram', function() {
+            const create = (max_payload_size) => new JTPEncoder({ source_id: SOURCE_ID, max_payload_size });
+            expect(() => create(1)).to.throw('max_payload_size must be 2-65486');
+            expect(() => create(65487)).to.throw('max_payload_size must be 2-65486');
+            expect(() => create(1500.5)).to.throw('max_payload_size must be 2-65486');
+            expect(() => create(65486)).to.not.throw();
+        });
+
+        it('should fragment at a small payload size', function(done) {
+            const small_encoder = new JTPEncoder({ source_id: SOURCE_ID, max_payload_size: 500 });
+            const sizes = [];
+
+            small_encoder.on('packet', (packet, info) => {
+                expect(info.fragment_count).to.equal(3);
+                sizes.push(packet.length);
+            });
+            small_encoder.encode_message(Buffer.alloc(1234), 1, () => {
+                expect(sizes).to.deep.equal([12 + 500, 12 + 500, 12 + 234]);
+                done();
+            });
+        });
+
+        it('should keep the largest packets within a UDP datagram', function(done) {
+            const jumbo_encoder = new JTPEncoder({
+                source_id: SOURCE_ID,
+                max_payload_size: 65486,
+                checksum: true,
+                fec_group_size: 2
+            });
+            let largest = 0;
+
+            jumbo_encoder.on('packet', (packet) => {
+                largest = Math.max(largest, packet.length);
+            });
+            jumbo_encoder.encode_message(Buffer.alloc(65486 * 2), 1, (metadata) => {
+                expect(metadata.fragment_count).to.equal(2);
+                expect(metadata.parity_count).to.equal(1);
+                expect(largest).to.equal(MAX_UDP_PAYLOAD_SIZE);
+                done();
+            });
+        });
+
+        it('should limit message size by the configured payload size', function(done) {
+            const tiny_encoder = new JTPEncoder({ source_id: SOURCE_ID, max_payload_size: 2 });
+            expect(tiny_encoder.max_message_size).to.equal(2 * 0xFFFF);
+
+            tiny_encoder.on('error', (error) => {
+                expect(error.message).to.include('Message too large to fragment');
+                done();
+            });
+            expect(tiny_encoder.encode_message(Buffer.alloc(tiny_encoder.max_message_size + 1), 1)).to.be.null;
+        });
+    });
+
+    describe('Extended Message Types', function() {
+        it('should write the version 2 header with a 16-bit message type', function(done) {
+            const extended_encoder = new JTPEncoder({ source_id: SOURCE_ID, extended_types: true });
+            expect(extended_encoder.max_message_type).to.equal(65535);
+            expect(encoder.max_message_type).to.equal(63);
+
+            extended_encoder.on('packet', (packet, info) => {
+                expect(info.message_type).to.equal(300);
+                expect(packet.readUInt8(0)).to.equal(MAGIC_BYTE);
+                expect(packet.readUInt8(1)).to.equal(EXTENDED_VERSION << 6);
+                expect(packet.readUInt32LE(8)).to.equal(SOURCE_ID);
+                expect(packet.readUInt8(12)).to.equal(0);
+                expect(packet.readUInt16LE(13)).to.equal(300);
+                expect(packet.subarray(EXTENDED_HEADER_SIZE).toString()).to.equal('wide');
+                done();
+            });
+            extended_encoder.send(Buffer.from('wide'), 300);
+        });
+
+        it('should place optional fields after the message type', function(done) {
+            const extended_encoder = new JTPEncoder({ source_id: SOURCE_ID, extended_types: true, checksum: true });
+            const message = Buffer.from('checked');
+
+            extended_encoder.on('packet', (packet) => {
+                expect(packet.readUInt8(12)).to.equal(FLAGS.CHECKSUM);
+                expect(packet.readUInt16LE(13)).to.equal(5);
+                expect(packet.readUInt32LE(EXTENDED_HEADER_SIZE)).to.equal(crc32(message));
+                expect(packet.length).to.equal(EXTENDED_HEADER_SIZE + 4 + message.length);
+                done();
+            });
+            extended_encoder.send(message, 5);
+        });
+
+        it('should reject types beyond the header\'s range', async function() {
+            const extended_encoder = new JTPEncoder({ source_id: SOURCE_ID, extended_types: true });
+            const errors = [];
+            await encoder.send(Buffer.from('x'), 64).catch(error => errors.push(error));
+            await extended_encoder.send(Buffer.from('x'), 65536).catch(error => errors.push(error));
+            await extended_encoder.send(Buffer.from('x'), 64);
+            expect(errors.map(error => error.message)).to.deep.equal(['Message type must be 0-63, got 64', 'Message type must be 0-65535, got 65536']);
+            expect(errors.map(error => error.code)).to.deep.equal([ERROR_CODES.E_TYPE_RANGE, ERROR_CODES.E_TYPE_RANGE]);
+        });
+
+        it('should leave room for the longer header in the payload size', function() {
+            const create = (max_payload_size) => new JTPEncoder({ source_id: SOURCE_ID, extended_types: true, max_payload_size });
+            expect(() => create(65484)).to.not.throw();
+            expect(() => create(65485)).to.throw('max_payload_size must be 2-65484');
+        });
+    });
+
+    describe('Protocol Version', function() {
+        /**
+         * Encode a message and collect its packets
+         * @param {Object} options - Extra encoder options
+         * @returns {Promise<Buffer[]>} Packets in send order
+         */
+        async function packets_for(options) {
+            const versioned_encoder = new JTPEncoder({ source_id: SOURCE_ID, ...options });
+            const packets = [];
+            versioned_encoder.on('packet', packet => packets.push(packet));
+            await versioned_encoder.send(Buffer.from('versioned'), 3);
+            return packets;
+        }
+
+        it('should pick the header per packet by default', async function() {
+            expect(encoder.protocol_version).to.be.null;
+            expect((await packets_for({}))[0].readUInt8(1)).to.equal((VERSION << 6) | 3);
+            expect((await packets_for({ checksum: true }))[0].readUInt8(1)).to.equal((FLAGS_VERSION << 6) | 3);
+        });
+
+        it('should write the flags byte even without flags at version 1', async function() {
+            const [packet] = await packets_for({ protocol_version: 1 });
+            expect(packet.readUInt8(1)).to.equal((FLAGS_VERSION << 6) | 3);
+            expect(packet.readUInt8(12)).to.equal(0);
+            expect(packet.subarray(13).toString()).to.equal('versioned');
+        });
+
+        it('should treat version 2 as extended_types', async function() {
+            const versioned_encoder = new JTPEncoder({ source_id: SOURCE_ID, protocol_version: 2 });
+            expect(versioned_encoder.extended_types).to.be.true;
+            expect(new JTPEncoder({ source_id: SOURCE_ID, extended_types: true }).protocol_version).to.equal(EXTENDED_VERSION);
+            expect((await packets_for({ protocol_version: 2 }))[0].readUInt16LE(13)).to.equal(3);
+        });
+
+        it('should refuse options version 0 cannot carry', function() {
+            const create = (options) => new JTPEncoder({ source_id: SOURCE_ID, protocol_version: 0, ...options });
+            expect(() => create({})).to.not.throw();
+            expect(() => create({ checksum: true, compressions: { 3: 'deflate' } })).to.throw('protocol_version 0 has no flags byte for checksum, compression');
+            expect(() => create({ auth_key: 'k' })).to.throw('protocol_version 0 has no flags byte for auth_key');
+            expect(() => create({ header_extensions: { 1: Buffer.alloc(1) } })).to.throw('protocol_version 0 has no flags byte for header_extensions');
+            expect(() => create({}).set_auth_key(1, 'k')).to.throw('protocol_version 0 has no flags byte for auth_key');
+        });
+
+        it('should reject unknown versions and conflicting options', function() {
+            expect(() => new JTPEncoder({ source_id: SOURCE_ID, protocol_version: 3 })).to.throw('protocol_version must be 0, 1 or 2, got 3');
+            expect(() => new JTPEncoder({ source_id: SOURCE_ID, protocol_version: 1, extended_types: true })).to.throw('extended_types needs protocol_version 2, got 1');
+        });
+
+        it('should carry header extensions in every packet, parity included', async function() {
+            const packets = await packets_for({ max_payload_size: 5, fec_group_size: 2, header_extensions: { 7: Buffer.from([1, 2]) } });
+            expect(packets.length).to.equal(3);
+            packets.forEach(packet => {
+                expect(packet.readUInt8(12) & FLAGS.EXTENSIONS).to.equal(FLAGS.EXTENSIONS);
+            });
+            expect(packets[0].subarray(13, 18)).to.deep.equal(Buffer.from([4, 7, 2, 1, 2]));
+            expect(packets[0].subarray(18).toString()).to.equal('versi');
+            expect(packets[2].readUInt8(12) & FLAGS.PARITY).to.equal(FLAGS.PARITY);
+            expect(packets[2].subarray(17, 22)).to.deep.equal(Buffer.from([4, 7, 2, 1, 2])); // After the FEC field
+        });
+
+        it('should leave room for header extensions in the payload size', function() {
+            const create = (max_payload_size) => new JTPEncoder({ source_id: SOURCE_ID, max_payload_size, header_extensions: { 1: Buffer.alloc(8) } });
+            expect(() => create(65475)).to.not.throw();
+            expect(() => create(65476)).to.throw('max_payload_size must be 2-65475');
+        });
+    });
+
+    describe('Message Checksum', function() {
+        it('should carry the message CRC32 in every fragment', function(done) {
+            const checksum_encoder = new JTPEncoder({ source_id: SOURCE_ID, checksum: true });
+            const message = Buffer.alloc(MAX_PAYLOAD_SIZE + 10, 0x5A);
+            const expected_checksum = crc32(message);
+            const packets = [];
+
+            checksum_encoder.on('packet', (packet) => packets.push(packet));
+            checksum_encoder.on('message:encoded', () => {
+                expect(packets.length).to.equal(2);
+                packets.forEach((packet, index) => {
+                    expect(packet.readUInt8(1)).to.equal((FLAGS_VERSION << 6) | 9);
+                    expect(packet.readUInt8(12)).to.equal(FLAGS.CHECKSUM);
+                    expect(packet.readUInt32LE(13)).to.equal(expected_checksum);
+                    expect(packet.length).to.equal(17 + (index === 0 ? MAX_PAYLOAD_SIZE : 10));
+                });
+                done();
+            });
+
+            checksum_encoder.encode_message(message, 9);
+        });
+
+        it('should keep version 0 headers when checksum is disabled', function(done) {
+            encoder.on('packet', (packet) => {
+                expect(packet.readUInt8(1) >> 6).to.equal(VERSION);
+                expect(packet.length).to.equal(12 + 4);
+                done();
+            });
+
+            encoder.encode_message(Buffer.from('test'), 9);
+        });
+    });
+
+    describe('NACK Retransmission', function() {
+        /**
+         * Encode a message and wait until all its packets have been emitted
+         * @param {JTPEncoder} history_encoder - Encoder to use
+         * @param {Buffer} message - Message to encode
+         * @param {number} message_type - Message type
+         * @returns {Promise<Buffer[]>} Emitted packets
+         */
+        function encode_all(history_encoder, message, message_type) {
+            const packets = [];
+            const on_packet = (packet) => packets.push(packet);
+            history_encoder.on('packet', on_packet);
+            return new Promise(resolve => {
+                history_encoder.encode_message(message, message_type, () => {
+                    history_encoder.off('packet', on_packet);
+                    resolve(packets);
+                });
+            });
+        }
+
+        it('should re-emit only the requested fragments', async function() {
+            const history_encoder = new JTPEncoder({ source_id: SOURCE_ID, history_size: 100 });
+            const originals = await encode_all(history_encoder, Buffer.alloc(MAX_PAYLOAD_SIZE * 5), 4);
+            const resent = [];
+            let retransmit_info = null;
+
+            history_encoder.on('packet', (packet, info) => resent.push({ packet, info }));
+            history_encoder.on('retransmit', (info) => {
+                retransmit_info = info;
+            });
+
+            const [nack] = encode_nack({
+                source_id: SOURCE_ID,
+                message_type: 4,
+                message_id: 0,
+                fragment_count: 5,
+                fragment_indices: [1, 3]
+            });
+            expect(history_encoder.handle_nack(nack)).to.be.true;
+
+            expect(resent.map(r => r.info.fragment_index)).to.deep.equal([1, 3]);
+            expect(resent[0].packet).to.deep.equal(originals[1]);
+            expect(resent[1].info.retransmission).to.be.true;
+            expect(retransmit_info).to.deep.equal({
+                message_id: 0,
+                message_type: 4,
+                fragment_indices: [1, 3],
+                unavailable_indices: []
+            });
+        });
+
+        it('should report fragments evicted from the bounded history', async function() {
+            const history_encoder = new JTPEncoder({ source_id: SOURCE_ID, history_size: 2 });
+            await encode_all(history_encoder, Buffer.alloc(MAX_PAYLOAD_SIZE * 4), 4);
+            expect(history_encoder._history.size).to.equal(2);
+
+            let retransmit_info = null;
+            history_encoder.on('retransmit', (info) => {
+                retransmit_info = info;
+            });
+            const [nack] = encode_nack({
+                source_id: SOURCE_ID,
+                message_type: 4,
+                message_id: 0,
+                fragment_count: 4,
+                fragment_indices: [0, 3]
+            });
+            history_encoder.handle_nack(nack);
+
+            expect(retransmit_info.fragment_indices).to.deep.equal([3]);
+            expect(retransmit_info.unavailable_indices).to.deep.equal([0]);
+        });
+
+        it('should ignore NACKs for other sources, data packets, or without history', async function() {
+            const history_encoder = new JTPEncoder({ source_id: SOURCE_ID, history_size: 10 });
+            const [data_packet] = await encode_all(history_encoder, Buffer.from('data'), 4);
+            const nack_for = (source_id) => encode_nack({
+                source_id,
+                message_type: 4,
+                message_id: 0,
+                fragment_count: 1,
+                fragment_indices: [0]
+            })[0];
+
+            expect(history_encoder.handle_nack(nack_for(0x1111))).to.be.false;
+            expect(history_encoder.handle_nack(data_packet)).to.be.false;
+            expect(encoder.handle_nack(nack_for(SOURCE_ID))).to.be.false; // history disabled
+        });
+    });
+
+    describe('Forward Error Correction', function() {
+        it('should reject invalid FEC settings', function() {
+            expect(() => new JTPEncoder({ source_id: SOURCE_ID, fec_group_size: 256 })).to.throw('fec_group_size must be 0-255');
+            expect(() => new JTPEncoder({ source_id: SOURCE_ID, fec_group_size: 4, fec_parity_count: 5 })).to.throw('fec_parity_count must be 1-4');
+            expect(() => new JTPEncoder({ source_id: SOURCE_ID, fec_group_size: 4, fec_parity_count: 0 })).to.throw('fec_parity_count must be 1-4');
+        });
+
+        it('should follow each group with its parity fragments', function(done) {
+            const fec_encoder = new JTPEncoder({ source_id: SOURCE_ID, fec_group_size: 4, fec_parity_count: 2 });
+            const message = Buffer.alloc(MAX_PAYLOAD_SIZE * 5 + 7);
+            for (let i = 0; i < message.length; i++) {
+                message[i] = (i * 31) % 256;
+            }
+            const sequence = [];
+
+            fec_encoder.on('packet', (packet, info) => {
+                sequence.push(info.parity ? `p${info.fragment_index}` : `d${info.fragment_index}`);
+                expect(info.fragment_count).to.equal(6);
+
+                if (info.parity) {
+                    expect(packet.readUInt8(1) >> 6).to.equal(FLAGS_VERSION);
+                    expect(packet.readUInt8(12)).to.equal(FLAGS.PARITY);
+                    expect(packet.readUInt8(13)).to.equal(4); // group size
+                    expect(packet.readUInt8(14)).to.equal(2); // parity count
+                }
+                if (info.parity && info.fragment_index === 0) {
+                    // Parity 0 covers fragments 0 and 2
+                    const expected = Buffer.alloc(MAX_PAYLOAD_SIZE);
+                    for (let i = 0; i < MAX_PAYLOAD_SIZE; i++) {
+                        expected[i] = message[i] ^ message[2 * MAX_PAYLOAD_SIZE + i];
+                    }
+                    expect(packet.subarray(17)).to.deep.equal(expected);
+                    expect(packet.readUInt16LE(15)).to.equal(MAX_PAYLOAD_SIZE ^ MAX_PAYLOAD_SIZE);
+                }
+                if (info.parity && info.fragment_index === 3) {
+                    // Parity 3 covers only the short last fragment
+                    expect(packet.readUInt16LE(15)).to.equal(7);
+                    expect(packet.subarray(17)).to.deep.equal(message.subarray(MAX_PAYLOAD_SIZE * 5));
+                }
+            });
+
+            fec_encoder.on('message:encoded', (metadata) => {
+                expect(sequence).to.deep.equal(['d0', 'd1', 'd2', 'd3', 'p0', 'p1', 'd4', 'd5', 'p2', 'p3']);
+                expect(metadata.fragment_count).to.equal(6);
+                expect(metadata.parity_count).to.equal(4);
+                done();
+            });
+
+            fec_encoder.encode_message(message, 6);
+        });
+    });
+
+    describe('Pacing', function() {
+        it('should report an empty queue without rate limits', function() {
+            expect(encoder.get_pacing_status()).to.deep.equal({ queued_packets: 0, queued_bytes: 0, drain_time_ms: 0, types: {} });
+        });
+
+        it('should reject rate limits without a rate', function() {
+            expect(() => new JTPEncoder({ source_id: SOURCE_ID, rate_limit: { burst_bytes: 100 } })).to.throw('Rate limit needs');
+        });
+
+        it('should hold fragments back to the byte rate', async function() {
+            const paced = new JTPEncoder({ source_id: SOURCE_ID, rate_limit: { bytes_per_second: 100000, burst_bytes: 1212 } });
+            const times = [];
+            paced.on('packet', () => times.push(Date.now()));
+
+            const start = Date.now();
+            await paced.send(Buffer.alloc(MAX_PAYLOAD_SIZE * 4), 1);
+            expect(times.length).to.equal(4);
+            expect(times[0] - start).to.be.below(10);
+            expect(times[3] - start).to.be.at.least(30); // Three more full packets at ~12ms each
+        });
+
+        it('should report queued packets, bytes and drain time while sending', async function() {
+            const paced = new JTPEncoder({
+                source_id: SOURCE_ID,
+                checksum: true,
+                fec_group_size: 4,
+                fec_parity_count: 2,
+                rate_limits: { 3: { packets_per_second: 100, burst_packets: 1 } }
+            });
+            const sizes = [];
+            paced.on('packet', (packet) => sizes.push(packet.length));
+
+            const message = Buffer.alloc(MAX_PAYLOAD_SIZE * 5 + 7);
+            const sending = paced.send(message, 3);
+            await new Promise(resolve => setImmediate(resolve));
+
+            const status = paced.get_pacing_status();
+            expect(status.queued_packets).to.equal(9); // One of 6 data + 4 parity already out
+            expect(status.types[3].queued_packets).to.equal(9);
+            expect(status.drain_time_ms).to.be.within(80, 90);
+
+            const metadata = await sending;
+            expect(metadata.parity_count).to.equal(4);
+            expect(sizes.length).to.equal(10);
+            expect(status.queued_bytes).to.equal(sizes.slice(1).reduce((sum, size) => sum + size, 0));
+            expect(paced.get_pacing_status().queued_packets).to.equal(0);
+        });
+
+        it('should only pace the limited message type', async function() {
+            const paced = new JTPEncoder({ source_id: SOURCE_ID, rate_limits: { 1: { packets_per_second: 20, burst_packets: 1 } } });
+            const order = [];
+            paced.on('packet', (packet, info) => order.push(info.message_type));
+
+            await Promise.all([paced.send(Buffer.alloc(MAX_PAYLOAD_SIZE * 2), 1), paced.send(Buffer.alloc(MAX_PAYLOAD_SIZE * 2), 2)]);
+            expect(order).to.deep.equal([1, 2, 2, 1]);
+        });
+
+        it('should charge NACK retransmissions against the budget', async function() {
+            const paced = new JTPEncoder({ source_id: SOURCE_ID, history_size: 10, rate_limit: { bytes_per_second: 1000, burst_bytes: 2000 } });
+            await paced.send(Buffer.alloc(1000), 1);
+
+            const tokens = paced._pacer._global[0].bucket.tokens;
+            paced.handle_nack(encode_nack({ source_id: SOURCE_ID, message_type: 1, message_id: 0, fragment_count: 1, fragment_indices: [0] })[0]);
+            expect(paced._pacer._global[0].bucket.tokens).to.be.below(tokens - 1000); // 1012 bytes, less a few ms of refill
+        });
+    });
+
+    describe('Priority Scheduling', function() {
+        it('should send an urgent message ahead of a bulk message in progress', async function() {
+            const prioritized = new JTPEncoder({ source_id: SOURCE_ID, priorities: { 9: 10 } });
+            const sent = [];
+            prioritized.on('packet', (packet, info) => sent.push(info.message_type));
+
+            const bulk = prioritized.send(Buffer.alloc(MAX_PAYLOAD_SIZE * 300), 1);
+            await new Promise(resolve => setImmediate(resolve));
+            const bulk_sent = sent.length;
+            const control = await prioritized.send(Buffer.from('stop'), 9);
+
+            expect(control.message_id).to.equal(1);
+            expect(sent.indexOf(9)).to.equal(bulk_sent); // Preempts the rest of the bulk message
+            expect(sent.length).to.be.below(300);
+            await bulk;
+            expect(sent.length).to.equal(301);
+        });
+
+        it('should alternate packets of equal priority types', async function() {
+            const sent = [];
+            encoder.on('packet', (packet, info) => sent.push(info.message_type));
+            await Promise.all([encoder.send(Buffer.alloc(MAX_PAYLOAD_SIZE * 3), 1), encoder.send(Buffer.alloc(MAX_PAYLOAD_SIZE * 2), 2)]);
+            expect(sent).to.deep.equal([1, 2, 1, 2, 1]);
+        });
+
+        it('should send messages of the same type one after another', async function() {
+            const sent = [];
+            encoder.on('packet', (packet, info) => sent.push(info.message_id));
+            await Promise.all([encoder.send(Buffer.alloc(MAX_PAYLOAD_SIZE * 15), 1), encoder.send(Buffer.alloc(MAX_PAYLOAD_SIZE * 2), 1)]);
+            expect(sent).to.deep.equal([...Array(15).fill(0), 1, 1]);
+        });
+    });
+
+    describe('Authentication', function() {
+        const KEY = Buffer.from('encoder test key');
+
+        /**
+         * Send a message and collect its packets
+         * @param {JTPEncoder} auth_encoder - Encoder to use
+         * @param {Buffer} message - Message to send
+         * @returns {Promise<Buffer[]>} Emitted packets
+         */
+        async function sent_packets(auth_encoder, message) {
+            const packets = [];
+            const on_packet = (packet) => packets.push(packet);
+            auth_encoder.on('packet', on_packet);
+            await auth_encoder.send(message, 3);
+            auth_encoder.off('packet', on_packet);
+            return packets;
+        }
+
+        it('should sign every data and parity packet', async function() {
+            const auth_encoder = new JTPEncoder({ source_id: SOURCE_ID, auth_key: KEY, auth_key_id: 4, checksum: true, fec_group_size: 2 });
+            const packets = await sent_packets(auth_encoder, Buffer.alloc(MAX_PAYLOAD_SIZE * 2));
+
+            expect(packets).to.have.length(3);
+            packets.forEach(packet => {
+                expect(packet.readUInt8(12) & FLAGS.AUTH).to.equal(FLAGS.AUTH);
+                expect(verify_packet(packet, new Map([[4, KEY]]))).to.deep.equal({ key_id: 4, reason: null });
+            });
+            expect(packets[0].length).to.equal(17 + MAX_PAYLOAD_SIZE + AUTH_TRAILER_SIZE);
+        });
+
+        it('should leave room for the trailer in a UDP datagram', function() {
+            const max_payload_size = MAX_UDP_PAYLOAD_SIZE - 21;
+            expect(() => new JTPEncoder({ source_id: SOURCE_ID, max_payload_size, auth_key: KEY })).to.throw('with authentication');
+            expect(() => new JTPEncoder({ source_id: SOURCE_ID, max_payload_size: 65469, auth_key: KEY })).to.not.throw();
+            expect(() => new JTPEncoder({ source_id: SOURCE_ID, extended_types: true, max_payload_size: 65468, auth_key: KEY }))
+                .to.throw('max_payload_size must be at most 65467 with authentication, got 65468');
+            expect(() => new JTPEncoder({ source_id: SOURCE_ID, extended_types: true, max_payload_size: 65467, auth_key: KEY })).to.not.throw();
+            expect(() => new JTPEncoder({ source_id: SOURCE_ID, auth_key: KEY, auth_key_id: 256 })).to.throw('Auth key ID must be 0-255');
+        });
+
+        it('should sign with the new key after a rotation and keep the old one for NACKs', async function() {
+            const auth_encoder = new JTPEncoder({ source_id: SOURCE_ID, auth_key: KEY, auth_key_id: 1, history_size: 10 });
+            await sent_packets(auth_encoder, Buffer.from('before'));
+            auth_encoder.set_auth_key(2, 'next key');
+            const [packet] = await sent_packets(auth_encoder, Buffer.from('after'));
+            expect(packet.readUInt8(packet.length - AUTH_TRAILER_SIZE)).to.equal(2);
+
+            const [nack] = encode_nack({ source_id: SOURCE_ID, message_type: 3, message_id: 0, fragment_count: 1, fragment_indices: [0] }, MAX_PAYLOAD_SIZE, { key_id: 1, key: KEY });
+            expect(auth_encoder.handle_nack(nack)).to.be.true;
+
+            expect(() => auth_encoder.remove_auth_key(2)).to.throw('Cannot remove the active auth key 2');
+            expect(auth_encoder.remove_auth_key(1)).to.be.true;
+            expect(auth_encoder.handle_nack(nack)).to.be.false;
+        });
+
+        it('should reject NACKs that are unsigned or forged', async function() {
+            const auth_encoder = new JTPEncoder({ source_id: SOURCE_ID, auth_key: KEY, history_size: 10 });
+            await sent_packets(auth_encoder, Buffer.from('hello'));
+            const rejected = [];
+            auth_encoder.on('packet:rejected', (info) => rejected.push(info));
+            auth_encoder.on('packet', () => expect.fail('NACK should not be served'));
+
+            const nack = { source_id: SOURCE_ID, message_type: 3, message_id: 0, fragment_count: 1, fragment_indices: [0] };
+            const [unsigned] = encode_nack(nack);
+            const [forged] = encode_nack(nack, MAX_PAYLOAD_SIZE, { key_id: 0, key: Buffer.from('wrong key') });
+            expect(auth_encoder.handle_nack(unsigned)).to.be.false;
+            expect(auth_encoder.handle_nack(forged)).to.be.false;
+
+            expect(rejected).to.deep.equal([
+                { source_id: SOURCE_ID, message_type: 3, message_id: 0, key_id: null, reason: 'unauthenticated' },
+                { source_id: SOURCE_ID, message_type: 3, message_id: 0, key_id: 0, reason: 'bad_tag' }
+            ]);
+        });
+    });
+
+    describe('Encryption', function() {
+        const KEY = Buffer.alloc(32, 0x11);
+
+        it('should reject keys that are not 32 bytes', function() {
+            expect(() => new JTPEncoder({ source_id: SOURCE_ID, encryption_key: Buffer.alloc(31) })).to.throw('32-byte Buffer');
+        });
+
+        it('should fragment the sealed message and flag every packet', async function() {
+            const sealing_encoder = new JTPEncoder({ source_id: SOURCE_ID, encryption_key: KEY, fec_group_size: 2 });
+            const message = Buffer.alloc(MAX_PAYLOAD_SIZE - 10, 0x61);
+            const packets = [];
+            sealing_encoder.on('packet', (packet, info) => packets.push({ packet, info }));
+
+            const metadata = await sealing_encoder.send(message, 4);
+            expect(metadata.total_bytes).to.equal(message.length);
+            expect(metadata.fragment_count).to.equal(2); // The overhead spills into the second fragment
+            packets.forEach(({ packet }) => expect(packet.readUInt8(12) & FLAGS.ENCRYPTED).to.equal(FLAGS.ENCRYPTED));
+
+            const sealed = Buffer.concat(packets.filter(({ info }) => !info.parity).map(({ packet }) => packet.subarray(13)));
+            expect(sealed.length).to.equal(message.length + ENCRYPTION_OVERHEAD);
+            expect(sealed.includes(Buffer.alloc(16, 0x61))).to.be.false;
+            expect(decrypt_message(sealed, KEY, { source_id: SOURCE_ID, message_type: 4, message_id: 0 })).to.deep.equal(message);
+        });
+
+        it('should leave room for the overhead in the largest message', function(done) {
+            const sealing_encoder = new JTPEncoder({ source_id: SOURCE_ID, max_payload_size: 100, encryption_key: KEY });
+            expect(sealing_encoder.max_message_size).to.equal(100 * 65535 - ENCRYPTION_OVERHEAD);
+            sealing_encoder.on('error', (error) => {
+                expect(error.message).to.include('Message too large');
+                done();
+            });
+            sealing_encoder.encode_message(Buffer.alloc(sealing_encoder.max_message_size + 1), 1);
+        });
+
+        it('should move to a new epoch when message IDs wrap around', async function() {
+            const sealing_encoder = new JTPEncoder({ source_id: SOURCE_ID, encryption_key: KEY });
+            const epochs = [];
+            sealing_encoder.on('packet', (packet) => epochs.push(packet.readUInt32LE(13)));
+
+            sealing_encoder.message_id = 0xFFFF;
+            await sealing_encoder.send(Buffer.from('last'), 1);
+            await sealing_encoder.send(Buffer.from('first'), 1);
+            expect(epochs[1]).to.equal((epochs[0] + 1) >>> 0);
+        });
+    });
+
+    describe('Compression', function() {
+        const GRID = Buffer.alloc(20000, 0); // Mostly empty occupancy grid
+        GRID.fill(100, 5000, 5400);
+
+        it('should reject unknown codecs', function() {
+            expect(() => new JTPEncoder({ source_id: SOURCE_ID, compression: 'zip' })).to.throw('Compression codec must be');
+            expect(() => new JTPEncoder({ source_id: SOURCE_ID, compressions: { 3: 'lz4' } })).to.throw('got lz4');
+        });
+
+        it('should compress configured types and report both sizes', async function() {
+            const compressing = new JTPEncoder({ source_id: SOURCE_ID, compressions: { 8: 'brotli' } });
+            const flags = [];
+            compressing.on('packet', (packet) => flags.push(packet.readUInt8(12)));
+
+            const metadata = await compressing.send(GRID, 8);
+            expect(metadata.total_bytes).to.equal(GRID.length);
+            expect(metadata.compressed_bytes).to.be.below(GRID.length / 10);
+            expect(metadata.fragment_count).to.equal(1);
+            expect(flags).to.deep.equal([FLAGS.COMPRESSED]);
+        });
+
+        it('should apply the default codec unless a type overrides it', async function() {
+            const compressing = new JTPEncoder({ source_id: SOURCE_ID, compression: 'deflate', compressions: { 2: 'none' } });
+            const compressed = await compressing.send(GRID, 1);
+            const plain = await compressing.send(GRID, 2);
+            expect(compressed.compressed_bytes).to.be.below(GRID.length);
+            expect(plain.compressed_bytes).to.equal(GRID.length);
+        });
+
+        it('should skip messages below the threshold or that do not shrink', async function() {
+            const compressing = new JTPEncoder({ source_id: SOURCE_ID, compression: 'deflate', compression_min_size: 1000 });
+            const versions = [];
+            compressing.on('packet', (packet) => versions.push(packet.readUInt8(1) >> 6));
+
+            const small = await compressing.send(Buffer.alloc(999), 1);
+            const random = await compressing.send(crypto.randomBytes(2000), 1);
+            expect(small.compressed_bytes).to.equal(999);
+            expect(random.compressed_bytes).to.equal(2000);
+            expect(versions.every(version => version === VERSION)).to.be.true; // Plain version 0 headers
+        });
+
+        it('should compress after encode_message returns and keep the order of the type', async function() {
+            const compressing = new JTPEncoder({ source_id: SOURCE_ID, compression: 'deflate', compression_min_size: 1000 });
+            const encoded = [];
+            compressing.on('message:encoded', ({ message_id, total_bytes }) => encoded.push([message_id, total_bytes]));
+
+            const original = zlib.deflateRawSync;
+            let compressions = 0;
+            zlib.deflateRawSync = (...args) => {
+                compressions++;
+                return original(...args);
+            };
+            try {
+                compressing.encode_message(GRID, 1);
+                compressing.encode_message(Buffer.alloc(10), 1);
+                expect(compressions).to.equal(0);
+                await compressing.send(Buffer.alloc(10), 2);
+            } finally {
+                zlib.deflateRawSync = original;
+            }
+            await new Promise(resolve => setImmediate(resolve));
+            expect(compressions).to.equal(1);
+            expect(encoded.filter(([message_id]) => message_id < 2)).to.deep.equal([[0, GRID.length], [1, 10]]);
+        });
+
+        it('should report compression failures as errors of the message', async function() {
+            const compressing = new JTPEncoder({ source_id: SOURCE_ID, compression: 'deflate' });
+            const errors = [];
+            compressing.on('error', (error, context) => errors.push([error.message, context]));
+
+            const original = zlib.deflateRawSync;
+            zlib.deflateRawSync = () => {
+                throw new Error('Out of memory');
+            };
+            let rejected;
+            try {
+                expect(compressing.encode_message(GRID, 1)).to.equal(0);
+                rejected = compressing.send(GRID, 1).catch(error => error.message);
+                await new Promise(resolve => setImmediate(resolve));
+            } finally {
+                zlib.deflateRawSync = original;
+            }
+            expect(await rejected).to.equal('Out of memory');
+            expect(errors).to.deep.equal([['Out of memory', { message_id: 0, message_type: 1 }]]);
+            expect(compressing.get_stats().messages_failed).to.equal(2);
+        });
+    });
+
+    describe('Statistics', function() {
+        it('should count messages, packets and bytes per type', async function() {
+            const fec_encoder = new JTPEncoder({ source_id: SOURCE_ID, max_payload_size: 100, fec_group_size: 2 });
+            let bytes = 0;
+            fec_encoder.on('packet', packet => {
+                bytes += packet.length;
+            });
+
+            await fec_encoder.send(Buffer.alloc(250), 3);
+            await fec_encoder.send(Buffer.alloc(10), 4);
+            const stats = fec_encoder.get_stats();
+            expect(stats).to.include({ messages_sent: 2, packets_sent: 7, parity_packets_sent: 3, bytes_sent: bytes });
+            expect(stats.types[3]).to.include({ messages_sent: 1, packets_sent: 5, parity_packets_sent: 2 });
+            expect(stats.types[4]).to.include({ messages_sent: 1, packets_sent: 2, parity_packets_sent: 1 });
+        });
+
+        it('should count NACKs and retransmissions', async function() {
+            const repairing = new JTPEncoder({ source_id: SOURCE_ID, max_payload_size: 100, history_size: 10 });
+            await repairing.send(Buffer.alloc(300), 2);
+            const nack = { source_id: SOURCE_ID, message_type: 2, message_id: 0, fragment_count: 3, fragment_indices: [0, 2] };
+            encode_nack(nack, 100).forEach(packet => repairing.handle_nack(packet));
+
+            expect(repairing.get_stats().types[2]).to.include({ packets_sent: 5, retransmitted_packets: 2, nacks_received: 1, nacks_rejected: 0 });
+        });
+
+        it('should count rejected NACKs', async function() {
+            const signing = new JTPEncoder({ source_id: SOURCE_ID, history_size: 10, auth_key: 'secret' });
+            await signing.send(Buffer.from('signed'), 2);
+            signing.on('packet:rejected', () => {});
+            const nack = { source_id: SOURCE_ID, message_type: 2, message_id: 0, fragment_count: 1, fragment_indices: [0] };
+            encode_nack(nack, MAX_PAYLOAD_SIZE).forEach(packet => signing.handle_nack(packet));
+
+            expect(signing.get_stats()).to.include({ nacks_received: 0, nacks_rejected: 1, retransmitted_packets: 0 });
+        });
+
+        it('should count messages refused by validation', async function() {
+            encoder.on('error', () => {});
+            encoder.encode_message(Buffer.alloc(10), 64);
+            await encoder.send('not a buffer', 5).catch(() => {});
+
+            const stats = encoder.get_stats();
+            expect(stats.messages_failed).to.equal(2);
+            expect(stats.types).to.have.all.keys('5');
+            expect(stats.types[5].messages_failed).to.equal(1);
+        });
+
+        it('should zero the counters on reset', async function() {
+            await encoder.send(Buffer.from('hello'), 1);
+            encoder.reset_stats();
+            expect(encoder.get_stats()).to.include({ messages_sent: 0, packets_sent: 0, bytes_sent: 0 });
+            expect(encoder.get_stats().types).to.deep.equal({});
+        });
+    });
+
+    describe('Schemas', function() {
+        it('should publish values by schema name', async function() {
+            const schema_encoder = new JTPEncoder({ source_id: SOURCE_ID, schemas: { pose: { message_type: 7 } } });
+            const packets = [];
+            schema_encoder.on('packet', packet => packets.push(packet));
+
+            const metadata = await schema_encoder.publish('pose', { x: 1, y: 2 });
+            expect(metadata).to.include({ message_type: 7, total_bytes: 13 });
+            expect(packets[0].readUInt8(1) & 0x3F).to.equal(7);
+            expect(packets[0].subarray(12).toString()).to.equal('{"x":1,"y":2}');
+        });
+
+        it('should reject values that cannot be published', async function() {
+            encoder.schemas.register('frame', 3, 'raw');
+            const errors = [];
+            await encoder.publish('pose', {}).catch(error => errors.push(error));
+            await encoder.publish('frame', 'not a buffer').catch(error => errors.push(error));
+
+            expect(errors.map(error => error.code)).to.deep.equal([ERROR_CODES.E_UNKNOWN_SCHEMA, ERROR_CODES.E_SERIALIZE]);
+            expect(errors[1]).to.include({ source_id: SOURCE_ID, message_type: 3 });
+            expect(encoder.message_id).to.equal(0);
+            const stats = encoder.get_stats();
+            expect(stats.messages_failed).to.equal(2);
+            expect(stats.types[3].messages_failed).to.equal(1);
+        });
+    });
+
     describe('Callback Support', function() {
         it('should call callback when encoding completes', function(done) {
             const message = Buffer.from('Callback test');
@@ -213,6 +966,55 @@ describe('JTPEncoder', function() {
         });
     });
 
+    describe('Promise API', function() {
+        it('should resolve with the encoding metadata after every packet', async function() {
+            let packets = 0;
+            encoder.on('packet', () => packets++);
+
+            const metadata = await encoder.send(Buffer.alloc(MAX_PAYLOAD_SIZE * 2 + 1), 9);
+            expect(metadata).to.deep.equal({
+                message_id: 0,
+                message_type: 9,
+                fragment_count: 3,
+                parity_count: 0,
+                total_bytes: MAX_PAYLOAD_SIZE * 2 + 1,
+                compressed_bytes: MAX_PAYLOAD_SIZE * 2 + 1
+            });
+            expect(packets).to.equal(3);
+            expect((await encoder.send(Buffer.from('next'), 9)).message_id).to.equal(1);
+        });
+
+        it('should reject validation errors without emitting error events', async function() {
+            encoder.on('error', () => {
+                throw new Error('send() should not emit error events');
+            });
+
+            const failures = await Promise.all([
+                encoder.send(Buffer.from('x'), 64).catch(error => error.message),
+                encoder.send('not a buffer', 1).catch(error => error.message),
+                encoder.send(Buffer.alloc(MAX_PAYLOAD_SIZE * 0x10000), 1).catch(error => error.message)
+            ]);
+            expect(failures[0]).to.include('Message type must be 0-63');
+            expect(failures[1]).to.include('message_buffer must be a Buffer');
+            expect(failures[2]).to.include('Message too large to fragment');
+            expect(encoder.message_id).to.equal(0);
+        });
+
+        it('should reject errors thrown while encoding', async function() {
+            encoder.on('packet', () => {
+                throw new Error('transport failed');
+            });
+
+            let error = null;
+            try {
+                await encoder.send(Buffer.from('boom'), 1);
+            } catch (e) {
+                error = e;
+            }
+            expect(error.message).to.equal('transport failed');
+        });
+    });
+
     describe('Concurrent Encoding', function() {
         it('should handle multiple concurrent messages', function(done) {
             const messages = [
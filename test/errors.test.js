@@ -0,0 +1,49 @@
+/**
+ * @fileoverview Test suite for JTP error classes
+ * @author JTP Library
+ * @version 1.0.0
+ */
+
+const { expect } = require('chai');
+const jtp = require('../index');
+const { ERROR_CODES, JTPError, JTPPacketError, JTPFragmentError, JTPMessageError } = require('../lib/errors');
+
+describe('JTP errors', function() {
+    it('should carry a code and the known packet fields', function() {
+        const error = new JTPFragmentError(ERROR_CODES.E_DUPLICATE_FRAGMENT, 'Duplicate fragment 2 for message 7', {
+            source_id: 0x1234,
+            message_type: 5,
+            message_id: 7,
+            fragment_index: 2,
+            fragment_count: 4 // Not a field of the error
+        });
+
+        expect(error).to.be.instanceOf(Error);
+        expect(error).to.be.instanceOf(JTPError);
+        expect(error).to.not.be.instanceOf(JTPPacketError);
+        expect(error.name).to.equal('JTPFragmentError');
+        expect(error.message).to.equal('Duplicate fragment 2 for message 7');
+        expect(error).to.include({ code: 'E_DUPLICATE_FRAGMENT', source_id: 0x1234, message_type: 5, message_id: 7, fragment_index: 2 });
+        expect(error).to.not.have.property('fragment_count');
+        expect(error.stack).to.include('JTPFragmentError: Duplicate fragment 2');
+    });
+
+    it('should default unknown fields to null and keep the cause', function() {
+        const cause = new Error('Unexpected end of file');
+        const error = new JTPMessageError(ERROR_CODES.E_DECOMPRESSION, 'Decompression failed', { message_id: 3, cause });
+        expect(error).to.include({ source_id: null, message_type: null, message_id: 3, fragment_index: null });
+        expect(error.cause).to.equal(cause);
+        expect(new JTPPacketError(ERROR_CODES.E_PACKET_SHORT, 'Packet too short')).to.not.have.property('cause');
+    });
+
+    it('should name every code after itself', function() {
+        for (const [name, code] of Object.entries(ERROR_CODES)) {
+            expect(code).to.equal(name);
+        }
+        expect(ERROR_CODES).to.be.frozen;
+    });
+
+    it('should be exported from the package', function() {
+        expect(jtp).to.include({ ERROR_CODES, JTPError, JTPPacketError, JTPFragmentError, JTPMessageError });
+    });
+});
@@ -0,0 +1,59 @@
+/**
+ * @fileoverview Test suite for forward error correction helpers
+ * @author JTP Library
+ * @version 1.0.0
+ */
+
+const { expect } = require('chai');
+const { parity_index_for, covered_indices, parity_fragment_count, xor_into } = require('../lib/fec');
+
+describe('FEC helpers', function() {
+    describe('parity_index_for', function() {
+        it('should map fragments to interleaved parity classes per group', function() {
+            // Groups of 4 with 2 parity fragments: [0,2]->0 [1,3]->1 [4,6]->2 [5,7]->3
+            expect([0, 1, 2, 3, 4, 5, 6, 7].map(i => parity_index_for(i, 4, 2)))
+                .to.deep.equal([0, 1, 0, 1, 2, 3, 2, 3]);
+        });
+    });
+
+    describe('covered_indices', function() {
+        it('should list the fragments protected by a parity fragment', function() {
+            expect(covered_indices(0, 4, 2, 8)).to.deep.equal([0, 2]);
+            expect(covered_indices(3, 4, 2, 8)).to.deep.equal([5, 7]);
+            expect(covered_indices(0, 5, 1, 5)).to.deep.equal([0, 1, 2, 3, 4]);
+        });
+
+        it('should stop at the end of a short last group', function() {
+            expect(covered_indices(2, 4, 2, 5)).to.deep.equal([4]);
+        });
+
+        it('should be the inverse of parity_index_for', function() {
+            const fragment_count = 23;
+            const total = parity_fragment_count(fragment_count, 6, 3);
+            const seen = [];
+            for (let p = 0; p < total; p++) {
+                covered_indices(p, 6, 3, fragment_count).forEach(index => {
+                    expect(parity_index_for(index, 6, 3)).to.equal(p);
+                    seen.push(index);
+                });
+            }
+            expect(seen.sort((a, b) => a - b)).to.deep.equal(Array.from({ length: fragment_count }, (_, i) => i));
+        });
+    });
+
+    describe('parity_fragment_count', function() {
+        it('should count parity fragments including a short last group', function() {
+            expect(parity_fragment_count(8, 4, 2)).to.equal(4);
+            expect(parity_fragment_count(9, 4, 2)).to.equal(5);
+            expect(parity_fragment_count(1, 10, 3)).to.equal(1);
+        });
+    });
+
+    describe('xor_into', function() {
+        it('should XOR a shorter source as if zero-padded', function() {
+            const target = Buffer.from([0xFF, 0x0F, 0xAA]);
+            xor_into(target, Buffer.from([0x0F, 0x0F]));
+            expect(target).to.deep.equal(Buffer.from([0xF0, 0x00, 0xAA]));
+        });
+    });
+});
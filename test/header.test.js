@@ -0,0 +1,144 @@
+/**
+ * @fileoverview Test suite for packet header parsing
+ * @author JTP Library
+ * @version 1.0.0
+ */
+
+const { expect } = require('chai');
+const JTPEncoder = require('../lib/Encoder');
+const { encode_nack } = require('../lib/nack');
+const { KNOWN_FLAGS, max_packet_overhead, encode_extensions, decode_header, read_message_type } = require('../lib/header');
+const { ERROR_CODES, JTPPacketError } = require('../lib/errors');
+const { MAGIC_BYTE, FLAGS, HEADER_SIZE, FLAGS_HEADER_SIZE, EXTENDED_HEADER_SIZE, CHECKSUM_SIZE, AUTH_TRAILER_SIZE } = require('../lib/constants');
+
+describe('decode_header', function() {
+    const SOURCE_ID = 0x1234;
+
+    /**
+     * Encode a message and return its first packet
+     * @param {Object} options - Encoder options
+     * @param {number} [length=10] - Message length
+     * @param {number} [message_type=9] - Message type
+     * @returns {Promise<Buffer>} First packet
+     */
+    async function first_packet(options, length = 10, message_type = 9) {
+        const encoder = new JTPEncoder({ source_id: SOURCE_ID, ...options });
+        const packets = [];
+        encoder.on('packet', packet => packets.push(packet));
+        await encoder.send(Buffer.alloc(length), message_type);
+        return packets[0];
+    }
+
+    it('should parse a version 0 header', async function() {
+        const packet = await first_packet({ max_payload_size: 100 }, 150);
+        expect(decode_header(packet)).to.deep.equal({
+            version: 0,
+            message_type: 9,
+            message_id: 0,
+            fragment_index: 0,
+            fragment_count: 2,
+            source_id: SOURCE_ID,
+            flags: 0,
+            checksum: null,
+            fec: null,
+            extensions: null,
+            key_id: null,
+            header_length: HEADER_SIZE,
+            trailer_length: 0,
+            payload_length: 100
+        });
+    });
+
+    it('should parse flags and the optional fields they announce', async function() {
+        const header = decode_header(await first_packet({ checksum: true, auth_key: 'k', auth_key_id: 4 }));
+        expect(header.version).to.equal(1);
+        expect(header.flags).to.equal(FLAGS.CHECKSUM | FLAGS.AUTH);
+        expect(header.checksum).to.be.a('number');
+        expect(header.key_id).to.equal(4);
+        expect(header.header_length).to.equal(FLAGS_HEADER_SIZE + CHECKSUM_SIZE);
+        expect(header.trailer_length).to.equal(AUTH_TRAILER_SIZE);
+        expect(header.payload_length).to.equal(10);
+
+        const nack = decode_header(encode_nack({ source_id: SOURCE_ID, message_type: 9, message_id: 3, fragment_count: 4, fragment_indices: [2] })[0]);
+        expect(nack.flags).to.equal(FLAGS.NACK);
+        expect(nack.message_id).to.equal(3);
+    });
+
+    it('should parse the 16-bit message type of a version 2 header', async function() {
+        const header = decode_header(await first_packet({ extended_types: true, checksum: true }, 10, 1000));
+        expect(header).to.include({ version: 2, message_type: 1000, flags: FLAGS.CHECKSUM, source_id: SOURCE_ID, payload_length: 10 });
+        expect(header.header_length).to.equal(EXTENDED_HEADER_SIZE + CHECKSUM_SIZE);
+
+        const packet = await first_packet({ extended_types: true }, 10, 1000);
+        expect(() => decode_header(packet.subarray(0, EXTENDED_HEADER_SIZE - 1))).to.throw('Packet too short');
+    });
+
+    it('should read the message type of every version', async function() {
+        expect(read_message_type(await first_packet({}))).to.equal(9);
+        expect(read_message_type(await first_packet({ checksum: true }))).to.equal(9);
+        expect(read_message_type(await first_packet({ extended_types: true }, 10, 1000))).to.equal(1000);
+        expect(read_message_type((await first_packet({ extended_types: true }, 10, 1000)).subarray(0, HEADER_SIZE))).to.be.null;
+        expect(read_message_type(Buffer.from([MAGIC_BYTE, 9]))).to.be.null;
+    });
+
+    it('should parse the extension area after the other optional fields', async function() {
+        const packet = await first_packet({ checksum: true, fec_group_size: 1, header_extensions: { 3: Buffer.from('abc'), 200: Buffer.alloc(0) } });
+        const header = decode_header(packet);
+        expect(header.flags).to.equal(FLAGS.CHECKSUM | FLAGS.EXTENSIONS);
+        expect(header.extensions).to.deep.equal(new Map([[3, Buffer.from('abc')], [200, Buffer.alloc(0)]]));
+        expect(header.header_length).to.equal(FLAGS_HEADER_SIZE + CHECKSUM_SIZE + 1 + 7);
+        expect(packet.subarray(FLAGS_HEADER_SIZE + CHECKSUM_SIZE, header.header_length)).to.deep.equal(encode_extensions({ 3: Buffer.from('abc'), 200: Buffer.alloc(0) }));
+        expect(header.payload_length).to.equal(10);
+    });
+
+    it('should reject malformed extension areas', async function() {
+        const packet = await first_packet({ header_extensions: { 3: Buffer.from('abc') } });
+        expect(() => decode_header(packet.subarray(0, FLAGS_HEADER_SIZE + 3))).to.throw('Packet too short');
+
+        const overrun = Buffer.from(packet);
+        overrun.writeUInt8(9, FLAGS_HEADER_SIZE + 2); // Entry longer than the area
+        expect(() => decode_header(overrun)).to.throw(JTPPacketError, 'Header extension overruns the extension area')
+            .with.property('code', ERROR_CODES.E_EXTENSIONS);
+
+        const repeated = Buffer.from(packet);
+        repeated.writeUInt8(0, FLAGS_HEADER_SIZE + 2); // Entries: 03 00 | 03 01 'c'
+        repeated.writeUInt8(3, FLAGS_HEADER_SIZE + 3);
+        repeated.writeUInt8(1, FLAGS_HEADER_SIZE + 4);
+        expect(() => decode_header(repeated)).to.throw('Header extension 3 repeated');
+    });
+
+    it('should refuse extensions that do not fit', function() {
+        expect(encode_extensions({})).to.be.null;
+        expect(() => encode_extensions({ 256: Buffer.alloc(1) })).to.throw('Header extension type must be 0-255, got 256');
+        expect(() => encode_extensions({ 1: 'text' })).to.throw('Header extension 1 must be a Buffer of at most 255 bytes');
+        expect(() => encode_extensions({ 1: Buffer.alloc(200), 2: Buffer.alloc(60) })).to.throw('Header extensions must fit in 255 bytes, got 264');
+    });
+
+    it('should add up the largest header, extension area and trailer', function() {
+        expect(max_packet_overhead()).to.equal(FLAGS_HEADER_SIZE + CHECKSUM_SIZE + 4);
+        expect(max_packet_overhead({ extended_types: true })).to.equal(EXTENDED_HEADER_SIZE + CHECKSUM_SIZE + 4);
+        expect(max_packet_overhead({ extended_types: true, extensions_size: 256, auth: true })).to.equal(EXTENDED_HEADER_SIZE + CHECKSUM_SIZE + 4 + 256 + AUTH_TRAILER_SIZE);
+    });
+
+    it('should return null for packets without the magic byte', function() {
+        expect(decode_header(Buffer.alloc(0))).to.be.null;
+        expect(decode_header(Buffer.alloc(HEADER_SIZE))).to.be.null;
+    });
+
+    it('should reject short packets, unknown versions and unknown flags', async function() {
+        expect(() => decode_header(Buffer.from([MAGIC_BYTE, 0]))).to.throw('Packet too short');
+
+        const packet = await first_packet({ checksum: true });
+        expect(() => decode_header(packet.subarray(0, FLAGS_HEADER_SIZE + 2))).to.throw(JTPPacketError, 'Packet too short')
+            .with.property('code', ERROR_CODES.E_PACKET_SHORT);
+        expect(() => decode_header(packet.subarray(0, FLAGS_HEADER_SIZE + 2))).to.throw().that.includes({ source_id: SOURCE_ID, message_type: 9, message_id: 0 });
+
+        const future = Buffer.from(packet);
+        future.writeUInt8(0xC0 | 9, 1);
+        expect(() => decode_header(future)).to.throw('Unsupported version: 3').with.property('code', ERROR_CODES.E_VERSION);
+
+        const flagged = Buffer.from(packet);
+        flagged.writeUInt8((~KNOWN_FLAGS) & 0xFF, HEADER_SIZE);
+        expect(() => decode_header(flagged)).to.throw('Unsupported flags: 0x').with.property('code', ERROR_CODES.E_FLAGS);
+    });
+});
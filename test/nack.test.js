@@ -0,0 +1,91 @@
+/**
+ * @fileoverview Test suite for NACK control packets
+ * @author JTP Library
+ * @version 1.0.0
+ */
+
+const { expect } = require('chai');
+const { MAX_NACK_INDICES, encode_nack, is_nack, decode_nack } = require('../lib/nack');
+const { FLAGS_VERSION, EXTENDED_VERSION, EXTENDED_HEADER_SIZE, FLAGS, MAGIC_BYTE } = require('../lib/constants');
+
+describe('NACK packets', function() {
+    const NACK = {
+        source_id: 0x12345678,
+        message_type: 17,
+        message_id: 0xBEEF,
+        fragment_count: 80,
+        fragment_indices: [3, 4, 79]
+    };
+
+    it('should encode a NACK with the version 1 header and NACK flag', function() {
+        const [packet] = encode_nack(NACK);
+
+        expect(packet.readUInt8(0)).to.equal(MAGIC_BYTE);
+        expect(packet.readUInt8(1)).to.equal((FLAGS_VERSION << 6) | 17);
+        expect(packet.readUInt16LE(2)).to.equal(0xBEEF);
+        expect(packet.readUInt16LE(6)).to.equal(80);
+        expect(packet.readUInt32LE(8)).to.equal(0x12345678);
+        expect(packet.readUInt8(12)).to.equal(FLAGS.NACK);
+        expect(packet.length).to.equal(13 + 3 * 2);
+    });
+
+    it('should round-trip through decode_nack', function() {
+        const [packet] = encode_nack(NACK);
+
+        expect(is_nack(packet)).to.be.true;
+        expect(decode_nack(packet)).to.deep.equal(NACK);
+    });
+
+    it('should use the version 2 header for types above 63', function() {
+        const [packet] = encode_nack({ ...NACK, message_type: 1000 });
+
+        expect(packet.readUInt8(1)).to.equal(EXTENDED_VERSION << 6);
+        expect(packet.readUInt8(12)).to.equal(FLAGS.NACK);
+        expect(packet.readUInt16LE(13)).to.equal(1000);
+        expect(packet.length).to.equal(EXTENDED_HEADER_SIZE + 3 * 2);
+        expect(is_nack(packet)).to.be.true;
+        expect(decode_nack(packet)).to.deep.equal({ ...NACK, message_type: 1000 });
+    });
+
+    it('should skip an extension area', function() {
+        const [plain] = encode_nack(NACK);
+        const packet = Buffer.concat([plain.subarray(0, 13), Buffer.from([2, 9, 0]), plain.subarray(13)]);
+        packet.writeUInt8(FLAGS.NACK | FLAGS.EXTENSIONS, 12);
+
+        expect(decode_nack(packet)).to.deep.equal(NACK);
+    });
+
+    it('should split long index lists across packets', function() {
+        const fragment_indices = Array.from({ length: MAX_NACK_INDICES + 5 }, (_, i) => i);
+        const packets = encode_nack({ ...NACK, fragment_count: 2000, fragment_indices });
+
+        expect(packets.length).to.equal(2);
+        const decoded = packets.map(packet => decode_nack(packet).fragment_indices);
+        expect([].concat(...decoded)).to.deep.equal(fragment_indices);
+    });
+
+    it('should split index lists to fit a smaller payload size', function() {
+        const fragment_indices = Array.from({ length: 10 }, (_, i) => i);
+        const packets = encode_nack({ ...NACK, fragment_indices }, 8);
+
+        expect(packets.map(packet => packet.length - 13)).to.deep.equal([8, 8, 4]);
+        const decoded = packets.map(packet => decode_nack(packet).fragment_indices);
+        expect([].concat(...decoded)).to.deep.equal(fragment_indices);
+    });
+
+    it('should not treat data packets as NACKs', function() {
+        const data_packet = Buffer.alloc(20);
+        data_packet.writeUInt8(MAGIC_BYTE, 0);
+        data_packet.writeUInt8((FLAGS_VERSION << 6) | 1, 1);
+        data_packet.writeUInt8(FLAGS.CHECKSUM, 12);
+
+        expect(is_nack(data_packet)).to.be.false;
+        expect(decode_nack(data_packet)).to.be.null;
+        expect(is_nack(Buffer.alloc(3))).to.be.false;
+    });
+
+    it('should reject NACKs with a truncated index list', function() {
+        const [packet] = encode_nack(NACK);
+        expect(decode_nack(packet.subarray(0, packet.length - 1))).to.be.null;
+    });
+});
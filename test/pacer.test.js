@@ -0,0 +1,104 @@
+/**
+ * @fileoverview Test suite for token-bucket pacing
+ * @author JTP Library
+ * @version 1.0.0
+ */
+
+const { expect } = require('chai');
+const { TokenBucket, Pacer } = require('../lib/pacer');
+
+describe('Pacer', function() {
+    describe('TokenBucket', function() {
+        it('should start full and refill at its rate up to capacity', function() {
+            const bucket = new TokenBucket({ rate: 1000, burst: 100, now: 0 });
+            expect(bucket.wait_time(100, 0)).to.equal(0);
+
+            bucket.take(100, 0);
+            expect(bucket.wait_time(50, 0)).to.equal(50);
+            expect(bucket.wait_time(50, 50)).to.equal(0);
+
+            bucket.refill(10000);
+            expect(bucket.tokens).to.equal(100);
+        });
+
+        it('should let a cost above capacity through a full bucket and leave it in debt', function() {
+            const bucket = new TokenBucket({ rate: 1000, burst: 100, now: 0 });
+            expect(bucket.wait_time(300, 0)).to.equal(0);
+
+            bucket.take(300, 0);
+            expect(bucket.tokens).to.equal(-200);
+            expect(bucket.wait_time(1, 0)).to.equal(201);
+        });
+    });
+
+    describe('Rate Limits', function() {
+        it('should reject a limit without a positive rate', function() {
+            expect(() => new Pacer({ rate_limit: {} })).to.throw('positive bytes_per_second or packets_per_second');
+            expect(() => new Pacer({ rate_limits: { 3: { bytes_per_second: -1 } } })).to.throw('positive bytes_per_second');
+        });
+
+        it('should default bursts to a tenth of a second', function() {
+            const pacer = new Pacer({ rate_limit: { bytes_per_second: 10000, packets_per_second: 5 }, now: () => 0 });
+            const [bytes, packets] = pacer._global;
+            expect(bytes.bucket.capacity).to.equal(1000);
+            expect(packets.bucket.capacity).to.equal(1); // Never below one packet
+        });
+    });
+
+    describe('Wait Times', function() {
+        it('should report shared and per-type waits separately', function() {
+            const pacer = new Pacer({
+                rate_limit: { bytes_per_second: 1000, burst_bytes: 100 },
+                rate_limits: { 1: { packets_per_second: 10, burst_packets: 1 } },
+                now: () => 0
+            });
+            expect(pacer.global_wait_time(100)).to.equal(0);
+            expect(pacer.type_wait_time(1, 100)).to.equal(0);
+
+            pacer.take(1, 50);
+            expect(pacer.global_wait_time(100)).to.equal(50);
+            expect(pacer.type_wait_time(1, 10)).to.equal(100);
+            expect(pacer.type_wait_time(2, 10)).to.equal(0); // No limit of its own
+        });
+
+        it('should take queued packets off the queue', function() {
+            const pacer = new Pacer({ rate_limit: { packets_per_second: 100 }, now: () => 0 });
+            pacer.enqueue(1, 2, 200);
+            pacer.take(1, 100);
+            expect(pacer.status()).to.include({ queued_packets: 1, queued_bytes: 100 });
+        });
+
+        it('should charge packets sent outside the queue', function() {
+            const pacer = new Pacer({ rate_limit: { bytes_per_second: 1000, burst_bytes: 100 }, now: () => 0 });
+            pacer.charge(1, 150);
+            expect(pacer._global[0].bucket.tokens).to.equal(-50);
+            expect(pacer.status().queued_packets).to.equal(0);
+        });
+    });
+
+    describe('Status', function() {
+        it('should report queue depth and drain time per type and overall', function() {
+            const pacer = new Pacer({
+                rate_limit: { bytes_per_second: 1000, burst_bytes: 100 },
+                rate_limits: { 2: { packets_per_second: 1, burst_packets: 1 } },
+                now: () => 0
+            });
+            pacer.enqueue(1, 3, 300);
+            pacer.enqueue(2, 3, 30);
+
+            const status = pacer.status();
+            expect(status.queued_packets).to.equal(6);
+            expect(status.queued_bytes).to.equal(330);
+            expect(status.types[1]).to.deep.equal({ queued_packets: 3, queued_bytes: 300, drain_time_ms: 200 });
+            expect(status.types[2]).to.deep.equal({ queued_packets: 3, queued_bytes: 30, drain_time_ms: 2000 });
+            expect(status.drain_time_ms).to.equal(2000);
+        });
+
+        it('should drop dequeued packets from the status', function() {
+            const pacer = new Pacer({ rate_limit: { packets_per_second: 10 }, now: () => 0 });
+            pacer.enqueue(1, 3, 300);
+            pacer.dequeue(1, 3, 300);
+            expect(pacer.status()).to.deep.equal({ queued_packets: 0, queued_bytes: 0, drain_time_ms: 0, types: {} });
+        });
+    });
+});
@@ -0,0 +1,278 @@
+/**
+ * @fileoverview Test suite for pcap export and import
+ * @author JTP Library
+ * @version 1.0.0
+ */
+
+const { expect } = require('chai');
+const { PassThrough } = require('stream');
+const JTPEncoder = require('../lib/Encoder');
+const JTPDecoder = require('../lib/Decoder');
+const { LINK_TYPES, PcapWriter, read_pcap, replay_pcap } = require('../lib/pcap');
+const { MAGIC_BYTE } = require('../lib/constants');
+
+describe('pcap', function() {
+    const SOURCE_ID = 0x1234;
+    let stream;
+    let chunks;
+
+    beforeEach(function() {
+        stream = new PassThrough();
+        chunks = [];
+        stream.on('data', chunk => chunks.push(chunk));
+    });
+
+    const captured = () => Buffer.concat(chunks);
+
+    /**
+     * Build a classic pcap capture by hand
+     * @param {number} link_type - Link type
+     * @param {Buffer[]} frames - Captured frames, one second apart
+     * @param {Object} [options] - Header options
+     * @param {boolean} [options.big_endian=false] - Write the capture big-endian
+     * @param {boolean} [options.nanoseconds=false] - Use nanosecond timestamps
+     * @returns {Buffer} Capture
+     */
+    function build_capture(link_type, frames, { big_endian = false, nanoseconds = false } = {}) {
+        const write_u32 = (buffer, value, offset) => big_endian ? buffer.writeUInt32BE(value, offset) : buffer.writeUInt32LE(value, offset);
+        const header = Buffer.alloc(24);
+        write_u32(header, nanoseconds ? 0xA1B23C4D : 0xA1B2C3D4, 0);
+        write_u32(header, 0xFFFF, 16);
+        write_u32(header, link_type, 20);
+        const records = frames.map((frame, i) => {
+            const record = Buffer.alloc(16);
+            write_u32(record, 1000 + i, 0);
+            write_u32(record, nanoseconds ? 500000000 : 500000, 4);
+            write_u32(record, frame.length, 8);
+            write_u32(record, frame.length, 12);
+            return Buffer.concat([record, frame]);
+        });
+        return Buffer.concat([header, ...records]);
+    }
+
+    /**
+     * Wrap a payload in IPv4 and UDP headers with the PcapWriter
+     * @param {Buffer} payload - UDP payload
+     * @returns {Buffer} IPv4 datagram
+     */
+    function ipv4_datagram(payload) {
+        const writer = new PcapWriter(new PassThrough());
+        return writer._wrap_datagram(payload, { address: '192.168.1.7', port: 4000 }, { address: '192.168.1.1', port: 5000 });
+    }
+
+    describe('PcapWriter', function() {
+        it('should write a raw IP capture with valid IPv4 and UDP headers', function() {
+            const writer = new PcapWriter(stream);
+            const payload = Buffer.from([MAGIC_BYTE, 1, 2, 3, 4]);
+            writer.write(payload, { timestamp: 1700000000250.5 });
+
+            const capture = captured();
+            expect(capture.readUInt32LE(0)).to.equal(0xA1B2C3D4);
+            expect(capture.readUInt32LE(20)).to.equal(LINK_TYPES.RAW);
+            expect(capture.readUInt32LE(24)).to.equal(1700000000);
+            expect(capture.readUInt32LE(28)).to.equal(250500);
+            expect(capture.readUInt32LE(32)).to.equal(20 + 8 + payload.length);
+
+            const ip = capture.subarray(40);
+            expect(ip.readUInt8(0)).to.equal(0x45);
+            expect(ip.readUInt8(9)).to.equal(17);
+            expect(ones_complement_sum(ip.subarray(0, 20))).to.equal(0xFFFF);
+            const pseudo_header = Buffer.concat([ip.subarray(12, 20), Buffer.from([0, 17, 0, 13])]);
+            expect(ones_complement_sum(Buffer.concat([pseudo_header, ip.subarray(20), Buffer.alloc(1)]))).to.equal(0xFFFF);
+            expect(ip.subarray(28)).to.deep.equal(payload);
+            expect(writer.packets_written).to.equal(1);
+        });
+
+        it('should reject invalid or mixed-family addresses', function() {
+            expect(() => new PcapWriter(stream, { source: { address: 'robot7', port: 1 } })).to.throw('Invalid endpoint');
+            const writer = new PcapWriter(stream);
+            expect(() => writer.write(Buffer.from([MAGIC_BYTE]), { source: { address: '::1', port: 1 } })).to.throw('must both be IPv4 or IPv6');
+        });
+
+        it('should capture encoder output and decoder input', async function() {
+            const writer = new PcapWriter(stream);
+            const encoder = new JTPEncoder({ source_id: SOURCE_ID, max_payload_size: 100 });
+            const decoder = new JTPDecoder({ source_id: SOURCE_ID, max_payload_size: 100 });
+            const stop_encoder = writer.record_encoder(encoder);
+            const stop_decoder = writer.record_decoder(decoder);
+            encoder.on('packet', packet => decoder.decode_packet(packet));
+
+            await encoder.send(Buffer.alloc(250, 7), 3);
+            stop_encoder();
+            stop_decoder();
+            expect(decoder.listenerCount('packet:received')).to.equal(0);
+            await encoder.send(Buffer.alloc(10), 3);
+
+            expect(writer.packets_written).to.equal(6); // 3 sent, 3 decoded
+            const records = read_pcap(captured());
+            expect(records.map(record => record.packet.readUInt16LE(4))).to.deep.equal([0, 0, 1, 1, 2, 2]);
+        });
+    });
+
+    describe('record_decoder', function() {
+        it('should let captures of the same decoder stop in any order', function() {
+            const first = new PcapWriter(stream);
+            const second = new PcapWriter(new PassThrough());
+            const decoder = new JTPDecoder({ source_id: null });
+            const stop_first = first.record_decoder(decoder);
+            const stop_second = second.record_decoder(decoder);
+
+            decoder.decode_packet(Buffer.from('not jtp'));
+            stop_first();
+            decoder.decode_packet(Buffer.from('still not jtp'));
+            stop_second();
+            decoder.decode_packet(Buffer.from('uncaptured'));
+            expect([first.packets_written, second.packets_written]).to.deep.equal([1, 2]);
+        });
+    });
+
+    describe('read_pcap', function() {
+        it('should read back written packets with their addresses and timestamps', function() {
+            const writer = new PcapWriter(stream, { source: { address: '10.1.2.3', port: 40000 } });
+            writer.write(Buffer.from([MAGIC_BYTE, 1]), { timestamp: 1000.25 });
+            writer.write(Buffer.from([MAGIC_BYTE, 2]), {
+                timestamp: 2000,
+                source: { address: 'fe80::1:2', port: 1 },
+                destination: { address: '2001:db8::7', port: 2 }
+            });
+
+            const records = read_pcap(captured());
+            expect(records).to.have.length(2);
+            expect(records[0]).to.deep.equal({
+                timestamp: 1000.25,
+                packet: Buffer.from([MAGIC_BYTE, 1]),
+                source: { address: '10.1.2.3', port: 40000 },
+                destination: { address: '10.0.0.2', port: 5000 }
+            });
+            expect(records[1].source).to.deep.equal({ address: 'fe80::1:2', port: 1 });
+            expect(records[1].destination).to.deep.equal({ address: '2001:db8::7', port: 2 });
+        });
+
+        it('should read Ethernet captures with VLAN tags and padding', function() {
+            const ethernet = (ethertype_fields, payload) => Buffer.concat([Buffer.alloc(12), Buffer.from(ethertype_fields), ipv4_datagram(payload), Buffer.alloc(6)]);
+            const capture = build_capture(LINK_TYPES.ETHERNET, [
+                ethernet([0x08, 0x00], Buffer.from([MAGIC_BYTE, 1])),
+                ethernet([0x81, 0x00, 0, 5, 0x08, 0x00], Buffer.from([MAGIC_BYTE, 2])),
+                ethernet([0x08, 0x06], Buffer.from([MAGIC_BYTE, 3])) // ARP
+            ]);
+
+            const records = read_pcap(capture);
+            expect(records.map(record => record.packet)).to.deep.equal([Buffer.from([MAGIC_BYTE, 1]), Buffer.from([MAGIC_BYTE, 2])]);
+            expect(records[0].source).to.deep.equal({ address: '192.168.1.7', port: 4000 });
+            expect(records[1].timestamp).to.equal(1001500);
+        });
+
+        it('should read big-endian, nanosecond and Linux cooked captures', function() {
+            const sll = Buffer.concat([Buffer.alloc(14), Buffer.from([0x08, 0x00]), ipv4_datagram(Buffer.from([MAGIC_BYTE]))]);
+            const records = read_pcap(build_capture(LINK_TYPES.LINUX_SLL, [sll], { big_endian: true, nanoseconds: true }));
+            expect(records).to.have.length(1);
+            expect(records[0].timestamp).to.equal(1000500);
+
+            const loopback = Buffer.concat([Buffer.from([2, 0, 0, 0]), ipv4_datagram(Buffer.from([MAGIC_BYTE]))]);
+            expect(read_pcap(build_capture(LINK_TYPES.NULL, [loopback]))).to.have.length(1);
+        });
+
+        it('should skip non-JTP payloads, truncated records and IP fragments', function() {
+            const fragment = ipv4_datagram(Buffer.from([MAGIC_BYTE]));
+            fragment.writeUInt16BE(0x2000, 6); // More fragments
+            const capture = build_capture(LINK_TYPES.RAW, [
+                ipv4_datagram(Buffer.from([0x00, 1])),
+                fragment,
+                ipv4_datagram(Buffer.from([MAGIC_BYTE, 9]))
+            ]);
+            const truncated = build_capture(LINK_TYPES.RAW, [ipv4_datagram(Buffer.from([MAGIC_BYTE, 1, 2]))]);
+            truncated.writeUInt32LE(100, 24 + 12); // Original length beyond the captured bytes
+
+            expect(read_pcap(capture).map(record => record.packet)).to.deep.equal([Buffer.from([MAGIC_BYTE, 9])]);
+            expect(read_pcap(truncated)).to.deep.equal([]);
+            expect(read_pcap(capture.subarray(0, capture.length - 3))).to.have.length(0); // Cut mid-record
+        });
+
+        it('should reject files that are not classic pcap', function() {
+            const pcapng = Buffer.alloc(28);
+            pcapng.writeUInt32LE(0x0A0D0D0A, 0);
+            expect(() => read_pcap(pcapng)).to.throw('pcapng captures are not supported');
+            expect(() => read_pcap(Buffer.alloc(24))).to.throw('Not a pcap file');
+            expect(() => read_pcap(Buffer.alloc(4))).to.throw('Not a pcap file');
+            expect(() => read_pcap(build_capture(147, [Buffer.alloc(4)]))).to.throw('Unsupported pcap link type 147');
+        });
+    });
+
+    describe('replay_pcap', function() {
+        /**
+         * Capture an encoded message, spreading its packets out in time
+         * @param {number} spacing_ms - Time between packets
+         * @returns {Promise<Object[]>} Records read back from the capture
+         */
+        async function capture_message(spacing_ms) {
+            const writer = new PcapWriter(stream);
+            const encoder = new JTPEncoder({ source_id: SOURCE_ID, max_payload_size: 100 });
+            let timestamp = 5000;
+            encoder.on('packet', (packet) => {
+                writer.write(packet, { timestamp });
+                timestamp += spacing_ms;
+            });
+            await encoder.send(Buffer.alloc(300, 1), 2);
+            return read_pcap(captured());
+        }
+
+        it('should feed packets into the decoder with their original spacing', async function() {
+            const records = await capture_message(30);
+            const decoder = new JTPDecoder({ source_id: SOURCE_ID, max_payload_size: 100 });
+            const arrivals = [];
+            decoder.on('fragment:received', () => arrivals.push(Date.now()));
+
+            const start = Date.now();
+            expect(await replay_pcap(records, decoder)).to.equal(3);
+            expect(arrivals).to.have.length(3);
+            expect(arrivals[2] - start).to.be.at.least(55);
+            expect(decoder.get_stats().messages_completed).to.equal(1);
+        });
+
+        it('should replay faster or without delays', async function() {
+            const records = await capture_message(1000);
+            const decoder = new JTPDecoder({ source_id: SOURCE_ID, max_payload_size: 100 });
+            let completed = 0;
+            decoder.on('message', () => completed++);
+
+            const start = Date.now();
+            await replay_pcap(records, decoder, { speed: 100 });
+            expect(Date.now() - start).to.be.within(15, 500);
+            expect(completed).to.equal(1);
+
+            decoder.reset_message_state();
+            await replay_pcap(records, decoder, { speed: 0 });
+            expect(completed).to.equal(2);
+            expect(() => replay_pcap(records, decoder, { speed: -1 })).to.throw('speed must be a non-negative number');
+        });
+
+        it('should reject when decoding a delayed packet throws', async function() {
+            const [record] = await capture_message(0);
+            const decoder = new JTPDecoder({ source_id: SOURCE_ID, max_payload_size: 100 }); // No 'error' listener
+            const records = [record, { timestamp: record.timestamp + 10, packet: Buffer.from([MAGIC_BYTE, 0]) }];
+
+            let error = null;
+            await replay_pcap(records, decoder).catch(e => {
+                error = e;
+            });
+            expect(error).to.be.instanceOf(Error);
+            expect(error.message).to.include('Packet too short');
+        });
+    });
+});
+
+/**
+ * Sum 16-bit words with end-around carry
+ * @param {Buffer} buffer - Data of even length
+ * @returns {number} 16-bit one's complement sum (0xFFFF for valid checksummed data)
+ */
+function ones_complement_sum(buffer) {
+    let sum = 0;
+    for (let i = 0; i + 1 < buffer.length; i += 2) {
+        sum += buffer.readUInt16BE(i);
+    }
+    while (sum > 0xFFFF) {
+        sum = (sum & 0xFFFF) + (sum >>> 16);
+    }
+    return sum;
+}
@@ -0,0 +1,198 @@
+/**
+ * @fileoverview Test suite for the priority send scheduler
+ * @author JTP Library
+ * @version 1.0.0
+ */
+
+const { expect } = require('chai');
+const { Scheduler, PACKETS_PER_TICK } = require('../lib/scheduler');
+const { Pacer } = require('../lib/pacer');
+
+describe('Scheduler', function() {
+    /**
+     * Create a job whose packets are labelled '<name>:<index>'
+     * @param {string} name - Job label
+     * @param {number} count - Packet count
+     * @param {Object} [handlers={}] - on_done / on_error overrides
+     * @returns {Object} Job for Scheduler#push
+     */
+    function job(name, count, handlers = {}) {
+        function* packets() {
+            for (let i = 0; i < count; i++) {
+                yield { packet: Buffer.alloc(100), info: { label: `${name}:${i}` } };
+            }
+            return name;
+        }
+        return {
+            packets: packets(),
+            totals: { packets: count, bytes: count * 100 },
+            on_done: handlers.on_done || (() => {}),
+            on_error: handlers.on_error || (() => {})
+        };
+    }
+
+    /**
+     * Create a scheduler that records sent packet labels
+     * @param {Object} [options={}] - Further scheduler options
+     * @returns {{scheduler: Scheduler, sent: string[]}} Scheduler and its send log
+     */
+    function recording_scheduler(options = {}) {
+        const sent = [];
+        const scheduler = new Scheduler({ ...options, send: (packet, info) => sent.push(info.label) });
+        return { scheduler, sent };
+    }
+
+    /**
+     * Wait until the scheduler has nothing left to send
+     * @param {Scheduler} scheduler - Scheduler to wait for
+     * @returns {Promise<void>} Resolves once every queue is empty
+     */
+    async function drained(scheduler) {
+        while (scheduler.queued_messages > 0) {
+            await new Promise(resolve => setTimeout(resolve, 1));
+        }
+    }
+
+    it('should send the messages of one type one after another', async function() {
+        const { scheduler, sent } = recording_scheduler();
+        scheduler.push(1, job('a', 2));
+        scheduler.push(1, job('b', 2));
+        await drained(scheduler);
+        expect(sent).to.deep.equal(['a:0', 'a:1', 'b:0', 'b:1']);
+    });
+
+    it('should take turns between types of equal priority', async function() {
+        const { scheduler, sent } = recording_scheduler();
+        scheduler.push(1, job('a', 3));
+        scheduler.push(2, job('b', 2));
+        scheduler.push(3, job('c', 1));
+        await drained(scheduler);
+        expect(sent).to.deep.equal(['a:0', 'b:0', 'c:0', 'a:1', 'b:1', 'a:2']);
+    });
+
+    it('should send higher priority types first', async function() {
+        const { scheduler, sent } = recording_scheduler({ priorities: { 5: 10, 6: -1 } });
+        scheduler.push(6, job('low', 2));
+        scheduler.push(1, job('normal', 2));
+        scheduler.push(5, job('high', 2));
+        await drained(scheduler);
+        expect(sent).to.deep.equal(['high:0', 'high:1', 'normal:0', 'normal:1', 'low:0', 'low:1']);
+    });
+
+    it('should preempt a message in progress at the next packet', async function() {
+        const { scheduler, sent } = recording_scheduler({ priorities: { 1: 1 } });
+        scheduler.push(0, job('bulk', PACKETS_PER_TICK * 3));
+        await new Promise(resolve => setImmediate(resolve));
+        expect(sent.length).to.equal(PACKETS_PER_TICK);
+
+        scheduler.push(1, job('urgent', 2));
+        await drained(scheduler);
+        expect(sent.slice(PACKETS_PER_TICK, PACKETS_PER_TICK + 3)).to.deep.equal(['urgent:0', 'urgent:1', `bulk:${PACKETS_PER_TICK}`]);
+    });
+
+    it('should complete each message with its return value right after its last packet', async function() {
+        const { scheduler, sent } = recording_scheduler();
+        scheduler.push(1, job('a', 2, { on_done: (value) => sent.push(`done ${value}`) }));
+        scheduler.push(2, job('b', 1, { on_done: (value) => sent.push(`done ${value}`) }));
+        await drained(scheduler);
+        expect(sent).to.deep.equal(['a:0', 'b:0', 'done b', 'a:1', 'done a']);
+    });
+
+    it('should stop sending while paused, even within a turn', async function() {
+        const sent = [];
+        const scheduler = new Scheduler({
+            send: (packet, info) => {
+                sent.push(info.label);
+                if (sent.length === 2) {
+                    scheduler.pause();
+                }
+            }
+        });
+        scheduler.push(1, job('a', 4));
+        await new Promise(resolve => setTimeout(resolve, 5));
+        expect(sent).to.deep.equal(['a:0', 'a:1']);
+
+        scheduler.resume();
+        await drained(scheduler);
+        expect(sent).to.deep.equal(['a:0', 'a:1', 'a:2', 'a:3']);
+    });
+
+    it('should drop a failing message and keep sending the others', async function() {
+        const errors = [];
+        const sent = [];
+        const scheduler = new Scheduler({
+            send: (packet, info) => {
+                if (info.label === 'a:1') {
+                    throw new Error('send failed');
+                }
+                sent.push(info.label);
+            }
+        });
+        scheduler.push(1, job('a', 3, { on_error: (error) => errors.push(error.message) }));
+        scheduler.push(2, job('b', 3));
+        await drained(scheduler);
+        expect(errors).to.deep.equal(['send failed']);
+        expect(sent).to.deep.equal(['a:0', 'b:0', 'b:1', 'b:2']);
+    });
+
+    it('should not fail a sent message whose completion throws', async function() {
+        const errors = [];
+        const { scheduler, sent } = recording_scheduler();
+        scheduler.push(1, job('a', 1, {
+            on_done: () => {
+                throw new Error('listener failed');
+            },
+            on_error: (error) => errors.push(error.message)
+        }));
+        scheduler.push(2, job('b', 2));
+
+        expect(() => scheduler._run()).to.throw('listener failed');
+        await drained(scheduler);
+        expect(errors).to.deep.equal([]);
+        expect(sent).to.deep.equal(['a:0', 'b:0', 'b:1']);
+    });
+
+    describe('Pacing', function() {
+        it('should let other types pass a type held back by its own limit', async function() {
+            const pacer = new Pacer({ rate_limits: { 1: { packets_per_second: 20, burst_packets: 1 } } });
+            const { scheduler, sent } = recording_scheduler({ pacer, priorities: { 1: 1 } });
+            scheduler.push(1, job('limited', 2));
+            scheduler.push(2, job('free', 2));
+            await drained(scheduler);
+            expect(sent).to.deep.equal(['limited:0', 'free:0', 'free:1', 'limited:1']);
+        });
+
+        it('should hold every type behind a packet waiting for the shared limit', async function() {
+            const pacer = new Pacer({ rate_limit: { bytes_per_second: 10000, burst_bytes: 100 } });
+            const { scheduler, sent } = recording_scheduler({ pacer, priorities: { 1: 1 } });
+            scheduler.push(1, job('high', 2));
+            scheduler.push(2, job('low', 1));
+            await drained(scheduler);
+            expect(sent).to.deep.equal(['high:0', 'high:1', 'low:0']);
+        });
+
+        it('should not keep the process alive while waiting for the limits', async function() {
+            const pacer = new Pacer({ rate_limit: { packets_per_second: 10, burst_packets: 1 } });
+            const { scheduler, sent } = recording_scheduler({ pacer });
+            scheduler.push(1, job('a', 2));
+            await new Promise(resolve => setTimeout(resolve, 5));
+            expect(sent).to.deep.equal(['a:0']);
+            expect(scheduler._timer.hasRef()).to.be.false;
+            await drained(scheduler);
+        });
+
+        it('should remove unsent packets of a failed message from the queue', async function() {
+            const pacer = new Pacer({ rate_limit: { packets_per_second: 1000 } });
+            const scheduler = new Scheduler({
+                pacer,
+                send: () => {
+                    throw new Error('send failed');
+                }
+            });
+            scheduler.push(1, job('a', 5));
+            expect(pacer.status().queued_packets).to.equal(5);
+            await drained(scheduler);
+            expect(pacer.status().queued_packets).to.equal(0);
+        });
+    });
+});
@@ -0,0 +1,100 @@
+/**
+ * @fileoverview Test suite for the message schema registry
+ * @author JTP Library
+ * @version 1.0.0
+ */
+
+const { expect } = require('chai');
+const { SERIALIZERS, SchemaRegistry } = require('../lib/schema');
+const { ERROR_CODES, JTPMessageError } = require('../lib/errors');
+
+describe('SchemaRegistry', function() {
+    /**
+     * Serializer of unsigned 16-bit integers, standing in for MessagePack or protobuf
+     * @type {{encode: Function, decode: Function}}
+     */
+    const uint16 = {
+        encode: (value) => {
+            const buffer = Buffer.alloc(2);
+            buffer.writeUInt16LE(value);
+            return buffer;
+        },
+        decode: (buffer) => buffer.readUInt16LE(0)
+    };
+
+    it('should register schemas by name and message type', function() {
+        const schemas = new SchemaRegistry({ pose: { message_type: 1 } })
+            .register('frame', 2, 'raw')
+            .register('battery', 3, uint16);
+
+        expect(schemas.get('pose')).to.deep.equal({ name: 'pose', message_type: 1, serializer: SERIALIZERS.json });
+        expect(schemas.get(2).name).to.equal('frame');
+        expect(schemas.get('battery').serializer).to.equal(uint16);
+        expect(schemas.get('map')).to.be.null;
+        expect(schemas.get(4)).to.be.null;
+    });
+
+    it('should round-trip values through their serializers', function() {
+        const schemas = new SchemaRegistry()
+            .register('pose', 1)
+            .register('frame', 2, 'raw')
+            .register('battery', 3, uint16);
+
+        const pose = { x: 1.5, y: -2, tags: ['a'] };
+        const encoded = schemas.encode('pose', pose);
+        expect(encoded.message_type).to.equal(1);
+        expect(encoded.buffer.toString()).to.equal(JSON.stringify(pose));
+        expect(schemas.decode(1, encoded.buffer)).to.deep.equal({ name: 'pose', value: pose });
+
+        const frame = Buffer.from([1, 2, 3]);
+        expect(schemas.encode('frame', frame).buffer).to.equal(frame);
+        expect(schemas.decode(3, schemas.encode('battery', 4100).buffer)).to.deep.equal({ name: 'battery', value: 4100 });
+        expect(schemas.decode(9, frame)).to.be.null;
+    });
+
+    it('should reject invalid and conflicting registrations', function() {
+        const schemas = new SchemaRegistry({ pose: { message_type: 1 } });
+        expect(() => schemas.register('message', 2)).to.throw('other than an event name');
+        expect(() => schemas.register('message:pose', 2)).to.throw('other than an event name');
+        expect(() => schemas.register('', 2)).to.throw('non-empty string');
+        expect(() => schemas.register('map', 65536)).to.throw('Message type must be 0-65535, got 65536');
+        expect(() => schemas.register('pose', 2)).to.throw('Schema pose is already registered');
+        expect(() => schemas.register('map', 1)).to.throw('Message type 1 is already registered as pose');
+        expect(() => schemas.register('map', 2, 'msgpack')).to.throw("got msgpack");
+        expect(() => schemas.register('map', 2, { encode: () => null })).to.throw('an object with encode and decode');
+    });
+
+    it('should report values that cannot be serialized or deserialized', function() {
+        const schemas = new SchemaRegistry()
+            .register('pose', 1)
+            .register('frame', 2, 'raw')
+            .register('broken', 3, { encode: () => 'text', decode: () => null });
+        const cyclic = {};
+        cyclic.self = cyclic;
+
+        const error_of = (fn) => {
+            try {
+                fn();
+            } catch (error) {
+                return error;
+            }
+            return expect.fail('Nothing thrown');
+        };
+
+        const unknown = error_of(() => schemas.encode('map', {}, { source_id: 7 }));
+        expect(unknown).to.be.instanceOf(JTPMessageError);
+        expect(unknown).to.include({ code: ERROR_CODES.E_UNKNOWN_SCHEMA, source_id: 7, message_type: null });
+
+        const serialize = error_of(() => schemas.encode('pose', cyclic));
+        expect(serialize).to.include({ code: ERROR_CODES.E_SERIALIZE, message_type: 1 });
+        expect(serialize.message).to.match(/^Cannot serialize pose: /);
+        expect(serialize.cause).to.be.instanceOf(TypeError);
+        expect(error_of(() => schemas.encode('pose', undefined)).code).to.equal(ERROR_CODES.E_SERIALIZE);
+        expect(error_of(() => schemas.encode('frame', 'text')).message).to.equal('Cannot serialize frame: raw messages must be Buffers');
+        expect(error_of(() => schemas.encode('broken', 1)).message).to.equal('Cannot serialize broken: serializer did not return a Buffer');
+
+        const deserialize = error_of(() => schemas.decode(1, Buffer.from('{"x":'), { source_id: 7, message_id: 12 }));
+        expect(deserialize).to.include({ code: ERROR_CODES.E_DESERIALIZE, source_id: 7, message_type: 1, message_id: 12 });
+        expect(deserialize.cause).to.be.instanceOf(SyntaxError);
+    });
+});
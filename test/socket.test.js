@@ -0,0 +1,392 @@
+/**
+ * @fileoverview Test suite for JTPSocket class
+ * @author JTP Library
+ * @version 1.0.0
+ */
+
+const { expect } = require('chai');
+const JTPSocket = require('../lib/Socket');
+
+describe('JTPSocket', function() {
+    const SOURCE_ID = 0x12345678;
+    let sockets;
+
+    /**
+     * Create a socket bound to an ephemeral loopback port
+     * @param {Object} [options] - Extra JTPSocket options
+     * @returns {Promise<JTPSocket>} Bound socket
+     */
+    function create_bound_socket(options = {}) {
+        const socket = new JTPSocket({ source_id: SOURCE_ID, bind_address: '127.0.0.1', ...options });
+        sockets.push(socket);
+        return new Promise(resolve => socket.bind(() => resolve(socket)));
+    }
+
+    beforeEach(function() {
+        sockets = [];
+    });
+
+    afterEach(function(done) {
+        let remaining = sockets.length;
+        if (remaining === 0) {
+            return done();
+        }
+        sockets.forEach(socket => socket.close(() => {
+            remaining--;
+            if (remaining === 0) {
+                done();
+            }
+        }));
+    });
+
+    describe('Destinations', function() {
+        it('should parse string and object destinations', function() {
+            const socket = new JTPSocket({
+                source_id: SOURCE_ID,
+                destinations: ['127.0.0.1:5000', { host: 'localhost', port: 5001 }, '[::1]:5002']
+            });
+            sockets.push(socket);
+
+            expect(socket.destinations).to.deep.equal([
+                { host: '127.0.0.1', port: 5000 },
+                { host: 'localhost', port: 5001 },
+                { host: '::1', port: 5002 }
+            ]);
+        });
+
+        it('should ignore duplicate destinations and remove existing ones', function() {
+            const socket = new JTPSocket({ source_id: SOURCE_ID });
+            sockets.push(socket);
+
+            socket.add_destination('127.0.0.1', 5000);
+            socket.add_destination('127.0.0.1:5000');
+            expect(socket.destinations.length).to.equal(1);
+
+            expect(socket.remove_destination({ host: '127.0.0.1', port: 5000 })).to.be.true;
+            expect(socket.remove_destination('127.0.0.1:5000')).to.be.false;
+            expect(socket.destinations.length).to.equal(0);
+        });
+
+        it('should reject invalid destinations', function() {
+            const socket = new JTPSocket({ source_id: SOURCE_ID });
+            sockets.push(socket);
+
+            expect(() => socket.add_destination('no-port')).to.throw('Invalid destination');
+            expect(() => socket.add_destination('127.0.0.1', 70000)).to.throw('Invalid destination');
+        });
+    });
+
+    describe('Loopback Transfer', function() {
+        it('should deliver a multi-fragment message with the sender address', async function() {
+            const receiver = await create_bound_socket();
+            const sender = await create_bound_socket({ destinations: [`127.0.0.1:${receiver.address().port}`] });
+            const message = Buffer.alloc(5000);
+            for (let i = 0; i < message.length; i++) {
+                message[i] = i % 256;
+            }
+
+            const received = new Promise(resolve => {
+                receiver.on('message', (buffer, type, metadata) => resolve({ buffer, type, metadata }));
+            });
+            sender.send(message, 12);
+
+            const { buffer, type, metadata } = await received;
+            expect(buffer).to.deep.equal(message);
+            expect(type).to.equal(12);
+            expect(metadata.fragment_count).to.equal(5);
+            expect(metadata.remote).to.deep.equal({ address: '127.0.0.1', port: sender.address().port });
+        });
+
+        it('should receive from several sources on one port', async function() {
+            const receiver = await create_bound_socket({ listen_source_id: null });
+            const destinations = [`127.0.0.1:${receiver.address().port}`];
+            const robot_a = await create_bound_socket({ source_id: 0xA, destinations });
+            const robot_b = await create_bound_socket({ source_id: 0xB, destinations });
+
+            const received = new Map();
+            const all_received = new Promise(resolve => {
+                receiver.on('message', (buffer, type, metadata) => {
+                    received.set(metadata.source_id, metadata.remote.port);
+                    if (received.size === 2) {
+                        resolve();
+                    }
+                });
+            });
+            robot_a.send(Buffer.alloc(3000, 0xA), 4);
+            robot_b.send(Buffer.alloc(3000, 0xB), 4);
+
+            await all_received;
+            expect(received.get(0xA)).to.equal(robot_a.address().port);
+            expect(received.get(0xB)).to.equal(robot_b.address().port);
+        });
+
+        it('should send to every destination', async function() {
+            const receivers = [await create_bound_socket(), await create_bound_socket()];
+            const sender = await create_bound_socket({
+                destinations: receivers.map(r => ({ host: '127.0.0.1', port: r.address().port }))
+            });
+
+            const received = receivers.map(receiver => new Promise(resolve => {
+                receiver.on('message', buffer => resolve(buffer.toString()));
+            }));
+            sender.send(Buffer.from('fan out'), 3);
+
+            expect(await Promise.all(received)).to.deep.equal(['fan out', 'fan out']);
+        });
+
+        it('should repair a lost fragment through NACK retransmission', async function() {
+            const receiver = await create_bound_socket({ nack_interval: 20 });
+            const sender = await create_bound_socket({
+                history_size: 64,
+                destinations: [`127.0.0.1:${receiver.address().port}`]
+            });
+            const message = Buffer.alloc(6000, 0x42);
+
+            // Drop the first transmission of fragment 2
+            const send_packet = sender._send_packet.bind(sender);
+            let dropped = false;
+            sender._send_packet = (packet) => {
+                if (!dropped && packet.readUInt16LE(4) === 2) {
+                    dropped = true;
+                    return;
+                }
+                send_packet(packet);
+            };
+
+            const repaired = new Promise(resolve => receiver.decoder.on('message:repaired', resolve));
+            const received = new Promise(resolve => receiver.on('message', resolve));
+            sender.send(message, 8);
+
+            expect(await received).to.deep.equal(message);
+            expect((await repaired).nack_rounds).to.equal(1);
+            expect(dropped).to.be.true;
+        });
+
+        it('should pass encoder options through for FEC', async function() {
+            const receiver = await create_bound_socket();
+            const sender = await create_bound_socket({
+                encoder_options: { fec_group_size: 4 },
+                destinations: [`127.0.0.1:${receiver.address().port}`]
+            });
+            const message = Buffer.alloc(4800, 0x24);
+
+            // Drop one data fragment; parity rebuilds it without a round trip
+            const send_packet = sender._send_packet.bind(sender);
+            sender._send_packet = (packet) => {
+                if (packet.readUInt8(1) >> 6 === 0 && packet.readUInt16LE(4) === 1) {
+                    return;
+                }
+                send_packet(packet);
+            };
+
+            const received = new Promise(resolve => receiver.on('message', (buffer, type, metadata) => resolve({ buffer, metadata })));
+            sender.send(message, 8);
+
+            const { buffer, metadata } = await received;
+            expect(buffer).to.deep.equal(message);
+            expect(metadata.recovered_fragments).to.equal(1);
+        });
+
+        it('should send jumbo fragments with a larger payload size', async function() {
+            const receiver = await create_bound_socket({ max_payload_size: 8951 });
+            const sender = await create_bound_socket({
+                max_payload_size: 8951,
+                destinations: [`127.0.0.1:${receiver.address().port}`]
+            });
+            const message = Buffer.alloc(20000, 0x5A);
+
+            const received = new Promise(resolve => receiver.on('message', (buffer, type, metadata) => resolve({ buffer, metadata })));
+            sender.send(message, 9);
+
+            const { buffer, metadata } = await received;
+            expect(buffer).to.deep.equal(message);
+            expect(metadata.fragment_count).to.equal(3);
+        });
+
+        it('should report malformed datagrams as decode errors', async function() {
+            const receiver = await create_bound_socket();
+            const sender = await create_bound_socket();
+
+            const decode_error = new Promise(resolve => {
+                receiver.on('decode:error', (error, remote) => resolve({ error, remote }));
+            });
+            const garbage = Buffer.from([0x4A, 0x00, 0x01]); // Magic byte but too short
+            sender._socket.send(garbage, receiver.address().port, '127.0.0.1');
+
+            const { error, remote } = await decode_error;
+            expect(error.message).to.include('Packet too short');
+            expect(remote.port).to.equal(sender.address().port);
+        });
+    });
+
+    describe('Authentication', function() {
+        it('should exchange signed messages and reject peers without the key', async function() {
+            const receiver = await create_bound_socket({ auth_key: 'fleet key', auth_key_id: 1 });
+            const destinations = [`127.0.0.1:${receiver.address().port}`];
+            const trusted = await create_bound_socket({ auth_key: 'fleet key', auth_key_id: 1, destinations });
+            const intruder = await create_bound_socket({ destinations });
+
+            const rejected = new Promise(resolve => receiver.on('packet:rejected', (info, remote) => resolve({ info, remote })));
+            const received = new Promise(resolve => receiver.on('message', buffer => resolve(buffer.toString())));
+            intruder.send(Buffer.from('spoofed'), 5);
+            const { info, remote } = await rejected;
+            expect(info.reason).to.equal('unauthenticated');
+            expect(remote.port).to.equal(intruder.address().port);
+
+            trusted.send(Buffer.from('genuine'), 5);
+            expect(await received).to.equal('genuine');
+        });
+
+        it('should not let rejected packets redirect NACKs or the reported remote', async function() {
+            const options = { auth_key: 'fleet key', auth_key_id: 1 };
+            const receiver = await create_bound_socket({ ...options, nack_interval: 30 });
+            const destinations = [`127.0.0.1:${receiver.address().port}`];
+            const trusted = await create_bound_socket({ ...options, history_size: 16, destinations });
+            const intruder = await create_bound_socket({ destinations });
+            receiver.on('packet:rejected', () => {});
+
+            const send_packet = trusted._send_packet.bind(trusted);
+            trusted._send_packet = (packet) => {
+                if (packet.readUInt16LE(4) !== 1 || trusted.encoder.get_stats().retransmitted_packets > 0) {
+                    send_packet(packet); // Lose fragment 1 until it is NACKed
+                }
+            };
+            const received = new Promise(resolve => receiver.on('message', (buffer, type, metadata) => resolve(metadata)));
+            trusted.send(Buffer.alloc(3000, 1), 5);
+            await new Promise(resolve => setTimeout(resolve, 10));
+            intruder.send(Buffer.from('spoofed'), 5); // Same source, type and message ID, but unsigned
+
+            const metadata = await received;
+            expect(metadata.remote.port).to.equal(trusted.address().port);
+            expect(trusted.encoder.get_stats().retransmitted_packets).to.equal(1);
+            expect(receiver._remotes.size).to.equal(0);
+        });
+
+        it('should carry encrypted messages between sockets sharing a key', async function() {
+            const encryption_key = Buffer.alloc(32, 0x7E);
+            const receiver = await create_bound_socket({ encryption_key });
+            const sender = await create_bound_socket({ encryption_key, destinations: [`127.0.0.1:${receiver.address().port}`] });
+
+            const received = new Promise(resolve => receiver.on('message', buffer => resolve(buffer.toString())));
+            sender.send(Buffer.from('for your eyes only'), 5);
+            expect(await received).to.equal('for your eyes only');
+        });
+
+        it('should keep receiving while keys are rotated', async function() {
+            const receiver = await create_bound_socket({ auth_key: 'old key', auth_key_id: 1 });
+            const sender = await create_bound_socket({ auth_key: 'old key', auth_key_id: 1, destinations: [`127.0.0.1:${receiver.address().port}`] });
+            const received = [];
+            const all_received = new Promise(resolve => receiver.on('message', buffer => {
+                received.push(buffer.toString());
+                if (received.length === 2) {
+                    resolve();
+                }
+            }));
+
+            receiver.rotate_auth_key(2, 'new key');
+            sender.send(Buffer.from('before'), 5);
+            await new Promise(resolve => setTimeout(resolve, 10));
+            sender.rotate_auth_key(2, 'new key');
+            sender.remove_auth_key(1);
+            sender.send(Buffer.from('after'), 5);
+
+            await all_received;
+            receiver.remove_auth_key(1);
+            expect(received).to.deep.equal(['before', 'after']);
+            expect(receiver.encoder.auth_key_id).to.equal(2);
+            expect(() => receiver.remove_auth_key(2)).to.throw('Cannot remove the active auth key');
+        });
+    });
+
+    describe('Broadcast', function() {
+        it('should enable broadcast once bound', function(done) {
+            const socket = new JTPSocket({ source_id: SOURCE_ID, bind_address: '127.0.0.1', broadcast: true });
+            sockets.push(socket);
+            let broadcast_flag = null;
+            const set_broadcast = socket._socket.setBroadcast.bind(socket._socket);
+            socket._socket.setBroadcast = (flag) => {
+                broadcast_flag = flag;
+                set_broadcast(flag);
+            };
+
+            socket.bind(() => {
+                expect(broadcast_flag).to.be.true;
+                done();
+            });
+        });
+
+        it('should leave broadcast disabled for unicast sockets', function(done) {
+            const socket = new JTPSocket({ source_id: SOURCE_ID, bind_address: '127.0.0.1' });
+            sockets.push(socket);
+            socket._socket.setBroadcast = () => {
+                throw new Error('setBroadcast should not be called');
+            };
+
+            socket.bind(() => done());
+        });
+    });
+
+    describe('Message State', function() {
+        it('should forget the senders of messages it resets', async function() {
+            const receiver = await create_bound_socket();
+            const sender = await create_bound_socket({ destinations: [`127.0.0.1:${receiver.address().port}`] });
+            const send_packet = sender._send_packet.bind(sender);
+            sender._send_packet = (packet) => {
+                if (packet.readUInt16LE(4) !== 1) {
+                    send_packet(packet); // Lose fragment 1 so the messages stay partial
+                }
+            };
+            sender.send(Buffer.alloc(3000, 1), 5);
+            sender.send(Buffer.alloc(3000, 2), 6);
+            await new Promise(resolve => setTimeout(resolve, 20));
+            expect(receiver._remotes.size).to.equal(2);
+
+            receiver.reset_message_state(5);
+            expect([...receiver._remotes.keys()]).to.deep.equal([`${SOURCE_ID}:6:1`]);
+            expect(receiver.decoder.buffered_bytes).to.be.above(0);
+
+            receiver.reset_message_state(null, SOURCE_ID);
+            expect(receiver._remotes.size).to.equal(0);
+            expect(receiver.decoder.buffered_bytes).to.equal(0);
+        });
+    });
+
+    describe('Shutdown', function() {
+        it('should emit close and reject sends afterwards', function(done) {
+            const socket = new JTPSocket({ source_id: SOURCE_ID, bind_address: '127.0.0.1' });
+
+            socket.bind(() => {
+                socket.close(() => {
+                    expect(socket.closed).to.be.true;
+
+                    socket.on('error', (error) => {
+                        expect(error.message).to.include('Socket is closed');
+                        done();
+                    });
+                    expect(socket.send(Buffer.from('late'), 1)).to.be.null;
+                });
+            });
+        });
+
+        it('should tolerate closing twice', function(done) {
+            const socket = new JTPSocket({ source_id: SOURCE_ID });
+            socket.bind(() => {
+                socket.close();
+                socket.close(done);
+            });
+        });
+    });
+
+    describe('Errors', function() {
+        it('should forward socket errors', function(done) {
+            const socket = new JTPSocket({ source_id: SOURCE_ID, bind_address: '127.0.0.1' });
+            sockets.push(socket);
+
+            socket.on('error', (error) => {
+                expect(error).to.be.instanceOf(Error);
+                done();
+            });
+            socket._socket.emit('error', new Error('boom'));
+        });
+    });
+});
@@ -0,0 +1,138 @@
+/**
+ * @fileoverview Test suite for statistics and Prometheus export
+ * @author JTP Library
+ * @version 1.0.0
+ */
+
+const { expect } = require('chai');
+const { LATENCY_BUCKETS_MS, Histogram, StatsRecorder, to_prometheus } = require('../lib/stats');
+
+describe('Statistics', function() {
+    describe('Histogram', function() {
+        it('should count values into cumulative buckets', function() {
+            const histogram = new Histogram([1, 10, 100]);
+            [0.5, 1, 5, 50, 5000].forEach(value => histogram.observe(value));
+            expect(histogram.snapshot()).to.deep.equal({
+                buckets: { 1: 2, 10: 3, 100: 4, '+Inf': 5 },
+                sum: 5056.5,
+                count: 5
+            });
+        });
+    });
+
+    describe('StatsRecorder', function() {
+        let recorder;
+
+        beforeEach(function() {
+            recorder = new StatsRecorder({
+                counters: ['packets_received'],
+                reason_counters: ['ignored_packets'],
+                histograms: ['reassembly_latency_ms'],
+                by_source: true
+            });
+        });
+
+        it('should break counters down by type, source and both', function() {
+            recorder.count('packets_received', { source_id: 7, message_type: 12 });
+            recorder.count('packets_received', { source_id: 7, message_type: 3 }, 2);
+            recorder.count('packets_received', { source_id: 8, message_type: 12 });
+            recorder.count('packets_received');
+
+            const stats = recorder.snapshot();
+            expect(stats.packets_received).to.equal(5);
+            expect(stats.types[12].packets_received).to.equal(2);
+            expect(stats.types[3].packets_received).to.equal(2);
+            expect(stats.sources[7].packets_received).to.equal(3);
+            expect(stats.sources[7].types[12].packets_received).to.equal(1);
+            expect(stats.sources[8].types).to.have.all.keys('12');
+        });
+
+        it('should attribute counts to types and sources without adding to the totals', function() {
+            recorder.count('packets_received');
+            recorder.attribute('packets_received', { source_id: 7, message_type: 12 });
+
+            const stats = recorder.snapshot();
+            expect(stats.packets_received).to.equal(1);
+            expect(stats.types[12].packets_received).to.equal(1);
+            expect(stats.sources[7].types[12].packets_received).to.equal(1);
+        });
+
+        it('should count reasons and histograms per entry', function() {
+            recorder.count_reason('ignored_packets', 'stale', { source_id: 7, message_type: 1 });
+            recorder.count_reason('ignored_packets', 'not_jtp');
+            recorder.observe('reassembly_latency_ms', 3, { source_id: 7, message_type: 1 });
+
+            const stats = recorder.snapshot();
+            expect(stats.ignored_packets).to.deep.equal({ stale: 1, not_jtp: 1 });
+            expect(stats.sources[7].types[1].ignored_packets).to.deep.equal({ stale: 1 });
+            expect(stats.types[1].reassembly_latency_ms.count).to.equal(1);
+            expect(Object.keys(stats.reassembly_latency_ms.buckets)).to.have.length(LATENCY_BUCKETS_MS.length + 1);
+        });
+
+        it('should return copies and start over on reset', function() {
+            recorder.count_reason('ignored_packets', 'stale');
+            const stats = recorder.snapshot();
+            stats.ignored_packets.stale = 100;
+            expect(recorder.snapshot().ignored_packets.stale).to.equal(1);
+
+            recorder.reset();
+            expect(recorder.snapshot()).to.deep.include({ packets_received: 0, ignored_packets: {}, types: {}, sources: {} });
+        });
+
+        it('should leave out sources unless asked to', function() {
+            const by_type = new StatsRecorder({ counters: ['packets_sent'] });
+            by_type.count('packets_sent', { source_id: 7, message_type: 1 });
+            expect(by_type.snapshot()).to.deep.equal({ packets_sent: 1, types: { 1: { packets_sent: 1 } } });
+        });
+    });
+
+    describe('to_prometheus', function() {
+        it('should render counters per source and type with the unattributed rest unlabelled', function() {
+            const recorder = new StatsRecorder({ counters: ['invalid_packets'], by_source: true });
+            recorder.count('invalid_packets', { source_id: 7, message_type: 12 }, 2);
+            recorder.count('invalid_packets');
+
+            expect(to_prometheus(recorder.snapshot(), { prefix: 'jtp_decoder' })).to.equal([
+                '# HELP jtp_decoder_invalid_packets_total Packets that failed validation',
+                '# TYPE jtp_decoder_invalid_packets_total counter',
+                'jtp_decoder_invalid_packets_total{source_id="7",message_type="12"} 2',
+                'jtp_decoder_invalid_packets_total 1',
+                ''
+            ].join('\n'));
+        });
+
+        it('should render zero counters and per-type encoder stats', function() {
+            const recorder = new StatsRecorder({ counters: ['packets_sent', 'bytes_sent'] });
+            expect(to_prometheus(recorder.snapshot())).to.include('jtp_packets_sent_total 0\n');
+
+            recorder.count('bytes_sent', { message_type: 4 }, 1500);
+            const text = to_prometheus(recorder.snapshot(), { labels: { host: 'rover "1"' } });
+            expect(text).to.include('jtp_bytes_sent_total{host="rover \\"1\\"",message_type="4"} 1500\n');
+            expect(text).to.include('jtp_packets_sent_total{host="rover \\"1\\"",message_type="4"} 0\n');
+            expect(text).to.not.include('jtp_bytes_sent_total{host="rover \\"1\\""} ');
+        });
+
+        it('should render reasons and latency histograms in seconds', function() {
+            const recorder = new StatsRecorder({
+                counters: [],
+                reason_counters: ['ignored_packets'],
+                histograms: ['reassembly_latency_ms'],
+                by_source: true
+            });
+            recorder.count_reason('ignored_packets', 'not_jtp');
+            recorder.count_reason('ignored_packets', 'stale', { source_id: 1, message_type: 2 });
+            recorder.observe('reassembly_latency_ms', 20, { source_id: 1, message_type: 2 });
+
+            const lines = to_prometheus(recorder.snapshot()).split('\n');
+            expect(lines).to.include('# TYPE jtp_ignored_packets_total counter');
+            expect(lines).to.include('jtp_ignored_packets_total{reason="not_jtp"} 1');
+            expect(lines).to.include('jtp_ignored_packets_total{source_id="1",message_type="2",reason="stale"} 1');
+            expect(lines).to.include('# TYPE jtp_reassembly_latency_seconds histogram');
+            expect(lines).to.include('jtp_reassembly_latency_seconds_bucket{source_id="1",message_type="2",le="0.01"} 0');
+            expect(lines).to.include('jtp_reassembly_latency_seconds_bucket{source_id="1",message_type="2",le="0.025"} 1');
+            expect(lines).to.include('jtp_reassembly_latency_seconds_bucket{source_id="1",message_type="2",le="+Inf"} 1');
+            expect(lines).to.include('jtp_reassembly_latency_seconds_sum{source_id="1",message_type="2"} 0.02');
+            expect(lines).to.include('jtp_reassembly_latency_seconds_count{source_id="1",message_type="2"} 1');
+        });
+    });
+});